@@ -0,0 +1,256 @@
+/**
+ * Architecture Icons
+ * Catalog of draw.io's AWS (mxgraph.aws4), Azure (mxgraph.azure), Google Cloud
+ * (mxgraph.gcp2) and Kubernetes (mxgraph.kubernetes) icon styles, addressed as
+ * provider:service, e.g. aws:lambda or k8s:pod, plus the group containers
+ * (VPC, subnet, region, namespace) each provider draws around its services.
+ */
+
+const PROVIDER_ALIASES = {
+  aws: 'aws',
+  aws4: 'aws',
+  azure: 'azure',
+  gcp: 'gcp',
+  gcp2: 'gcp',
+  google: 'gcp',
+  k8s: 'k8s',
+  kubernetes: 'k8s',
+};
+
+// AWS service icons by category color; values are the resIcon names where they differ
+const AWS_SERVICES = {
+  '#ED7100': {
+    ec2: 'ec2', lambda: 'lambda', batch: 'batch', elastic_beanstalk: 'elastic_beanstalk', lightsail: 'lightsail',
+    app_runner: 'app_runner', ecs: 'ecs', eks: 'eks', fargate: 'fargate', ecr: 'ecr',
+  },
+  '#7AA116': {
+    s3: 's3', efs: 'elastic_file_system', ebs: 'elastic_block_store', backup: 'backup', glacier: 's3_glacier',
+  },
+  '#C925D1': {
+    rds: 'rds', aurora: 'aurora', dynamodb: 'dynamodb', elasticache: 'elasticache',
+    documentdb: 'documentdb_with_mongodb_compatibility', neptune: 'neptune',
+  },
+  '#8C4FFF': {
+    cloudfront: 'cloudfront', route53: 'route_53', elb: 'elastic_load_balancing', vpc: 'vpc',
+    direct_connect: 'direct_connect', global_accelerator: 'global_accelerator',
+    kinesis: 'kinesis', athena: 'athena', glue: 'glue', redshift: 'redshift', emr: 'emr',
+    opensearch: 'elasticsearch_service', msk: 'managed_streaming_for_kafka',
+  },
+  '#E7157B': {
+    api_gateway: 'api_gateway', sqs: 'sqs', sns: 'sns', eventbridge: 'eventbridge', step_functions: 'step_functions',
+    mq: 'mq', appsync: 'appsync', cloudwatch: 'cloudwatch_2', cloudformation: 'cloudformation',
+    cloudtrail: 'cloudtrail', systems_manager: 'systems_manager',
+  },
+  '#DD344C': {
+    iam: 'identity_and_access_management', cognito: 'cognito', secrets_manager: 'secrets_manager',
+    kms: 'key_management_service', waf: 'waf', shield: 'shield', acm: 'certificate_manager_3',
+  },
+  '#01A88D': {
+    sagemaker: 'sagemaker', bedrock: 'bedrock', rekognition: 'rekognition',
+  },
+};
+
+// AWS resource icons drawn as shapes of their own rather than service tiles
+const AWS_RESOURCES = {
+  alb: { shape: 'application_load_balancer', color: '#8C4FFF' },
+  nlb: { shape: 'network_load_balancer', color: '#8C4FFF' },
+  nat_gateway: { shape: 'nat_gateway', color: '#8C4FFF' },
+  internet_gateway: { shape: 'internet_gateway', color: '#8C4FFF' },
+  users: { shape: 'users', color: '#232F3E' },
+  client: { shape: 'client', color: '#232F3E' },
+  mobile_client: { shape: 'mobile_client', color: '#232F3E' },
+};
+
+const AZURE_SERVICES = {
+  virtual_machine: 'virtual_machine', cloud_service: 'cloud_service', app_service: 'azure_website',
+  website: 'azure_website', sql_database: 'sql_database', database: 'database', storage: 'storage',
+  blob_storage: 'storage_blob', queue_storage: 'storage_queue', table_storage: 'storage_table',
+  service_bus: 'service_bus', service_bus_queue: 'service_bus_queues', service_bus_topic: 'service_bus_topics_and_subscriptions',
+  redis: 'cache_including_redis', cdn: 'content_delivery_network', traffic_manager: 'traffic_manager',
+  load_balancer: 'azure_load_balancer', virtual_network: 'virtual_network', express_route: 'express_route',
+  active_directory: 'azure_active_directory', notification_hubs: 'notification_hubs', hdinsight: 'hdinsight',
+  scheduler: 'scheduler', automation: 'automation', backup: 'backup_service', mobile_services: 'mobile_services',
+  media_service: 'media_service', user: 'user', computer: 'computer', laptop: 'laptop', mobile: 'mobile',
+};
+
+const GCP_SERVICES = {
+  compute_engine: 'compute_engine', app_engine: 'app_engine', gke: 'container_engine', cloud_functions: 'cloud_functions',
+  cloud_run: 'cloud_run', cloud_storage: 'cloud_storage', cloud_sql: 'cloud_sql', spanner: 'cloud_spanner',
+  bigtable: 'cloud_bigtable', datastore: 'cloud_datastore', firestore: 'cloud_firestore', bigquery: 'bigquery',
+  pubsub: 'cloud_pubsub', dataflow: 'dataflow', dataproc: 'dataproc', load_balancing: 'cloud_load_balancing',
+  cdn: 'cloud_cdn', dns: 'cloud_dns', memorystore: 'cloud_memorystore', armor: 'cloud_armor', nat: 'cloud_nat',
+  vpc: 'virtual_private_cloud', endpoints: 'cloud_endpoints', iam: 'cloud_iam', scheduler: 'cloud_scheduler',
+  tasks: 'cloud_tasks', cloud_build: 'container_builder', container_registry: 'container_registry',
+};
+
+const K8S_RESOURCES = {
+  pod: 'pod', deployment: 'deploy', service: 'svc', ingress: 'ing', namespace: 'ns', node: 'node',
+  control_plane: 'master', replicaset: 'rs', statefulset: 'sts', daemonset: 'ds', job: 'job', cronjob: 'cronjob',
+  configmap: 'cm', secret: 'secret', pv: 'pv', pvc: 'pvc', storageclass: 'sc', hpa: 'hpa',
+  serviceaccount: 'sa', role: 'role', clusterrole: 'c_role', rolebinding: 'rb', clusterrolebinding: 'crb',
+  endpoint: 'ep', networkpolicy: 'netpol', etcd: 'etcd', api_server: 'api', user: 'user', group: 'group',
+  crd: 'crd', volume: 'vol',
+};
+
+const ICON_LABEL_STYLE = 'verticalLabelPosition=bottom;verticalAlign=top;align=center;html=1;fontSize=12;';
+
+function awsIcons() {
+  const icons = {};
+  Object.entries(AWS_SERVICES).forEach(([color, services]) => {
+    Object.entries(services).forEach(([name, resIcon]) => {
+      icons[name] = {
+        style: `sketch=0;outlineConnect=0;fontColor=#232F3E;fillColor=${color};strokeColor=#ffffff;dashed=0;${ICON_LABEL_STYLE}fontStyle=0;aspect=fixed;shape=mxgraph.aws4.resourceIcon;resIcon=mxgraph.aws4.${resIcon};`,
+        width: 78,
+        height: 78,
+      };
+    });
+  });
+  Object.entries(AWS_RESOURCES).forEach(([name, { shape, color }]) => {
+    icons[name] = {
+      style: `sketch=0;outlineConnect=0;fontColor=#232F3E;gradientColor=none;fillColor=${color};strokeColor=none;dashed=0;${ICON_LABEL_STYLE}fontStyle=0;aspect=fixed;pointerEvents=1;shape=mxgraph.aws4.${shape};`,
+      width: 78,
+      height: 78,
+    };
+  });
+  return icons;
+}
+
+function catalog(names, style, width, height) {
+  return Object.fromEntries(Object.entries(names).map(([name, icon]) => [name, { style: style(icon), width, height }]));
+}
+
+const ICONS = {
+  aws: awsIcons(),
+  azure: catalog(AZURE_SERVICES, icon => (
+    `sketch=0;aspect=fixed;html=1;points=[];strokeColor=none;fillColor=#00BEF2;${ICON_LABEL_STYLE}shape=mxgraph.azure.${icon};`
+  ), 50, 50),
+  gcp: catalog(GCP_SERVICES, icon => (
+    `sketch=0;html=1;fillColor=#5184F3;strokeColor=none;${ICON_LABEL_STYLE}spacingTop=-6;fontColor=#999999;fontStyle=1;shape=mxgraph.gcp2.hexIcon;prIcon=${icon};`
+  ), 66, 58),
+  k8s: catalog(K8S_RESOURCES, icon => (
+    `sketch=0;html=1;dashed=0;whiteSpace=wrap;fillColor=#2875E2;strokeColor=#ffffff;points=[];${ICON_LABEL_STYLE}shape=mxgraph.kubernetes.icon;prIcon=${icon};`
+  ), 50, 48),
+};
+
+// Kubernetes icons can also be addressed by their short names, e.g. k8s:deploy or k8s:svc
+Object.entries(K8S_RESOURCES).forEach(([name, short]) => {
+  if (!ICONS.k8s[short]) ICONS.k8s[short] = ICONS.k8s[name];
+});
+
+const CONTAINER_STYLE = 'container=1;collapsible=0;recursiveResize=0;pointerEvents=0;html=1;whiteSpace=wrap;fontSize=12;verticalAlign=top;align=left;';
+
+function awsGroup(grIcon, color, fill = 'none', dashed = false) {
+  return `points=[];outlineConnect=0;gradientColor=none;${CONTAINER_STYLE}fontStyle=0;shape=mxgraph.aws4.group;grIcon=mxgraph.aws4.${grIcon};strokeColor=${color};fillColor=${fill};spacingLeft=30;fontColor=${color};dashed=${dashed ? 1 : 0};`;
+}
+
+function plainGroup(color, { fill = 'none', dashed = false, rounded = false } = {}) {
+  return `${CONTAINER_STYLE}rounded=${rounded ? 1 : 0};arcSize=4;strokeColor=${color};fillColor=${fill};spacingLeft=10;fontColor=${color};dashed=${dashed ? 1 : 0};`;
+}
+
+const GROUPS = {
+  aws: {
+    cloud: awsGroup('group_aws_cloud_alt', '#232F3E'),
+    account: awsGroup('group_account', '#CD2264'),
+    region: awsGroup('group_region', '#00A4A6', 'none', true),
+    availability_zone: plainGroup('#147EBA', { dashed: true }),
+    vpc: awsGroup('group_vpc2', '#8C4FFF'),
+    public_subnet: awsGroup('group_security_group', '#7AA116', '#F2F6E8') + 'grStroke=0;',
+    private_subnet: awsGroup('group_security_group', '#00A4A6', '#E6F6F7') + 'grStroke=0;',
+    security_group: plainGroup('#DD3522'),
+    auto_scaling_group: awsGroup('group_auto_scaling_group', '#ED7100', 'none', true),
+  },
+  azure: {
+    subscription: plainGroup('#0078D4'),
+    resource_group: plainGroup('#0078D4', { dashed: true }),
+    region: plainGroup('#0078D4', { dashed: true, rounded: true }),
+    virtual_network: plainGroup('#0078D4', { fill: '#F2F8FD' }),
+    subnet: plainGroup('#0078D4', { fill: '#E5F1FB', dashed: true }),
+  },
+  gcp: {
+    project: plainGroup('#5F6368', { fill: '#F1F3F4', rounded: true }),
+    region: plainGroup('#5F6368', { dashed: true, rounded: true }),
+    zone: plainGroup('#5F6368', { dashed: true }),
+    vpc: plainGroup('#4285F4', { fill: '#E8F0FE', rounded: true }),
+    subnet: plainGroup('#4285F4', { dashed: true }),
+  },
+  k8s: {
+    cluster: plainGroup('#326CE5', { fill: '#F5F8FE', rounded: true }),
+    namespace: plainGroup('#326CE5', { dashed: true, rounded: true }),
+    node: plainGroup('#326CE5'),
+  },
+};
+GROUPS.aws.subnet = GROUPS.aws.private_subnet;
+GROUPS.azure.vnet = GROUPS.azure.virtual_network;
+
+const GENERIC_GROUP = plainGroup('#666666', { dashed: true });
+
+function parseReference(reference, kind) {
+  const match = /^([a-z0-9]+):(.+)$/i.exec(String(reference).trim());
+  if (!match) {
+    throw new Error(`Invalid ${kind} "${reference}": expected provider:name, e.g. aws:lambda or k8s:pod`);
+  }
+  const provider = PROVIDER_ALIASES[match[1].toLowerCase()];
+  if (!provider) {
+    throw new Error(`Unknown provider "${match[1]}" in ${kind} "${reference}" (expected aws, azure, gcp or k8s)`);
+  }
+  const name = match[2].trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return { provider, name };
+}
+
+/**
+ * Levenshtein distance, used to suggest names close to a misspelled one
+ */
+export function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+}
+
+function unknown(kind, provider, name, names) {
+  const close = names
+    .filter(candidate => candidate.includes(name) || name.includes(candidate) || editDistance(candidate, name) <= 2)
+    .slice(0, 3)
+    .map(candidate => `${provider}:${candidate}`);
+  const hint = close.length > 0 ? ` Did you mean ${close.join(', ')}?` : '';
+  return new Error(`Unknown ${kind} "${provider}:${name}".${hint}`);
+}
+
+/**
+ * Style and default size of an icon reference such as aws:lambda
+ */
+export function resolveIcon(reference) {
+  const { provider, name } = parseReference(reference, 'icon');
+  const icon = ICONS[provider][name];
+  if (!icon) throw unknown('icon', provider, name, Object.keys(ICONS[provider]));
+  return { ...icon };
+}
+
+/**
+ * Container style of a group type such as aws:vpc or k8s:namespace. Plain
+ * "group" gives a neutral dashed box.
+ */
+export function resolveGroup(type) {
+  if (!type || type === 'group') return { style: GENERIC_GROUP };
+  const { provider, name } = parseReference(type, 'group type');
+  const style = GROUPS[provider][name];
+  if (!style) throw unknown('group type', provider, name, Object.keys(GROUPS[provider]));
+  return { style };
+}
+
+/**
+ * Icon and group names per provider
+ */
+export function listIcons() {
+  return Object.fromEntries(Object.keys(ICONS).map(provider => [provider, {
+    icons: Object.keys(ICONS[provider]),
+    groups: Object.keys(GROUPS[provider]),
+  }]));
+}
@@ -0,0 +1,181 @@
+/**
+ * BPMN Importer
+ * Reads BPMN 2.0 XML, as exported by Camunda, bpmn.io, Signavio and other
+ * modelers, into bpmn diagram data: the flow nodes of each process, their
+ * sequence flows, and the pools and lanes of a collaboration with its message
+ * flows. Participants without a process (black-box pools) become empty pools
+ * that message flows can end at. Diagram interchange (BPMNDI) coordinates are
+ * ignored; the process is laid out again. Subprocesses are drawn collapsed.
+ */
+
+import { parseXml, getText } from './xml-parser.js';
+
+const EVENTS = {
+  startEvent: { type: 'start' },
+  intermediateCatchEvent: { type: 'intermediate' },
+  intermediateThrowEvent: { type: 'intermediate', throwing: true },
+  endEvent: { type: 'end' },
+  boundaryEvent: { type: 'intermediate' },
+};
+
+const TASKS = {
+  task: 'abstract',
+  userTask: 'user',
+  serviceTask: 'service',
+  scriptTask: 'script',
+  manualTask: 'manual',
+  sendTask: 'send',
+  receiveTask: 'receive',
+  businessRuleTask: 'businessRule',
+};
+
+const SUBPROCESSES = ['subProcess', 'callActivity', 'transaction', 'adHocSubProcess'];
+
+const GATEWAYS = {
+  exclusiveGateway: 'exclusive',
+  parallelGateway: 'parallel',
+  inclusiveGateway: 'inclusive',
+  eventBasedGateway: 'eventBased',
+};
+
+// Event definitions drawn as a trigger; the others (link, compensation, ...) as a plain event
+const TRIGGERS = {
+  messageEventDefinition: 'message',
+  timerEventDefinition: 'timer',
+  signalEventDefinition: 'signal',
+  errorEventDefinition: 'error',
+  escalationEventDefinition: 'escalation',
+  conditionalEventDefinition: 'conditional',
+  terminateEventDefinition: 'terminate',
+};
+
+/**
+ * Element name without its namespace prefix (bpmn:, bpmn2:, semantic:, ...)
+ */
+function localName(node) {
+  return node.name.slice(node.name.indexOf(':') + 1);
+}
+
+function childElements(node, name) {
+  return node.children.filter(child => child.type === 'element' && (name === undefined || localName(child) === name));
+}
+
+export class BpmnImporter {
+  /**
+   * Reads BPMN XML and returns { elements, flows, pools } for a bpmn diagram
+   */
+  import(xml) {
+    const root = parseXml(xml);
+    if (localName(root) !== 'definitions') {
+      throw new Error(`Not a BPMN file: unexpected root element <${root.name}>`);
+    }
+    const processes = childElements(root, 'process');
+    if (processes.length === 0) {
+      throw new Error('The BPMN file has no process');
+    }
+
+    const elements = [];
+    const flows = [];
+    const pools = [];
+    const ids = new Set();
+
+    // Collaboration participants become pools of the process they refer to.
+    // Pools drawn as a black box have no process and stay empty.
+    const participants = new Map();
+    const poolIds = new Set();
+    const collaborations = childElements(root, 'collaboration');
+    collaborations.forEach(collaboration => {
+      childElements(collaboration, 'participant').forEach(participant => {
+        const { id, name, processRef } = participant.attributes;
+        const pool = { id, label: name || id };
+        pools.push(pool);
+        poolIds.add(id);
+        if (processRef) participants.set(processRef, pool);
+      });
+    });
+
+    processes.forEach(process => {
+      const pool = participants.get(process.attributes.id) || null;
+
+      // Lanes hold their flow nodes by reference; nested lane sets are flattened to their innermost lanes
+      const laneOf = new Map();
+      const lanes = [];
+      const collectLanes = laneSet => {
+        childElements(laneSet, 'lane').forEach(lane => {
+          const children = childElements(lane, 'childLaneSet');
+          if (children.length > 0) {
+            children.forEach(collectLanes);
+            return;
+          }
+          lanes.push({ id: lane.attributes.id, label: lane.attributes.name || '' });
+          childElements(lane, 'flowNodeRef').forEach(ref => laneOf.set(getText(ref).trim(), lane.attributes.id));
+        });
+      };
+      if (pool) {
+        childElements(process, 'laneSet').forEach(collectLanes);
+        if (lanes.length > 0) pool.lanes = lanes;
+      }
+
+      // Gateways and activities name their default flow
+      const defaults = new Set();
+      childElements(process).forEach(node => {
+        const name = localName(node);
+        const element = this.readNode(node, name);
+        if (!element) return;
+        if (node.attributes.default) defaults.add(node.attributes.default);
+        if (lanes.length > 0) {
+          // Nodes no lane refers to go in the first one
+          if (name !== 'boundaryEvent') element.lane = laneOf.get(element.id) || lanes[0].id;
+        } else if (pool && name !== 'boundaryEvent') {
+          element.pool = pool.id;
+        }
+        elements.push(element);
+        ids.add(element.id);
+      });
+
+      childElements(process, 'sequenceFlow').forEach(flow => {
+        const { id, sourceRef, targetRef, name } = flow.attributes;
+        flows.push({
+          from: sourceRef,
+          to: targetRef,
+          ...(name ? { label: name } : {}),
+          ...(defaults.has(id) ? { default: true } : {}),
+        });
+      });
+    });
+
+    collaborations.forEach(collaboration => {
+      childElements(collaboration, 'messageFlow').forEach(flow => {
+        const { sourceRef, targetRef, name } = flow.attributes;
+        flows.push({ from: sourceRef, to: targetRef, type: 'message', ...(name ? { label: name } : {}) });
+      });
+    });
+
+    // Message flows may end at a pool; flows to nodes that are not drawn are left out
+    const drawn = flow => ids.has(flow.from) && ids.has(flow.to);
+    const toPool = flow => flow.type === 'message' && [flow.from, flow.to].every(id => ids.has(id) || poolIds.has(id));
+    return { elements, flows: flows.filter(flow => drawn(flow) || toPool(flow)), pools };
+  }
+
+  /**
+   * One flow node as a bpmn element, or null for anything that is not drawn
+   * (data objects, annotations, nested flow elements, ...)
+   */
+  readNode(node, name) {
+    const { id } = node.attributes;
+    const label = node.attributes.name || '';
+    if (EVENTS[name]) {
+      const definition = childElements(node).map(localName).find(child => child.endsWith('EventDefinition'));
+      const element = { id, label, ...EVENTS[name], trigger: TRIGGERS[definition] || 'none' };
+      if (name === 'boundaryEvent') {
+        element.attachedTo = node.attributes.attachedToRef;
+        if (node.attributes.cancelActivity === 'false') element.interrupting = false;
+      }
+      return element;
+    }
+    if (TASKS[name]) return { id, label, type: 'task', taskType: TASKS[name] };
+    if (SUBPROCESSES.includes(name)) return { id, label, type: 'subprocess' };
+    if (GATEWAYS[name]) return { id, label, type: GATEWAYS[name] };
+    return null;
+  }
+}
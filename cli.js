@@ -0,0 +1,365 @@
+/**
+ * Command-Line Interface
+ * Runs the diagram tools from a shell, for Makefiles, CI jobs and pre-commit
+ * hooks: generate .drawio files from spec files, validate specs, and convert
+ * between Mermaid, PlantUML, SQL, draw.io and SVG. Spec files hold the same
+ * input as create_diagram, as JSON or YAML.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { parseArgs } from 'util';
+import { parseYaml } from './yaml-parser.js';
+import { formatIssues } from './diagram-validator.js';
+
+const COMMANDS = ['generate', 'validate', 'convert'];
+
+const SPEC_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Input formats of convert, by file extension
+const SOURCE_FORMATS = {
+  '.mmd': 'mermaid',
+  '.mermaid': 'mermaid',
+  '.puml': 'plantuml',
+  '.plantuml': 'plantuml',
+  '.pu': 'plantuml',
+  '.wsd': 'plantuml',
+  '.sql': 'sql',
+  '.prisma': 'prisma',
+  '.bpmn': 'bpmn',
+  '.drawio': 'drawio',
+  '.json': 'spec',
+  '.yaml': 'spec',
+  '.yml': 'spec',
+};
+
+const TARGET_FORMATS = {
+  drawio: '.drawio',
+  svg: '.svg',
+  mermaid: '.mmd',
+  plantuml: '.puml',
+};
+
+const USAGE = `Usage: diagram-master [command] [options]
+
+Without a command, starts the MCP server (stdio, or HTTP with DRAWIO_TRANSPORT=http).
+
+Commands:
+  generate <spec...>          Write a .drawio file for each JSON or YAML spec
+  validate <spec...>          Check specs and report problems, without writing files
+  convert <file...> --to <f>  Convert .mmd, .puml, .sql, .prisma, .bpmn, .drawio or
+                              spec files to drawio, svg, mermaid or plantuml
+  help                        Show this message
+
+Specs and files may be given as paths, folders (searched for specs) or quoted
+glob patterns such as "docs/diagrams/**/*.json".
+
+Options:
+  -o, --out <dir>             Output folder (default: next to each input file)
+  --theme <name>              Theme for specs that do not set one
+  --outputs <list>            generate: extra outputs, e.g. svg,mermaid
+  --overwrite <mode>          generate: replace (default), error or version
+  --backup                    generate: back up files before replacing them
+  --to <format>               convert: drawio (default), svg, mermaid or plantuml
+  --page <name|index>         convert: page of a .drawio file to render as SVG
+  -h, --help                  Show this message
+
+Exit status is 0 on success, 1 when any input failed and 2 on usage errors.`;
+
+class UsageError extends Error {}
+
+/**
+ * Converts a glob pattern to a regular expression. * and ? stay within one
+ * path segment, ** spans any number of them and {a,b} matches either.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // **/ also matches no folder at all
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      source += '(?:';
+    } else if (char === '}') {
+      source += ')';
+    } else if (char === ',' && source.lastIndexOf('(?:') > source.lastIndexOf(')')) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function walkFiles(directory) {
+  const files = [];
+  fs.readdirSync(directory, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(entry => {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') return;
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...walkFiles(entryPath));
+      } else {
+        files.push(entryPath);
+      }
+    });
+  return files;
+}
+
+/**
+ * Expands paths, folders and glob patterns to a list of files. Folders yield
+ * the files in them with one of the given extensions.
+ */
+function expandInputs(patterns, extensions) {
+  const files = [];
+  patterns.forEach(pattern => {
+    let matches;
+    if (/[*?{]/.test(pattern)) {
+      const normalized = pattern.split(path.sep).join('/');
+      const base = normalized.slice(0, normalized.search(/[*?{]/)).replace(/[^/]*$/, '') || '.';
+      const regex = globToRegExp(normalized.startsWith('./') ? normalized.slice(2) : normalized);
+      matches = fs.existsSync(base)
+        ? walkFiles(base).filter(file => regex.test(path.relative('.', file).split(path.sep).join('/')) || regex.test(file.split(path.sep).join('/')))
+        : [];
+    } else if (fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+      matches = walkFiles(pattern).filter(file => extensions.includes(path.extname(file).toLowerCase()));
+    } else if (fs.existsSync(pattern)) {
+      matches = [pattern];
+    } else {
+      throw new Error(`File not found: ${pattern}`);
+    }
+    if (matches.length === 0) {
+      throw new Error(`No files match ${pattern}`);
+    }
+    matches.forEach(file => {
+      if (!files.includes(file)) files.push(file);
+    });
+  });
+  return files;
+}
+
+export class DiagramCli {
+  /**
+   * createServer(outputDir) returns a DrawioMCPServer writing to that folder,
+   * so the CLI shares every code path with the MCP tools
+   */
+  constructor(createServer, { stdout = process.stdout, stderr = process.stderr } = {}) {
+    this.createServer = createServer;
+    this.servers = new Map();
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+
+  /**
+   * Runs a command and returns the exit status
+   */
+  run(argv) {
+    let parsed;
+    try {
+      parsed = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+          out: { type: 'string', short: 'o' },
+          theme: { type: 'string' },
+          outputs: { type: 'string' },
+          overwrite: { type: 'string' },
+          backup: { type: 'boolean' },
+          to: { type: 'string' },
+          page: { type: 'string' },
+          help: { type: 'boolean', short: 'h' },
+        },
+      });
+    } catch (error) {
+      return this.fail(new UsageError(error.message));
+    }
+
+    const [command, ...inputs] = parsed.positionals;
+    const options = parsed.values;
+    if (options.help || command === 'help') {
+      this.stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+
+    try {
+      if (!COMMANDS.includes(command)) {
+        throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+      }
+      if (inputs.length === 0) {
+        throw new UsageError(`${command} needs at least one input file`);
+      }
+      switch (command) {
+        case 'generate':
+          return this.generate(inputs, options);
+        case 'validate':
+          return this.validate(inputs);
+        default:
+          return this.convert(inputs, options);
+      }
+    } catch (error) {
+      return this.fail(error);
+    }
+  }
+
+  fail(error) {
+    this.stderr.write(`Error: ${error.message}\n`);
+    if (error instanceof UsageError) {
+      this.stderr.write('Run diagram-master help for usage.\n');
+      return 2;
+    }
+    return 1;
+  }
+
+  serverFor(outputDir) {
+    const resolved = path.resolve(outputDir);
+    if (!this.servers.has(resolved)) {
+      this.servers.set(resolved, this.createServer(resolved));
+    }
+    return this.servers.get(resolved);
+  }
+
+  readSpec(file) {
+    const text = fs.readFileSync(file, 'utf-8');
+    let spec;
+    try {
+      spec = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : parseYaml(text);
+    } catch (error) {
+      throw new Error(`Invalid ${path.extname(file).slice(1).toUpperCase()}: ${error.message}`);
+    }
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error('A spec is an object with type and data, or pages, as for create_diagram');
+    }
+    return spec;
+  }
+
+  /**
+   * Runs fn for each input, reporting failures without stopping at the first
+   */
+  forEachInput(files, fn) {
+    let failed = 0;
+    files.forEach(file => {
+      try {
+        fn(file);
+      } catch (error) {
+        failed++;
+        this.stderr.write(`${file}: ${error.message}\n`);
+      }
+    });
+    return failed > 0 ? 1 : 0;
+  }
+
+  generate(inputs, options) {
+    const outputs = options.outputs ? options.outputs.split(',').map(output => output.trim()).filter(Boolean) : [];
+    return this.forEachInput(expandInputs(inputs, SPEC_EXTENSIONS), file => {
+      const spec = this.readSpec(file);
+      const server = this.serverFor(options.out || path.dirname(file));
+      const result = server.createDiagram({
+        ...spec,
+        filename: spec.filename || path.basename(file, path.extname(file)),
+        theme: spec.theme ?? options.theme,
+        outputs: [...new Set([...(spec.outputs || []), ...outputs])],
+        overwrite: options.overwrite,
+        backup: options.backup,
+      });
+      // The tool text addresses a chat; keep the lines that name files and the warnings
+      const lines = result.content[0].text.split('\n').filter(line => line && !line.startsWith('You can open'));
+      this.stdout.write(`${file}: ${lines.join('\n  ')}\n`);
+    });
+  }
+
+  validate(inputs) {
+    return this.forEachInput(expandInputs(inputs, SPEC_EXTENSIONS), file => {
+      const spec = this.readSpec(file);
+      const report = this.serverFor(path.dirname(file)).checkInput(spec);
+      if (report.warnings.length > 0) {
+        this.stdout.write(`${file}: warnings\n${formatIssues(report.warnings)}\n`);
+      }
+      if (!report.valid) {
+        throw new Error(`invalid\n${formatIssues(report.errors)}`);
+      }
+      this.stdout.write(`${file}: valid\n`);
+    });
+  }
+
+  convert(inputs, options) {
+    const to = options.to || 'drawio';
+    if (!TARGET_FORMATS[to]) {
+      throw new UsageError(`Unknown --to format: ${to} (expected ${Object.keys(TARGET_FORMATS).join(', ')})`);
+    }
+
+    return this.forEachInput(expandInputs(inputs, Object.keys(SOURCE_FORMATS)), file => {
+      const format = SOURCE_FORMATS[path.extname(file).toLowerCase()];
+      if (!format) {
+        throw new Error(`Unsupported input format (expected ${Object.keys(SOURCE_FORMATS).join(', ')})`);
+      }
+      const server = this.serverFor(options.out || path.dirname(file));
+      const name = path.basename(file, path.extname(file));
+      const text = fs.readFileSync(file, 'utf-8');
+
+      if (format === 'drawio') {
+        if (to !== 'svg') {
+          throw new Error('.drawio files can only be converted to svg');
+        }
+        const page = options.page === undefined ? 0 : /^\d+$/.test(options.page) ? Number(options.page) : options.page;
+        this.stdout.write(`${file}: ${server.saveToFile(name, server.svgRenderer.render(text, page), '.svg')}\n`);
+        return;
+      }
+
+      const { type, data, layout, theme, warnings } = this.readSource(server, format, file, text);
+      if (warnings) {
+        this.stdout.write(`${file}: warnings\n${formatIssues(warnings)}\n`);
+      }
+      const report = server.checkInput({ type, data, layout });
+      if (!report.valid) {
+        throw new Error(`invalid\n${formatIssues(report.errors)}`);
+      }
+
+      const target = server.resolveOutputPath(name + TARGET_FORMATS[to]);
+      if (target === path.resolve(file)) {
+        throw new Error(`Converting to ${to} would overwrite the input; pass -o <dir> to write it elsewhere`);
+      }
+
+      let content;
+      if (to === 'mermaid') {
+        content = server.exporter.toMermaid(type, data, layout);
+      } else if (to === 'plantuml') {
+        content = server.exporter.toPlantUml(type, data);
+      } else {
+        const xml = server.generateXml({ type, data, layout, theme: theme ?? options.theme });
+        content = to === 'svg' ? server.svgRenderer.render(xml) : xml;
+      }
+      this.stdout.write(`${file}: ${server.saveToFile(name, content, TARGET_FORMATS[to])}\n`);
+    });
+  }
+
+  /**
+   * Reads a convert input as create_diagram input: { type, data, layout, theme }
+   */
+  readSource(server, format, file, text) {
+    switch (format) {
+      case 'mermaid':
+      case 'plantuml':
+        return server.importer.import(text, format);
+      case 'sql':
+      case 'prisma':
+        return { type: 'erd', data: server.schemaImporter.import(text, format) };
+      case 'bpmn':
+        return { type: 'bpmn', data: server.bpmnImporter.import(text) };
+      default: {
+        const spec = this.readSpec(file);
+        if (spec.pages) {
+          throw new Error('Multi-page specs can only be built with generate');
+        }
+        return spec;
+      }
+    }
+  }
+}
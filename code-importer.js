@@ -0,0 +1,700 @@
+/**
+ * Code Importer
+ * Reads JavaScript and TypeScript sources into class diagram data: classes and
+ * interfaces with their fields and methods, extends and implements, and the
+ * classes each one creates, holds or uses, followed across relative imports.
+ * This is a scanner rather than a full parser, so it reads the common
+ * declaration forms and skips what it cannot place.
+ */
+
+import * as path from 'path';
+
+export const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx'];
+
+// Words after which a slash starts a regular expression rather than a division
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'instanceof', 'yield', 'await']);
+
+const MEMBER_MODIFIERS = /^(public|private|protected|static|readonly|abstract|override|declare|async|accessor|get|set)\s+(?=[#\w$*[])/;
+
+const PARAMETER_PROPERTY = /^(public|private|protected|readonly|override)\s+/;
+
+// A class pair keeps only its strongest relationship
+const RELATIONSHIP_RANK = ['dependency', 'association', 'aggregation', 'composition', 'realization', 'inheritance'];
+
+const OPENERS = { '(': ')', '[': ']', '{': '}', '<': '>' };
+
+function blank(chars, from, to) {
+  for (let i = from; i < to && i < chars.length; i++) {
+    if (chars[i] !== '\n') chars[i] = ' ';
+  }
+}
+
+/**
+ * Index of the bracket closing the one at `start`, or -1. Angle brackets only
+ * count when asked for, since < is also a comparison.
+ */
+function findClosing(text, start, angles = false) {
+  const stack = [];
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (OPENERS[char] && (char !== '<' || angles)) {
+      stack.push(OPENERS[char]);
+    } else if (char === stack[stack.length - 1] && !(char === '>' && text[i - 1] === '=')) {
+      stack.pop();
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Splits masked text on commas outside brackets, returning [start, end] ranges
+ * so the same slices can be cut from the unmasked text
+ */
+function splitRanges(text) {
+  const ranges = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if ('([{<'.includes(char)) depth++;
+    else if (')]}'.includes(char) || (char === '>' && text[i - 1] !== '=')) depth--;
+    else if (char === ',' && depth === 0) {
+      ranges.push([start, i]);
+      start = i + 1;
+    }
+  }
+  ranges.push([start, text.length]);
+  return ranges.filter(([from, to]) => text.slice(from, to).trim());
+}
+
+/**
+ * Index of the first of the given characters outside brackets, or -1. An =
+ * that is part of => does not count.
+ */
+function topLevelIndex(text, chars) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (depth === 0 && chars.includes(char) && !(char === '=' && text[i + 1] === '>')) return i;
+    if ('([{<'.includes(char)) depth++;
+    else if (')]}'.includes(char) || (char === '>' && text[i - 1] !== '=')) depth--;
+  }
+  return -1;
+}
+
+// Names a type annotation mentions, qualified ones included
+function typeNames(type) {
+  return type.match(/(?<![\w$.])[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)?/g) || [];
+}
+
+function tidyType(type) {
+  const text = type.replace(/\s+/g, ' ').trim();
+  return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+}
+
+export class CodeImporter {
+  /**
+   * Reads [{ name, content }] source files and returns { classes, relationships }
+   * for a class diagram. With members: false only the class names are kept.
+   */
+  import(files, { members = true } = {}) {
+    const modules = files
+      .filter(file => SOURCE_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension)))
+      .map(file => this.readModule(file));
+    if (modules.length === 0) {
+      throw new Error(`No ${SOURCE_EXTENSIONS.join(', ')} files to import`);
+    }
+
+    // Class ids are their names, qualified with the file where names repeat
+    const counts = new Map();
+    modules.forEach(module => module.classes.forEach(cls => counts.set(cls.name, (counts.get(cls.name) || 0) + 1)));
+    modules.forEach(module => module.classes.forEach(cls => {
+      cls.id = counts.get(cls.name) > 1 ? `${module.name}:${cls.name}` : cls.name;
+    }));
+    if (!modules.some(module => module.classes.length > 0)) {
+      throw new Error('No class or interface declarations found');
+    }
+
+    const byName = new Map(modules.map(module => [module.name, module]));
+    const relationships = new Map();
+    const relate = (from, to, type) => {
+      if (from === to) return;
+      const key = `${from}\u0000${to}`;
+      const existing = relationships.get(key);
+      if (!existing || RELATIONSHIP_RANK.indexOf(type) > RELATIONSHIP_RANK.indexOf(existing.type)) {
+        relationships.set(key, { from, to, type });
+      }
+    };
+
+    modules.forEach(module => {
+      const bindings = this.resolveBindings(module, byName);
+      module.classes.forEach(cls => {
+        const resolve = name => bindings.get(name);
+        cls.extends.forEach(name => {
+          const target = resolve(name);
+          if (target) relate(cls.id, target.id, 'inheritance');
+        });
+        cls.implements.forEach(name => {
+          const target = resolve(name);
+          if (target) relate(cls.id, target.id, 'realization');
+        });
+        cls.creates.forEach(name => {
+          const target = resolve(name);
+          if (target) relate(cls.id, target.id, 'composition');
+        });
+        cls.holds.forEach(name => {
+          const target = resolve(name);
+          if (target) relate(cls.id, target.id, 'association');
+        });
+        cls.uses.forEach(name => {
+          const target = resolve(name);
+          if (target) relate(cls.id, target.id, 'dependency');
+        });
+      });
+    });
+
+    const classes = modules.flatMap(module => module.classes.map(cls => {
+      const result = { id: cls.id, name: cls.label };
+      if (cls.interface) result.stereotype = 'interface';
+      if (cls.abstract) result.abstract = true;
+      if (members) {
+        result.attributes = cls.attributes;
+        result.methods = cls.methods;
+      }
+      return result;
+    }));
+
+    return { classes, relationships: [...relationships.values()] };
+  }
+
+  readModule({ name, content }) {
+    const { code, masked } = this.maskSource(content);
+    const module = {
+      name: name.split(path.sep).join('/'),
+      imports: this.readImports(code, masked),
+      defaultExport: null,
+      classes: [],
+    };
+
+    // extends and implements start the heritage of an anonymous class, they are not its name
+    const declaration = /(^|[^\w$.])((?:export\s+)?(?:default\s+)?(?:declare\s+)?(abstract\s+)?)(class|interface)\b(?:\s+(?!(?:extends|implements)\b)([A-Za-z_$][\w$]*))?/g;
+    let match;
+    while ((match = declaration.exec(masked))) {
+      const name = match[5] || this.anonymousClassName(module.name, masked.slice(0, match.index + match[1].length), match[2]);
+      if (!name || (match[4] === 'interface' && !match[5])) continue;
+      const open = this.findBodyStart(masked, declaration.lastIndex);
+      if (open === -1) continue;
+      const close = findClosing(masked, open);
+      if (close === -1) continue;
+
+      const cls = this.readClass(code, masked, {
+        name,
+        interface: match[4] === 'interface',
+        abstract: Boolean(match[3]),
+        headerStart: declaration.lastIndex,
+        open,
+        close,
+      });
+      module.classes.push(cls);
+      if (/\bdefault\b/.test(match[2])) module.defaultExport = cls;
+      declaration.lastIndex = close + 1;
+    }
+
+    const defaultName = masked.match(/\bexport\s+default\s+([A-Za-z_$][\w$]*)\s*;?\s*$/m);
+    if (defaultName && !module.defaultExport) {
+      module.defaultExport = module.classes.find(cls => cls.name === defaultName[1]) || null;
+    }
+    return module;
+  }
+
+  /**
+   * Name for a class without one: the variable a class expression is assigned
+   * to, or the file name of an anonymous default export. Null for classes
+   * passed around as values, which are skipped.
+   */
+  anonymousClassName(fileName, before, prefix) {
+    if (/\bdefault\b/.test(prefix)) {
+      const stem = path.posix.basename(fileName).replace(/\.[^.]+$/, '');
+      const base = stem === 'index' ? path.posix.basename(path.posix.dirname(fileName)) : stem;
+      const words = base.split(/[^A-Za-z0-9_$]+/).filter(Boolean);
+      return words.length > 0 ? words.map(word => word[0].toUpperCase() + word.slice(1)).join('').replace(/^(\d)/, '_$1') : null;
+    }
+    const assigned = before.match(/([A-Za-z_$][\w$]*)\s*(?::[^=;]*)?=\s*$/);
+    return assigned ? assigned[1] : null;
+  }
+
+  /**
+   * Returns the source with comments blanked (code) and a copy that also blanks
+   * the contents of strings, template literals and regular expressions (masked),
+   * so brackets and keywords in masked are always code. Both keep every offset.
+   */
+  maskSource(source) {
+    const code = source.split('');
+    const masked = source.split('');
+    const length = source.length;
+    // Open braces inside each ${ } being scanned, innermost last
+    const templates = [];
+
+    const scanTemplate = start => {
+      let i = start;
+      while (i < length && source[i] !== '`') {
+        if (source[i] === '\\') {
+          i += 2;
+        } else if (source[i] === '$' && source[i + 1] === '{') {
+          blank(masked, start, i);
+          templates.push(0);
+          return i + 2;
+        } else {
+          i++;
+        }
+      }
+      blank(masked, start, i);
+      return i + 1;
+    };
+
+    let i = 0;
+    while (i < length) {
+      const char = source[i];
+      if (char === '/' && source[i + 1] === '/') {
+        const end = source.indexOf('\n', i);
+        const stop = end === -1 ? length : end;
+        blank(code, i, stop);
+        blank(masked, i, stop);
+        i = stop;
+      } else if (char === '/' && source[i + 1] === '*') {
+        const end = source.indexOf('*/', i + 2);
+        const stop = end === -1 ? length : end + 2;
+        blank(code, i, stop);
+        blank(masked, i, stop);
+        i = stop;
+      } else if (char === '\'' || char === '"') {
+        let end = i + 1;
+        while (end < length && source[end] !== char && source[end] !== '\n') {
+          end += source[end] === '\\' ? 2 : 1;
+        }
+        blank(masked, i + 1, end);
+        i = end + 1;
+      } else if (char === '`') {
+        i = scanTemplate(i + 1);
+      } else if (char === '{') {
+        if (templates.length > 0) templates[templates.length - 1]++;
+        i++;
+      } else if (char === '}') {
+        if (templates.length > 0 && templates[templates.length - 1] === 0) {
+          templates.pop();
+          i = scanTemplate(i + 1);
+        } else {
+          if (templates.length > 0) templates[templates.length - 1]--;
+          i++;
+        }
+      } else if (char === '/' && this.startsRegex(masked, i)) {
+        let end = i + 1;
+        let inClass = false;
+        while (end < length && source[end] !== '\n' && (source[end] !== '/' || inClass)) {
+          if (source[end] === '\\') end++;
+          else if (source[end] === '[') inClass = true;
+          else if (source[end] === ']') inClass = false;
+          end++;
+        }
+        blank(masked, i + 1, end);
+        i = end + 1;
+      } else {
+        i++;
+      }
+    }
+
+    return { code: code.join(''), masked: masked.join('') };
+  }
+
+  /**
+   * Whether a slash at `index` starts a regular expression, judged by the token before it
+   */
+  startsRegex(chars, index) {
+    let i = index - 1;
+    while (i >= 0 && /\s/.test(chars[i])) i--;
+    if (i < 0) return true;
+    if ('(,=:[!&|?{};+-*%<>~^'.includes(chars[i])) return true;
+    if (!/[\w$]/.test(chars[i])) return false;
+    let start = i;
+    while (start > 0 && /[\w$]/.test(chars[start - 1])) start--;
+    return REGEX_KEYWORDS.has(chars.slice(start, i + 1).join(''));
+  }
+
+  /**
+   * Import and require bindings: local name -> { source, imported }, where
+   * imported is the exported name, 'default' or '*'
+   */
+  readImports(code, masked) {
+    const imports = new Map();
+    const add = (local, source, imported) => {
+      if (local) imports.set(local, { source, imported });
+    };
+    const addNamed = (list, source, separator) => {
+      list.split(',').forEach(part => {
+        const [imported, local] = part.replace(/^\s*type\s+/, '').split(separator).map(name => name.trim());
+        if (imported) add(local || imported, source, imported);
+      });
+    };
+
+    const statement = /\bimport\s+(?:type\s+)?(?:([\w$]+)\s*,?\s*)?(?:\{([^}]*)\}|\*\s*as\s+([\w$]+))?\s*from\s*(['"])([^'"]+)\4/g;
+    let match;
+    while ((match = statement.exec(code))) {
+      if (masked[match.index] !== 'i') continue;
+      const [, defaultName, named, namespace, , source] = match;
+      add(defaultName, source, 'default');
+      add(namespace, source, '*');
+      if (named) addNamed(named, source, /\s+as\s+/);
+    }
+
+    const required = /\b(?:const|let|var)\s+(?:([\w$]+)|\{([^}]*)\})\s*=\s*require\(\s*(['"])([^'"]+)\3\s*\)/g;
+    while ((match = required.exec(code))) {
+      if (masked[match.index] === ' ') continue;
+      const [, local, named, , source] = match;
+      add(local, source, 'default');
+      if (named) addNamed(named, source, ':');
+    }
+    return imports;
+  }
+
+  /**
+   * Maps the names a module can use for known classes, its own and the ones it
+   * imports from other scanned files, to those classes. Namespace imports bind
+   * qualified names such as shapes.Circle.
+   */
+  resolveBindings(module, modules) {
+    const bindings = new Map(module.classes.map(cls => [cls.name, cls]));
+    module.imports.forEach(({ source, imported }, local) => {
+      const target = this.resolveModule(module.name, source, modules);
+      if (!target) return;
+      if (imported === '*') {
+        target.classes.forEach(cls => bindings.set(`${local}.${cls.name}`, cls));
+        return;
+      }
+      const cls = imported === 'default' ? target.defaultExport : target.classes.find(candidate => candidate.name === imported);
+      if (cls) bindings.set(local, cls);
+    });
+    return bindings;
+  }
+
+  /**
+   * Finds the scanned file a relative import refers to, trying the extensions
+   * and index files bundlers and TypeScript resolve
+   */
+  resolveModule(from, source, modules) {
+    if (!source.startsWith('.')) return null;
+    const base = path.posix.normalize(path.posix.join(path.posix.dirname(from), source));
+    const stem = base.replace(/\.(m|c)?jsx?$/, '');
+    const candidates = [base, ...SOURCE_EXTENSIONS.map(extension => `${stem}${extension}`), ...SOURCE_EXTENSIONS.map(extension => `${base}/index${extension}`)];
+    const found = candidates.find(candidate => modules.has(candidate));
+    return found ? modules.get(found) : null;
+  }
+
+  /**
+   * Index of the { that opens a class body, skipping type parameters and calls
+   * in the heritage clauses
+   */
+  findBodyStart(masked, from) {
+    for (let i = from; i < masked.length; i++) {
+      const char = masked[i];
+      if (char === '{') return i;
+      if (char === '<' || char === '(') {
+        i = findClosing(masked, i, true);
+        if (i === -1) return -1;
+      } else if (char === ';') {
+        return -1;
+      }
+    }
+    return -1;
+  }
+
+  readClass(code, masked, { name, interface: isInterface, abstract, headerStart, open, close }) {
+    const header = masked.slice(headerStart, open);
+    const headerCode = code.slice(headerStart, open);
+    let typeParameters = '';
+    let heritage = header;
+    const leading = header.match(/^\s*</);
+    if (leading) {
+      const end = findClosing(header, leading[0].length - 1, true);
+      typeParameters = headerCode.slice(leading[0].length - 1, end + 1).replace(/\s+/g, ' ');
+      heritage = header.slice(end + 1);
+    }
+
+    const clause = keyword => {
+      const found = heritage.match(new RegExp(`\\b${keyword}\\s+([\\s\\S]*?)(?=\\b(?:extends|implements)\\b|$)`));
+      return found ? splitRanges(found[1]).map(([from, to]) => found[1].slice(from, to).trim().match(/^[\w$.]+/)?.[0]).filter(Boolean) : [];
+    };
+
+    const cls = {
+      name,
+      label: `${name}${typeParameters}`,
+      interface: isInterface,
+      abstract,
+      extends: clause('extends'),
+      implements: clause('implements'),
+      attributes: [],
+      methods: [],
+      creates: new Set(),
+      holds: new Set(),
+      uses: new Set(),
+    };
+
+    const members = this.splitMembers(masked, open + 1, close).map(([from, to]) => this.readMember(masked.slice(from, to), code.slice(from, to), from));
+    const attributeNames = new Set();
+    const addAttribute = attribute => {
+      if (attributeNames.has(attribute.name)) return;
+      attributeNames.add(attribute.name);
+      cls.attributes.push(attribute);
+    };
+
+    members.filter(Boolean).forEach(member => {
+      member.holds.forEach(typeName => cls.holds.add(typeName));
+      if (member.kind === 'attribute') {
+        addAttribute(member.attribute);
+        if (member.creates) cls.creates.add(member.creates);
+        return;
+      }
+      if (member.accessor) {
+        // Accessors read as properties; a setter adds nothing to its getter
+        if (member.accessor === 'get' || !attributeNames.has(member.method.name)) {
+          addAttribute({ name: member.method.name, visibility: member.method.visibility, ...(member.method.returns ? { type: member.method.returns } : {}), ...(member.method.static ? { static: true } : {}) });
+        }
+        return;
+      }
+      cls.methods.push(member.method);
+      if (member.method.name === 'constructor') {
+        member.parameterProperties.forEach(addAttribute);
+        if (member.body) this.readConstructor(masked, member.body, cls, addAttribute);
+      }
+    });
+
+    // Anything else a class names in its body is a class it depends on
+    const body = masked.slice(open + 1, close);
+    const identifier = /(^|[^\w$.#])([A-Za-z_$][\w$]*)(\.[A-Za-z_$][\w$]*)?/g;
+    let match;
+    while ((match = identifier.exec(body))) {
+      cls.uses.add(match[2]);
+      if (match[3]) cls.uses.add(`${match[2]}${match[3]}`);
+    }
+    cls.uses.delete(name);
+    cls.extends.concat(cls.implements).forEach(base => cls.uses.delete(base));
+    return cls;
+  }
+
+  /**
+   * Splits a class body into members: a member ends at a semicolon, at the brace
+   * closing a method body, or at a line break where the statement is complete
+   */
+  splitMembers(masked, start, end) {
+    const ranges = [];
+    let depth = 0;
+    let from = start;
+    const finish = to => {
+      if (masked.slice(from, to).trim()) ranges.push([from, to]);
+      from = to + 1;
+    };
+
+    for (let i = start; i < end; i++) {
+      const char = masked[i];
+      if ('([{'.includes(char)) {
+        depth++;
+      } else if (')]'.includes(char)) {
+        depth--;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0 && !/^\s*[=.|&[,?:]/.test(masked.slice(i + 1, end))) finish(i + 1);
+      } else if (depth === 0 && char === ';') {
+        finish(i);
+      } else if (depth === 0 && char === '\n') {
+        const before = masked.slice(from, i).trim();
+        const after = masked.slice(i + 1, end).trimStart();
+        if (before && !/(=>|[=,(.+\-*/%&|^!?:<])$/.test(before) && !/^[.?:+\-*/%&|^=,)\]>]/.test(after)) finish(i);
+      }
+    }
+    finish(end);
+    return ranges;
+  }
+
+  /**
+   * Reads one class member from its masked and unmasked text. Returns null for
+   * static blocks, decorators on their own and anything unrecognised.
+   */
+  readMember(masked, code, offset) {
+    let rest = masked;
+    let cursor = 0;
+    const advance = count => {
+      cursor += count;
+      rest = masked.slice(cursor);
+    };
+    advance(rest.match(/^\s*/)[0].length);
+    while (rest.startsWith('@')) {
+      const decorator = rest.match(/^@[\w$.]+\s*/);
+      advance(decorator[0].length);
+      if (rest.startsWith('(')) advance(findClosing(rest, 0) + 1);
+      advance(rest.match(/^\s*/)[0].length);
+    }
+
+    const modifiers = new Set();
+    let modifier;
+    while ((modifier = rest.match(MEMBER_MODIFIERS)) || rest.startsWith('*')) {
+      if (modifier) {
+        modifiers.add(modifier[1]);
+        advance(modifier[0].length);
+      } else {
+        advance(rest.match(/^\*\s*/)[0].length);
+      }
+    }
+
+    const nameMatch = rest.match(/^(#?[\w$]+|\[[^\]]*\]|(['"])\s*\2)/);
+    if (!nameMatch) return null;
+    const name = code.slice(cursor, cursor + nameMatch[0].length).replace(/^['"]|['"]$/g, '');
+    advance(nameMatch[0].length);
+    // Optional (?) and definitely assigned (!) marks are not part of the name
+    advance(rest.match(/^\s*[?!]?\s*/)[0].length);
+
+    const visibility = ['private', 'protected'].find(word => modifiers.has(word)) || (name.startsWith('#') ? 'private' : 'public');
+    const common = {
+      name: name.replace(/^#/, ''),
+      visibility,
+      ...(modifiers.has('static') ? { static: true } : {}),
+    };
+    const holds = [];
+
+    if (rest.startsWith('<')) advance(findClosing(rest, 0, true) + 1);
+    if (rest.startsWith('(')) {
+      const close = findClosing(rest, 0);
+      if (close === -1) return null;
+      const params = this.readParams(rest.slice(1, close), code.slice(cursor + 1, cursor + close));
+      advance(close + 1);
+      const returns = /^\s*:/.test(rest) ? this.readType(rest, code.slice(cursor), '{;') : '';
+      const bodyStart = rest.indexOf('{');
+      const method = {
+        ...common,
+        ...(modifiers.has('abstract') ? { abstract: true } : {}),
+        params: params.list,
+        ...(returns ? { returns } : {}),
+      };
+      return {
+        kind: 'method',
+        method,
+        accessor: ['get', 'set'].find(word => modifiers.has(word)),
+        parameterProperties: params.properties,
+        body: bodyStart === -1 ? null : [offset + cursor + bodyStart, offset + cursor + findClosing(rest, bodyStart)],
+        holds: params.properties.map(property => property.type).filter(Boolean).flatMap(typeNames),
+      };
+    }
+
+    let type = '';
+    if (rest.startsWith(':')) {
+      type = this.readType(rest, code.slice(cursor), '=;');
+      holds.push(...typeNames(type));
+      const assignment = topLevelIndex(rest.slice(1), '=');
+      advance(assignment === -1 ? rest.length : assignment + 1);
+    }
+
+    let creates = null;
+    if (rest.startsWith('=')) {
+      advance(rest.match(/^=\s*/)[0].length);
+      const arrow = rest.match(/^(async\s+)?(\(|[\w$]+\s*=>)/);
+      if (arrow) {
+        // Arrow functions stored in fields are methods too
+        const paramsStart = arrow[1] ? arrow[1].length : 0;
+        const params = arrow[2] === '(' ? this.readParams(rest.slice(paramsStart + 1, findClosing(rest, paramsStart)), code.slice(cursor + paramsStart + 1, cursor + findClosing(rest, paramsStart))) : { list: [rest.match(/^[\w$]+/)[0]] };
+        if (arrow[2] !== '(' || /^\)\s*(:[^=]*)?=>/.test(rest.slice(findClosing(rest, paramsStart)))) {
+          return { kind: 'method', method: { ...common, params: params.list }, parameterProperties: [], body: null, holds };
+        }
+      }
+      const created = rest.match(/^new\s+([\w$.]+)/);
+      if (created) {
+        creates = created[1];
+        type = type || created[1].split('.').pop();
+      } else if (!type) {
+        type = this.inferType(rest);
+      }
+    }
+
+    return {
+      kind: 'attribute',
+      attribute: { ...common, ...(type ? { type } : {}) },
+      creates,
+      holds,
+    };
+  }
+
+  /**
+   * Type annotation text after a colon, up to the first of the stop characters
+   * outside brackets
+   */
+  readType(masked, code, stops) {
+    const start = masked.indexOf(':') + 1;
+    const end = topLevelIndex(masked.slice(start), stops);
+    return tidyType(code.slice(start, end === -1 ? masked.length : start + end));
+  }
+
+  /**
+   * Parameters as display text, e.g. "options", "{…}" or "name: string", and
+   * TypeScript parameter properties as attributes
+   */
+  readParams(masked, code) {
+    const list = [];
+    const properties = [];
+    splitRanges(masked).forEach(([from, to]) => {
+      let text = masked.slice(from, to).trim();
+      let source = code.slice(from, to).trim();
+      const modifiers = [];
+      let modifier;
+      while ((modifier = text.match(PARAMETER_PROPERTY))) {
+        modifiers.push(modifier[1]);
+        text = text.slice(modifier[0].length);
+        source = source.slice(modifier[0].length);
+      }
+
+      const found = topLevelIndex(text, ':=');
+      const nameEnd = found === -1 ? text.length : found;
+      let name = source.slice(0, nameEnd).trim();
+      if (name.startsWith('{')) name = '{…}';
+      else if (name.startsWith('[')) name = '[…]';
+      const type = text[nameEnd] === ':' ? this.readType(text.slice(nameEnd), source.slice(nameEnd), '=') : '';
+      list.push(type ? `${name}: ${type}` : name);
+
+      if (modifiers.length > 0) {
+        properties.push({
+          name: name.replace(/\?$/, ''),
+          visibility: ['private', 'protected'].find(word => modifiers.includes(word)) || 'public',
+          ...(type ? { type } : {}),
+        });
+      }
+    });
+    return { list, properties };
+  }
+
+  /**
+   * Fields assigned in the constructor, with the classes it creates for them
+   */
+  readConstructor(masked, [start, end], cls, addAttribute) {
+    const assignment = /\bthis\.(#?[\w$]+)\s*=(?![=>])\s*/g;
+    const body = masked.slice(start, end);
+    let match;
+    while ((match = assignment.exec(body))) {
+      const value = body.slice(assignment.lastIndex);
+      const created = value.match(/^new\s+([\w$.]+)/);
+      if (created) cls.creates.add(created[1]);
+      addAttribute({
+        name: match[1].replace(/^#/, ''),
+        visibility: match[1].startsWith('#') ? 'private' : 'public',
+        ...(created ? { type: created[1].split('.').pop() } : this.inferType(value) ? { type: this.inferType(value) } : {}),
+      });
+    }
+  }
+
+  /**
+   * Type of a literal initializer, when it is obvious
+   */
+  inferType(value) {
+    if (/^['"`]/.test(value)) return 'string';
+    if (/^-?\d/.test(value)) return 'number';
+    if (/^(true|false)\b/.test(value)) return 'boolean';
+    if (/^\[/.test(value)) return 'Array';
+    return '';
+  }
+}
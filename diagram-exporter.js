@@ -0,0 +1,529 @@
+/**
+ * Mermaid and PlantUML Exporter
+ * Writes create_diagram input as text diagrams that render inline in Markdown
+ */
+
+import { normalizeAttribute, parseCardinality } from './drawio-generator.js';
+
+const MERMAID_NODE = {
+  process: ['[', ']'],
+  decision: ['{', '}'],
+  terminator: ['([', '])'],
+  data: ['[/', '/]'],
+  document: ['>', ']'],
+  delay: ['(', ')'],
+  database: ['[(', ')]'],
+  hexagon: ['{{', '}}'],
+};
+
+// Crow's-foot markers for the left and right end of a relationship, by multiplicity
+const CROWS_FOOT = {
+  '1': ['||', '||'],
+  '0..1': ['|o', 'o|'],
+  'N': ['}o', 'o{'],
+  '0..N': ['}o', 'o{'],
+  '1..N': ['}|', '|{'],
+};
+
+// Diagram types that have a Mermaid and PlantUML form
+export const TEXT_DIAGRAM_TYPES = ['flowchart', 'sequence', 'erd'];
+
+export class DiagramExporter {
+  /**
+   * Returns Mermaid source for flowchart, sequence and erd data. Flowcharts
+   * keep the direction of the layout and their lanes.
+   */
+  toMermaid(type, data, layout = {}) {
+    switch (type) {
+      case 'flowchart':
+        return this.flowchartToMermaid(data.steps, data.connections, data.lanes, (layout || {}).direction);
+      case 'sequence':
+        return this.sequenceToMermaid(data.participants, data.interactions);
+      case 'erd':
+        return this.erdToMermaid(data.entities, data.relationships);
+      default:
+        throw new Error(`Mermaid output is not available for ${type} diagrams (supported: ${TEXT_DIAGRAM_TYPES.join(', ')})`);
+    }
+  }
+
+  /**
+   * Returns PlantUML source for flowchart, sequence and erd data
+   */
+  toPlantUml(type, data) {
+    switch (type) {
+      case 'flowchart':
+        return this.flowchartToPlantUml(data.steps, data.connections);
+      case 'sequence':
+        return this.sequenceToPlantUml(data.participants, data.interactions);
+      case 'erd':
+        return this.erdToPlantUml(data.entities, data.relationships);
+      default:
+        throw new Error(`PlantUML output is not available for ${type} diagrams (supported: ${TEXT_DIAGRAM_TYPES.join(', ')})`);
+    }
+  }
+
+  /**
+   * Turns arbitrary ids into identifiers both formats accept, keeping them unique
+   */
+  createIdMap(ids, used = new Set()) {
+    const map = {};
+    ids.forEach(id => {
+      let safe = String(id).replace(/[^\w]/g, '_') || 'node';
+      if (/^\d/.test(safe)) safe = `n${safe}`;
+      let candidate = safe;
+      let suffix = 2;
+      while (used.has(candidate)) {
+        candidate = `${safe}_${suffix++}`;
+      }
+      used.add(candidate);
+      map[id] = candidate;
+    });
+    return map;
+  }
+
+  quoteMermaid(text) {
+    return `"${String(text).replace(/"/g, '#quot;').replace(/\n/g, '<br/>')}"`;
+  }
+
+  quotePlantUml(text) {
+    return `"${String(text).replace(/"/g, "'").replace(/\n/g, '\\n')}"`;
+  }
+
+  /**
+   * Resolves explicit connections, or the sequential default createFlowchart uses
+   */
+  getFlowchartEdges(steps, connections = []) {
+    const stepIds = steps.map((step, index) => step.id || (index + 1).toString());
+    if (connections && connections.length > 0) {
+      return { stepIds, edges: connections };
+    }
+
+    const edges = [];
+    for (let i = 0; i < stepIds.length - 1; i++) {
+      edges.push({ from: stepIds[i], to: stepIds[i + 1], label: steps[i].connectorLabel });
+    }
+    return { stepIds, edges };
+  }
+
+  /**
+   * Lanes become subgraphs, listed lanes first and then the others in order of
+   * use. Flowcharts with lanes run left to right unless a direction is given,
+   * as createFlowchart lays them out.
+   */
+  flowchartToMermaid(steps, connections, lanes = [], direction) {
+    const { stepIds, edges } = this.getFlowchartEdges(steps, connections);
+    const ids = this.createIdMap(stepIds);
+    const laneLabels = new Map((lanes || []).map(lane => (typeof lane === 'string' ? [lane, lane] : [lane.id, lane.label || lane.id])));
+    steps.forEach(step => {
+      if (step.lane && !laneLabels.has(step.lane)) laneLabels.set(step.lane, step.lane);
+    });
+    const laneIds = this.createIdMap([...laneLabels.keys()], new Set(Object.values(ids)));
+
+    const flow = /^(TB|TD|BT|LR|RL)$/.test(direction) ? direction : laneLabels.size > 0 ? 'LR' : 'TD';
+    const lines = [`flowchart ${flow === 'TB' ? 'TD' : flow}`];
+
+    const node = (step, index) => {
+      const [open, close] = MERMAID_NODE[step.type] || MERMAID_NODE.process;
+      return `${ids[stepIds[index]]}${open}${this.quoteMermaid(step.label)}${close}`;
+    };
+    [...laneLabels].forEach(([lane, label]) => {
+      lines.push(`    subgraph ${laneIds[lane]}[${this.quoteMermaid(label)}]`);
+      steps.forEach((step, index) => {
+        if (step.lane === lane) lines.push(`        ${node(step, index)}`);
+      });
+      lines.push('    end');
+    });
+    steps.forEach((step, index) => {
+      if (!step.lane) lines.push(`    ${node(step, index)}`);
+    });
+
+    edges.forEach(edge => {
+      if (!ids[edge.from] || !ids[edge.to]) return;
+      const label = edge.label ? `|${this.quoteMermaid(edge.label)}|` : '';
+      lines.push(`    ${ids[edge.from]} -->${label} ${ids[edge.to]}`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Writes a flowchart as a PlantUML activity diagram. Decisions become if
+   * blocks (switch blocks with more than two branches) that close where their
+   * branches meet again, steps with several outgoing connections become fork
+   * blocks, and loops become while blocks (back to a decision) or repeat
+   * blocks (back from a decision). Terminators without incoming connections
+   * are written as start, those without outgoing ones as stop; every other
+   * step is an action. A connection that fits none of these, such as a jump
+   * into another branch, is left as a note.
+   */
+  flowchartToPlantUml(steps, connections) {
+    const { stepIds, edges } = this.getFlowchartEdges(steps, connections);
+    const byId = new Map(stepIds.map((id, index) => [id, steps[index]]));
+    const outgoing = new Map(stepIds.map(id => [id, []]));
+    const incoming = new Map(stepIds.map(id => [id, []]));
+    edges.forEach(edge => {
+      if (!byId.has(edge.from) || !byId.has(edge.to)) return;
+      outgoing.get(edge.from).push(edge);
+      incoming.get(edge.to).push(edge);
+    });
+    const roots = stepIds.filter(id => incoming.get(id).length === 0);
+
+    // Edges back to a step on the current path close loops; the rest of the graph is acyclic
+    const back = new Set();
+    const postorder = [];
+    const state = new Map();
+    const visit = id => {
+      state.set(id, 'open');
+      outgoing.get(id).forEach(edge => {
+        if (state.get(edge.to) === 'open') back.add(edge);
+        else if (!state.has(edge.to)) visit(edge.to);
+      });
+      state.set(id, 'done');
+      postorder.push(id);
+    };
+    [...roots, ...stepIds].forEach(id => {
+      if (!state.has(id)) visit(id);
+    });
+    const forward = id => outgoing.get(id).filter(edge => !back.has(edge));
+
+    // Branches meet again at the nearest step every path from the split goes through
+    const postDominators = new Map();
+    postorder.forEach(id => {
+      const sets = forward(id).map(edge => postDominators.get(edge.to));
+      const common = sets.length === 0 ? new Set() : new Set([...sets[0]].filter(other => sets.every(set => set.has(other))));
+      common.add(id);
+      postDominators.set(id, common);
+    });
+    const meeting = id => {
+      let nearest = null;
+      postDominators.get(id).forEach(other => {
+        if (other !== id && (nearest === null || postDominators.get(other).size > postDominators.get(nearest).size)) nearest = other;
+      });
+      return nearest;
+    };
+    const reaches = (from, to) => {
+      const seen = new Set([from]);
+      const queue = [from];
+      while (queue.length > 0) {
+        const id = queue.shift();
+        if (id === to) return true;
+        forward(id).forEach(edge => {
+          if (!seen.has(edge.to)) {
+            seen.add(edge.to);
+            queue.push(edge.to);
+          }
+        });
+      }
+      return false;
+    };
+
+    // while: a decision with one branch that comes back to it and one that leaves.
+    // repeat: a loop back from a decision, or from a single step right after one (backward).
+    const whileLoops = new Map();
+    const repeatLoops = new Map();
+    back.forEach(edge => {
+      const branches = forward(edge.to);
+      if (byId.get(edge.to).type === 'decision' && branches.length === 2 && !whileLoops.has(edge.to)) {
+        const body = branches.find(branch => branch.to === edge.from || reaches(branch.to, edge.from));
+        const exit = branches.find(branch => branch !== body);
+        if (body && exit && !reaches(exit.to, edge.from)) {
+          whileLoops.set(edge.to, { body, exit, edge });
+          return;
+        }
+      }
+      if (repeatLoops.has(edge.to)) return;
+      if (byId.get(edge.from).type === 'decision' && forward(edge.from).length === 1) {
+        repeatLoops.set(edge.to, { decision: edge.from, again: edge.label, exit: forward(edge.from)[0], edge });
+        return;
+      }
+      const into = incoming.get(edge.from);
+      if (into.length === 1 && outgoing.get(edge.from).length === 1 && byId.get(into[0].from).type === 'decision') {
+        const decision = into[0].from;
+        const exit = forward(decision).find(branch => branch.to !== edge.from);
+        if (forward(decision).length === 2 && exit && decision !== edge.to) {
+          repeatLoops.set(edge.to, { decision, backward: edge.from, again: into[0].label, exit, edge });
+        }
+      }
+    });
+    const closed = new Set([...whileLoops.values(), ...repeatLoops.values()].map(loop => loop.edge));
+
+    const lines = ['@startuml'];
+    const write = (depth, text) => lines.push(`${'  '.repeat(depth)}${text}`);
+    const oneLine = text => String(text ?? '').replace(/\s*\n\s*/g, ' ');
+    const guard = label => (label ? ` (${oneLine(label)})` : '');
+    const emitted = new Set();
+    const repeating = new Set();
+
+    const chain = (first, stops, depth) => {
+      let id = first;
+      while (id !== null && !stops.includes(id)) {
+        if (emitted.has(id)) {
+          write(depth, `note right: continues at "${oneLine(byId.get(id).label)}"`);
+          write(depth, 'detach');
+          return;
+        }
+
+        const repeat = repeatLoops.get(id);
+        if (repeat && !repeating.has(id)) {
+          repeating.add(id);
+          write(depth, 'repeat');
+          chain(id, [repeat.decision, ...stops], depth + 1);
+          emitted.add(repeat.decision);
+          if (repeat.backward) {
+            emitted.add(repeat.backward);
+            write(depth, `backward :${byId.get(repeat.backward).label};`);
+          }
+          write(depth, `repeat while (${oneLine(byId.get(repeat.decision).label)})${repeat.again ? ` is${guard(repeat.again)}` : ''}${repeat.exit.label ? ` not${guard(repeat.exit.label)}` : ''}`);
+          id = repeat.exit.to;
+          continue;
+        }
+
+        emitted.add(id);
+        const step = byId.get(id);
+        const loop = whileLoops.get(id);
+        const branches = forward(id);
+        let next = null;
+        if (loop) {
+          write(depth, `while (${oneLine(step.label)})${loop.body.label ? ` is${guard(loop.body.label)}` : ''}`);
+          chain(loop.body.to, [id, ...stops], depth + 1);
+          write(depth, `endwhile${guard(loop.exit.label)}`);
+          next = loop.exit.to;
+        } else if (step.type === 'decision' || branches.length > 1) {
+          const end = meeting(id);
+          const inner = end === null ? stops : [end, ...stops];
+          if (step.type === 'decision' && branches.length > 2) {
+            write(depth, `switch (${oneLine(step.label)})`);
+            branches.forEach(branch => {
+              write(depth, `case${guard(branch.label) || ' ()'}`);
+              chain(branch.to, inner, depth + 1);
+            });
+            write(depth, 'endswitch');
+          } else if (step.type === 'decision') {
+            write(depth, `if (${oneLine(step.label)}) then${guard(branches[0] && branches[0].label)}`);
+            if (branches.length > 0) chain(branches[0].to, inner, depth + 1);
+            if (branches.length > 1) {
+              write(depth, `else${guard(branches[1].label)}`);
+              chain(branches[1].to, inner, depth + 1);
+            }
+            write(depth, 'endif');
+          } else {
+            write(depth, `:${step.label};`);
+            branches.forEach((branch, index) => {
+              write(depth, index === 0 ? 'fork' : 'fork again');
+              if (branch.label) write(depth + 1, `-> ${oneLine(branch.label)};`);
+              chain(branch.to, inner, depth + 1);
+            });
+            write(depth, 'end fork');
+          }
+          next = end;
+        } else {
+          if (step.type === 'terminator' && incoming.get(id).length === 0) write(depth, 'start');
+          else if (step.type === 'terminator' && outgoing.get(id).length === 0) write(depth, /^end$/i.test(step.label) ? 'end' : 'stop');
+          else write(depth, `:${step.label};`);
+          if (branches.length === 1) {
+            if (branches[0].label) write(depth, `-> ${oneLine(branches[0].label)};`);
+            next = branches[0].to;
+          }
+        }
+
+        outgoing.get(id).forEach(edge => {
+          if (back.has(edge) && !closed.has(edge)) write(depth, `note right: continues at "${oneLine(byId.get(edge.to).label)}"`);
+        });
+        id = next;
+      }
+    };
+
+    [...roots, ...stepIds].forEach(id => {
+      if (emitted.has(id)) return;
+      // Separate flows must not run into each other
+      if (lines.length > 1 && !/^(stop|end|detach)$/.test(lines[lines.length - 1])) write(0, 'detach');
+      chain(id, [], 0);
+    });
+
+    lines.push('@enduml');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Normalizes participants, which may be plain names or { name, type, label } objects
+   */
+  getParticipants(participants) {
+    return participants.map(p => (typeof p === 'string' ? { name: p, type: 'participant', label: p } : { type: 'participant', label: p.name, ...p }));
+  }
+
+  /**
+   * Names of participants that come into existence through a create message
+   */
+  getCreated(interactions, created = new Set()) {
+    interactions.forEach(item => {
+      if (item.create && item.to) created.add(item.to);
+      if (item.fragment) {
+        this.getCreated(item.interactions || [], created);
+        (item.else || []).forEach(section => this.getCreated(section.interactions || [], created));
+      }
+    });
+    return created;
+  }
+
+  sequenceToMermaid(participants, interactions) {
+    const list = this.getParticipants(participants);
+    const ids = this.createIdMap(list.map(p => p.name));
+    const byName = Object.fromEntries(list.map(p => [p.name, p]));
+    const created = this.getCreated(interactions);
+    const declare = p => `${p.type === 'actor' ? 'actor' : 'participant'} ${ids[p.name]} as ${p.label}`;
+    const lines = ['sequenceDiagram'];
+
+    list.forEach(p => {
+      // Created participants are declared at their create message
+      if (!created.has(p.name)) lines.push(`    ${declare(p)}`);
+    });
+
+    const sectionKeyword = { par: 'and', critical: 'option' };
+    const write = (items, indent) => {
+      items.forEach(item => {
+        if (item.fragment) {
+          const supported = ['alt', 'opt', 'loop', 'par', 'critical', 'break'].includes(item.fragment);
+          const head = supported ? item.fragment : `opt ${item.fragment}`;
+          lines.push(`${indent}${head}${item.guard ? ` ${item.guard}` : ''}`);
+          write(item.interactions || [], indent + '    ');
+          (item.else || []).forEach(section => {
+            lines.push(`${indent}${sectionKeyword[item.fragment] || 'else'}${section.guard ? ` ${section.guard}` : ''}`);
+            write(section.interactions || [], indent + '    ');
+          });
+          lines.push(`${indent}end`);
+        } else if (item.note !== undefined) {
+          const over = (Array.isArray(item.over) ? item.over : [item.over]).filter(name => ids[name]);
+          if (over.length === 0) return;
+          const where = item.position === 'left' ? 'left of' : item.position === 'right' ? 'right of' : 'over';
+          const targets = where === 'over' ? over.map(name => ids[name]).join(',') : ids[over[0]];
+          lines.push(`${indent}Note ${where} ${targets}: ${String(item.note).replace(/\n/g, '<br/>')}`);
+        } else if (item.destroy && !item.from) {
+          if (ids[item.destroy]) lines.push(`${indent}destroy ${ids[item.destroy]}`);
+        } else {
+          if (!ids[item.from] || !ids[item.to]) return;
+          if (item.create) lines.push(`${indent}create ${declare(byName[item.to])}`);
+          if (item.destroy) lines.push(`${indent}destroy ${ids[item.to]}`);
+          const arrow = item.dashed ? '-->>' : item.async ? '-)' : '->>';
+          lines.push(`${indent}${ids[item.from]}${arrow}${ids[item.to]}: ${item.message || ''}`);
+        }
+      });
+    };
+    write(interactions, '    ');
+
+    return lines.join('\n') + '\n';
+  }
+
+  sequenceToPlantUml(participants, interactions) {
+    const list = this.getParticipants(participants);
+    const ids = this.createIdMap(list.map(p => p.name));
+    const lines = ['@startuml'];
+
+    list.forEach(p => {
+      lines.push(`${p.type} ${this.quotePlantUml(p.label)} as ${ids[p.name]}`);
+    });
+
+    const write = items => {
+      items.forEach(item => {
+        if (item.fragment) {
+          const supported = ['alt', 'opt', 'loop', 'par', 'critical', 'break'].includes(item.fragment);
+          const head = supported ? item.fragment : `group ${item.fragment}`;
+          lines.push(`${head}${item.guard ? ` ${item.guard}` : ''}`);
+          write(item.interactions || []);
+          (item.else || []).forEach(section => {
+            lines.push(`else${section.guard ? ` ${section.guard}` : ''}`);
+            write(section.interactions || []);
+          });
+          lines.push('end');
+        } else if (item.note !== undefined) {
+          const over = (Array.isArray(item.over) ? item.over : [item.over]).filter(name => ids[name]);
+          if (over.length === 0) return;
+          const where = item.position === 'left' ? 'left of' : item.position === 'right' ? 'right of' : 'over';
+          const targets = where === 'over' ? over.map(name => ids[name]).join(', ') : ids[over[0]];
+          lines.push(`note ${where} ${targets} : ${String(item.note).replace(/\n/g, '\\n')}`);
+        } else if (item.destroy && !item.from) {
+          if (ids[item.destroy]) lines.push(`destroy ${ids[item.destroy]}`);
+        } else {
+          if (!ids[item.from] || !ids[item.to]) return;
+          if (item.create) lines.push(`create ${ids[item.to]}`);
+          const arrow = item.dashed ? '-->' : item.async ? '->>' : '->';
+          lines.push(`${ids[item.from]} ${arrow} ${ids[item.to]} : ${item.message || ''}`);
+          if (item.destroy) lines.push(`destroy ${ids[item.to]}`);
+        }
+      });
+    };
+    write(interactions);
+
+    lines.push('@enduml');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Key markers of an attribute, as Mermaid and PlantUML spell them
+   */
+  getAttributeKeys(attribute) {
+    return [attribute.pk && 'PK', attribute.fk && 'FK', attribute.unique && 'UK'].filter(Boolean);
+  }
+
+  /**
+   * Crow's-foot markers for each end of a relationship, 1:1 when it has no cardinality
+   */
+  getCrowsFoot(rel) {
+    const { from, to, label } = parseCardinality(rel);
+    return { markers: [CROWS_FOOT[from || '1'][0], CROWS_FOOT[to || '1'][1]], text: label };
+  }
+
+  erdToMermaid(entities, relationships = []) {
+    // Mermaid refers to entities by name
+    const names = this.createIdMap(entities.map(entity => entity.name));
+    const entityName = id => {
+      const entity = entities.find(e => e.id === id);
+      return entity ? names[entity.name] : null;
+    };
+    const lines = ['erDiagram'];
+
+    entities.forEach(entity => {
+      lines.push(`    ${names[entity.name]} {`);
+      (entity.attributes || []).map(normalizeAttribute).forEach(attribute => {
+        const type = attribute.type || 'string';
+        const keys = this.getAttributeKeys(attribute);
+        lines.push(`        ${type.replace(/[^\w()[\],]/g, '_')} ${attribute.name.replace(/[^\w]/g, '_')}${keys.length ? ` ${keys.join(', ')}` : ''}`);
+      });
+      lines.push('    }');
+    });
+
+    relationships.forEach(rel => {
+      const from = entityName(rel.from);
+      const to = entityName(rel.to);
+      if (!from || !to) return;
+      const { markers, text } = this.getCrowsFoot(rel);
+      lines.push(`    ${from} ${markers[0]}--${markers[1]} ${to} : ${this.quoteMermaid(text || 'relates')}`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  erdToPlantUml(entities, relationships = []) {
+    const ids = this.createIdMap(entities.map(entity => entity.id));
+    const lines = ['@startuml'];
+
+    entities.forEach(entity => {
+      lines.push(`entity ${this.quotePlantUml(entity.name)} as ${ids[entity.id]} {`);
+      (entity.attributes || []).map(normalizeAttribute).forEach(attribute => {
+        const keys = this.getAttributeKeys(attribute);
+        // The star marks mandatory columns
+        const marker = attribute.pk || (attribute.type && !attribute.nullable) ? '* ' : '';
+        lines.push(`  ${marker}${attribute.name} : ${attribute.type || 'string'}${keys.length ? ` <<${keys.join(', ')}>>` : ''}`);
+      });
+      lines.push('}');
+    });
+
+    relationships.forEach(rel => {
+      if (!ids[rel.from] || !ids[rel.to]) return;
+      const { markers, text } = this.getCrowsFoot(rel);
+      lines.push(`${ids[rel.from]} ${markers[0]}--${markers[1]} ${ids[rel.to]}${text ? ` : ${text}` : ''}`);
+    });
+
+    lines.push('@enduml');
+    return lines.join('\n') + '\n';
+  }
+}
@@ -0,0 +1,701 @@
+/**
+ * Mermaid and PlantUML Importer
+ * Parses text diagram formats into create_diagram types and data
+ */
+
+// Mermaid node shapes, longest delimiters first so "([" wins over "("
+const MERMAID_SHAPES = [
+  { open: '([', close: '])', type: 'terminator' },
+  { open: '[[', close: ']]', type: 'process' },
+  { open: '[(', close: ')]', type: 'database' },
+  { open: '((', close: '))', type: 'terminator' },
+  { open: '{{', close: '}}', type: 'hexagon' },
+  { open: '[/', close: '/]', type: 'data' },
+  { open: '[\\', close: '\\]', type: 'data' },
+  { open: '[/', close: '\\]', type: 'data' },
+  { open: '[\\', close: '/]', type: 'data' },
+  { open: '[', close: ']', type: 'process' },
+  { open: '(', close: ')', type: 'process' },
+  { open: '{', close: '}', type: 'decision' },
+  { open: '>', close: ']', type: 'document' },
+];
+
+// Links with an optional |label| after them, e.g. -->|Yes|
+const MERMAID_LINK = /^<?(-{2,}>|-{3,}|-\.+->|-\.+-|={2,}>|={3,}|--[ox]|==[ox])\s*(?:\|([^|]*)\|)?/;
+// Links with the label inside them, e.g. -- Yes -->
+const MERMAID_TEXT_LINK = /^<?(--|-\.|==)\s+(.+?)\s*(-{2,}>|-{3,}|\.-+>|\.-+|={2,}>|={3,})/;
+
+const MERMAID_MESSAGE = /^([^\s\-<>+:]+)\s*(-->>|->>|--x|--\)|-->|-x|-\)|->)\s*([+-]?)\s*([^:]+?)\s*:\s*(.*)$/;
+
+// Crow's-foot relationship shared by Mermaid erDiagram and PlantUML
+const ER_RELATIONSHIP = /^"?([\w-]+)"?\s*(\|\||\|o|o\||\}\||\}o|\|\{|o\{)\s*(--|\.\.)\s*(\|\||\|o|o\||\}\||\}o|\|\{|o\{)\s*"?([\w-]+)"?\s*(?::\s*"?(.*?)"?)?$/;
+
+const PLANTUML_PARTICIPANT = /^(participant|actor|boundary|control|entity|database|collections|queue)\s+(?:"([^"]+)"|(\S+))(?:\s+as\s+(?:"([^"]+)"|(\S+)))?/;
+const PLANTUML_MESSAGE = /^(?:"([^"]+)"|([^\s\-<>]+))\s*(<?-{1,2}>{1,2}|<{1,2}-{1,2})\s*(?:"([^"]+)"|([^\s:]+))\s*(?::\s*(.*))?$/;
+
+export class DiagramImporter {
+  /**
+   * Detects the format and returns { type, data } ready for create_diagram
+   */
+  import(source, format = 'auto') {
+    const text = this.stripFences(source);
+
+    if (format === 'auto') {
+      format = /@startuml/i.test(text) ? 'plantuml' : 'mermaid';
+    }
+
+    switch (format) {
+      case 'mermaid':
+        return this.parseMermaid(text);
+      case 'plantuml':
+        return this.parsePlantUml(text);
+      default:
+        throw new Error(`Unknown source format: ${format}`);
+    }
+  }
+
+  /**
+   * Removes a surrounding Markdown code fence such as ```mermaid
+   */
+  stripFences(source) {
+    const fence = source.match(/```[\w-]*\s*\n([\s\S]*?)```/);
+    return fence ? fence[1] : source;
+  }
+
+  /**
+   * Splits into trimmed lines without comments or blanks
+   */
+  getLines(text, commentPrefixes) {
+    return text
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !commentPrefixes.some(prefix => line.startsWith(prefix)));
+  }
+
+  parseMermaid(text) {
+    const lines = this.getLines(text, ['%%']);
+    if (lines.length === 0) {
+      throw new Error('Mermaid source is empty');
+    }
+
+    const header = lines[0];
+    if (/^(flowchart|graph)\b/.test(header)) {
+      const { data, warnings } = this.parseMermaidFlowchart(lines.slice(1));
+      const direction = header.match(/^(?:flowchart|graph)\s+(TB|TD|BT|LR|RL)\b/);
+      return {
+        type: 'flowchart',
+        data,
+        ...(direction ? { layout: { direction: direction[1] === 'TD' ? 'TB' : direction[1] } } : {}),
+        ...(warnings.length > 0 ? { warnings } : {}),
+      };
+    }
+    if (/^sequenceDiagram\b/.test(header)) {
+      return { type: 'sequence', data: this.parseMermaidSequence(lines.slice(1)) };
+    }
+    if (/^erDiagram\b/.test(header)) {
+      return { type: 'erd', data: this.parseMermaidERD(lines.slice(1)) };
+    }
+    throw new Error(`Unsupported Mermaid diagram: ${header}. Supported: flowchart, sequenceDiagram, erDiagram`);
+  }
+
+  /**
+   * Reads flowchart statements into { data, warnings }. Subgraphs become
+   * swimlanes when every step is inside one; nested subgraphs are merged into
+   * the outermost. Otherwise they are left out with a warning.
+   */
+  parseMermaidFlowchart(lines) {
+    const steps = [];
+    const stepIndex = {};
+    const connections = [];
+    const subgraphs = [];
+    const open = [];
+    const warnings = [];
+    let nested = false;
+
+    const addStep = (id, label, type) => {
+      if (!stepIndex[id]) {
+        stepIndex[id] = { id, label: label || id, type: type || 'process' };
+        steps.push(stepIndex[id]);
+      } else if (label) {
+        // A later definition with a shape replaces the bare reference
+        stepIndex[id].label = label;
+        stepIndex[id].type = type;
+      }
+      // A step belongs to the first subgraph it appears in
+      if (open.length > 0 && !stepIndex[id].lane) stepIndex[id].lane = open[0].id;
+    };
+
+    const statements = lines.flatMap(line => this.splitMermaidStatements(line)).map(s => s.trim()).filter(Boolean);
+
+    statements.forEach(statement => {
+      let match = statement.match(/^subgraph\s+(.*)$/);
+      if (match) {
+        // subgraph id, subgraph id[Title] or subgraph "Title"
+        const header = match[1].trim();
+        const titled = header.match(/^([\w$-]+)\s*\[(.*)\]$/);
+        const id = titled ? titled[1] : header.replace(/^"(.*)"$/, '$1');
+        const label = titled ? titled[2].trim().replace(/^"(.*)"$/, '$1') : id;
+        if (open.length > 0) nested = true;
+        else if (!subgraphs.some(subgraph => subgraph.id === id)) subgraphs.push({ id, label });
+        open.push({ id });
+        return;
+      }
+      if (statement === 'end') {
+        open.pop();
+        return;
+      }
+      if (/^(direction|classDef|class |style |linkStyle|click )/.test(statement)) {
+        return;
+      }
+
+      let rest = statement;
+      let previous = null;
+      let pendingLabel = null;
+
+      while (rest) {
+        const group = [];
+        // One or more nodes joined with &
+        do {
+          rest = rest.replace(/^&\s*/, '');
+          const node = this.parseMermaidNode(rest);
+          if (!node) {
+            throw new Error(`Could not parse Mermaid statement: ${statement}`);
+          }
+          addStep(node.id, node.label, node.type);
+          group.push(node.id);
+          rest = node.rest.trim();
+        } while (rest.startsWith('&'));
+
+        if (previous) {
+          previous.forEach(from => {
+            group.forEach(to => {
+              const connection = { from, to };
+              if (pendingLabel) connection.label = pendingLabel;
+              connections.push(connection);
+            });
+          });
+        }
+
+        if (!rest) break;
+
+        match = rest.match(MERMAID_LINK);
+        if (match) {
+          pendingLabel = match[2] ? match[2].trim().replace(/^"|"$/g, '') : null;
+        } else {
+          match = rest.match(MERMAID_TEXT_LINK);
+          if (!match) {
+            throw new Error(`Could not parse Mermaid link in: ${statement}`);
+          }
+          pendingLabel = match[2].replace(/^"|"$/g, '');
+        }
+        rest = rest.slice(match[0].length).trim();
+        previous = group;
+      }
+    });
+
+    if (subgraphs.length === 0) {
+      return { data: { steps, connections }, warnings };
+    }
+    if (steps.some(step => !step.lane)) {
+      steps.forEach(step => delete step.lane);
+      warnings.push({
+        path: 'subgraph',
+        message: `${subgraphs.length === 1 ? 'Subgraph' : 'Subgraphs'} ${subgraphs.map(subgraph => `"${subgraph.label}"`).join(', ')} left out because some steps are outside every subgraph`,
+        suggestion: 'Put every node in a subgraph to import them as swimlanes',
+      });
+      return { data: { steps, connections }, warnings };
+    }
+    if (nested) {
+      warnings.push({ path: 'subgraph', message: 'Nested subgraphs were merged into the outermost one, which became a swimlane' });
+    }
+    return { data: { steps, connections, lanes: subgraphs }, warnings };
+  }
+
+  /**
+   * Splits a flowchart line on semicolons outside quoted text, node shapes and |link labels|
+   */
+  splitMermaidStatements(line) {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let piped = false;
+    let current = '';
+    for (const char of line) {
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (!quoted && '[({'.includes(char)) {
+        depth++;
+      } else if (!quoted && '])}'.includes(char)) {
+        depth = Math.max(0, depth - 1);
+      } else if (!quoted && depth === 0 && char === '|') {
+        piped = !piped;
+      } else if (!quoted && depth === 0 && !piped && char === ';') {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts;
+  }
+
+  /**
+   * Reads `id`, `id[Label]`, `id{Label}` and the other shape forms from the start of a string
+   */
+  parseMermaidNode(text) {
+    const idMatch = text.match(/^[\w$]+/);
+    if (!idMatch) return null;
+
+    const id = idMatch[0];
+    let rest = text.slice(id.length);
+
+    for (const shape of MERMAID_SHAPES) {
+      if (!rest.startsWith(shape.open)) continue;
+      const end = rest.indexOf(shape.close, shape.open.length);
+      if (end === -1) continue;
+      const label = rest.slice(shape.open.length, end).trim().replace(/^"(.*)"$/, '$1');
+      rest = rest.slice(end + shape.close.length);
+      return { id, label, type: shape.type, rest };
+    }
+
+    return { id, label: null, type: null, rest };
+  }
+
+  /**
+   * Collects participants and nested sequence items while a parser walks the source
+   */
+  createSequenceBuilder() {
+    const participants = [];
+    const aliases = {};
+    const root = [];
+    const stack = [{ items: root }];
+    const pendingCreate = new Set();
+    const pendingDestroy = new Set();
+
+    const current = () => stack[stack.length - 1].items;
+
+    return {
+      participant(id, label, type = 'participant') {
+        if (!aliases[id]) {
+          aliases[id] = label || id;
+          participants.push(type === 'participant' ? aliases[id] : { name: aliases[id], type });
+        }
+        return aliases[id];
+      },
+      message(from, to, message, options = {}) {
+        const item = { from: this.participant(from), to: this.participant(to), message, ...options };
+        if (pendingCreate.delete(to)) item.create = true;
+        if (pendingDestroy.delete(to)) item.destroy = true;
+        current().push(item);
+      },
+      note(over, position, text) {
+        current().push({ note: text, over: over.map(id => this.participant(id)), position });
+      },
+      create(id) {
+        pendingCreate.add(id);
+      },
+      destroyNext(id) {
+        pendingDestroy.add(id);
+      },
+      // PlantUML destroys after the message, so mark the previous one when it matches
+      destroyLast(id) {
+        const items = current();
+        const last = items[items.length - 1];
+        if (last && last.to === aliases[id] && last.from) {
+          last.destroy = true;
+        } else {
+          items.push({ destroy: this.participant(id) });
+        }
+      },
+      openFragment(kind, guard) {
+        const item = { fragment: kind, interactions: [] };
+        if (guard) item.guard = guard;
+        current().push(item);
+        stack.push({ fragment: item, items: item.interactions });
+      },
+      section(guard) {
+        const top = stack[stack.length - 1];
+        if (!top.fragment) return;
+        const section = { interactions: [] };
+        if (guard) section.guard = guard;
+        top.fragment.else = [...(top.fragment.else || []), section];
+        top.items = section.interactions;
+      },
+      close() {
+        if (stack.length > 1) stack.pop();
+      },
+      result() {
+        return { participants, interactions: root };
+      },
+    };
+  }
+
+  parseMermaidSequence(lines) {
+    const builder = this.createSequenceBuilder();
+
+    lines.forEach(line => {
+      let match;
+      if ((match = line.match(/^(?:create\s+)?(participant|actor)\s+(\S+)(?:\s+as\s+(.+))?$/))) {
+        builder.participant(match[2], match[3] && match[3].trim(), match[1]);
+        if (line.startsWith('create')) builder.create(match[2]);
+      } else if ((match = line.match(/^destroy\s+(\S+)$/))) {
+        builder.destroyNext(match[1]);
+      } else if ((match = line.match(/^note\s+(over|left of|right of)\s+([^:]+):\s*(.*)$/i))) {
+        const over = match[2].split(',').map(id => id.trim());
+        const position = match[1].toLowerCase().startsWith('left') ? 'left' : match[1].toLowerCase().startsWith('right') ? 'right' : 'over';
+        builder.note(over, position, match[3].replace(/<br\s*\/?>/gi, '\n').trim());
+      } else if ((match = line.match(/^(alt|opt|loop|par|critical|break)\b\s*(.*)$/))) {
+        builder.openFragment(match[1], match[2].trim());
+      } else if ((match = line.match(/^(else|and|option)\b\s*(.*)$/))) {
+        builder.section(match[2].trim());
+      } else if (line === 'end') {
+        builder.close();
+      } else if ((match = line.match(MERMAID_MESSAGE))) {
+        const arrow = match[2];
+        const options = { dashed: arrow.startsWith('--') && arrow.endsWith('>') };
+        if (arrow.endsWith(')')) options.async = true;
+        builder.message(match[1], match[4], match[5].trim(), options);
+      }
+      // activate/deactivate are implied by calls and replies; rect and autonumber are skipped
+    });
+
+    return builder.result();
+  }
+
+  parseMermaidERD(lines) {
+    const entities = [];
+    const entityIndex = {};
+    const relationships = [];
+
+    const entity = name => {
+      if (!entityIndex[name]) {
+        entityIndex[name] = { id: name, name, attributes: [] };
+        entities.push(entityIndex[name]);
+      }
+      return entityIndex[name];
+    };
+
+    let current = null;
+    lines.forEach(line => {
+      if (current) {
+        if (line === '}') {
+          current = null;
+          return;
+        }
+        // type name [PK|FK|UK] ["comment"]
+        const attr = line.match(/^(\S+)\s+(\S+)((?:\s+(?:PK|FK|UK),?)*)/);
+        if (attr) {
+          current.attributes.push(this.createAttribute(attr[2], attr[1], attr[3]));
+        }
+        return;
+      }
+
+      const block = line.match(/^"?([\w-]+)"?\s*(?:\[.*\])?\s*\{$/);
+      if (block) {
+        current = entity(block[1]);
+        return;
+      }
+
+      const rel = line.match(ER_RELATIONSHIP);
+      if (rel) {
+        entity(rel[1]);
+        entity(rel[5]);
+        relationships.push(this.createRelationship(rel[1], rel[2], rel[4], rel[5], rel[6]));
+      }
+    });
+
+    return { entities, relationships };
+  }
+
+  /**
+   * Builds an ERD relationship from crow's-foot markers on each side
+   */
+  createRelationship(from, leftMarker, rightMarker, to, text) {
+    const multiplicity = marker => {
+      const many = marker.includes('{') || marker.includes('}');
+      const optional = marker.includes('o');
+      if (many) return optional ? '0..N' : '1..N';
+      return optional ? '0..1' : '1';
+    };
+    const relationship = {
+      from,
+      to,
+      cardinality: `${multiplicity(leftMarker)}:${multiplicity(rightMarker)}`,
+    };
+    if (text) relationship.label = text;
+    return relationship;
+  }
+
+  /**
+   * Builds an ERD attribute from a column name, type and key markers
+   */
+  createAttribute(name, type, keys = '') {
+    const flags = keys.toUpperCase();
+    const attribute = { name, type };
+    if (/\bPK\b/.test(flags)) attribute.pk = true;
+    if (/\bFK\b/.test(flags)) attribute.fk = true;
+    if (/\bUK\b/.test(flags)) attribute.unique = true;
+    return attribute;
+  }
+
+  parsePlantUml(text) {
+    const start = text.search(/@startuml/i);
+    const end = text.search(/@enduml/i);
+    const body = text.slice(start === -1 ? 0 : text.indexOf('\n', start) + 1, end === -1 ? text.length : end);
+    const lines = this.getLines(body, ["'"]);
+
+    if (lines.some(line => /^entity\s+.*\{$/.test(line) || ER_RELATIONSHIP.test(line))) {
+      return { type: 'erd', data: this.parsePlantUmlERD(lines) };
+    }
+    if (lines.some(line => /^(start|stop|:.*;$|if\s*\(|while\s*\(|repeat\b)/.test(line))) {
+      return { type: 'flowchart', data: this.parsePlantUmlActivity(lines) };
+    }
+    return { type: 'sequence', data: this.parsePlantUmlSequence(lines) };
+  }
+
+  parsePlantUmlSequence(lines) {
+    const builder = this.createSequenceBuilder();
+
+    lines.forEach(line => {
+      let match;
+      if ((match = line.match(PLANTUML_PARTICIPANT))) {
+        const type = ['actor', 'boundary', 'control', 'entity', 'database'].includes(match[1]) ? match[1] : 'participant';
+        const first = match[2] || match[3];
+        const second = match[4] || match[5];
+        // Both `"Long Name" as L` and `L as "Long Name"` are allowed
+        if (second && match[2]) {
+          builder.participant(second, first, type);
+        } else {
+          builder.participant(first, second, type);
+        }
+      } else if ((match = line.match(/^create\s+(?:\w+\s+)?(\S+)$/))) {
+        builder.create(match[1]);
+      } else if ((match = line.match(/^destroy\s+(\S+)$/))) {
+        builder.destroyLast(match[1]);
+      } else if ((match = line.match(/^note\s+(over|left of|right of)\s+([^:]+):\s*(.*)$/i))) {
+        const over = match[2].split(',').map(id => id.trim());
+        const position = match[1].toLowerCase().startsWith('left') ? 'left' : match[1].toLowerCase().startsWith('right') ? 'right' : 'over';
+        builder.note(over, position, match[3].replace(/\\n/g, '\n').trim());
+      } else if ((match = line.match(/^(alt|opt|loop|par|critical|break|group)\b\s*(.*)$/))) {
+        builder.openFragment(match[1] === 'group' ? 'opt' : match[1], match[2].trim());
+      } else if ((match = line.match(/^else\b\s*(.*)$/))) {
+        builder.section(match[1].trim());
+      } else if (line === 'end') {
+        builder.close();
+      } else if ((match = line.match(PLANTUML_MESSAGE))) {
+        const left = match[1] || match[2];
+        const right = match[4] || match[5];
+        const arrow = match[3];
+        const reversed = arrow.startsWith('<');
+        const options = { dashed: arrow.includes('--') };
+        if (!options.dashed && (arrow.includes('>>') || arrow.includes('<<'))) options.async = true;
+        builder.message(reversed ? right : left, reversed ? left : right, (match[6] || '').trim(), options);
+      }
+    });
+
+    return builder.result();
+  }
+
+  parsePlantUmlERD(lines) {
+    const entities = [];
+    const entityIndex = {};
+    const relationships = [];
+
+    const entity = (id, name) => {
+      if (!entityIndex[id]) {
+        entityIndex[id] = { id, name: name || id, attributes: [] };
+        entities.push(entityIndex[id]);
+      }
+      return entityIndex[id];
+    };
+
+    let current = null;
+    lines.forEach(line => {
+      if (current) {
+        if (line === '}') {
+          current = null;
+        } else if (!/^(--|==|\.\.)/.test(line)) {
+          // "* id : int <<PK>>", the star marks a mandatory column
+          const attr = line.match(/^(\*)?\s*([^\s:]+)\s*(?::\s*([^\s<]+))?\s*(.*)$/);
+          if (attr) {
+            const attribute = this.createAttribute(attr[2], attr[3] || '', attr[4]);
+            if (!attr[1] && !attribute.pk && attr[3]) attribute.nullable = true;
+            current.attributes.push(attribute);
+          }
+        }
+        return;
+      }
+
+      const block = line.match(/^entity\s+(?:"([^"]+)"\s+as\s+(\w+)|(\w+))(?:\s+as\s+"([^"]+)")?.*\{$/);
+      if (block) {
+        current = block[2] ? entity(block[2], block[1]) : entity(block[3], block[4]);
+        return;
+      }
+
+      const rel = line.match(ER_RELATIONSHIP);
+      if (rel) {
+        entity(rel[1]);
+        entity(rel[5]);
+        relationships.push(this.createRelationship(rel[1], rel[2], rel[4], rel[5], rel[6]));
+      }
+    });
+
+    return { entities, relationships };
+  }
+
+  /**
+   * Converts a PlantUML activity diagram (new syntax) into flowchart steps.
+   * Supports start/stop/end, :action;, if/elseif/else/endif, switch/case,
+   * while/endwhile, repeat/backward/repeat while, fork/fork again/end fork,
+   * detach and arrow labels (-> label;).
+   */
+  parsePlantUmlActivity(lines) {
+    const steps = [];
+    const connections = [];
+    let counter = 0;
+
+    const addStep = (label, type) => {
+      const id = `s${++counter}`;
+      steps.push({ id, label, type });
+      return id;
+    };
+
+    // Ends that the next step should connect from, with optional labels
+    let tails = [];
+    const link = id => {
+      tails.forEach(tail => {
+        const connection = { from: tail.id, to: id };
+        if (tail.label) connection.label = tail.label;
+        connections.push(connection);
+      });
+      tails = [{ id }];
+    };
+
+    const blocks = [];
+    // The innermost open block, which the statement must belong to
+    const innermost = (kind, line) => {
+      const block = blocks[blocks.length - 1];
+      if (!block || block.kind !== kind) {
+        throw new Error(`Unmatched PlantUML statement: ${line} (${block ? `the open block is ${block.kind}, not ${kind}` : `no ${kind} is open`})`);
+      }
+      return block;
+    };
+    const close = (kind, line) => {
+      innermost(kind, line);
+      return blocks.pop();
+    };
+
+    // Multi-line actions are joined until the closing semicolon
+    const statements = [];
+    let pending = null;
+    lines.forEach(line => {
+      if (pending !== null) {
+        pending += '\n' + line;
+        if (line.endsWith(';')) {
+          statements.push(pending);
+          pending = null;
+        }
+      } else if (/^(?:backward\s*|repeat\s*)?:/.test(line) && !line.endsWith(';')) {
+        pending = line;
+      } else {
+        statements.push(line);
+      }
+    });
+
+    statements.forEach(line => {
+      let match;
+      if (line === 'start') {
+        link(addStep('Start', 'terminator'));
+      } else if (line === 'stop' || line === 'end') {
+        link(addStep(line === 'stop' ? 'Stop' : 'End', 'terminator'));
+        tails = [];
+      } else if ((match = line.match(/^:([\s\S]*);$/))) {
+        link(addStep(match[1].trim(), 'process'));
+      } else if ((match = line.match(/^if\s*\((.*?)\)\s*(?:then\s*(?:\((.*)\))?)?$/))) {
+        const decision = addStep(match[1].trim(), 'decision');
+        link(decision);
+        blocks.push({ kind: 'if', decision, ends: [], hasElse: false });
+        tails = [{ id: decision, label: match[2] }];
+      } else if ((match = line.match(/^(?:elseif|else\s*if)\s*\((.*?)\)\s*(?:then\s*(?:\((.*)\))?)?$/))) {
+        const block = innermost('if', line);
+        block.ends.push(...tails);
+        const decision = addStep(match[1].trim(), 'decision');
+        tails = [{ id: block.decision, label: block.elseLabel }];
+        link(decision);
+        block.decision = decision;
+        tails = [{ id: decision, label: match[2] }];
+      } else if ((match = line.match(/^else\s*(?:\((.*)\))?$/))) {
+        const block = innermost('if', line);
+        block.ends.push(...tails);
+        block.hasElse = true;
+        tails = [{ id: block.decision, label: match[1] }];
+      } else if (/^end\s*if$|^endif$/.test(line)) {
+        const block = close('if', line);
+        const open = block.hasElse ? [] : [{ id: block.decision, label: undefined }];
+        tails = [...block.ends, ...tails, ...open];
+      } else if ((match = line.match(/^while\s*\((.*?)\)\s*(?:is\s*\((.*)\))?$/))) {
+        const decision = addStep(match[1].trim(), 'decision');
+        link(decision);
+        blocks.push({ kind: 'while', decision });
+        tails = [{ id: decision, label: match[2] }];
+      } else if ((match = line.match(/^end\s*while\s*(?:\((.*)\))?$/))) {
+        const block = close('while', line);
+        link(block.decision);
+        tails = [{ id: block.decision, label: match[1] }];
+      } else if ((match = line.match(/^switch\s*\((.*)\)$/))) {
+        const decision = addStep(match[1].trim(), 'decision');
+        link(decision);
+        blocks.push({ kind: 'switch', decision, ends: [], open: false });
+        tails = [];
+      } else if ((match = line.match(/^case\s*\((.*)\)$/))) {
+        const block = innermost('switch', line);
+        if (block.open) block.ends.push(...tails);
+        block.open = true;
+        tails = [{ id: block.decision, label: match[1].trim() || undefined }];
+      } else if (/^end\s*switch$/.test(line)) {
+        const block = close('switch', line);
+        tails = [...block.ends, ...tails];
+      } else if ((match = line.match(/^repeat\s*(?::([\s\S]*);)?$/))) {
+        // The loop goes back to the first step inside it
+        blocks.push({ kind: 'repeat', first: steps.length, backward: null });
+        if (match[1] !== undefined) link(addStep(match[1].trim(), 'process'));
+      } else if ((match = line.match(/^backward\s*:([\s\S]*);$/))) {
+        innermost('repeat', line).backward = match[1].trim();
+      } else if ((match = line.match(/^repeat\s*while\s*\((.*?)\)\s*(?:is\s*\((.*?)\))?\s*(?:not\s*\((.*)\))?$/))) {
+        const block = close('repeat', line);
+        const decision = addStep(match[1].trim(), 'decision');
+        link(decision);
+        const first = steps[block.first] ? steps[block.first].id : decision;
+        let again = { id: decision, label: match[2] };
+        if (block.backward !== null) {
+          const backward = addStep(block.backward, 'process');
+          connections.push({ from: decision, to: backward, ...(match[2] ? { label: match[2] } : {}) });
+          again = { id: backward };
+        }
+        connections.push({ from: again.id, to: first, ...(again.label ? { label: again.label } : {}) });
+        tails = [{ id: decision, label: match[3] }];
+      } else if (line === 'fork' || line === 'split') {
+        blocks.push({ kind: 'fork', origin: tails, ends: [] });
+        tails = tails.map(tail => ({ ...tail }));
+      } else if (line === 'fork again' || line === 'split again') {
+        const block = innermost('fork', line);
+        block.ends.push(...tails);
+        tails = block.origin.map(tail => ({ ...tail }));
+      } else if (/^end\s*(fork|merge|split)\b/.test(line)) {
+        const block = close('fork', line);
+        tails = [...block.ends, ...tails];
+      } else if (line === 'detach' || line === 'kill') {
+        tails = [];
+      } else if ((match = line.match(/^->\s*(.*?);?$/))) {
+        tails = tails.map(tail => ({ ...tail, label: match[1].trim() || tail.label }));
+      }
+      // Swimlanes, notes and partitions are ignored
+    });
+    if (blocks.length > 0) {
+      throw new Error(`Unclosed PlantUML ${blocks[blocks.length - 1].kind} block`);
+    }
+
+    return { steps, connections };
+  }
+}
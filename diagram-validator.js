@@ -0,0 +1,1055 @@
+/**
+ * Diagram Validator
+ * Checks diagram input before anything is generated: the structure each diagram
+ * type expects, references between ids, and names such as shape types and icons.
+ * Problems are reported as { path, message, suggestion } errors, which stop
+ * generation, and warnings, which do not.
+ */
+
+import { DrawioGenerator, parseCardinality, CLASS_RELATIONSHIPS, STATE_TYPES, C4_SHAPES, C4_LEVELS, BPMN_EVENTS, BPMN_TYPES, BPMN_TRIGGERS, BPMN_TASK_TYPES } from './drawio-generator.js';
+import { LayoutEngine, resolveLayoutOptions } from './layout-engine.js';
+import { resolveIcon, resolveGroup, editDistance } from './architecture-icons.js';
+import { parseOutline } from './outline-parser.js';
+
+export const DIAGRAM_TYPES = ['flowchart', 'sequence', 'network', 'architecture', 'erd', 'class', 'statemachine', 'c4', 'bpmn', 'mindmap', 'orgchart', 'custom'];
+
+// Properties each diagram type reads from data, and from each kind of item
+const DATA_KEYS = {
+  flowchart: ['steps', 'connections', 'lanes'],
+  sequence: ['participants', 'interactions'],
+  network: ['nodes', 'connections', 'groups'],
+  architecture: ['nodes', 'groups', 'connections'],
+  erd: ['entities', 'relationships'],
+  class: ['classes', 'relationships'],
+  statemachine: ['states', 'transitions', 'initial'],
+  c4: ['people', 'systems', 'containers', 'components', 'relationships', 'view', 'legend'],
+  bpmn: ['elements', 'flows', 'pools'],
+  mindmap: ['label', 'color', 'link', 'children', 'outline'],
+  orgchart: ['label', 'title', 'color', 'link', 'children', 'outline'],
+  custom: ['shapes', 'connectors'],
+};
+
+const FONT_KEYS = ['fontColor', 'fontSize', 'fontFamily', 'bold', 'italic', 'underline'];
+
+const ITEM_KEYS = {
+  step: ['id', 'label', 'type', 'connectorLabel', 'lane', 'link', 'width', 'height'],
+  lane: ['id', 'label'],
+  connection: ['from', 'to', 'label'],
+  participant: ['name', 'label', 'type', 'link'],
+  interaction: ['from', 'to', 'message', 'dashed', 'async', 'activate', 'create', 'destroy', 'note', 'over', 'position', 'fragment', 'guard', 'interactions', 'else'],
+  operand: ['guard', 'interactions'],
+  node: ['id', 'label', 'type', 'icon', 'parent', 'x', 'y', 'width', 'height', 'tier', 'link'],
+  group: ['id', 'label', 'type', 'parent', 'x', 'y', 'tier', 'link'],
+  entity: ['id', 'name', 'attributes', 'link'],
+  attribute: ['name', 'type', 'pk', 'fk', 'unique', 'nullable', 'references'],
+  relationship: ['from', 'to', 'label', 'cardinality', 'fromColumn', 'toColumn'],
+  class: ['id', 'name', 'stereotype', 'abstract', 'attributes', 'methods', 'link'],
+  member: ['name', 'type', 'visibility', 'static', 'abstract', 'params', 'returns'],
+  classRelationship: ['from', 'to', 'type', 'label', 'fromMultiplicity', 'toMultiplicity'],
+  state: ['id', 'label', 'type', 'parent', 'initial', 'entry', 'exit', 'do', 'deep', 'link'],
+  transition: ['from', 'to', 'event', 'guard', 'action', 'label'],
+  person: ['id', 'name', 'description', 'external', 'link'],
+  system: ['id', 'name', 'description', 'external', 'link'],
+  container: ['id', 'name', 'system', 'technology', 'description', 'shape', 'external', 'link'],
+  component: ['id', 'name', 'container', 'technology', 'description', 'shape', 'external', 'link'],
+  c4Relationship: ['from', 'to', 'description', 'technology'],
+  view: ['level', 'of'],
+  element: ['id', 'label', 'type', 'trigger', 'throwing', 'taskType', 'pool', 'lane', 'attachedTo', 'interrupting', 'link'],
+  flow: ['from', 'to', 'label', 'type', 'default'],
+  pool: ['id', 'label', 'lanes', 'link'],
+  topic: ['label', 'color', 'link', 'children'],
+  orgNode: ['label', 'title', 'color', 'link', 'children'],
+  shape: ['id', 'label', 'type', 'parent', 'link', 'x', 'y', 'width', 'height', 'fillColor', 'strokeColor', 'style', ...FONT_KEYS],
+  connector: ['from', 'to', 'label', 'startArrow', 'endArrow', 'dashed', 'dashPattern', 'strokeColor', 'strokeWidth', 'waypoints', 'style', ...FONT_KEYS],
+  layout: ['algorithm', 'direction', 'nodeSpacing', 'rankSpacing', 'columns', 'origin', 'iterations', 'idealEdgeLength', 'tiers', 'compact'],
+};
+
+const PARTICIPANT_TYPES = ['participant', 'actor', 'boundary', 'control', 'entity', 'database'];
+const FRAGMENTS = ['alt', 'opt', 'loop', 'par', 'break', 'critical', 'neg', 'ref'];
+const NOTE_POSITIONS = ['over', 'left', 'right'];
+const TIERS = ['edge', 'app', 'data'];
+const VISIBILITIES = ['public', 'private', 'protected', 'package'];
+const FLOW_TYPES = ['sequence', 'message'];
+
+/**
+ * "Did you mean ...?" for the candidate closest to a misspelled value, if any is close
+ */
+export function suggest(value, candidates) {
+  const text = String(value).toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach(candidate => {
+    const distance = editDistance(text, String(candidate).toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  // Short names need most of their characters right to count as close
+  const limit = Math.min(Math.max(2, Math.floor(text.length / 3)), text.length - 1);
+  return best !== null && bestDistance <= limit ? `Did you mean "${best}"?` : undefined;
+}
+
+/**
+ * One line per issue, for tool results
+ */
+export function formatIssues(issues) {
+  return issues.map(issue => `- ${issue.path}: ${issue.message}${issue.suggestion ? `. ${issue.suggestion}` : ''}`).join('\n');
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const describe = value => (Array.isArray(value) ? 'an array' : value === null || value === undefined ? 'nothing' : `a ${typeof value}`);
+
+class Report {
+  constructor() {
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  error(path, message, suggestion) {
+    this.errors.push(suggestion ? { path, message, suggestion } : { path, message });
+  }
+
+  warning(path, message, suggestion) {
+    this.warnings.push(suggestion ? { path, message, suggestion } : { path, message });
+  }
+
+  toJSON() {
+    return { valid: this.errors.length === 0, errors: this.errors, warnings: this.warnings };
+  }
+}
+
+export class DiagramValidator {
+  constructor() {
+    this.shapeTypes = Object.keys(new DrawioGenerator().shapes);
+    this.algorithms = new LayoutEngine().getAlgorithms();
+  }
+
+  /**
+   * Validates one diagram. existingIds are cell ids that connectors may also
+   * reference, for shapes added to an existing file.
+   */
+  validate(type, data, layout, { path = 'data', layoutPath = 'layout', existingIds = [] } = {}) {
+    const report = new Report();
+    this.checkDiagram(report, type, data, layout, { path, layoutPath, existingIds });
+    return report.toJSON();
+  }
+
+  /**
+   * Validates the pages of a multi-page file, each against its own type
+   */
+  validatePages(pages, layout) {
+    const report = new Report();
+    if (!Array.isArray(pages)) {
+      report.error('pages', `Expected an array of pages, got ${describe(pages)}`);
+      return report.toJSON();
+    }
+    const names = new Set();
+    pages.forEach((page, index) => {
+      const path = `pages[${index}]`;
+      if (!isObject(page)) {
+        report.error(path, `Expected a page object, got ${describe(page)}`);
+        return;
+      }
+      // C4 models without a view become a page per level, named after the level
+      if (!(page.type === 'c4' && isObject(page.data) && page.data.view === undefined)) {
+        if (!page.name) {
+          report.error(`${path}.name`, 'Page has no name');
+        } else if (names.has(page.name)) {
+          report.error(`${path}.name`, `Duplicate page name "${page.name}"`);
+        }
+        names.add(page.name);
+      }
+      this.checkDiagram(report, page.type, page.data, page.layout || layout, {
+        path: `${path}.data`,
+        layoutPath: page.layout ? `${path}.layout` : 'layout',
+        typePath: `${path}.type`,
+        existingIds: [],
+      });
+    });
+    return report.toJSON();
+  }
+
+  checkDiagram(report, type, data, layout, { path, layoutPath, typePath = 'type', existingIds }) {
+    if (!DIAGRAM_TYPES.includes(type)) {
+      report.error(typePath, type ? `Unknown diagram type "${type}"` : 'Diagram type is required', type ? suggest(type, DIAGRAM_TYPES) : `Use one of ${DIAGRAM_TYPES.join(', ')}`);
+      return;
+    }
+    if (!isObject(data)) {
+      report.error(path, `Expected an object with ${DATA_KEYS[type].join(', ')}, got ${describe(data)}`);
+      return;
+    }
+    this.checkKeys(report, data, DATA_KEYS[type], path, `${type} diagrams`);
+
+    const checks = {
+      flowchart: () => this.checkFlowchart(report, data, path, layout, layoutPath),
+      sequence: () => this.checkSequence(report, data, path),
+      network: () => this.checkNodes(report, data, path, false),
+      architecture: () => this.checkNodes(report, data, path, true),
+      erd: () => this.checkErd(report, data, path),
+      class: () => this.checkClass(report, data, path),
+      statemachine: () => this.checkStateMachine(report, data, path),
+      c4: () => this.checkC4(report, data, path),
+      bpmn: () => this.checkBpmn(report, data, path, layout, layoutPath),
+      mindmap: () => this.checkTree(report, data, path, 'topic'),
+      orgchart: () => this.checkTree(report, data, path, 'orgNode'),
+      custom: () => this.checkCustom(report, data, path, existingIds),
+    };
+    checks[type]();
+    this.checkLayout(report, type, layout, layoutPath);
+  }
+
+  /**
+   * Warns about properties nothing reads, which are usually misspelled
+   */
+  checkKeys(report, item, allowed, path, owner) {
+    Object.keys(item).forEach(key => {
+      if (!allowed.includes(key)) {
+        report.warning(`${path}.${key}`, `Unknown property "${key}" is ignored for ${owner}`, suggest(key, allowed));
+      }
+    });
+  }
+
+  /**
+   * Returns the array at data[key], reporting it when missing or not an array
+   */
+  list(report, data, key, path, required = false) {
+    const value = data[key];
+    if (value === undefined || value === null) {
+      if (required) report.error(`${path}.${key}`, `Missing required array "${key}"`);
+      return [];
+    }
+    if (!Array.isArray(value)) {
+      report.error(`${path}.${key}`, `Expected an array, got ${describe(value)}`);
+      return [];
+    }
+    return value;
+  }
+
+  /**
+   * Reports a reference to an id that does not exist. Labels used in place of
+   * ids are pointed at the right id.
+   */
+  checkReference(report, value, ids, path, kind, labels = new Map()) {
+    if (value === undefined || value === null || value === '') {
+      report.error(path, `Missing ${kind} id`);
+      return false;
+    }
+    if (ids.has(String(value))) return true;
+    const byLabel = labels.get(String(value).toLowerCase());
+    const suggestion = byLabel ? `Use the id "${byLabel}" instead of the label` : suggest(value, [...ids]);
+    report.error(path, `Unknown ${kind} "${value}"`, suggestion);
+    return false;
+  }
+
+  checkShapeType(report, type, path) {
+    if (type !== undefined && !this.shapeTypes.includes(type)) {
+      report.error(path, `Unknown shape type "${type}"`, suggest(type, this.shapeTypes) || `Use one of ${this.shapeTypes.join(', ')}`);
+    }
+  }
+
+  checkEnum(report, value, values, path, kind) {
+    if (value !== undefined && !values.includes(value)) {
+      report.error(path, `Unknown ${kind} "${value}"`, suggest(value, values) || `Use one of ${values.join(', ')}`);
+    }
+  }
+
+  /**
+   * Connections between items, with a warning for items left unconnected
+   */
+  checkConnections(report, connections, ids, path, labels) {
+    const connected = new Set();
+    connections.forEach((conn, index) => {
+      const connPath = `${path}[${index}]`;
+      if (!isObject(conn)) {
+        report.error(connPath, `Expected a connection object, got ${describe(conn)}`);
+        return;
+      }
+      this.checkKeys(report, conn, ITEM_KEYS.connection, connPath, 'connections');
+      ['from', 'to'].forEach(end => {
+        if (this.checkReference(report, conn[end], ids, `${connPath}.${end}`, 'node', labels)) connected.add(String(conn[end]));
+      });
+    });
+    return connected;
+  }
+
+  checkFlowchart(report, data, path, layout, layoutPath) {
+    const steps = this.list(report, data, 'steps', path, true);
+    if (Array.isArray(data.steps) && steps.length === 0) {
+      report.warning(`${path}.steps`, 'Flowchart has no steps');
+    }
+
+    const ids = new Set();
+    const labels = new Map();
+    steps.forEach((step, index) => {
+      const stepPath = `${path}.steps[${index}]`;
+      if (!isObject(step)) {
+        report.error(stepPath, `Expected a step object, got ${describe(step)}`);
+        return;
+      }
+      const id = String(step.id || index + 1);
+      if (ids.has(id)) report.error(`${stepPath}.id`, `Duplicate step id "${id}"`);
+      ids.add(id);
+      if (step.label) labels.set(String(step.label).toLowerCase(), id);
+      else report.warning(`${stepPath}.label`, 'Step has no label');
+      this.checkShapeType(report, step.type, `${stepPath}.type`);
+      this.checkKeys(report, step, ITEM_KEYS.step, stepPath, 'steps');
+    });
+
+    // Lanes: listed up front or named by steps, and then every step needs one
+    const lanes = this.list(report, data, 'lanes', path);
+    const laneIds = new Set();
+    lanes.forEach((lane, index) => {
+      const lanePath = `${path}.lanes[${index}]`;
+      const id = typeof lane === 'string' ? lane : isObject(lane) ? lane.id : undefined;
+      if (!id) {
+        report.error(lanePath, 'Lane needs an id');
+        return;
+      }
+      if (laneIds.has(id)) report.error(lanePath, `Duplicate lane "${id}"`);
+      laneIds.add(id);
+      if (isObject(lane)) this.checkKeys(report, lane, ITEM_KEYS.lane, lanePath, 'lanes');
+    });
+    const objects = steps.filter(isObject);
+    if (laneIds.size > 0 || objects.some(step => step.lane)) {
+      steps.forEach((step, index) => {
+        if (!isObject(step)) return;
+        const lanePath = `${path}.steps[${index}].lane`;
+        if (!step.lane) {
+          report.error(lanePath, 'Step has no lane, but other steps do', 'Give every step a lane, or none');
+        } else if (laneIds.size > 0 && !laneIds.has(step.lane)) {
+          report.error(lanePath, `Unknown lane "${step.lane}"`, suggest(step.lane, [...laneIds]) || `Add it to lanes (${[...laneIds].join(', ')})`);
+        }
+      });
+      const algorithm = typeof layout === 'string' ? layout : layout && layout.algorithm;
+      if (algorithm && algorithm !== 'layered') {
+        report.error(layoutPath, `Swimlanes need the layered layout, not ${algorithm}`);
+      }
+    }
+
+    const connections = this.list(report, data, 'connections', path);
+    if (connections.length > 0) {
+      const connected = this.checkConnections(report, connections, ids, `${path}.connections`, labels);
+      if (ids.size > 1) {
+        steps.forEach((step, index) => {
+          const id = isObject(step) ? String(step.id || index + 1) : null;
+          if (id && !connected.has(id)) {
+            report.warning(`${path}.steps[${index}]`, `Step "${id}" is not connected to any other step`);
+          }
+        });
+      }
+    }
+  }
+
+  checkSequence(report, data, path) {
+    const participants = this.list(report, data, 'participants', path, true);
+    const names = new Set();
+    participants.forEach((participant, index) => {
+      const participantPath = `${path}.participants[${index}]`;
+      if (typeof participant === 'string') {
+        if (names.has(participant)) report.error(participantPath, `Duplicate participant "${participant}"`);
+        names.add(participant);
+        return;
+      }
+      if (!isObject(participant) || !participant.name) {
+        report.error(participantPath, 'Participant needs a name', 'Use a string, or an object with name');
+        return;
+      }
+      if (names.has(participant.name)) report.error(`${participantPath}.name`, `Duplicate participant "${participant.name}"`);
+      names.add(participant.name);
+      this.checkEnum(report, participant.type, PARTICIPANT_TYPES, `${participantPath}.type`, 'participant type');
+      this.checkKeys(report, participant, ITEM_KEYS.participant, participantPath, 'participants');
+    });
+
+    const used = new Set();
+    const reference = (name, refPath) => {
+      if (this.checkReference(report, name, names, refPath, 'participant')) used.add(name);
+    };
+    const walk = (items, itemsPath) => {
+      items.forEach((item, index) => {
+        const itemPath = `${itemsPath}[${index}]`;
+        if (!isObject(item)) {
+          report.error(itemPath, `Expected an interaction object, got ${describe(item)}`);
+          return;
+        }
+        this.checkKeys(report, item, ITEM_KEYS.interaction, itemPath, 'interactions');
+        if (item.fragment !== undefined) {
+          this.checkEnum(report, item.fragment, FRAGMENTS, `${itemPath}.fragment`, 'fragment');
+          walk(this.list(report, item, 'interactions', itemPath), `${itemPath}.interactions`);
+          this.list(report, item, 'else', itemPath).forEach((operand, operandIndex) => {
+            const operandPath = `${itemPath}.else[${operandIndex}]`;
+            if (!isObject(operand)) {
+              report.error(operandPath, `Expected an operand with guard and interactions, got ${describe(operand)}`);
+              return;
+            }
+            this.checkKeys(report, operand, ITEM_KEYS.operand, operandPath, 'fragment operands');
+            walk(this.list(report, operand, 'interactions', operandPath), `${operandPath}.interactions`);
+          });
+        } else if (item.note !== undefined) {
+          if (item.over === undefined) {
+            report.error(`${itemPath}.over`, 'Note needs the participant(s) it is attached to');
+          } else {
+            (Array.isArray(item.over) ? item.over : [item.over]).forEach((name, overIndex) => {
+              reference(name, Array.isArray(item.over) ? `${itemPath}.over[${overIndex}]` : `${itemPath}.over`);
+            });
+          }
+          this.checkEnum(report, item.position, NOTE_POSITIONS, `${itemPath}.position`, 'note position');
+        } else if (item.from !== undefined || item.to !== undefined) {
+          reference(item.from, `${itemPath}.from`);
+          reference(item.to, `${itemPath}.to`);
+        } else if (typeof item.destroy === 'string') {
+          reference(item.destroy, `${itemPath}.destroy`);
+        } else {
+          report.error(itemPath, 'Interaction is not a message, note or fragment', 'Give it from and to, note and over, or fragment');
+        }
+      });
+    };
+    walk(this.list(report, data, 'interactions', path), `${path}.interactions`);
+
+    participants.forEach((participant, index) => {
+      const name = typeof participant === 'string' ? participant : isObject(participant) && participant.name;
+      if (name && !used.has(name)) {
+        report.warning(`${path}.participants[${index}]`, `Participant "${name}" has no messages or notes`);
+      }
+    });
+  }
+
+  /**
+   * Network and architecture diagrams: nodes nested in groups, joined by connections
+   */
+  checkNodes(report, data, path, architecture) {
+    const nodes = this.list(report, data, 'nodes', path, true);
+    const groups = this.list(report, data, 'groups', path);
+    const ids = new Set();
+    const labels = new Map();
+    const groupParents = new Map();
+
+    const checkItem = (item, itemPath, kind) => {
+      if (!isObject(item)) {
+        report.error(itemPath, `Expected a ${kind} object, got ${describe(item)}`);
+        return false;
+      }
+      if (item.id === undefined || item.id === '') {
+        report.error(`${itemPath}.id`, `${kind === 'node' ? 'Node' : 'Group'} needs an id`);
+        return false;
+      }
+      const id = String(item.id);
+      if (ids.has(id)) report.error(`${itemPath}.id`, `Duplicate id "${id}"`);
+      ids.add(id);
+      if (item.label) labels.set(String(item.label).toLowerCase(), id);
+      if (!architecture && (item.x === undefined) !== (item.y === undefined)) {
+        report.warning(itemPath, `Only one of x and y is set, so the ${kind} is placed automatically`);
+      }
+      this.checkEnum(report, item.tier, TIERS, `${itemPath}.tier`, 'tier');
+      this.checkKeys(report, item, ITEM_KEYS[kind], itemPath, `${kind}s`);
+      return true;
+    };
+
+    groups.forEach((group, index) => {
+      const groupPath = `${path}.groups[${index}]`;
+      if (!checkItem(group, groupPath, 'group')) return;
+      groupParents.set(String(group.id), { parent: group.parent, path: groupPath });
+      if (architecture) this.checkResolved(report, () => resolveGroup(group.type), `${groupPath}.type`);
+    });
+    nodes.forEach((node, index) => {
+      const nodePath = `${path}.nodes[${index}]`;
+      if (!checkItem(node, nodePath, 'node')) return;
+      const reference = node.icon || node.type;
+      if (architecture && reference && String(reference).includes(':')) {
+        this.checkResolved(report, () => resolveIcon(reference), `${nodePath}.${node.icon ? 'icon' : 'type'}`);
+      } else {
+        this.checkShapeType(report, node.type, `${nodePath}.type`);
+      }
+    });
+
+    // Parents must be groups, and groups cannot contain themselves
+    const groupIds = new Set(groupParents.keys());
+    [['nodes', nodes], ['groups', groups]].forEach(([key, items]) => {
+      items.forEach((item, index) => {
+        if (isObject(item) && item.parent !== undefined && item.parent !== null) {
+          this.checkReference(report, item.parent, groupIds, `${path}.${key}[${index}].parent`, 'group');
+        }
+      });
+    });
+    groupParents.forEach(({ path: groupPath }, id) => {
+      const seen = new Set([id]);
+      let parent = groupParents.get(id).parent;
+      while (parent !== undefined && parent !== null && groupParents.has(String(parent))) {
+        if (seen.has(String(parent))) {
+          report.error(`${groupPath}.parent`, `Group "${id}" is nested inside itself`);
+          return;
+        }
+        seen.add(String(parent));
+        parent = groupParents.get(String(parent)).parent;
+      }
+    });
+
+    this.checkConnections(report, this.list(report, data, 'connections', path), ids, `${path}.connections`, labels);
+  }
+
+  /**
+   * Runs a catalog lookup such as resolveIcon and reports what it throws
+   */
+  checkResolved(report, resolve, path) {
+    try {
+      resolve();
+    } catch (error) {
+      const [message, hint] = error.message.split(/\s+(?=Did you mean)/);
+      report.error(path, message.replace(/\.$/, ''), hint);
+    }
+  }
+
+  checkErd(report, data, path) {
+    const entities = this.list(report, data, 'entities', path, true);
+    const tables = new Map();
+    const names = new Map();
+    entities.forEach((entity, index) => {
+      const entityPath = `${path}.entities[${index}]`;
+      if (!isObject(entity)) {
+        report.error(entityPath, `Expected an entity object, got ${describe(entity)}`);
+        return;
+      }
+      if (!entity.name) {
+        report.error(`${entityPath}.name`, 'Entity has no name');
+        return;
+      }
+      const key = String(entity.id || entity.name);
+      if (tables.has(key)) report.error(entityPath, `Duplicate entity "${key}"`);
+      this.checkKeys(report, entity, ITEM_KEYS.entity, entityPath, 'entities');
+
+      const columns = new Set();
+      const references = [];
+      const attributes = entity.attributes === undefined ? [] : this.list(report, entity, 'attributes', entityPath);
+      if (attributes.length === 0 && (entity.attributes === undefined || Array.isArray(entity.attributes))) {
+        report.warning(`${entityPath}.attributes`, `Entity "${entity.name}" has no attributes`);
+      }
+      attributes.forEach((attribute, attrIndex) => {
+        const attrPath = `${entityPath}.attributes[${attrIndex}]`;
+        let name;
+        if (typeof attribute === 'string') {
+          name = attribute.trim().split(/[\s:]/)[0];
+        } else if (isObject(attribute) && attribute.name) {
+          name = String(attribute.name);
+          this.checkKeys(report, attribute, ITEM_KEYS.attribute, attrPath, 'attributes');
+          if (attribute.references) references.push({ value: String(attribute.references), path: `${attrPath}.references` });
+        }
+        if (!name) {
+          report.error(attrPath, 'Attribute has no name', 'Use "name: type FLAGS", or an object with name');
+          return;
+        }
+        if (columns.has(name)) report.error(attrPath, `Duplicate column "${name}" in entity "${entity.name}"`);
+        columns.add(name);
+      });
+      tables.set(key, { entity, columns, references });
+      names.set(String(entity.name).toLowerCase(), key);
+    });
+
+    // References name a table by id or name, and optionally a column
+    const tableIds = new Set(tables.keys());
+    tables.forEach(({ references }) => {
+      references.forEach(({ value, path: refPath }) => {
+        const [table, column] = value.split('.');
+        const target = tables.get(table) || tables.get(names.get(table.toLowerCase()));
+        if (!target) {
+          report.warning(refPath, `References unknown table "${table}"`, suggest(table, [...tableIds]));
+        } else if (column && !target.columns.has(column)) {
+          report.warning(refPath, `References unknown column "${column}" of "${table}"`, suggest(column, [...target.columns]));
+        }
+      });
+    });
+
+    this.list(report, data, 'relationships', path).forEach((rel, index) => {
+      const relPath = `${path}.relationships[${index}]`;
+      if (!isObject(rel)) {
+        report.error(relPath, `Expected a relationship object, got ${describe(rel)}`);
+        return;
+      }
+      this.checkKeys(report, rel, ITEM_KEYS.relationship, relPath, 'relationships');
+      const fromOk = this.checkReference(report, rel.from, tableIds, `${relPath}.from`, 'entity', names);
+      const toOk = this.checkReference(report, rel.to, tableIds, `${relPath}.to`, 'entity', names);
+      this.checkResolved(report, () => parseCardinality(rel), `${relPath}.cardinality`);
+      [['fromColumn', fromOk && tables.get(String(rel.from))], ['toColumn', toOk && tables.get(String(rel.to))]].forEach(([key, table]) => {
+        if (rel[key] && table && !table.columns.has(rel[key])) {
+          report.error(`${relPath}.${key}`, `Unknown column "${rel[key]}" in entity "${table.entity.name}"`, suggest(rel[key], [...table.columns]));
+        }
+      });
+    });
+  }
+
+  checkClass(report, data, path) {
+    const classes = this.list(report, data, 'classes', path, true);
+    const ids = new Set();
+    const names = new Map();
+    classes.forEach((cls, index) => {
+      const classPath = `${path}.classes[${index}]`;
+      if (!isObject(cls)) {
+        report.error(classPath, `Expected a class object, got ${describe(cls)}`);
+        return;
+      }
+      if (!cls.name) {
+        report.error(`${classPath}.name`, 'Class has no name');
+        return;
+      }
+      const key = String(cls.id || cls.name);
+      if (ids.has(key)) report.error(classPath, `Duplicate class "${key}"`);
+      ids.add(key);
+      names.set(String(cls.name).toLowerCase(), key);
+      this.checkKeys(report, cls, ITEM_KEYS.class, classPath, 'classes');
+
+      ['attributes', 'methods'].forEach(kind => {
+        this.list(report, cls, kind, classPath).forEach((member, memberIndex) => {
+          const memberPath = `${classPath}.${kind}[${memberIndex}]`;
+          if (typeof member === 'string') return;
+          if (!isObject(member)) {
+            report.error(memberPath, `Expected a string or an object, got ${describe(member)}`, 'Use "+ name: Type", or an object with name, type and visibility');
+            return;
+          }
+          if (!member.name) {
+            report.error(`${memberPath}.name`, 'Member has no name');
+            return;
+          }
+          this.checkKeys(report, member, ITEM_KEYS.member, memberPath, kind);
+          this.checkEnum(report, member.visibility, VISIBILITIES, `${memberPath}.visibility`, 'visibility');
+          if (member.params !== undefined && !Array.isArray(member.params)) {
+            report.error(`${memberPath}.params`, `Expected an array, got ${describe(member.params)}`);
+          }
+        });
+      });
+    });
+
+    const types = Object.keys(CLASS_RELATIONSHIPS);
+    this.list(report, data, 'relationships', path).forEach((rel, index) => {
+      const relPath = `${path}.relationships[${index}]`;
+      if (!isObject(rel)) {
+        report.error(relPath, `Expected a relationship object, got ${describe(rel)}`);
+        return;
+      }
+      this.checkKeys(report, rel, ITEM_KEYS.classRelationship, relPath, 'relationships');
+      this.checkReference(report, rel.from, ids, `${relPath}.from`, 'class', names);
+      this.checkReference(report, rel.to, ids, `${relPath}.to`, 'class', names);
+      this.checkEnum(report, rel.type, types, `${relPath}.type`, 'relationship type');
+    });
+  }
+
+  checkStateMachine(report, data, path) {
+    const states = this.list(report, data, 'states', path, true);
+    const ids = new Set();
+    const labels = new Map();
+    const byId = new Map();
+    states.forEach((state, index) => {
+      const statePath = `${path}.states[${index}]`;
+      if (!isObject(state)) {
+        report.error(statePath, `Expected a state object, got ${describe(state)}`);
+        return;
+      }
+      if (state.id === undefined || state.id === '') {
+        report.error(`${statePath}.id`, 'State needs an id');
+        return;
+      }
+      const id = String(state.id);
+      if (ids.has(id)) report.error(`${statePath}.id`, `Duplicate id "${id}"`);
+      ids.add(id);
+      byId.set(id, { state, path: statePath });
+      if (state.label) labels.set(String(state.label).toLowerCase(), id);
+      this.checkKeys(report, state, ITEM_KEYS.state, statePath, 'states');
+      this.checkEnum(report, state.type, STATE_TYPES, `${statePath}.type`, 'state type');
+    });
+
+    // Parents must be states, without cycles, and pseudo-states hold nothing
+    const children = new Map();
+    byId.forEach(({ state, path: statePath }, id) => {
+      if (state.parent === undefined || state.parent === null) return;
+      if (!this.checkReference(report, state.parent, ids, `${statePath}.parent`, 'state', labels)) return;
+      const parent = byId.get(String(state.parent)).state;
+      if (['initial', 'final', 'choice', 'history'].includes(parent.type)) {
+        report.error(`${statePath}.parent`, `A ${parent.type} pseudo-state cannot contain states`);
+      }
+      if (!children.has(String(state.parent))) children.set(String(state.parent), new Set());
+      children.get(String(state.parent)).add(id);
+
+      const seen = new Set([id]);
+      let current = state.parent;
+      while (current !== undefined && current !== null && byId.has(String(current))) {
+        if (seen.has(String(current))) {
+          report.error(`${statePath}.parent`, `State "${id}" is nested inside itself`);
+          return;
+        }
+        seen.add(String(current));
+        current = byId.get(String(current)).state.parent;
+      }
+    });
+
+    // An initial state names a direct child: of the machine, or of the composite state
+    const topLevel = new Set([...byId].filter(([, { state }]) => state.parent === undefined || state.parent === null).map(([id]) => id));
+    if (data.initial !== undefined && data.initial !== null) {
+      this.checkReference(report, data.initial, topLevel, `${path}.initial`, 'top-level state', labels);
+    }
+    byId.forEach(({ state, path: statePath }, id) => {
+      if (state.initial === undefined || state.initial === null) return;
+      if (state.type === 'parallel') {
+        report.warning(`${statePath}.initial`, 'Parallel states enter all their regions at once, so initial is ignored');
+        return;
+      }
+      const childIds = children.get(id) || new Set();
+      if (!childIds.has(String(state.initial))) {
+        report.error(`${statePath}.initial`, `"${state.initial}" is not a child state of "${id}"`, suggest(state.initial, [...childIds]) || (childIds.size === 0 ? 'Nest states in it with parent' : `Use one of ${[...childIds].join(', ')}`));
+      }
+    });
+
+    this.list(report, data, 'transitions', path).forEach((transition, index) => {
+      const transitionPath = `${path}.transitions[${index}]`;
+      if (!isObject(transition)) {
+        report.error(transitionPath, `Expected a transition object, got ${describe(transition)}`);
+        return;
+      }
+      this.checkKeys(report, transition, ITEM_KEYS.transition, transitionPath, 'transitions');
+      if (this.checkReference(report, transition.from, ids, `${transitionPath}.from`, 'state', labels) && byId.get(String(transition.from)).state.type === 'final') {
+        report.warning(`${transitionPath}.from`, `Final state "${transition.from}" has an outgoing transition`);
+      }
+      if (this.checkReference(report, transition.to, ids, `${transitionPath}.to`, 'state', labels) && byId.get(String(transition.to)).state.type === 'initial') {
+        report.error(`${transitionPath}.to`, `Initial pseudo-state "${transition.to}" cannot be the target of a transition`);
+      }
+    });
+  }
+
+  checkC4(report, data, path) {
+    const ids = new Set();
+    const labels = new Map();
+    const byKind = { person: new Set(), system: new Set(), container: new Set(), component: new Set() };
+    const parents = [];
+    [['person', 'people'], ['system', 'systems'], ['container', 'containers'], ['component', 'components']].forEach(([kind, key]) => {
+      this.list(report, data, key, path).forEach((element, index) => {
+        const elementPath = `${path}.${key}[${index}]`;
+        if (!isObject(element)) {
+          report.error(elementPath, `Expected a ${kind} object, got ${describe(element)}`);
+          return;
+        }
+        if (element.id === undefined || element.id === '') {
+          report.error(`${elementPath}.id`, `${kind[0].toUpperCase()}${kind.slice(1)} needs an id`);
+          return;
+        }
+        const id = String(element.id);
+        if (ids.has(id)) report.error(`${elementPath}.id`, `Duplicate id "${id}"`);
+        ids.add(id);
+        byKind[kind].add(id);
+        if (element.name) labels.set(String(element.name).toLowerCase(), id);
+        this.checkKeys(report, element, ITEM_KEYS[kind], elementPath, key);
+        if (kind === 'container' || kind === 'component') {
+          this.checkEnum(report, element.shape, C4_SHAPES, `${elementPath}.shape`, 'shape');
+          parents.push({ element, kind, path: elementPath });
+        }
+      });
+    });
+    if (byKind.person.size === 0 && byKind.system.size === 0) {
+      report.error(path, 'A C4 model needs at least one person or system', 'Add people or systems');
+    }
+
+    // Containers sit in a system and components in a container
+    parents.forEach(({ element, kind, path: elementPath }) => {
+      const key = kind === 'container' ? 'system' : 'container';
+      if (element[key] === undefined || element[key] === null || element[key] === '') {
+        report.error(`${elementPath}.${key}`, `${kind === 'container' ? 'Container' : 'Component'} needs the id of its ${key}`);
+        return;
+      }
+      this.checkReference(report, element[key], byKind[key], `${elementPath}.${key}`, key, labels);
+    });
+
+    this.list(report, data, 'relationships', path).forEach((rel, index) => {
+      const relPath = `${path}.relationships[${index}]`;
+      if (!isObject(rel)) {
+        report.error(relPath, `Expected a relationship object, got ${describe(rel)}`);
+        return;
+      }
+      this.checkKeys(report, rel, ITEM_KEYS.c4Relationship, relPath, 'relationships');
+      this.checkReference(report, rel.from, ids, `${relPath}.from`, 'element', labels);
+      this.checkReference(report, rel.to, ids, `${relPath}.to`, 'element', labels);
+    });
+
+    if (data.view !== undefined) {
+      const viewPath = `${path}.view`;
+      if (!isObject(data.view)) {
+        report.error(viewPath, `Expected an object with level and of, got ${describe(data.view)}`, 'Leave view out to draw every level as its own page');
+        return;
+      }
+      this.checkKeys(report, data.view, ITEM_KEYS.view, viewPath, 'views');
+      if (!C4_LEVELS.includes(data.view.level)) {
+        report.error(`${viewPath}.level`, data.view.level ? `Unknown view level "${data.view.level}"` : 'View level is required', suggest(data.view.level, C4_LEVELS) || `Use one of ${C4_LEVELS.join(', ')}`);
+      } else if (data.view.level !== 'context') {
+        const kind = data.view.level === 'container' ? 'system' : 'container';
+        this.checkReference(report, data.view.of, byKind[kind], `${viewPath}.of`, kind, labels);
+      }
+    }
+  }
+
+  checkBpmn(report, data, path, layout, layoutPath) {
+    // Pools and lanes share one namespace with the elements, as in BPMN files
+    const ids = new Set();
+    const bands = new Map(); // lane or lane-less pool id -> pool id
+    const pooled = new Set(); // pools split into lanes
+    const poolIds = new Set();
+    const addId = (id, itemPath) => {
+      if (ids.has(id)) report.error(itemPath, `Duplicate id "${id}"`);
+      ids.add(id);
+    };
+    this.list(report, data, 'pools', path).forEach((pool, index) => {
+      const poolPath = `${path}.pools[${index}]`;
+      if (!isObject(pool)) {
+        report.error(poolPath, `Expected a pool object, got ${describe(pool)}`);
+        return;
+      }
+      if (pool.id === undefined || pool.id === '') {
+        report.error(`${poolPath}.id`, 'Pool needs an id');
+        return;
+      }
+      const id = String(pool.id);
+      addId(id, `${poolPath}.id`);
+      poolIds.add(id);
+      this.checkKeys(report, pool, ITEM_KEYS.pool, poolPath, 'pools');
+      const lanes = this.list(report, pool, 'lanes', poolPath);
+      if (lanes.length === 0) bands.set(id, id);
+      else pooled.add(id);
+      lanes.forEach((lane, laneIndex) => {
+        const lanePath = `${poolPath}.lanes[${laneIndex}]`;
+        const laneId = typeof lane === 'string' ? lane : isObject(lane) ? lane.id : undefined;
+        if (!laneId) {
+          report.error(lanePath, 'Lane needs an id');
+          return;
+        }
+        addId(String(laneId), lanePath);
+        bands.set(String(laneId), id);
+        if (isObject(lane)) this.checkKeys(report, lane, ITEM_KEYS.lane, lanePath, 'lanes');
+      });
+    });
+    if (bands.size > 0) {
+      const algorithm = typeof layout === 'string' ? layout : layout && layout.algorithm;
+      if (algorithm && algorithm !== 'layered') {
+        report.error(layoutPath, `Pools and lanes need the layered layout, not ${algorithm}`);
+      }
+    }
+
+    const elements = this.list(report, data, 'elements', path, true);
+    const byId = new Map();
+    const labels = new Map();
+    elements.forEach((element, index) => {
+      const elementPath = `${path}.elements[${index}]`;
+      if (!isObject(element)) {
+        report.error(elementPath, `Expected an element object, got ${describe(element)}`);
+        return;
+      }
+      if (element.id === undefined || element.id === '') {
+        report.error(`${elementPath}.id`, 'Element needs an id');
+        return;
+      }
+      const id = String(element.id);
+      addId(id, `${elementPath}.id`);
+      byId.set(id, { element, path: elementPath, pool: null });
+      if (element.label) labels.set(String(element.label).toLowerCase(), id);
+      this.checkKeys(report, element, ITEM_KEYS.element, elementPath, 'elements');
+      if (!BPMN_TYPES.includes(element.type)) {
+        report.error(`${elementPath}.type`, element.type ? `Unknown element type "${element.type}"` : 'Element type is required', suggest(element.type || '', BPMN_TYPES) || `Use one of ${BPMN_TYPES.join(', ')}`);
+      }
+      this.checkEnum(report, element.trigger, BPMN_TRIGGERS, `${elementPath}.trigger`, 'trigger');
+      this.checkEnum(report, element.taskType, BPMN_TASK_TYPES, `${elementPath}.taskType`, 'task type');
+      if (element.trigger !== undefined && !BPMN_EVENTS.includes(element.type)) {
+        report.warning(`${elementPath}.trigger`, 'Only events have a trigger');
+      }
+      if (element.taskType !== undefined && element.type !== 'task') {
+        report.warning(`${elementPath}.taskType`, 'Only tasks have a task type');
+      }
+
+      // Elements go in a lane, or in a pool without lanes
+      if (element.lane !== undefined) {
+        if (!bands.has(String(element.lane)) || !pooled.has(bands.get(String(element.lane)))) {
+          const laneIds = [...bands.keys()].filter(band => pooled.has(bands.get(band)));
+          report.error(`${elementPath}.lane`, `Unknown lane "${element.lane}"`, suggest(element.lane, laneIds) || (laneIds.length > 0 ? `Use one of ${laneIds.join(', ')}` : 'Add lanes to a pool'));
+        } else {
+          byId.get(id).pool = bands.get(String(element.lane));
+        }
+      } else if (element.pool !== undefined) {
+        if (pooled.has(String(element.pool))) {
+          const laneIds = [...bands.keys()].filter(band => bands.get(band) === String(element.pool));
+          report.error(`${elementPath}.pool`, `Pool "${element.pool}" has lanes, so the element needs a lane`, `Use lane with one of ${laneIds.join(', ')}`);
+        } else if (!bands.has(String(element.pool))) {
+          report.error(`${elementPath}.pool`, `Unknown pool "${element.pool}"`, suggest(element.pool, [...bands.keys()]));
+        } else {
+          byId.get(id).pool = String(element.pool);
+        }
+      } else if (bands.size > 0 && element.attachedTo === undefined) {
+        report.warning(elementPath, `Element "${id}" is outside every pool`, 'Give it a pool or a lane');
+      }
+    });
+
+    // Boundary events sit on an activity and share its pool
+    byId.forEach(({ element, path: elementPath }, id) => {
+      if (element.attachedTo === undefined) return;
+      if (!BPMN_EVENTS.includes(element.type)) {
+        report.error(`${elementPath}.attachedTo`, 'Only events can be attached to an activity');
+      }
+      if (!this.checkReference(report, element.attachedTo, new Set(byId.keys()), `${elementPath}.attachedTo`, 'element', labels)) return;
+      const activity = byId.get(String(element.attachedTo));
+      if (!['task', 'subprocess'].includes(activity.element.type) || activity.element.attachedTo !== undefined) {
+        report.error(`${elementPath}.attachedTo`, `"${element.attachedTo}" is not a task or subprocess`);
+      }
+      byId.get(id).pool = activity.pool;
+    });
+
+    // Message flows may also end at a pool, such as a black-box pool of an outside party
+    const ends = new Map(byId);
+    poolIds.forEach(id => ends.set(id, { element: null, pool: id }));
+    const endIds = new Set(ends.keys());
+    this.list(report, data, 'flows', path).forEach((flow, index) => {
+      const flowPath = `${path}.flows[${index}]`;
+      if (!isObject(flow)) {
+        report.error(flowPath, `Expected a flow object, got ${describe(flow)}`);
+        return;
+      }
+      this.checkKeys(report, flow, ITEM_KEYS.flow, flowPath, 'flows');
+      this.checkEnum(report, flow.type, FLOW_TYPES, `${flowPath}.type`, 'flow type');
+      const from = this.checkReference(report, flow.from, endIds, `${flowPath}.from`, 'element', labels) && ends.get(String(flow.from));
+      const to = this.checkReference(report, flow.to, endIds, `${flowPath}.to`, 'element', labels) && ends.get(String(flow.to));
+      if (!from || !to) return;
+      if (flow.type !== 'message' && (!from.element || !to.element)) {
+        report.error(flowPath, `Sequence flow ${flow.from} -> ${flow.to} ends at a pool`, 'Only message flows connect to pools; set type to "message"');
+        return;
+      }
+      if (flow.type === 'message') {
+        if (from.pool !== null && from.pool === to.pool) {
+          report.warning(flowPath, 'Message flow within one pool', 'Use a sequence flow inside a pool');
+        }
+        return;
+      }
+      if (from.pool !== to.pool) {
+        report.warning(flowPath, 'Sequence flow between pools', 'Use a message flow between pools');
+      }
+      if (from.element.type === 'end') report.warning(`${flowPath}.from`, `End event "${flow.from}" has an outgoing sequence flow`);
+      if (to.element.type === 'start') report.warning(`${flowPath}.to`, `Start event "${flow.to}" has an incoming sequence flow`);
+    });
+  }
+
+  /**
+   * Mind maps and org charts: data is the root node, or holds an outline
+   */
+  checkTree(report, data, path, kind) {
+    if (data.outline !== undefined) {
+      if (typeof data.outline !== 'string') {
+        report.error(`${path}.outline`, `Expected the outline as text, got ${describe(data.outline)}`);
+        return;
+      }
+      Object.keys(data).filter(key => key !== 'outline').forEach(key => {
+        report.warning(`${path}.${key}`, `"${key}" is ignored when an outline is given`, 'Give either an outline or a tree of children');
+      });
+      try {
+        parseOutline(data.outline);
+      } catch (error) {
+        report.error(`${path}.outline`, error.message);
+      }
+      return;
+    }
+
+    const visit = (node, nodePath) => {
+      if (nodePath !== path) this.checkKeys(report, node, ITEM_KEYS[kind], nodePath, 'nodes');
+      if (node.label === undefined || node.label === null || node.label === '') {
+        report.error(`${nodePath}.label`, 'Node needs a label', nodePath === path ? 'Give the root a label, or pass an outline' : undefined);
+      }
+      if (node.color !== undefined && typeof node.color !== 'string') {
+        report.error(`${nodePath}.color`, `Expected a color such as "#82b366", got ${describe(node.color)}`);
+      }
+      this.list(report, node, 'children', nodePath).forEach((child, index) => {
+        const childPath = `${nodePath}.children[${index}]`;
+        if (!isObject(child)) {
+          report.error(childPath, `Expected a node object with a label, got ${describe(child)}`);
+          return;
+        }
+        visit(child, childPath);
+      });
+    };
+    visit(data, path);
+  }
+
+  checkCustom(report, data, path, existingIds) {
+    const shapes = this.list(report, data, 'shapes', path, data.connectors === undefined);
+    const ids = new Set();
+    const labels = new Map();
+    const parents = new Map();
+    shapes.forEach((shape, index) => {
+      const shapePath = `${path}.shapes[${index}]`;
+      if (!isObject(shape)) {
+        report.error(shapePath, `Expected a shape object, got ${describe(shape)}`);
+        return;
+      }
+      if (shape.id === undefined || shape.id === '') {
+        report.error(`${shapePath}.id`, 'Shape needs an id');
+        return;
+      }
+      const id = String(shape.id);
+      if (ids.has(id) || existingIds.includes(id)) report.error(`${shapePath}.id`, `Duplicate shape id "${id}"`);
+      ids.add(id);
+      if (shape.label) labels.set(String(shape.label).toLowerCase(), id);
+      ['x', 'y'].forEach(axis => {
+        if (typeof shape[axis] !== 'number' || !Number.isFinite(shape[axis])) {
+          report.error(`${shapePath}.${axis}`, shape[axis] === undefined ? `Shape needs ${axis}` : `Expected a number, got ${describe(shape[axis])}`);
+        }
+      });
+      this.checkShapeType(report, shape.type, `${shapePath}.type`);
+      this.checkKeys(report, shape, ITEM_KEYS.shape, shapePath, 'shapes');
+      if (shape.parent !== undefined && shape.parent !== null) parents.set(id, { parent: String(shape.parent), path: `${shapePath}.parent` });
+    });
+
+    parents.forEach(({ parent, path: parentPath }, id) => {
+      if (!this.checkReference(report, parent, ids, parentPath, 'parent shape', labels)) return;
+      const seen = new Set([id]);
+      let current = parent;
+      while (parents.has(current)) {
+        if (seen.has(current)) {
+          report.error(parentPath, `Shape "${id}" is nested inside itself`);
+          return;
+        }
+        seen.add(current);
+        current = parents.get(current).parent;
+      }
+    });
+
+    const targets = new Set([...ids, ...existingIds]);
+    this.list(report, data, 'connectors', path).forEach((conn, index) => {
+      const connPath = `${path}.connectors[${index}]`;
+      if (!isObject(conn)) {
+        report.error(connPath, `Expected a connector object, got ${describe(conn)}`);
+        return;
+      }
+      this.checkKeys(report, conn, ITEM_KEYS.connector, connPath, 'connectors');
+      ['from', 'to'].forEach(end => this.checkReference(report, conn[end], targets, `${connPath}.${end}`, 'shape', labels));
+    });
+  }
+
+  checkLayout(report, type, layout, path) {
+    if (layout === undefined || layout === null) return;
+    if (type === 'sequence' || type === 'custom') {
+      report.warning(path, `Layout is ignored for ${type} diagrams`);
+      return;
+    }
+    if (typeof layout !== 'string' && !isObject(layout)) {
+      report.error(path, `Expected an algorithm name or an options object, got ${describe(layout)}`);
+      return;
+    }
+    const options = typeof layout === 'string' ? { algorithm: layout } : layout;
+    const algorithmPath = typeof layout === 'string' ? path : `${path}.algorithm`;
+    if (options.algorithm !== undefined && !this.algorithms.includes(options.algorithm)) {
+      report.error(algorithmPath, `Unknown layout "${options.algorithm}"`, suggest(options.algorithm, this.algorithms) || `Use one of ${this.algorithms.join(', ')}`);
+    }
+    if (isObject(layout)) {
+      this.checkKeys(report, layout, ITEM_KEYS.layout, path, 'layouts');
+      if (layout.direction !== undefined) {
+        this.checkResolved(report, () => resolveLayoutOptions({ direction: layout.direction }), `${path}.direction`);
+      }
+      if (layout.compact !== undefined && typeof layout.compact !== 'boolean') {
+        report.error(`${path}.compact`, `Expected true or false, got ${JSON.stringify(layout.compact)}`);
+      }
+      ['nodeSpacing', 'rankSpacing', 'columns'].forEach(key => {
+        if (layout[key] !== undefined && !(typeof layout[key] === 'number' && layout[key] > 0)) {
+          report.error(`${path}.${key}`, `Expected a positive number, got ${JSON.stringify(layout[key])}`);
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,360 @@
+/**
+ * Draw.io Document Model
+ * Reads existing .drawio files into editable pages of cells and writes them back
+ */
+
+import * as zlib from 'zlib';
+import {
+  parseXml,
+  serializeXml,
+  createElement,
+  findChild,
+  findChildren,
+  getText,
+} from './xml-parser.js';
+
+/**
+ * Parses a draw.io style string into an ordered map.
+ * Bare tokens such as "ellipse" or "rhombus" are stored with a null value.
+ */
+export function parseStyle(style = '') {
+  const entries = new Map();
+  style.split(';').forEach(part => {
+    if (!part) return;
+    const eq = part.indexOf('=');
+    if (eq === -1) {
+      entries.set(part, null);
+    } else {
+      entries.set(part.slice(0, eq), part.slice(eq + 1));
+    }
+  });
+  return entries;
+}
+
+export function serializeStyle(entries) {
+  let style = '';
+  for (const [key, value] of entries) {
+    style += value === null ? `${key};` : `${key}=${value};`;
+  }
+  return style;
+}
+
+/**
+ * Merges style overrides into a base style, later keys win
+ */
+export function mergeStyle(base, overrides) {
+  const entries = parseStyle(base);
+  for (const [key, value] of parseStyle(overrides)) {
+    entries.set(key, value);
+  }
+  return serializeStyle(entries);
+}
+
+/**
+ * Decodes the compressed payload draw.io writes inside <diagram> by default:
+ * base64 of raw-deflated, URI-encoded mxGraphModel XML.
+ */
+export function decompressDiagram(text) {
+  const inflated = zlib.inflateRawSync(Buffer.from(text.trim(), 'base64')).toString('utf-8');
+  try {
+    return decodeURIComponent(inflated);
+  } catch {
+    return inflated;
+  }
+}
+
+export function compressDiagram(xml) {
+  return zlib.deflateRawSync(Buffer.from(encodeURIComponent(xml), 'utf-8')).toString('base64');
+}
+
+export class DrawioDocument {
+  constructor(root) {
+    this.root = root;
+  }
+
+  static parse(xml) {
+    let root = parseXml(xml);
+
+    // Bare graph models are wrapped so every document has the same shape
+    if (root.name === 'mxGraphModel') {
+      root = createElement('mxfile', { host: 'app.diagrams.net' }, [
+        createElement('diagram', { name: 'Page-1', id: 'diagram1' }, [root]),
+      ]);
+    }
+
+    if (root.name !== 'mxfile') {
+      throw new Error(`Not a draw.io file: unexpected root element <${root.name}>`);
+    }
+
+    // Inflate compressed pages in place so they can be edited
+    for (const diagram of findChildren(root, 'diagram')) {
+      if (!findChild(diagram, 'mxGraphModel')) {
+        const payload = getText(diagram);
+        if (!payload.trim()) {
+          throw new Error(`Page "${diagram.attributes.name}" has no content`);
+        }
+        diagram.children = [parseXml(decompressDiagram(payload))];
+      }
+    }
+
+    return new DrawioDocument(root);
+  }
+
+  /**
+   * Combines generated single-page documents into one, each as a named page
+   * ([{ name, xml }]), and points page:<name> links at the page they name
+   */
+  static fromPages(pages) {
+    const names = new Set();
+    const sources = pages.map(({ name, xml }) => {
+      if (names.has(name)) {
+        throw new Error(`Duplicate page name: ${name}`);
+      }
+      names.add(name);
+      return DrawioDocument.parse(xml).root;
+    });
+
+    // The file keeps the attributes of the first page's file (host, agent, ...)
+    const diagrams = sources.map((source, index) => {
+      const [diagram] = findChildren(source, 'diagram');
+      return createElement('diagram', { name: pages[index].name, id: `page-${index + 1}` }, diagram.children);
+    });
+    const doc = new DrawioDocument(createElement('mxfile', sources[0].attributes, diagrams));
+    doc.resolvePageLinks();
+    return doc;
+  }
+
+  /**
+   * Rewrites links written as page:<name or id> to draw.io's data:page/id links
+   */
+  resolvePageLinks() {
+    const pages = this.getPages();
+    pages.forEach(({ index }) => {
+      this.getCellNodes(index).forEach(({ wrapper }) => {
+        const link = wrapper && wrapper.attributes.link;
+        if (!link || !link.startsWith('page:')) return;
+        const target = link.slice('page:'.length);
+        const page = pages.find(p => p.name === target || p.id === target);
+        if (!page) {
+          throw new Error(`Link to unknown page "${target}" (pages: ${pages.map(p => p.name).join(', ')})`);
+        }
+        wrapper.attributes.link = `data:page/id,${page.id}`;
+      });
+    });
+  }
+
+  toXml() {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${serializeXml(this.root)}`;
+  }
+
+  getPages() {
+    return findChildren(this.root, 'diagram').map((diagram, index) => ({
+      index,
+      id: diagram.attributes.id || '',
+      name: diagram.attributes.name || `Page-${index + 1}`,
+    }));
+  }
+
+  /**
+   * Returns the <mxGraphModel> element of a page, selected by name or zero-based index
+   */
+  getPageModel(page = 0) {
+    const diagrams = findChildren(this.root, 'diagram');
+    let diagram;
+    if (typeof page === 'number') {
+      diagram = diagrams[page];
+    } else {
+      diagram = diagrams.find(d => d.attributes.name === page || d.attributes.id === page);
+    }
+
+    if (!diagram) {
+      throw new Error(`Page not found: ${page}`);
+    }
+
+    const model = findChild(diagram, 'mxGraphModel');
+    if (!model || !findChild(model, 'root')) {
+      throw new Error(`Page "${diagram.attributes.name}" has no graph model`);
+    }
+    return model;
+  }
+
+  /**
+   * Returns the <root> element of a page, which holds its cells
+   */
+  getPageRoot(page = 0) {
+    return findChild(this.getPageModel(page), 'root');
+  }
+
+  /**
+   * Lists the cell nodes of a page. Cells wrapped in <UserObject> or <object>
+   * keep their wrapper, which is where draw.io stores the label and metadata.
+   */
+  getCellNodes(page = 0) {
+    const nodes = [];
+    for (const child of this.getPageRoot(page).children) {
+      if (child.type !== 'element') continue;
+      if (child.name === 'mxCell') {
+        nodes.push({ wrapper: null, cell: child, id: child.attributes.id });
+      } else {
+        const cell = findChild(child, 'mxCell');
+        if (cell) {
+          nodes.push({ wrapper: child, cell, id: child.attributes.id });
+        }
+      }
+    }
+    return nodes;
+  }
+
+  getCells(page = 0) {
+    return this.getCellNodes(page).map(({ wrapper, cell, id }) => {
+      const attrs = cell.attributes;
+      const summary = {
+        id,
+        type: attrs.edge === '1' ? 'edge' : attrs.vertex === '1' ? 'vertex' : 'layer',
+        label: wrapper ? wrapper.attributes.label || '' : attrs.value || '',
+        style: attrs.style || '',
+        parent: attrs.parent || null,
+      };
+
+      if (wrapper && wrapper.attributes.link) summary.link = wrapper.attributes.link;
+      if (attrs.source) summary.source = attrs.source;
+      if (attrs.target) summary.target = attrs.target;
+
+      const geometry = findChild(cell, 'mxGeometry');
+      if (geometry && summary.type === 'vertex') {
+        summary.geometry = {};
+        ['x', 'y', 'width', 'height'].forEach(key => {
+          summary.geometry[key] = Number(geometry.attributes[key] || 0);
+        });
+      }
+
+      return summary;
+    });
+  }
+
+  findCell(page, id) {
+    return this.getCellNodes(page).find(node => node.id === id) || null;
+  }
+
+  /**
+   * Returns one past the highest numeric cell id across all pages, so new
+   * cells never collide with existing ones
+   */
+  getNextFreeId() {
+    let max = 1;
+    this.getPages().forEach(({ index }) => {
+      this.getCellNodes(index).forEach(({ id }) => {
+        if (/^\d+$/.test(id)) {
+          max = Math.max(max, Number(id));
+        }
+      });
+    });
+    return max + 1;
+  }
+
+  /**
+   * The layer new cells go into: the first cell whose parent is the root cell
+   */
+  getDefaultParent(page = 0) {
+    const nodes = this.getCellNodes(page);
+    const rootCell = nodes.find(node => !node.cell.attributes.parent);
+    const layer = rootCell && nodes.find(node => node.cell.attributes.parent === rootCell.id);
+    return layer ? layer.id : '1';
+  }
+
+  /**
+   * Appends cells produced by DrawioGenerator ({ id, xml } elements)
+   */
+  addElements(page, elements) {
+    const root = this.getPageRoot(page);
+    const defaultParent = this.getDefaultParent(page);
+
+    elements.forEach(element => {
+      const node = parseXml(element.xml);
+      // Linked cells come wrapped in a UserObject
+      const cell = node.name === 'mxCell' ? node : findChild(node, 'mxCell');
+      if (cell.attributes.parent === '1') {
+        cell.attributes.parent = defaultParent;
+      }
+      root.children.push(node);
+    });
+  }
+
+  updateCell(page, id, changes) {
+    const node = this.findCell(page, id);
+    if (!node) {
+      throw new Error(`Cell not found: ${id}`);
+    }
+
+    const { wrapper, cell } = node;
+
+    if (changes.label !== undefined) {
+      if (wrapper) {
+        wrapper.attributes.label = changes.label;
+      } else {
+        cell.attributes.value = changes.label;
+      }
+    }
+
+    let styleOverrides = '';
+    ['fillColor', 'strokeColor', 'fontColor'].forEach(key => {
+      if (changes[key]) styleOverrides += `${key}=${changes[key]};`;
+    });
+    if (changes.style) styleOverrides += changes.style;
+    if (styleOverrides) {
+      cell.attributes.style = mergeStyle(cell.attributes.style || '', styleOverrides);
+    }
+
+    ['source', 'target'].forEach(key => {
+      if (changes[key] !== undefined) {
+        if (!this.findCell(page, changes[key])) {
+          throw new Error(`Cell not found: ${changes[key]}`);
+        }
+        cell.attributes[key] = changes[key];
+      }
+    });
+
+    const geometryKeys = ['x', 'y', 'width', 'height'].filter(key => changes[key] !== undefined);
+    if (geometryKeys.length > 0) {
+      let geometry = findChild(cell, 'mxGeometry');
+      if (!geometry) {
+        geometry = createElement('mxGeometry', { as: 'geometry' });
+        cell.children.push(geometry);
+      }
+      geometryKeys.forEach(key => {
+        geometry.attributes[key] = String(changes[key]);
+      });
+    }
+  }
+
+  /**
+   * Removes cells together with their children and any edges attached to them.
+   * Returns the ids of every removed cell.
+   */
+  removeCells(page, ids) {
+    const nodes = this.getCellNodes(page);
+    ids.forEach(id => {
+      if (!nodes.some(node => node.id === id)) {
+        throw new Error(`Cell not found: ${id}`);
+      }
+    });
+
+    const removed = new Set(ids);
+    let changed = true;
+    while (changed) {
+      changed = false;
+      nodes.forEach(({ id, cell }) => {
+        if (removed.has(id)) return;
+        const { parent, source, target } = cell.attributes;
+        if (removed.has(parent) || removed.has(source) || removed.has(target)) {
+          removed.add(id);
+          changed = true;
+        }
+      });
+    }
+
+    const root = this.getPageRoot(page);
+    root.children = root.children.filter(child => !(child.type === 'element' && removed.has(child.attributes.id)));
+    return [...removed];
+  }
+}
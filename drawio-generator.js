@@ -3,9 +3,248 @@
  * Generates Draw.io compatible XML diagrams
  */
 
+import { LayoutEngine, resolveLayoutOptions } from './layout-engine.js';
+import { resolveIcon, resolveGroup } from './architecture-icons.js';
+import { THEMES, themeStyle } from './themes.js';
+import { parseOutline } from './outline-parser.js';
+
+// Network zones are swimlanes, so draw.io can collapse them
+const NETWORK_ZONE_STYLE = 'swimlane;rounded=1;arcSize=4;startSize=30;whiteSpace=wrap;html=1;';
+
+const CONNECTOR_STYLE = 'edgeStyle=orthogonalEdgeStyle;rounded=0;orthogonalLoop=1;jettySize=auto;html=1;';
+
+/**
+ * Crow's-foot markers for each side of a relationship cardinality
+ */
+const CARDINALITY_MARKERS = {
+  '1': 'ERmandOne',
+  '0..1': 'ERzeroToOne',
+  'N': 'ERmany',
+  '0..N': 'ERzeroToMany',
+  '1..N': 'ERoneToMany',
+};
+
+/**
+ * Normalizes a cardinality side such as "1", "M", "*", "0..*" or "1..n"
+ */
+function normalizeMultiplicity(side) {
+  const value = side.trim().toUpperCase().replace(/\*|M/g, 'N');
+  if (value === '1..1') return '1';
+  if (value === '0..N' || value === '1..N' || value === '0..1' || value === '1') return value;
+  return value === 'N' ? 'N' : null;
+}
+
+function isMany(marker) {
+  return /many/i.test(marker);
+}
+
+/**
+ * Reads a relationship's cardinality ("1:1", "1:N", "N:M", "0..1:1..*") from
+ * its cardinality field, or from its label for diagrams that put it there.
+ * Returns the markers for each end and the label without the cardinality.
+ */
+export function parseCardinality(rel) {
+  let label = rel.label || '';
+  let text = rel.cardinality;
+  if (!text) {
+    const match = label.match(/\(?\s*\b([01]\.\.[1N*]|[1NM*]):([01]\.\.[1NM*]|[1NM*])(?![\w.])\s*\)?/i);
+    if (match) {
+      text = `${match[1]}:${match[2]}`;
+      label = label.replace(match[0], '').trim();
+    }
+  }
+
+  const sides = text ? text.split(':').map(normalizeMultiplicity) : [];
+  if (sides.length !== 2 || sides.includes(null)) {
+    if (text) {
+      throw new Error(`Invalid cardinality "${text}" on relationship ${rel.from} -> ${rel.to} (expected e.g. 1:1, 1:N, N:M, 0..1:1..N)`);
+    }
+    return { start: 'none', end: 'none', from: null, to: null, label };
+  }
+
+  return {
+    start: CARDINALITY_MARKERS[sides[0]],
+    end: CARDINALITY_MARKERS[sides[1]],
+    from: sides[0],
+    to: sides[1],
+    label,
+  };
+}
+
+/**
+ * Turns an ERD attribute into { name, type, pk, fk, unique, nullable, references }.
+ * Strings like "user_id: int FK" are still accepted.
+ */
+export function normalizeAttribute(attribute) {
+  if (attribute && typeof attribute === 'object') {
+    return {
+      name: String(attribute.name),
+      type: attribute.type || '',
+      pk: Boolean(attribute.pk),
+      fk: Boolean(attribute.fk || attribute.references),
+      unique: Boolean(attribute.unique),
+      nullable: Boolean(attribute.nullable),
+      references: attribute.references || null,
+    };
+  }
+
+  const match = String(attribute).match(/^\s*([^\s:]+)\s*(?::\s*([^\s]+))?\s*(.*)$/);
+  const flags = (match[3] || '').toUpperCase();
+  return {
+    name: match[1],
+    type: match[2] || '',
+    pk: /\bPK\b/.test(flags),
+    fk: /\bFK\b/.test(flags),
+    unique: /\b(UK|UQ|UNIQUE)\b/.test(flags),
+    nullable: /\bNULL\b/.test(flags) && !/\bNOT NULL\b/.test(flags),
+    references: null,
+  };
+}
+
+/**
+ * UML relationship notation. The source end is the subclass, the implementing
+ * class, the whole or the client; the target end the superclass, interface,
+ * part or supplier.
+ */
+export const CLASS_RELATIONSHIPS = {
+  inheritance: 'endArrow=block;endFill=0;endSize=16;',
+  realization: 'endArrow=block;endFill=0;endSize=16;dashed=1;',
+  composition: 'startArrow=diamondThin;startFill=1;startSize=14;endArrow=open;endSize=12;',
+  aggregation: 'startArrow=diamondThin;startFill=0;startSize=14;endArrow=open;endSize=12;',
+  association: 'endArrow=open;endSize=12;',
+  dependency: 'endArrow=open;endSize=12;dashed=1;',
+};
+
+const VISIBILITY_MARKERS = { public: '+', private: '-', protected: '#', package: '~' };
+
+/**
+ * Formats a class attribute or method as UML text, e.g. "- name: string" or
+ * "+ render(xml: string, page): string". Strings are used as written.
+ */
+export function formatMember(member, kind) {
+  if (typeof member === 'string') return member;
+  const visibility = member.visibility ? `${VISIBILITY_MARKERS[member.visibility] || member.visibility} ` : '';
+  const type = member.type || member.returns;
+  let text = `${visibility}${member.name}`;
+  if (kind === 'method') {
+    const params = (member.params || []).map(param => (typeof param === 'string' ? param : param.type ? `${param.name}: ${param.type}` : param.name));
+    text += `(${params.join(', ')})`;
+  }
+  return type ? `${text}: ${type}` : text;
+}
+
+export const STATE_TYPES = ['state', 'initial', 'final', 'choice', 'history', 'parallel'];
+
+/**
+ * UML transition label: "event [guard] / action", with any part left out.
+ * Several actions are separated by commas.
+ */
+export function formatTransition(transition) {
+  if (transition.label !== undefined) return String(transition.label);
+  const actions = [].concat(transition.action ?? []).join(', ');
+  return [
+    transition.event || '',
+    transition.guard ? `[${transition.guard}]` : '',
+    actions ? `/ ${actions}` : '',
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * C4 element kinds with their tag and the standard C4 colors, for elements
+ * inside the modelled estate and for external ones
+ */
+const C4_KINDS = {
+  person: { tag: 'Person', fillColor: '#08427B', strokeColor: '#073B6F', fontColor: '#ffffff', external: { fillColor: '#686868', strokeColor: '#8A8A8A' } },
+  system: { tag: 'Software System', fillColor: '#1168BD', strokeColor: '#0B4884', fontColor: '#ffffff', external: { fillColor: '#999999', strokeColor: '#8A8A8A' } },
+  container: { tag: 'Container', fillColor: '#438DD5', strokeColor: '#3C7FC0', fontColor: '#ffffff', external: { fillColor: '#B3B3B3', strokeColor: '#A6A6A6' } },
+  component: { tag: 'Component', fillColor: '#85BBF0', strokeColor: '#78A8D8', fontColor: '#000000', external: { fillColor: '#CCCCCC', strokeColor: '#BFBFBF' } },
+};
+
+const C4_SHAPE_STYLES = {
+  box: 'rounded=1;arcSize=10;',
+  database: 'shape=cylinder3;size=15;boundedLbl=1;backgroundOutline=1;',
+  web: 'shape=mxgraph.c4.webBrowserContainer2;',
+};
+
+export const C4_SHAPES = Object.keys(C4_SHAPE_STYLES);
+
+export const C4_LEVELS = ['context', 'container', 'component'];
+
+/**
+ * The views of a C4 model, one page each: the system context, the containers
+ * of every system that has some, and the components of every container that
+ * has some. Returns [{ name, level, of }] with unique page names.
+ */
+export function c4Views(data) {
+  const views = [];
+  const add = (name, fallback, level, of) => {
+    const unique = views.some(view => view.name === name) ? fallback : name;
+    views.push(of === undefined ? { name: unique, level } : { name: unique, level, of });
+  };
+  add('System Context', 'System Context', 'context');
+  (data.systems || []).forEach(system => {
+    const containers = (data.containers || []).filter(container => container.system === system.id);
+    if (containers.length === 0) return;
+    add(`Containers: ${system.name || system.id}`, `Containers: ${system.name || system.id} (${system.id})`, 'container', system.id);
+    containers.forEach(container => {
+      if (!(data.components || []).some(component => component.container === container.id)) return;
+      add(`Components: ${container.name || container.id}`, `Components: ${container.name || container.id} (${container.id})`, 'component', container.id);
+    });
+  });
+  return views;
+}
+
+export const BPMN_EVENTS = ['start', 'intermediate', 'end'];
+
+export const BPMN_TYPES = [...BPMN_EVENTS, 'task', 'subprocess', 'exclusive', 'parallel', 'inclusive', 'eventBased'];
+
+export const BPMN_TRIGGERS = ['none', 'message', 'timer', 'signal', 'error', 'escalation', 'conditional', 'terminate'];
+
+export const BPMN_TASK_TYPES = ['abstract', 'user', 'service', 'script', 'manual', 'send', 'receive', 'businessRule'];
+
+// Gateway markers of draw.io's mxgraph.bpmn.gateway2 shape
+const BPMN_GATEWAYS = {
+  exclusive: 'outline=none;symbol=none;gwType=exclusive;',
+  parallel: 'outline=none;symbol=none;gwType=parallel;',
+  inclusive: 'outline=end;symbol=general;',
+  eventBased: 'outline=catching;symbol=multiple;',
+};
+
+const BPMN_FLOWS = {
+  sequence: 'endArrow=block;endFill=1;endSize=8;',
+  message: 'dashed=1;dashPattern=8 4;startArrow=oval;startFill=0;startSize=7;endArrow=block;endFill=0;endSize=10;',
+};
+
+// Colors of the branches of mind maps and org charts, in order
+const BRANCH_COLORS = ['#6c8ebf', '#82b366', '#d79b00', '#9673a6', '#b85450', '#10739e', '#d6b656', '#56517e'];
+
+/**
+ * Blends a #rgb or #rrggbb color towards another by amount (0 to 1). Colors
+ * that are not hex, such as names, are returned as they are.
+ */
+function mixColor(color, other, amount) {
+  const parse = value => {
+    const hex = String(value).replace(/^#([0-9a-f])([0-9a-f])([0-9a-f])$/i, '#$1$1$2$2$3$3');
+    return /^#[0-9a-f]{6}$/i.test(hex) ? [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)) : null;
+  };
+  const from = parse(color);
+  const to = parse(other);
+  if (!from || !to) return color;
+  return `#${from.map((value, i) => Math.round(value + (to[i] - value) * amount).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 export class DrawioGenerator {
-  constructor() {
+  /**
+   * @param theme A theme resolved by resolveTheme, see themes.js
+   */
+  constructor(theme = THEMES.default) {
     this.cellId = 2; // Start at 2 since Draw.io uses 0 and 1 for root cells
+    this.theme = theme;
+    this.layoutEngine = new LayoutEngine();
     this.shapes = {
       rectangle: { style: 'rounded=0;whiteSpace=wrap;html=1;' },
       roundedRectangle: { style: 'rounded=1;whiteSpace=wrap;html=1;' },
@@ -23,7 +262,10 @@ export class DrawioGenerator {
       delay: { style: 'shape=delay;whiteSpace=wrap;html=1;' },
       database: { style: 'shape=cylinder3;whiteSpace=wrap;html=1;boundedLbl=1;backgroundOutline=1;' },
       actor: { style: 'shape=umlActor;verticalLabelPosition=bottom;verticalAlign=top;html=1;' },
-      note: { style: 'shape=note;whiteSpace=wrap;html=1;backgroundOutline=1;' }
+      note: { style: 'shape=note;whiteSpace=wrap;html=1;backgroundOutline=1;' },
+      container: { style: 'rounded=0;whiteSpace=wrap;html=1;container=1;collapsible=1;verticalAlign=top;align=left;spacingLeft=8;' },
+      swimlane: { style: 'swimlane;startSize=30;whiteSpace=wrap;html=1;' },
+      lane: { style: 'swimlane;horizontal=0;startSize=30;whiteSpace=wrap;html=1;' }
     };
   }
 
@@ -40,16 +282,22 @@ export class DrawioGenerator {
       .replace(/'/g, '&apos;');
   }
 
-  createCell(value, style, geometry, id = null, parent = '1', vertex = true, edge = false, source = null, target = null) {
+  /**
+   * Builds one mxCell. A link (a URL, or page:<name> for another page of the
+   * document) wraps the cell in a UserObject, which then holds its id and label.
+   */
+  createCell(value, style, geometry, id = null, parent = '1', vertex = true, edge = false, source = null, target = null, geometryChildren = '', link = null) {
     const cellId = id || this.getNextId();
     let cell = `      <mxCell id="${cellId}" `;
 
-    if (value) {
+    if (link) {
+      cell = `      <UserObject id="${cellId}" label="${this.escapeXml(value || '')}" link="${this.escapeXml(link)}">\n      <mxCell `;
+    } else if (value) {
       cell += `value="${this.escapeXml(value)}" `;
     }
 
     if (style) {
-      cell += `style="${style}" `;
+      cell += `style="${this.escapeXml(style)}" `;
     }
 
     if (vertex) {
@@ -72,34 +320,69 @@ export class DrawioGenerator {
 
     cell += '>\n';
 
-    if (geometry) {
+    if (geometry && geometryChildren) {
+      cell += `        <mxGeometry ${geometry}>\n${geometryChildren}        </mxGeometry>\n`;
+    } else if (geometry) {
       cell += `        <mxGeometry ${geometry} />\n`;
     }
 
     cell += `      </mxCell>`;
+    if (link) {
+      cell += `\n      </UserObject>`;
+    }
 
     return { id: cellId, xml: cell };
   }
 
-  createShape(label, type, x, y, width = 120, height = 60, fillColor = '#dae8fc', strokeColor = '#6c8ebf') {
+  /**
+   * Style keys of the given theme parts (names such as 'edge', or plain key maps),
+   * with the theme's font keys first
+   */
+  themeStyle(...parts) {
+    return themeStyle(this.theme, ...parts);
+  }
+
+  createShape(label, type, x, y, width = 120, height = 60, fillColor = null, strokeColor = null, extraStyle = '', parent = '1', link = null) {
+    const geometry = `x="${x}" y="${y}" width="${width}" height="${height}" as="geometry"`;
+    return this.createCell(label, this.getShapeStyle(type, fillColor, strokeColor, extraStyle), geometry, null, parent, true, false, null, null, '', link);
+  }
+
+  /**
+   * Shapes are painted with the theme's shape colors, overridden per shape type
+   * and then by explicit colors
+   */
+  getShapeStyle(type, fillColor = null, strokeColor = null, extraStyle = '') {
     const shapeInfo = this.shapes[type] || this.shapes.rectangle;
     let style = shapeInfo.style;
-    style += `fillColor=${fillColor};strokeColor=${strokeColor};`;
+    style += this.themeStyle('shape', this.theme.shapes[type], { fillColor, strokeColor });
+    // Later keys win in draw.io styles, so extras can override the base shape
+    style += extraStyle;
+    return style;
+  }
 
-    const geometry = `x="${x}" y="${y}" width="${width}" height="${height}" as="geometry"`;
-    return this.createCell(label, style, geometry);
+  getConnectorStyle() {
+    return CONNECTOR_STYLE + this.themeStyle('edge');
   }
 
-  createConnector(sourceId, targetId, label = '', style = 'edgeStyle=orthogonalEdgeStyle;rounded=0;orthogonalLoop=1;jettySize=auto;html=1;') {
+  createConnector(sourceId, targetId, label = '', style = this.getConnectorStyle(), waypoints = []) {
     const geometry = `relative="1" as="geometry"`;
-    return this.createCell(label, style, geometry, null, '1', false, true, sourceId, targetId);
+    let points = '';
+    if (waypoints.length > 0) {
+      points += `          <Array as="points">\n`;
+      waypoints.forEach(point => {
+        points += `            <mxPoint x="${point.x}" y="${point.y}" />\n`;
+      });
+      points += `          </Array>\n`;
+    }
+    return this.createCell(label, style, geometry, null, '1', false, true, sourceId, targetId, points);
   }
 
   generateDiagram(elements) {
+    const background = this.theme.background ? ` background="${this.theme.background}"` : '';
     let xml = `<?xml version="1.0" encoding="UTF-8"?>
 <mxfile host="app.diagrams.net" modified="${new Date().toISOString()}" agent="MCP Draw.io Server" version="21.0.0" type="device">
   <diagram name="Page-1" id="diagram1">
-    <mxGraphModel dx="1434" dy="764" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="850" pageHeight="1100" math="0" shadow="0">
+    <mxGraphModel dx="1434" dy="764" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="850" pageHeight="1100" math="0" shadow="0"${background}>
       <root>
         <mxCell id="0" />
         <mxCell id="1" parent="0" />
@@ -117,7 +400,28 @@ export class DrawioGenerator {
     return xml;
   }
 
-  createFlowchart(steps, connections = []) {
+  /**
+   * Estimates a node size that fits its label, for layouts that size nodes themselves
+   */
+  estimateNodeSize(label, type) {
+    const lines = String(label || '').split('\n');
+    const longest = Math.max(...lines.map(line => line.length));
+    let width = Math.min(240, Math.max(120, longest * 7 + 30));
+    const wrapped = lines.reduce((count, line) => count + Math.max(1, Math.ceil((line.length * 7) / (width - 20))), 0);
+    let height = Math.max(60, wrapped * 18 + 24);
+    // Diamonds and hexagons only have room for text in their middle
+    if (type === 'decision' || type === 'diamond' || type === 'hexagon') {
+      width = Math.round(width * 1.3);
+      height = Math.round(height * 1.3);
+    }
+    return { width, height };
+  }
+
+  /**
+   * Steps are laid out by the layered layout. Steps tagged with a lane are kept
+   * inside that swimlane, and lanes run along the flow (left to right by default).
+   */
+  createFlowchart(steps, connections = [], layout = {}, lanes = []) {
     const elements = [];
     const stepIds = {};
     const stepMap = {};
@@ -125,341 +429,1606 @@ export class DrawioGenerator {
     // Map steps by ID
     steps.forEach((step, index) => {
       const id = step.id || (index + 1).toString();
-      stepIds[id] = null; // Will store generated ID later
-      stepMap[id] = { ...step, internalId: id };
+      const size = this.estimateNodeSize(step.label, step.type);
+      stepMap[id] = { ...step, width: step.width || size.width, height: step.height || size.height };
     });
 
-    // Build graph for layout
-    const graph = {};
-    const reverseGraph = {}; // To find roots
-    Object.keys(stepMap).forEach(id => {
-      graph[id] = [];
-      if (!reverseGraph[id]) reverseGraph[id] = [];
-    });
+    // Lanes are listed up front, or taken from the steps in order of use
+    const laneMap = new Map(lanes.map(lane => (typeof lane === 'string' ? [lane, { id: lane, label: lane }] : [lane.id, lane])));
+    const useLanes = laneMap.size > 0 || steps.some(step => step.lane);
+    if (useLanes) {
+      const declared = laneMap.size > 0;
+      Object.entries(stepMap).forEach(([id, step]) => {
+        if (!step.lane) throw new Error(`Step "${id}" has no lane`);
+        if (laneMap.has(step.lane)) return;
+        if (declared) throw new Error(`Unknown lane "${step.lane}" for step "${id}" (lanes: ${[...laneMap.keys()].join(', ')})`);
+        laneMap.set(step.lane, { id: step.lane, label: step.lane });
+      });
+    }
 
-    // Populate graph
+    // Explicit connections, or each step to the next one
+    let edges = [];
     if (connections && connections.length > 0) {
-      connections.forEach(conn => {
-        if (graph[conn.from] && stepMap[conn.to]) {
-          graph[conn.from].push(conn.to);
-          if (!reverseGraph[conn.to]) reverseGraph[conn.to] = [];
-          reverseGraph[conn.to].push(conn.from);
-        }
-      });
+      edges = connections
+        .filter(conn => stepMap[conn.from] && stepMap[conn.to])
+        .map(conn => ({ from: conn.from, to: conn.to, label: conn.label || '' }));
     } else {
-      // Sequential default
       const ids = Object.keys(stepMap);
       for (let i = 0; i < ids.length - 1; i++) {
-        graph[ids[i]].push(ids[i + 1]);
-        if (!reverseGraph[ids[i + 1]]) reverseGraph[ids[i + 1]] = [];
-        reverseGraph[ids[i + 1]].push(ids[i]);
+        edges.push({ from: ids[i], to: ids[i + 1], label: stepMap[ids[i]].connectorLabel || '' });
       }
     }
 
-    // BFS for Leveling
-    const levels = {};
-    const nodesByLevel = {};
-    const queue = [];
-    const visited = new Set();
-
-    // Find roots (nodes with no incoming edges)
-    const roots = Object.keys(stepMap).filter(id => reverseGraph[id].length === 0);
-    // If no roots (cycle?), pick the first one
-    if (roots.length === 0 && Object.keys(stepMap).length > 0) {
-      roots.push(Object.keys(stepMap)[0]);
+    // Labelled edges need room between ranks
+    const options = resolveLayoutOptions(layout, {
+      rankSpacing: edges.some(edge => edge.label) ? 80 : 60,
+      ...(useLanes ? { direction: 'LR', lanes: [...laneMap.keys()], laneHeader: 40 } : {}),
+    });
+    const result = this.layoutEngine.layout({
+      nodes: Object.entries(stepMap).map(([id, step]) => ({ id, width: step.width, height: step.height, lane: step.lane })),
+      edges,
+    }, options);
+
+    // Lane cells come first; steps inside them are positioned relative to their lane
+    const laneCells = {};
+    if (useLanes) {
+      if (!result.lanes) {
+        throw new Error(`Swimlanes need the layered layout, not ${options.algorithm}`);
+      }
+      const horizontal = options.direction === 'LR' || options.direction === 'RL';
+      result.lanes.forEach(lane => {
+        const style = `${this.shapes[horizontal ? 'lane' : 'swimlane'].style}${this.themeStyle('container')}startSize=40;fontStyle=1;`;
+        const geometry = `x="${lane.x}" y="${lane.y}" width="${lane.width}" height="${lane.height}" as="geometry"`;
+        const cell = this.createCell(laneMap.get(lane.id).label || lane.id, style, geometry);
+        elements.push(cell);
+        laneCells[lane.id] = { ...lane, cellId: cell.id };
+      });
     }
 
-    roots.forEach(root => {
-      queue.push({ id: root, level: 0 });
-      visited.add(root);
+    Object.entries(stepMap).forEach(([id, step]) => {
+      let { x, y } = result.positions[id];
+      let parent = '1';
+      if (useLanes) {
+        const lane = laneCells[step.lane];
+        x -= lane.x;
+        y -= lane.y;
+        parent = lane.cellId;
+      }
+      const shape = this.createShape(step.label, step.type || 'process', x, y, step.width, step.height, null, null, '', parent, step.link);
+      elements.push(shape);
+      stepIds[id] = shape.id;
+    });
+
+    edges.forEach((edge, index) => {
+      const { points } = result.edges[index];
+      elements.push(this.createConnector(stepIds[edge.from], stepIds[edge.to], edge.label, undefined, points));
     });
 
-    while (queue.length > 0) {
-      const { id, level } = queue.shift();
-      levels[id] = level;
+    return this.generateDiagram(elements);
+  }
+
+  createSequenceDiagram(participants, interactions) {
+    const participantSpacing = 200;
+    const messageSpacing = 50;
+    const topMargin = 50;
+    const headerHeight = 40;
+    const lifelineWidth = 100;
+    const activationWidth = 10;
 
-      if (!nodesByLevel[level]) nodesByLevel[level] = [];
-      nodesByLevel[level].push(id);
+    // Lifelines are created last, once their length is known, so ids are reserved up front
+    const lifelines = {};
+    participants.forEach((participant, index) => {
+      const info = typeof participant === 'string' ? { name: participant } : participant;
+      const center = 100 + (index * participantSpacing) + lifelineWidth / 2;
+      lifelines[info.name] = {
+        id: this.getNextId(),
+        label: info.label || info.name,
+        type: info.type || 'participant',
+        link: info.link,
+        center,
+        top: topMargin,
+        bottom: null,
+        destroyed: false,
+        open: [], // Stack of open activation bars
+      };
+    });
+
+    const state = {
+      y: topMargin + headerHeight + 30,
+      bars: [],
+      calls: [], // Unanswered calls, innermost last
+      messages: [],
+      frames: [],
+      notes: [],
+      destroys: [],
+    };
+
+    const openBar = (lifeline, top) => {
+      const bar = { id: this.getNextId(), lifeline, depth: lifeline.open.length, top, bottom: null };
+      lifeline.open.push(bar);
+      state.bars.push(bar);
+      return bar;
+    };
 
-      graph[id].forEach(neighbor => {
-        if (!visited.has(neighbor)) {
-          visited.add(neighbor);
-          queue.push({ id: neighbor, level: level + 1 });
+    const closeBar = (bar, bottom) => {
+      if (bar.bottom !== null) return;
+      bar.bottom = bottom;
+      bar.lifeline.open = bar.lifeline.open.filter(open => open !== bar);
+    };
+
+    // Messages attach to the innermost open bar, or to the lifeline itself
+    const endpoint = lifeline => {
+      const open = lifeline.open;
+      return open.length > 0 ? { bar: open[open.length - 1] } : { lifeline };
+    };
+
+    const layoutMessage = (item, touched) => {
+      const source = lifelines[item.from];
+      const target = lifelines[item.to];
+      if (!source || !target) return;
+      touched.add(source).add(target);
+      const y = state.y;
+
+      if (source === target) {
+        // Self-call: loops out to a nested activation on the same lifeline
+        const from = endpoint(source);
+        const nested = openBar(source, y + 15);
+        closeBar(nested, y + 45);
+        state.messages.push({ item, y, source: from, target: { bar: nested }, self: true });
+        state.y += messageSpacing + 30;
+        return;
+      }
+
+      if (item.create) {
+        // The created participant's head sits on the message
+        target.top = y - headerHeight / 2;
+        state.messages.push({ item, y, source: endpoint(source), target: { lifeline: target, head: true } });
+        state.y += messageSpacing;
+        return;
+      }
+
+      if (item.dashed) {
+        // A reply ends the callee's activation and any unanswered calls nested in it
+        const message = { item, y, source: endpoint(source), target: endpoint(target) };
+        let index = -1;
+        for (let i = state.calls.length - 1; i >= 0; i--) {
+          if (state.calls[i].callee === source && state.calls[i].caller === target) {
+            index = i;
+            break;
+          }
+        }
+        if (index !== -1) {
+          state.calls.splice(index).forEach(call => {
+            closeBar(call.calleeBar, y + 5);
+            if (call.callerBar) closeBar(call.callerBar, y + 5);
+          });
+        }
+        state.messages.push(message);
+      } else {
+        const activates = item.activate !== false && !item.async && !item.destroy;
+        let callerBar = null;
+        if (activates && source.open.length === 0) {
+          // The initiator is active until it gets its reply
+          callerBar = openBar(source, y - 5);
+        }
+        const from = endpoint(source);
+        if (activates) {
+          const calleeBar = openBar(target, y - 5);
+          state.calls.push({ caller: source, callee: target, calleeBar, callerBar });
         }
+        state.messages.push({ item, y, source: from, target: endpoint(target) });
+      }
+
+      if (item.destroy) {
+        destroy(target, y + 20);
+      }
+      state.y += messageSpacing;
+    };
+
+    const destroy = (lifeline, y) => {
+      [...lifeline.open].forEach(bar => closeBar(bar, y));
+      state.calls = state.calls.filter(call => call.callee !== lifeline);
+      lifeline.bottom = y;
+      lifeline.destroyed = true;
+      state.destroys.push({ lifeline, y });
+    };
+
+    const layoutNote = (item, touched) => {
+      const over = (Array.isArray(item.over) ? item.over : [item.over]).map(name => lifelines[name]).filter(Boolean);
+      if (over.length === 0) return;
+      over.forEach(lifeline => touched.add(lifeline));
+
+      const centers = over.map(lifeline => lifeline.center);
+      const min = Math.min(...centers);
+      const max = Math.max(...centers);
+      let x = min - lifelineWidth / 2;
+      let width = max - min + lifelineWidth;
+      if (item.position === 'left') {
+        x = min - lifelineWidth - 20;
+        width = lifelineWidth;
+      } else if (item.position === 'right') {
+        x = max + 20;
+        width = lifelineWidth;
+      }
+
+      // Rough line count at ~7px per character, wrapping inside the note
+      const charsPerLine = Math.max(1, Math.floor((width - 20) / 7));
+      const lines = String(item.note).split('\n').reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / charsPerLine)), 0);
+      const height = 20 + lines * 14;
+
+      state.notes.push({ text: item.note, x, y: state.y - 15, width, height });
+      state.y += height + 10;
+    };
+
+    // Each section of a fragment starts from the activations open when the fragment began,
+    // so a reply in one branch does not end the bar its sibling branch replies to
+    const saveActivations = () => ({
+      calls: [...state.calls],
+      open: new Map(Object.values(lifelines).map(lifeline => [lifeline, [...lifeline.open]])),
+    });
+    const restoreActivations = (saved, y) => {
+      state.bars.forEach(bar => {
+        if (bar.bottom === null && !saved.open.get(bar.lifeline).includes(bar)) closeBar(bar, y);
       });
-    }
+      saved.open.forEach((open, lifeline) => {
+        open.forEach(bar => { bar.bottom = null; });
+        lifeline.open = [...open];
+      });
+      state.calls = [...saved.calls];
+    };
 
-    // Handle disconnected components or unvisited nodes
-    Object.keys(stepMap).forEach(id => {
-      if (!visited.has(id)) {
-        const maxLevel = Math.max(...Object.keys(nodesByLevel).map(Number), -1);
-        const newLevel = maxLevel + 1;
-        levels[id] = newLevel;
-        if (!nodesByLevel[newLevel]) nodesByLevel[newLevel] = [];
-        nodesByLevel[newLevel].push(id);
-      }
-    });
-
-    // Layout Parameters
-    const startX = 400; // Center X
-    const startY = 50;
-    const levelHeight = 120;
-    const nodeSpacing = 160; // Horizontal spacing
-
-    // Create Shapes with calculated positions
-    Object.keys(nodesByLevel).forEach(level => {
-      const nodes = nodesByLevel[level];
-      const rowWidth = (nodes.length - 1) * nodeSpacing;
-      const startRowX = startX - (rowWidth / 2);
-
-      nodes.forEach((nodeId, index) => {
-        const step = stepMap[nodeId];
-        const x = startRowX + (index * nodeSpacing);
-        const y = startY + (level * levelHeight);
-
-        const width = step.width || 120;
-        const height = step.height || 60;
-
-        const shape = this.createShape(step.label, step.type || 'process', x, y, width, height);
-        elements.push(shape);
-        stepIds[nodeId] = shape.id;
-        step.generatedId = shape.id;
+    const layoutFragment = (item, touched, depth) => {
+      const frame = { kind: item.fragment, guard: item.guard, top: state.y - 20, sections: [], depth };
+      state.frames.push(frame);
+      state.y += 30;
+
+      const inner = new Set();
+      const saved = saveActivations();
+      layoutItems(item.interactions || [], inner, depth + 1);
+      (item.else || []).forEach(section => {
+        restoreActivations(saved, state.y - 15);
+        frame.sections.push({ y: state.y - 15, guard: section.guard });
+        state.y += 30;
+        layoutItems(section.interactions || [], inner, depth + 1);
       });
+
+      frame.bottom = state.y - 15;
+      frame.lifelines = inner.size > 0 ? [...inner] : Object.values(lifelines);
+      frame.lifelines.forEach(lifeline => touched.add(lifeline));
+      state.y += 15;
+    };
+
+    const layoutItems = (items, touched, depth) => {
+      items.forEach(item => {
+        if (item.fragment) {
+          layoutFragment(item, touched, depth);
+        } else if (item.note !== undefined) {
+          layoutNote(item, touched);
+        } else if (item.destroy && !item.from) {
+          const lifeline = lifelines[item.destroy];
+          if (lifeline) {
+            touched.add(lifeline);
+            destroy(lifeline, state.y);
+            state.y += 30;
+          }
+        } else {
+          layoutMessage(item, touched);
+        }
+      });
+    };
+
+    layoutItems(interactions, new Set(), 0);
+
+    // Close whatever is still active at the end of the diagram
+    const endY = state.y;
+    state.bars.forEach(bar => closeBar(bar, endY - 10));
+    Object.values(lifelines).forEach(lifeline => {
+      if (lifeline.bottom === null) lifeline.bottom = endY + 10;
     });
 
-    // Create Connections
-    if (connections && connections.length > 0) {
-      connections.forEach(conn => {
-        const sourceId = stepIds[conn.from];
-        const targetId = stepIds[conn.to];
-        if (sourceId && targetId) {
-          elements.push(this.createConnector(sourceId, targetId, conn.label || ''));
+    const elements = [];
+
+    // Lifelines
+    const stereotypes = {
+      actor: 'umlActor',
+      boundary: 'umlBoundary',
+      control: 'umlControl',
+      entity: 'umlEntity',
+      database: 'cylinder3',
+    };
+    Object.values(lifelines).forEach(lifeline => {
+      let style = 'shape=umlLifeline;perimeter=lifelinePerimeter;whiteSpace=wrap;html=1;container=1;collapsible=0;recursiveResize=0;outlineConnect=0;';
+      let width = lifelineWidth;
+      if (stereotypes[lifeline.type]) {
+        // Stereotype figures are drawn at the lifeline's full width, so keep it narrow
+        style += `participant=${stereotypes[lifeline.type]};verticalAlign=top;spacingTop=36;whiteSpace=nowrap;`;
+        width = 30;
+      }
+      style += this.themeStyle('lifeline');
+      lifeline.x = lifeline.center - width / 2;
+      lifeline.width = width;
+      const geometry = `x="${lifeline.x}" y="${lifeline.top}" width="${width}" height="${lifeline.bottom - lifeline.top}" as="geometry"`;
+      elements.push(this.createCell(lifeline.label, style, geometry, lifeline.id, '1', true, false, null, null, '', lifeline.link));
+    });
+
+    // Combined fragments, outermost first. Guards are added after the activation
+    // bars so they stay readable where they cross one.
+    const guards = [];
+    state.frames.forEach(frame => {
+      const centers = frame.lifelines.map(lifeline => lifeline.center);
+      const padding = Math.max(20, 70 - frame.depth * 10);
+      const x = Math.min(...centers) - padding;
+      const width = Math.max(...centers) - Math.min(...centers) + padding * 2;
+      const frameStyle = `shape=umlFrame;whiteSpace=wrap;html=1;width=50;height=20;fillColor=none;${this.themeStyle('frame')}`;
+      const guardStyle = `text;html=1;align=left;verticalAlign=middle;spacingLeft=5;fillColor=none;strokeColor=none;labelBackgroundColor=${this.theme.background || '#ffffff'};${this.themeStyle()}`;
+      elements.push(this.createCell(frame.kind, frameStyle, `x="${x}" y="${frame.top}" width="${width}" height="${frame.bottom - frame.top}" as="geometry"`));
+      if (frame.guard) {
+        guards.push(this.createCell(`[${frame.guard}]`, guardStyle, `x="${x}" y="${frame.top + 20}" width="${width}" height="20" as="geometry"`));
+      }
+      frame.sections.forEach(section => {
+        elements.push(this.createCell('', `line;strokeWidth=1;dashed=1;html=1;${this.themeStyle('frame')}`, `x="${x}" y="${section.y - 5}" width="${width}" height="10" as="geometry"`));
+        if (section.guard) {
+          guards.push(this.createCell(`[${section.guard}]`, guardStyle, `x="${x}" y="${section.y}" width="${width}" height="20" as="geometry"`));
         }
       });
-    } else {
-      // Sequential connections
-      const ids = Object.keys(stepMap);
-      for (let i = 0; i < ids.length - 1; i++) {
-        const sourceId = stepIds[ids[i]];
-        const targetId = stepIds[ids[i + 1]];
-        const label = stepMap[ids[i]].connectorLabel || '';
-        elements.push(this.createConnector(sourceId, targetId, label));
+    });
+
+    // Activation bars, offset to the right when nested
+    const activationStyle = `html=1;points=[];perimeter=orthogonalPerimeter;outlineConnect=0;${this.themeStyle('activation')}`;
+    state.bars.forEach(bar => {
+      bar.x = bar.lifeline.center - activationWidth / 2 + bar.depth * (activationWidth / 2);
+      const geometry = `x="${bar.x}" y="${bar.top}" width="${activationWidth}" height="${bar.bottom - bar.top}" as="geometry"`;
+      elements.push(this.createCell('', activationStyle, geometry, bar.id));
+    });
+    elements.push(...guards);
+
+    // Destroyed lifelines end in a cross
+    state.destroys.forEach(({ lifeline, y }) => {
+      const geometry = `x="${lifeline.center - 10}" y="${y - 10}" width="20" height="20" as="geometry"`;
+      elements.push(this.createCell('', `shape=umlDestroy;html=1;strokeWidth=2;${this.themeStyle('edge')}`, geometry));
+    });
+
+    // Notes
+    state.notes.forEach(note => {
+      const style = `shape=note;whiteSpace=wrap;html=1;size=14;${this.themeStyle('note')}`;
+      elements.push(this.createCell(note.text, style, `x="${note.x}" y="${note.y}" width="${note.width}" height="${note.height}" as="geometry"`));
+    });
+
+    // Messages are anchored with exit/entry constraints so they stay at their exact height
+    const anchor = (end, y, towardX) => {
+      if (end.bar) {
+        const bar = end.bar;
+        const side = towardX >= bar.x + activationWidth / 2 ? 1 : 0;
+        return { id: bar.id, x: side, y: (y - bar.top) / (bar.bottom - bar.top), absX: bar.x + side * activationWidth };
       }
-    }
+      const lifeline = end.lifeline;
+      if (end.head) {
+        const side = towardX >= lifeline.center ? 1 : 0;
+        return { id: lifeline.id, x: side, y: (y - lifeline.top) / (lifeline.bottom - lifeline.top), absX: lifeline.x + side * lifeline.width };
+      }
+      return { id: lifeline.id, x: 0.5, y: (y - lifeline.top) / (lifeline.bottom - lifeline.top), absX: lifeline.center };
+    };
+    const fraction = value => Math.round(value * 10000) / 10000;
+
+    state.messages.forEach(({ item, y, source, target, self }) => {
+      let style = `html=1;verticalAlign=bottom;rounded=0;exitPerimeter=0;entryPerimeter=0;${this.themeStyle('edge')}`;
+      let waypoints = [];
+      let exit;
+      let entry;
+
+      if (self) {
+        exit = anchor(source, y, Infinity);
+        entry = anchor(target, y + 20, Infinity);
+        const loopX = Math.max(exit.absX, entry.absX) + 30;
+        waypoints = [{ x: loopX, y }, { x: loopX, y: y + 20 }];
+        style += 'edgeStyle=orthogonalEdgeStyle;align=left;spacingLeft=2;';
+      } else {
+        const sourceX = source.bar ? source.bar.lifeline.center : source.lifeline.center;
+        const targetX = target.bar ? target.bar.lifeline.center : target.lifeline.center;
+        exit = anchor(source, y, targetX);
+        entry = anchor(target, y, sourceX);
+        style += 'edgeStyle=elbowEdgeStyle;elbow=vertical;curved=0;';
+      }
+
+      if (item.create) {
+        style += 'dashed=1;endArrow=open;endFill=0;';
+      } else if (item.dashed) {
+        style += 'dashed=1;endArrow=open;endFill=0;'; // Reply message style
+      } else if (item.async) {
+        style += 'endArrow=open;endFill=0;';
+      } else {
+        style += 'endArrow=block;endFill=1;'; // Solid arrow for request
+      }
+      style += `exitX=${exit.x};exitY=${fraction(exit.y)};entryX=${entry.x};entryY=${fraction(entry.y)};`;
+
+      const label = item.create && !item.message ? '«create»' : item.message || '';
+      elements.push(this.createConnector(exit.id, entry.id, label, style, waypoints));
+    });
 
     return this.generateDiagram(elements);
   }
 
-  createSequenceDiagram(participants, interactions) {
+  /**
+   * Nodes are placed at their x/y, or by the layout engine when a layout is given.
+   * Nodes can sit in zone groups, whose children are positioned relative to them.
+   */
+  createNetworkDiagram(nodes, connections, layout = null, groups = []) {
     const elements = [];
-    const participantSpacing = 200;
-    const interactionSpacing = 60; // Vertical space between messages
-    const topMargin = 50;
-    const participantIds = {};
-    const lifelineHeight = interactions.length * interactionSpacing + 100;
+    const items = new Map();
+    groups.forEach(group => {
+      if (items.has(group.id)) throw new Error(`Duplicate id: ${group.id}`);
+      items.set(group.id, {
+        id: group.id,
+        group: true,
+        parent: group.parent,
+        label: group.label || '',
+        style: NETWORK_ZONE_STYLE + this.themeStyle('container'),
+        link: group.link,
+        x: group.x,
+        y: group.y,
+        tier: group.tier || this.getNetworkTier(group),
+      });
+    });
+    nodes.forEach(node => {
+      if (items.has(node.id)) throw new Error(`Duplicate id: ${node.id}`);
+      const width = node.width || 120;
+      const height = node.height || 60;
+      items.set(node.id, {
+        id: node.id,
+        group: false,
+        parent: node.parent,
+        label: node.label || 'Node',
+        style: this.getShapeStyle(node.type || 'rectangle'),
+        link: node.link,
+        x: node.x,
+        y: node.y,
+        width,
+        height,
+        layoutWidth: width,
+        layoutHeight: height,
+        tier: node.tier || this.getNetworkTier(node),
+      });
+    });
 
-    // Create Participants (Lifelines)
-    participants.forEach((participant, index) => {
-      const x = 100 + (index * participantSpacing);
-      const y = topMargin;
+    // Items without x/y are placed automatically; hand-placed ones stay put under the
+    // force layout, and overlapping items are pushed apart either way
+    const placed = item => Number.isFinite(item.x) && Number.isFinite(item.y);
+    const { positions, routes } = this.layoutNested(items, connections, (ids, edges, origin) => {
+      const members = ids.map(id => items.get(id));
+      const graphNodes = members.map(item => ({ id: item.id, width: item.layoutWidth, height: item.layoutHeight, tier: item.tier }));
+      if (layout || !members.every(placed)) {
+        const options = resolveLayoutOptions(layout, { algorithm: 'force' });
+        if (options.algorithm === 'force') {
+          members.forEach((item, index) => {
+            if (placed(item)) Object.assign(graphNodes[index], { fixed: true, x: item.x, y: item.y });
+          });
+        }
+        return this.layoutEngine.layout({ nodes: graphNodes, edges }, origin ? { ...options, origin } : options);
+      }
+      return {
+        positions: this.layoutEngine.removeOverlaps(graphNodes, Object.fromEntries(members.map(item => [item.id, { x: item.x, y: item.y }]))),
+      };
+    });
+    this.emitNested(items, positions, elements);
 
-      // UML Lifeline Shape
-      // shape=umlLifeline;participant=umlActor;perimeter=lifelinePerimeter;whiteSpace=wrap;html=1;container=1;collapsible=0;recursiveResize=0;verticalAlign=top;spacingTop=36;outlineConnect=0;
-      // We'll use a standard rectangle with a dashed line for simplicity and better control, 
-      // or the specific umlLifeline shape if we can get the style right.
-      // Let's use the standard 'umlLifeline' shape which includes the head and the line.
+    connections.forEach((conn, index) => {
+      const source = items.get(conn.from);
+      const target = items.get(conn.to);
+      if (source && target) {
+        elements.push(this.createConnector(source.cellId, target.cellId, conn.label || '', undefined, routes[index] || []));
+      }
+    });
 
-      const style = 'shape=umlLifeline;perimeter=lifelinePerimeter;whiteSpace=wrap;html=1;container=1;collapsible=0;recursiveResize=0;outlineConnect=0;';
-      const width = 100;
-      const height = lifelineHeight; // The line extends down
+    return this.generateDiagram(elements);
+  }
+
+  /**
+   * Tier of a network node for the tiered layout: an explicit tier, or a guess
+   * from its shape and label
+   */
+  getNetworkTier(node) {
+    const text = `${node.type || ''} ${node.label || ''}`.toLowerCase();
+    if (/\b(cloud|actor|internet|users?|clients?|browser|firewall|router|gateway|load ?balancer|lb|cdn|dns|proxy|waf)\b/.test(text)) {
+      return 'edge';
+    }
+    if (/\b(database|cylinder|db|cache|redis|storage|bucket|s3|queue|kafka|warehouse)\b/.test(text)) {
+      return 'data';
+    }
+    return 'app';
+  }
 
-      const lifeline = this.createShape(participant, 'umlLifeline', x, y, width, height);
-      // Override style to ensure it looks right
-      lifeline.xml = lifeline.xml.replace(/style="[^"]*"/, `style="${style}"`);
+  /**
+   * Cloud architecture: provider icons (aws:lambda, k8s:pod) inside nested group
+   * containers (aws:vpc, k8s:namespace). Every container is laid out on its own,
+   * innermost first, so groups grow to fit their children.
+   */
+  createArchitectureDiagram(nodes = [], groups = [], connections = [], layout = {}) {
+    const elements = [];
+    const labelHeight = 30;
 
-      elements.push(lifeline);
-      participantIds[participant] = { id: lifeline.id, x: x + width / 2 }; // Store center X
+    const items = new Map();
+    groups.forEach(group => {
+      if (items.has(group.id)) throw new Error(`Duplicate id: ${group.id}`);
+      items.set(group.id, { id: group.id, group: true, parent: group.parent, label: group.label || '', style: resolveGroup(group.type).style + this.themeStyle('group'), link: group.link });
+    });
+    nodes.forEach(node => {
+      if (items.has(node.id)) throw new Error(`Duplicate id: ${node.id}`);
+      const reference = node.icon || node.type || 'rectangle';
+      let icon;
+      if (reference.includes(':')) {
+        const resolved = resolveIcon(reference);
+        icon = { ...resolved, style: resolved.style + this.themeStyle('icon') };
+      } else {
+        icon = { style: this.getShapeStyle(reference), width: 120, height: 60, inside: true };
+      }
+      const width = node.width || icon.width;
+      const height = node.height || icon.height;
+      const label = node.label || '';
+      items.set(node.id, {
+        id: node.id,
+        group: false,
+        parent: node.parent,
+        label,
+        style: icon.style,
+        link: node.link,
+        width,
+        height,
+        // Icon labels sit underneath, so the layout reserves room for them
+        layoutWidth: icon.inside ? width : Math.max(width, label.length * 7 + 16),
+        layoutHeight: icon.inside ? height : height + labelHeight,
+      });
     });
 
-    let currentY = topMargin + 80; // Start messages below the headers
+    const options = resolveLayoutOptions(layout, { direction: 'LR', rankSpacing: 80 });
+    const { positions, routes } = this.layoutNested(items, connections, (ids, edges, origin) => this.layoutEngine.layout({
+      nodes: ids.map(id => ({ id, width: items.get(id).layoutWidth, height: items.get(id).layoutHeight })),
+      edges,
+    }, { ...options, origin: origin || options.origin }));
+    this.emitNested(items, positions, elements);
 
-    // Create Interactions
-    interactions.forEach((interaction, index) => {
-      const source = participantIds[interaction.from];
-      const target = participantIds[interaction.to];
+    connections.forEach((conn, index) => {
+      if (!items.has(conn.from) || !items.has(conn.to)) {
+        throw new Error(`Connection ${conn.from} -> ${conn.to} refers to an unknown node`);
+      }
+      elements.push(this.createConnector(items.get(conn.from).cellId, items.get(conn.to).cellId, conn.label || '', undefined, routes[index] || []));
+    });
 
-      if (source && target) {
-        // 1. Activation Bars (Focus of Control)
-        // We add a small rectangle on the lifeline at the point of interaction
-        // For simplicity, we'll just add small rectangles for each message point.
-        // A full activation bar logic requires tracking start/end of calls, which is complex for this simple input.
-        // We will just place the message.
-
-        // 2. Message Arrows
-        // Solid for request (default), Dashed for reply (dashed=true)
-        let edgeStyle = 'html=1;verticalAlign=bottom;endArrow=block;edgeStyle=elbowEdgeStyle;elbow=vertical;curved=0;rounded=0;';
-        if (interaction.dashed) {
-          edgeStyle += 'dashed=1;endArrow=open;'; // Reply message style
-        } else {
-          edgeStyle += 'endFill=1;'; // Solid arrow for request
+    return this.generateDiagram(elements);
+  }
+
+  /**
+   * Lays out items nested in groups, innermost group first, so every group grows
+   * to fit its children. Items are { id, group, parent, label, layoutWidth, layoutHeight }
+   * (groups are sized here); arrange(ids, edges, origin) places the direct children
+   * of one group, or of the page when origin is null, and returns a layout result.
+   * Positions are relative to the group an item sits in. Waypoints are kept for
+   * connections between items on the page itself, the only ones drawn in page coordinates.
+   */
+  layoutNested(items, connections, arrange) {
+    const padding = 20;
+    const header = 40;
+
+    const children = new Map([[null, []]]);
+    items.forEach(item => {
+      if (item.parent !== undefined && item.parent !== null) {
+        const parent = items.get(item.parent);
+        if (!parent || !parent.group) {
+          throw new Error(`Unknown group "${item.parent}" for "${item.id}"`);
         }
+      }
+      const key = item.parent ?? null;
+      if (!children.has(key)) children.set(key, []);
+      children.get(key).push(item.id);
+    });
 
-        // Anchor points on the lifelines
-        // We need to create "points" on the lifeline to connect to.
-        // Since umlLifeline is a single shape, we can connect to it directly, but specifying the Y coordinate is tricky with standard connectors.
-        // We will use the same trick as before: invisible small circles on the lifeline path.
+    // The child of a group that holds an item, or null when the item is outside it
+    const childOf = (id, container) => {
+      const seen = new Set();
+      let current = items.get(id);
+      while (current && !seen.has(current.id)) {
+        seen.add(current.id);
+        if ((current.parent ?? null) === container) return current.id;
+        current = items.get(current.parent);
+      }
+      return null;
+    };
 
-        const sourceX = source.x;
-        const targetX = target.x;
+    const positions = {};
+    const routes = [];
+    const visiting = new Set();
+    const place = container => {
+      if (visiting.has(container)) throw new Error(`Group "${container}" is nested inside itself`);
+      visiting.add(container);
+      const ids = children.get(container) || [];
+      ids.forEach(id => {
+        const item = items.get(id);
+        if (!item.group) return;
+        const size = place(id);
+        item.width = item.layoutWidth = Math.max(size.width, item.label.length * 7 + 60);
+        item.height = item.layoutHeight = size.height;
+      });
 
-        const pointStyle = 'shape=ellipse;fillColor=none;strokeColor=none;resizable=0;';
-        const sourcePointId = this.getNextId();
-        const targetPointId = this.getNextId();
+      const edges = [];
+      const indexes = [];
+      connections.forEach((conn, index) => {
+        const from = childOf(conn.from, container);
+        const to = childOf(conn.to, container);
+        if (from && to && from !== to) {
+          edges.push({ from, to });
+          indexes.push(index);
+        }
+      });
+      const result = arrange(ids, edges, container === null ? null : { x: padding, y: header });
+
+      let right = 0;
+      let bottom = 0;
+      ids.forEach(id => {
+        const item = items.get(id);
+        const position = result.positions[id];
+        positions[id] = { x: position.x + (item.layoutWidth - item.width) / 2, y: position.y };
+        right = Math.max(right, position.x + item.layoutWidth);
+        bottom = Math.max(bottom, position.y + item.layoutHeight);
+      });
+      if (container === null && result.edges) {
+        indexes.forEach((index, i) => {
+          const conn = connections[index];
+          if (edges[i].from === conn.from && edges[i].to === conn.to) routes[index] = result.edges[i].points;
+        });
+      }
+      visiting.delete(container);
+      return { width: Math.max(right + padding, 160), height: Math.max(bottom + padding, header + 40) };
+    };
+    place(null);
 
-        const sourcePoint = this.createCell('', pointStyle, `x="${sourceX}" y="${currentY}" width="0" height="0" as="geometry"`, sourcePointId, '1', true);
-        const targetPoint = this.createCell('', pointStyle, `x="${targetX}" y="${currentY}" width="0" height="0" as="geometry"`, targetPointId, '1', true);
+    return { positions, routes };
+  }
 
-        elements.push(sourcePoint);
-        elements.push(targetPoint);
+  /**
+   * Adds the cells of nested items; groups have to come before their children in the file
+   */
+  emitNested(items, positions, elements) {
+    const children = new Map();
+    items.forEach(item => {
+      const key = item.parent ?? null;
+      if (!children.has(key)) children.set(key, []);
+      children.get(key).push(item);
+    });
+    const emit = container => {
+      (children.get(container) || []).forEach(item => {
+        const { x, y } = positions[item.id];
+        const geometry = `x="${Math.round(x)}" y="${Math.round(y)}" width="${item.width}" height="${item.height}" as="geometry"`;
+        const cell = this.createCell(item.label, item.style, geometry, null, container === null ? '1' : items.get(container).cellId, true, false, null, null, '', item.link);
+        item.cellId = cell.id;
+        elements.push(cell);
+        if (item.group) emit(item.id);
+      });
+    };
+    emit(null);
+  }
 
-        // Activation Bar (Visual candy)
-        // Add a small rectangle at source and target to simulate activation
-        const activationWidth = 10;
-        const activationHeight = 20; // Short activation for single message
-        const activationStyle = 'html=1;whiteSpace=wrap;fillColor=#ffffff;';
+  /**
+   * Entities are draw.io tables whose rows move with them. Relationships attach
+   * to the rows of the columns they join and end in crow's-foot markers.
+   */
+  createERD(entities, relationships = [], layout = {}) {
+    const elements = [];
+    const headerHeight = 30;
+    const rowHeight = 26;
+    const charWidth = 7.5;
+
+    const tables = entities.map(entity => {
+      const attributes = (entity.attributes || []).map(normalizeAttribute);
+      const keyWidth = Math.max(40, ...attributes.map(attr => this.getKeyLabel(attr).length * 9 + 12));
+      const nameWidth = Math.ceil(Math.max(100, ...attributes.map(attr => attr.name.length * charWidth + 24)));
+      const typeWidth = attributes.some(attr => attr.type)
+        ? Math.ceil(Math.max(70, ...attributes.map(attr => (attr.type.length + (attr.nullable ? 1 : 0)) * charWidth + 24)))
+        : 0;
+      return {
+        entity,
+        key: entity.id || entity.name,
+        attributes,
+        keyWidth,
+        nameWidth,
+        typeWidth,
+        width: Math.max(keyWidth + nameWidth + typeWidth, entity.name.length * 8 + 40),
+        height: headerHeight + attributes.length * rowHeight,
+        rowIds: {},
+      };
+    });
+    const tableIndex = Object.fromEntries(tables.map(table => [table.key, table]));
+
+    const links = relationships
+      .filter(rel => tableIndex[rel.from] && tableIndex[rel.to])
+      .map(rel => ({ rel, ...parseCardinality(rel) }));
+
+    // Parent tables rank before the tables that reference them; many-to-one
+    // relationships point backwards
+    const { positions, edges: routes } = this.layoutEngine.layout({
+      nodes: tables.map(table => ({ id: table.key, width: table.width, height: table.height })),
+      edges: links.map(({ rel, start, end }) => (
+        isMany(start) && !isMany(end) ? { from: rel.to, to: rel.from } : { from: rel.from, to: rel.to }
+      )),
+    }, resolveLayoutOptions(layout, { direction: 'LR', rankSpacing: 120 }));
+
+    tables.forEach(table => {
+      const { x, y } = positions[table.key];
+      const tableId = this.getNextId();
+      table.id = tableId;
+      const tableStyle = `shape=table;startSize=30;container=1;collapsible=1;childLayout=tableLayout;fixedRows=1;rowLines=0;fontStyle=1;align=center;resizeLast=1;html=1;${this.themeStyle('table')}`;
+      elements.push(this.createCell(table.entity.name, tableStyle, `x="${x}" y="${y}" width="${table.width}" height="${table.height}" as="geometry"`, tableId, '1', true, false, null, null, '', table.entity.link));
+
+      const { keyWidth } = table;
+      const nameWidth = table.width - keyWidth - table.typeWidth;
+      const lastKey = table.attributes.map(attr => attr.pk).lastIndexOf(true);
+      table.attributes.forEach((attr, index) => {
+        const rowId = this.getNextId();
+        table.rowIds[attr.name] = rowId;
+        // The last primary key row gets a bottom border to separate keys from columns
+        const rowStyle = `shape=tableRow;horizontal=0;startSize=0;swimlaneHead=0;swimlaneBody=0;fillColor=none;collapsible=0;dropTarget=0;points=[[0,0.5],[1,0.5]];portConstraint=eastwest;top=0;left=0;right=0;bottom=${index === lastKey ? 1 : 0};html=1;`;
+        elements.push(this.createCell('', rowStyle, `y="${headerHeight + index * rowHeight}" width="${table.width}" height="${rowHeight}" as="geometry"`, rowId, tableId));
+
+        const cellStyle = `shape=partialRectangle;connectable=0;fillColor=none;top=0;left=0;bottom=0;right=0;overflow=hidden;whiteSpace=wrap;html=1;${this.themeStyle()}`;
+        elements.push(this.createCell(this.getKeyLabel(attr), `${cellStyle}fontStyle=1;`, `width="${keyWidth}" height="${rowHeight}" as="geometry"`, null, rowId));
+        elements.push(this.createCell(attr.name, `${cellStyle}align=left;spacingLeft=6;${attr.pk ? 'fontStyle=5;' : ''}`, `x="${keyWidth}" width="${nameWidth}" height="${rowHeight}" as="geometry"`, null, rowId));
+        if (table.typeWidth) {
+          const type = attr.type + (attr.nullable ? '?' : '');
+          elements.push(this.createCell(type, `${cellStyle}align=left;spacingLeft=6;${this.themeStyle('muted')}`, `x="${keyWidth + nameWidth}" width="${table.typeWidth}" height="${rowHeight}" as="geometry"`, null, rowId));
+        }
+      });
+    });
 
-        // We center the activation bar on the lifeline
-        const sourceActivation = this.createShape('', 'rectangle', sourceX - activationWidth / 2, currentY - 10, activationWidth, activationHeight);
-        sourceActivation.xml = sourceActivation.xml.replace(/style="[^"]*"/, `style="${activationStyle}"`);
-        elements.push(sourceActivation);
+    links.forEach(({ rel, start, end, label }, index) => {
+      const from = tableIndex[rel.from];
+      const to = tableIndex[rel.to];
+      const [fromColumn, toColumn] = this.findJoinColumns(rel, from, to);
+      const sourceId = (fromColumn && from.rowIds[fromColumn]) || from.id;
+      const targetId = (toColumn && to.rowIds[toColumn]) || to.id;
+      // Lines that skip a rank follow the layout's route around the tables in between
+      const { points } = routes[index];
+      const edgeStyle = points.length > 0 ? 'orthogonalEdgeStyle' : 'entityRelationEdgeStyle';
+      const style = `edgeStyle=${edgeStyle};fontSize=12;${this.themeStyle('edge')}html=1;startArrow=${start};endArrow=${end};startFill=0;endFill=0;`;
+      elements.push(this.createConnector(sourceId, targetId, label, style, points));
+    });
 
-        const targetActivation = this.createShape('', 'rectangle', targetX - activationWidth / 2, currentY - 10, activationWidth, activationHeight);
-        targetActivation.xml = targetActivation.xml.replace(/style="[^"]*"/, `style="${activationStyle}"`);
-        elements.push(targetActivation);
+    return this.generateDiagram(elements);
+  }
 
-        // Connect the activation bars? Or just the points?
-        // Connecting points is safer for straight lines.
-        // But visually we want the arrow to touch the activation bar.
-        // Let's connect the points which are at the center of the lifeline. 
-        // The activation bar sits on top. The line might overlap the activation bar slightly or be behind it.
-        // To make it look perfect, we should connect to the activation bars.
+  getKeyLabel(attribute) {
+    return [attribute.pk && 'PK', attribute.fk && 'FK', attribute.unique && !attribute.pk && 'UQ'].filter(Boolean).join(',');
+  }
 
-        const connector = this.createConnector(sourceActivation.id, targetActivation.id, interaction.message, edgeStyle);
-        elements.push(connector);
+  /**
+   * Picks the columns a relationship joins. Explicit fromColumn/toColumn win;
+   * otherwise a foreign key referencing the other table is matched with the
+   * column it references, or that table's primary key.
+   */
+  findJoinColumns(rel, from, to) {
+    const refersTo = (attr, table) => {
+      if (!attr.references) return false;
+      const [refTable] = attr.references.split('.');
+      return refTable === table.key || refTable.toLowerCase() === table.entity.name.toLowerCase();
+    };
+    const referenced = (attr, table) => {
+      const column = attr.references.split('.')[1];
+      return column && table.rowIds[column] ? column : primaryKey(table);
+    };
+    const primaryKey = table => {
+      const pk = table.attributes.find(attr => attr.pk);
+      return pk ? pk.name : null;
+    };
 
-        currentY += interactionSpacing;
+    let fromColumn = rel.fromColumn || null;
+    let toColumn = rel.toColumn || null;
+    if (!fromColumn && !toColumn) {
+      const toFk = to.attributes.find(attr => refersTo(attr, from));
+      const fromFk = from.attributes.find(attr => refersTo(attr, to));
+      if (toFk) {
+        toColumn = toFk.name;
+        fromColumn = referenced(toFk, from);
+      } else if (fromFk) {
+        fromColumn = fromFk.name;
+        toColumn = referenced(fromFk, to);
+      } else {
+        fromColumn = primaryKey(from);
+        toColumn = primaryKey(to);
       }
+    }
+    return [fromColumn, toColumn];
+  }
+
+  /**
+   * Classes are draw.io class boxes: a swimlane header with the name and
+   * stereotype, then attribute rows, a divider and method rows. Superclasses,
+   * interfaces and owning classes are ranked above the classes that use them.
+   */
+  createClassDiagram(classes, relationships = [], layout = {}) {
+    const elements = [];
+    const rowHeight = 26;
+    const dividerHeight = 8;
+    const charWidth = 7;
+
+    const boxes = classes.map(cls => {
+      const attributes = (cls.attributes || []).map(member => ({ member, text: formatMember(member, 'attribute') }));
+      const methods = (cls.methods || []).map(member => ({ member, text: formatMember(member, 'method') }));
+      const stereotype = cls.stereotype ? `«${cls.stereotype}»` : '';
+      const headerHeight = stereotype ? 40 : 26;
+      const longest = Math.max(0, ...[...attributes, ...methods].map(row => row.text.length));
+      return {
+        cls,
+        key: cls.id || cls.name,
+        stereotype,
+        attributes,
+        methods,
+        headerHeight,
+        width: Math.ceil(Math.max(160, longest * charWidth + 20, Math.max(cls.name.length, stereotype.length) * 8 + 40)),
+        height: headerHeight + (attributes.length + methods.length) * rowHeight + dividerHeight,
+      };
+    });
+    const boxIndex = Object.fromEntries(boxes.map(box => [box.key, box]));
+    const links = relationships.filter(rel => boxIndex[rel.from] && boxIndex[rel.to]);
+
+    // Generalizations point up, so the layout runs them from the general class down
+    const reversed = rel => ['inheritance', 'realization'].includes(rel.type || 'association');
+    const { positions, edges: routes } = this.layoutEngine.layout({
+      nodes: boxes.map(box => ({ id: box.key, width: box.width, height: box.height })),
+      edges: links.map(rel => (reversed(rel) ? { from: rel.to, to: rel.from } : { from: rel.from, to: rel.to })),
+    }, resolveLayoutOptions(layout, { direction: 'TB', rankSpacing: 80 }));
+
+    const rowStyle = `text;strokeColor=none;fillColor=none;align=left;verticalAlign=top;spacingLeft=4;spacingRight=4;overflow=hidden;rotatable=0;points=[[0,0.5],[1,0.5]];portConstraint=eastwest;${this.themeStyle()}`;
+    boxes.forEach(box => {
+      const { cls } = box;
+      const { x, y } = positions[box.key];
+      box.id = this.getNextId();
+      // Abstract classes and interfaces are named in italics
+      const fontStyle = cls.abstract || cls.stereotype === 'interface' ? 3 : 1;
+      const label = box.stereotype ? `${box.stereotype}<br>${escapeHtml(cls.name)}` : escapeHtml(cls.name);
+      const style = `swimlane;fontStyle=${fontStyle};align=center;verticalAlign=top;childLayout=stackLayout;horizontal=1;startSize=${box.headerHeight};horizontalStack=0;resizeParent=1;resizeParentMax=0;resizeLast=0;collapsible=1;marginBottom=0;whiteSpace=wrap;html=1;${this.themeStyle('table')}`;
+      elements.push(this.createCell(label, style, `x="${x}" y="${y}" width="${box.width}" height="${box.height}" as="geometry"`, box.id, '1', true, false, null, null, '', cls.link));
+
+      // Static members are underlined and abstract methods italic, as in UML
+      let top = box.headerHeight;
+      const addRow = ({ member, text }) => {
+        const memberStyle = (member.static ? 4 : 0) | (member.abstract ? 2 : 0);
+        elements.push(this.createCell(text, `${rowStyle}${memberStyle ? `fontStyle=${memberStyle};` : ''}`, `y="${top}" width="${box.width}" height="${rowHeight}" as="geometry"`, null, box.id));
+        top += rowHeight;
+      };
+      box.attributes.forEach(addRow);
+      const dividerStyle = `line;strokeWidth=1;fillColor=none;align=left;verticalAlign=middle;spacingTop=-1;spacingLeft=3;spacingRight=3;rotatable=0;labelPosition=right;points=[];portConstraint=eastwest;strokeColor=${this.theme.table.strokeColor || '#000000'};`;
+      elements.push(this.createCell('', dividerStyle, `y="${top}" width="${box.width}" height="${dividerHeight}" as="geometry"`, null, box.id));
+      top += dividerHeight;
+      box.methods.forEach(addRow);
+    });
+
+    links.forEach((rel, index) => {
+      const points = reversed(rel) ? [...routes[index].points].reverse() : routes[index].points;
+      const style = `${CONNECTOR_STYLE}${this.themeStyle('edge')}${CLASS_RELATIONSHIPS[rel.type || 'association']}`;
+      const edge = this.createConnector(boxIndex[rel.from].id, boxIndex[rel.to].id, rel.label || '', style, points);
+      elements.push(edge);
+
+      // Multiplicities sit at the ends of the line, as children of the edge
+      [['fromMultiplicity', -1, 'left'], ['toMultiplicity', 1, 'right']].forEach(([key, position, align]) => {
+        if (rel[key] === undefined || rel[key] === '') return;
+        const endStyle = `edgeLabel;resizable=0;html=1;align=${align};verticalAlign=bottom;labelBackgroundColor=none;${this.themeStyle()}`;
+        elements.push(this.createCell(String(rel[key]), endStyle, `x="${position}" relative="1" as="geometry"`, null, edge.id, true, false, null, null, `          <mxPoint x="${position * -10}" y="-4" as="offset" />\n`));
+      });
     });
 
     return this.generateDiagram(elements);
   }
 
-  createNetworkDiagram(nodes, connections) {
+  /**
+   * UML state machine. States with children, or of type parallel, are composite
+   * states drawn as containers; the children of a parallel state are its regions.
+   * An initial pseudo-state is added for data.initial and for each composite
+   * state's initial child, and self-transitions loop on the right of their state.
+   */
+  createStateMachine(states, transitions = [], layout = {}, initial = null) {
     const elements = [];
-    const nodeIds = {};
-
-    // Create nodes
-    nodes.forEach(node => {
-      const type = node.type || 'rectangle';
-      const x = node.x || 100;
-      const y = node.y || 100;
-      const width = node.width || 120;
-      const height = node.height || 60;
-      const label = node.label || 'Node';
-
-      const shape = this.createShape(label, type, x, y, width, height);
-      elements.push(shape);
-      nodeIds[node.id] = shape.id;
+    const ink = this.theme.edge.strokeColor || this.theme.font.fontColor || '#000000';
+    const loopWidth = 40;
+
+    const items = new Map();
+    const parentIds = new Set(states.map(state => state.parent).filter(parent => parent !== undefined && parent !== null));
+    states.forEach(state => {
+      if (items.has(state.id)) throw new Error(`Duplicate state id: ${state.id}`);
+      const type = state.type || 'state';
+      const composite = type === 'parallel' || parentIds.has(state.id);
+      const activities = ['entry', 'exit', 'do'].flatMap(kind => [].concat(state[kind] ?? []).map(activity => `${kind} / ${activity}`));
+      const name = state.label ?? (type === 'history' ? (state.deep ? 'H*' : 'H') : state.id);
+      const item = { id: state.id, state, type, group: composite, parent: state.parent, label: String(name), activities };
+      if (!composite) {
+        const size = this.getStateSize(type, item.label, activities);
+        Object.assign(item, size, { layoutWidth: size.width, layoutHeight: size.height });
+      }
+      items.set(state.id, item);
     });
 
-    // Create connections
+    // Initial pseudo-states point at the first state of the machine and of each composite state
+    const connections = [];
+    const initials = [[null, initial]];
+    states.forEach(state => {
+      if (state.initial !== undefined && state.initial !== null) initials.push([state.id, state.initial]);
+    });
+    initials.forEach(([container, target]) => {
+      if (target === undefined || target === null) return;
+      if (!items.has(target)) throw new Error(`Initial state "${target}" does not exist`);
+      const id = `${container ?? ''}\u0000initial`;
+      items.set(id, { id, type: 'initial', group: false, parent: container ?? undefined, label: '', activities: [], width: 24, height: 24, layoutWidth: 24, layoutHeight: 24 });
+      connections.push({ from: id, to: target, label: '' });
+    });
+    // Transitions between the same two states share one line, a label line each
+    const merged = new Map();
+    transitions.forEach(transition => {
+      [transition.from, transition.to].forEach(id => {
+        if (!items.has(id)) throw new Error(`Transition ${transition.from} -> ${transition.to} refers to an unknown state`);
+      });
+      const key = `${transition.from}\u0000${transition.to}`;
+      if (!merged.has(key)) {
+        merged.set(key, { from: transition.from, to: transition.to, labels: [], self: transition.from === transition.to });
+        connections.push(merged.get(key));
+      }
+      merged.get(key).labels.push(formatTransition(transition));
+    });
     connections.forEach(conn => {
-      const sourceId = nodeIds[conn.from];
-      const targetId = nodeIds[conn.to];
+      conn.label = conn.labels ? conn.labels.filter(Boolean).map(escapeHtml).join('<br>') : conn.label;
+    });
 
-      if (sourceId && targetId) {
-        const connector = this.createConnector(sourceId, targetId, conn.label || '');
-        elements.push(connector);
+    // Self-transition loops and their labels sit to the right; the layout centers
+    // items in their space, so the same room is kept on the left
+    connections.filter(conn => conn.self).forEach(conn => {
+      const item = items.get(conn.from);
+      if (item.group) return;
+      const labelWidth = Math.max(0, ...conn.labels.map(label => label.length * 7));
+      item.layoutWidth = item.width + (loopWidth + labelWidth) * 2;
+    });
+
+    const options = resolveLayoutOptions(layout, { direction: 'TB', rankSpacing: 60 });
+    const { positions, routes } = this.layoutNested(items, connections, (ids, edges, origin) => this.layoutEngine.layout({
+      nodes: ids.map(id => ({ id, width: items.get(id).layoutWidth, height: items.get(id).layoutHeight })),
+      edges,
+    }, { ...options, origin: origin || options.origin }));
+
+    // Containers come before their children, which are placed relative to them
+    const absolute = new Map();
+    const emit = (container, offset) => {
+      items.forEach(item => {
+        if ((item.parent ?? null) !== container) return;
+        const { x, y } = positions[item.id];
+        absolute.set(item.id, { x: offset.x + x, y: offset.y + y });
+        const parentCell = container === null ? '1' : items.get(container).cellId;
+        const cell = this.createStateShape(item, Math.round(x), Math.round(y), parentCell, ink, items.get(container)?.type === 'parallel');
+        item.cellId = cell.id;
+        elements.push(cell);
+        if (item.group) emit(item.id, absolute.get(item.id));
+      });
+    };
+    emit(null, { x: 0, y: 0 });
+
+    connections.forEach((conn, index) => {
+      const source = items.get(conn.from);
+      const target = items.get(conn.to);
+      let style = this.getConnectorStyle();
+      let points = routes[index] || [];
+      if (conn.self) {
+        const { x, y } = absolute.get(source.id);
+        style += 'exitX=1;exitY=0.35;exitDx=0;exitDy=0;entryX=1;entryY=0.65;entryDx=0;entryDy=0;align=left;';
+        points = [{ x: x + source.width + loopWidth - 10, y: Math.round(y + source.height * 0.35) }, { x: x + source.width + loopWidth - 10, y: Math.round(y + source.height * 0.65) }];
       }
+      elements.push(this.createConnector(source.cellId, target.cellId, conn.label, style, points));
     });
 
     return this.generateDiagram(elements);
   }
 
-  createERD(entities, relationships) {
+  getStateSize(type, label, activities) {
+    switch (type) {
+      case 'initial':
+        return { width: 24, height: 24 };
+      case 'final':
+        return { width: 28, height: 28 };
+      case 'choice':
+        return { width: 40, height: 40 };
+      case 'history':
+        return { width: 30, height: 30 };
+      default: {
+        const longest = Math.max(label.length, ...activities.map(line => line.length));
+        return { width: Math.max(120, longest * 7 + 24), height: Math.max(40, 30 + activities.length * 16) };
+      }
+    }
+  }
+
+  createStateShape(item, x, y, parent, ink, region) {
+    const { state = {} } = item;
+    const link = state.link;
+    switch (item.type) {
+      case 'initial':
+        return this.createShape('', 'ellipse', x, y, item.width, item.height, ink, ink, 'aspect=fixed;', parent);
+      case 'final':
+        return this.createShape('', 'ellipse', x, y, item.width, item.height, ink, ink, 'shape=endState;aspect=fixed;', parent, link);
+      case 'choice':
+        // The label, usually empty, goes underneath so the diamond stays small
+        return this.createShape(item.label === state.id ? '' : item.label, 'diamond', x, y, item.width, item.height, null, null, 'verticalLabelPosition=bottom;verticalAlign=top;', parent, link);
+      case 'history':
+        return this.createShape(item.label, 'ellipse', x, y, item.width, item.height, null, null, 'aspect=fixed;', parent, link);
+      default:
+        break;
+    }
+
+    const name = escapeHtml(item.label);
+    if (item.group) {
+      const extra = `rounded=1;arcSize=6;container=1;collapsible=0;${this.themeStyle('container')}${region ? 'dashed=1;' : ''}`;
+      return this.createShape(name, 'swimlane', x, y, item.width, item.height, null, null, extra, parent, link);
+    }
+    // Entry, exit and do activities are listed under the name, left-aligned
+    if (item.activities.length > 0) {
+      const label = `<b>${name}</b><br>${item.activities.map(escapeHtml).join('<br>')}`;
+      return this.createShape(label, 'roundedRectangle', x, y, item.width, item.height, null, null, `arcSize=20;align=left;verticalAlign=top;spacingLeft=8;${region ? 'dashed=1;' : ''}`, parent, link);
+    }
+    return this.createShape(name, 'roundedRectangle', x, y, item.width, item.height, null, null, `arcSize=40;${region ? 'dashed=1;' : ''}`, parent, link);
+  }
+
+  /**
+   * One view of a C4 model. The containers of a system, or the components of a
+   * container, are drawn inside its boundary with the people and systems they
+   * talk to around it. Relationships of elements that are not shown at this
+   * level are drawn between the nearest elements that are. views are the pages
+   * of the document, which systems and containers link down to and boundaries
+   * link up to.
+   */
+  createC4Diagram(data, layout = {}, views = []) {
     const elements = [];
-    const entityIds = {};
+    const view = data.view || { level: 'context' };
+
+    const model = new Map();
+    [['person', data.people], ['system', data.systems], ['container', data.containers], ['component', data.components]].forEach(([kind, list]) => {
+      (list || []).forEach(element => {
+        if (model.has(element.id)) throw new Error(`Duplicate id: ${element.id}`);
+        const parent = kind === 'container' ? element.system : kind === 'component' ? element.container : null;
+        model.set(element.id, { id: element.id, kind, element, parent: parent ?? null });
+      });
+    });
+    model.forEach(entry => {
+      if (entry.parent !== null && !model.has(entry.parent)) {
+        throw new Error(`Unknown ${entry.kind === 'container' ? 'system' : 'container'} "${entry.parent}" for "${entry.id}"`);
+      }
+    });
 
-    // Layout parameters
-    const startX = 100;
-    const startY = 100;
-    const entityWidth = 160;
-    const attributeHeight = 26;
-    const headerHeight = 30;
-    const spacingX = 250;
-    const spacingY = 200;
-
-    // Simple grid layout
-    let currentX = startX;
-    let currentY = startY;
-    const itemsPerRow = 3;
-
-    entities.forEach((entity, index) => {
-      // Calculate position
-      if (index > 0 && index % itemsPerRow === 0) {
-        currentX = startX;
-        currentY += spacingY;
-      }
-
-      const totalHeight = headerHeight + (entity.attributes.length * attributeHeight);
-
-      // Entity Header (Table Name)
-      // Using 'swimlane' style for table-like look or just a rectangle
-      // Let's use a rectangle for the header and stack attributes below
-      const headerStyle = 'rounded=0;whiteSpace=wrap;html=1;fillColor=#f5f5f5;fontWeight=bold;';
-      const header = this.createShape(entity.name, 'rectangle', currentX, currentY, entityWidth, headerHeight);
-      // Override style
-      header.xml = header.xml.replace(/style="[^"]*"/, `style="${headerStyle}"`);
-
-      elements.push(header);
-      entityIds[entity.id] = header.id;
-
-      // Attributes
-      entity.attributes.forEach((attr, attrIndex) => {
-        const attrY = currentY + headerHeight + (attrIndex * attributeHeight);
-        const attrStyle = 'rounded=0;whiteSpace=wrap;html=1;align=left;spacingLeft=10;';
-        const attrShape = this.createShape(attr, 'rectangle', currentX, attrY, entityWidth, attributeHeight);
-        attrShape.xml = attrShape.xml.replace(/style="[^"]*"/, `style="${attrStyle}"`);
-        elements.push(attrShape);
+    // The system or container whose insides are shown, and what encloses it
+    let scope = null;
+    if (view.level !== 'context') {
+      const kind = view.level === 'container' ? 'system' : 'container';
+      if (!model.has(view.of) || model.get(view.of).kind !== kind) {
+        throw new Error(`The ${view.level} view needs the id of a ${kind}, got "${view.of}"`);
+      }
+      scope = view.of;
+    }
+    const lineage = [];
+    for (let id = scope; id !== null; id = model.get(id).parent) lineage.push(id);
+
+    // The element drawn for id at this level: itself, or the closest enclosing
+    // element outside the boundary. null for the boundary and what encloses it
+    const shown = id => {
+      const chain = [];
+      for (let current = id; current !== null; current = model.get(current).parent) chain.push(current);
+      const around = lineage.find(ancestor => chain.includes(ancestor));
+      if (around === undefined) return { id: chain[chain.length - 1], inside: false };
+      if (around === id) return null;
+      return { id: chain.find(current => model.get(current).parent === around), inside: around === scope };
+    };
+
+    // One line per pair of elements, described by the relationship between exactly
+    // those two when there is one
+    const lines = new Map();
+    (data.relationships || []).forEach(rel => {
+      [rel.from, rel.to].forEach(id => {
+        if (!model.has(id)) throw new Error(`Relationship ${rel.from} -> ${rel.to} refers to an unknown element`);
       });
+      const from = shown(rel.from);
+      const to = shown(rel.to);
+      if (!from || !to || from.id === to.id) return;
+      if (scope !== null && !from.inside && !to.inside) return;
+      const key = `${from.id}\u0000${to.id}`;
+      const direct = rel.from === from.id && rel.to === to.id;
+      if (!lines.has(key) || (direct && !lines.get(key).direct)) {
+        lines.set(key, { from: from.id, to: to.id, rel, direct });
+      }
+    });
+    const connections = [...lines.values()];
 
-      // Grouping rectangle (optional, but good for moving)
-      // For simplicity in this generator, we just place them. 
-      // Draw.io grouping requires group cells, which adds complexity.
+    const visible = new Set();
+    model.forEach(entry => {
+      if (entry.parent === scope) visible.add(entry.id);
+    });
+    connections.forEach(conn => {
+      visible.add(conn.from);
+      visible.add(conn.to);
+    });
 
-      currentX += spacingX;
+    const pageOf = (level, of) => views.find(candidate => candidate.level === level && candidate.of === of);
+    const items = new Map();
+    if (scope !== null) {
+      const entry = model.get(scope);
+      const up = view.level === 'container' ? pageOf('context') : pageOf('container', entry.parent);
+      items.set(scope, {
+        id: scope,
+        group: true,
+        label: `<b>${escapeHtml(entry.element.name || scope)}</b><br>[${C4_KINDS[entry.kind].tag}]`,
+        style: this.getC4BoundaryStyle(),
+        link: up ? `page:${up.name}` : null,
+      });
+    }
+    model.forEach(entry => {
+      if (!visible.has(entry.id)) return;
+      const down = entry.kind === 'system' ? pageOf('container', entry.id) : entry.kind === 'container' ? pageOf('component', entry.id) : undefined;
+      const { width, height } = this.getC4Size(entry);
+      items.set(entry.id, {
+        id: entry.id,
+        group: false,
+        parent: scope !== null && entry.parent === scope ? scope : undefined,
+        label: this.getC4Label(entry),
+        style: this.getC4Style(entry.kind, entry.element),
+        link: down ? `page:${down.name}` : entry.element.link,
+        width,
+        height,
+        layoutWidth: width,
+        layoutHeight: height,
+      });
     });
 
-    // Relationships
-    relationships.forEach(rel => {
-      const sourceId = entityIds[rel.from];
-      const targetId = entityIds[rel.to];
+    const options = resolveLayoutOptions(layout, { direction: 'TB', rankSpacing: 100, nodeSpacing: 60 });
+    const { positions, routes } = this.layoutNested(items, connections, (ids, edges, origin) => this.layoutEngine.layout({
+      nodes: ids.map(id => ({ id, width: items.get(id).layoutWidth, height: items.get(id).layoutHeight })),
+      edges,
+    }, { ...options, origin: origin || options.origin }));
+    this.emitNested(items, positions, elements);
+
+    connections.forEach((conn, index) => {
+      const { description, technology } = conn.rel;
+      let label = description ? escapeHtml(description) : '';
+      if (technology) label += `${label ? '<br>' : ''}[${escapeHtml(technology)}]`;
+      const style = `${this.getConnectorStyle()}dashed=1;dashPattern=8 4;endArrow=blockThin;endFill=1;endSize=12;`;
+      elements.push(this.createConnector(items.get(conn.from).cellId, items.get(conn.to).cellId, label, style, routes[index] || []));
+    });
 
-      if (sourceId && targetId) {
-        // ERD connectors usually have specific endings (crows foot etc)
-        // For now, we use standard lines with labels
-        const style = 'edgeStyle=orthogonalEdgeStyle;rounded=0;orthogonalLoop=1;jettySize=auto;html=1;endArrow=none;startArrow=none;';
+    if (data.legend !== false) {
+      const top = [...items.values()].filter(item => item.parent === undefined);
+      const right = Math.max(0, ...top.map(item => positions[item.id].x + item.width));
+      const y = Math.min(...top.map(item => positions[item.id].y));
+      const kinds = [...visible].map(id => model.get(id));
+      this.addC4Legend(elements, kinds, scope === null ? null : model.get(scope).kind, right + 60, y);
+    }
+
+    return this.generateDiagram(elements);
+  }
+
+  getC4Label(entry) {
+    const { element, kind } = entry;
+    const tag = element.technology ? `${C4_KINDS[kind].tag}: ${element.technology}` : C4_KINDS[kind].tag;
+    let label = `<b>${escapeHtml(element.name || entry.id)}</b><br><span style="font-size: 10px">[${escapeHtml(tag)}]</span>`;
+    if (element.description) label += `<br><br>${escapeHtml(element.description)}`;
+    return label;
+  }
+
+  /**
+   * Size that fits the name, tag and description. People are taller, their
+   * head taking the top third
+   */
+  getC4Size(entry) {
+    const { element, kind } = entry;
+    const width = kind === 'person' ? 200 : 240;
+    const perLine = Math.floor((width - 20) / 7);
+    const rows = text => Math.max(1, Math.ceil(String(text).length / perLine));
+    const tag = element.technology ? `[${C4_KINDS[kind].tag}: ${element.technology}]` : '';
+    let text = rows(element.name || entry.id) * 17 + rows(tag) * 14;
+    if (element.description) text += 14 + rows(element.description) * 16;
+    text += 30;
+    if (kind === 'person') {
+      return { width, height: Math.max(180, Math.ceil(Math.min(text / 0.73, text + 80))) };
+    }
+    // Database cylinders lose their top and bottom to the curves
+    return { width, height: Math.max(120, element.shape === 'database' ? text + 30 : element.shape === 'web' ? text + 20 : text) };
+  }
+
+  /**
+   * Standard C4 colors for the kind, grey for external elements, under the
+   * theme's c4 part
+   */
+  getC4Style(kind, element, shape = null) {
+    const colors = element.external ? { ...C4_KINDS[kind], ...C4_KINDS[kind].external } : C4_KINDS[kind];
+    const outline = shape || (kind === 'person' ? 'shape=mxgraph.c4.person2;' : C4_SHAPE_STYLES[element.shape] || C4_SHAPE_STYLES.box);
+    const paint = { fillColor: colors.fillColor, strokeColor: colors.strokeColor, fontColor: colors.fontColor };
+    return `${outline}whiteSpace=wrap;html=1;${this.themeStyle(paint, 'c4')}`;
+  }
+
+  getC4BoundaryStyle() {
+    return `rounded=1;arcSize=2;whiteSpace=wrap;html=1;container=1;collapsible=0;verticalAlign=top;align=left;spacingLeft=10;dashed=1;dashPattern=8 4;${this.themeStyle('container', { fillColor: 'none' })}`;
+  }
+
+  /**
+   * A key to the element kinds on the page, to the right of the diagram
+   */
+  addC4Legend(elements, entries, boundaryKind, x, y) {
+    const rows = [];
+    ['person', 'system', 'container', 'component'].forEach(kind => {
+      [false, true].forEach(external => {
+        if (!entries.some(entry => entry.kind === kind && Boolean(entry.element.external) === external)) return;
+        const label = `${external ? 'External ' : ''}${C4_KINDS[kind].tag}`;
+        rows.push({ label, style: this.getC4Style(kind, { external }, C4_SHAPE_STYLES.box) + 'fontSize=11;' });
+      });
+    });
+    if (boundaryKind) {
+      rows.push({ label: `${boundaryKind === 'system' ? 'System' : 'Container'} Boundary`, style: `${this.getC4BoundaryStyle()}verticalAlign=middle;align=center;container=0;fontSize=11;` });
+    }
+
+    const width = 180;
+    const rowHeight = 36;
+    const header = 30;
+    const gap = 8;
+    const height = header + rows.length * (rowHeight + gap);
+    const geometry = `x="${Math.round(x)}" y="${Math.round(y)}" width="${width}" height="${height}" as="geometry"`;
+    const legend = this.createCell('Legend', `rounded=0;whiteSpace=wrap;html=1;container=1;collapsible=0;fillColor=none;strokeColor=none;verticalAlign=top;align=left;fontStyle=1;${this.themeStyle()}`, geometry);
+    elements.push(legend);
+    rows.forEach((row, index) => {
+      const rowGeometry = `x="0" y="${header + index * (rowHeight + gap)}" width="${width}" height="${rowHeight}" as="geometry"`;
+      elements.push(this.createCell(row.label, row.style, rowGeometry, null, legend.id));
+    });
+  }
 
-        const connector = this.createConnector(sourceId, targetId, rel.label || '', style);
+  /**
+   * BPMN process: events, activities and gateways laid out along the flows,
+   * left to right by default, in one band per lane (or per pool without lanes).
+   * Message flows between pools take part in the layout, so senders come
+   * before receivers. Boundary events sit on the bottom edge of their activity.
+   */
+  createBpmnDiagram(elements, flows = [], pools = [], layout = {}) {
+    const cells = [];
+
+    // Bands of the layered layout: the lanes of each pool, or the pool itself
+    const bands = new Map();
+    const poolLanes = new Map();
+    pools.forEach(pool => {
+      const lanes = (pool.lanes || []).map(lane => (typeof lane === 'string' ? { id: lane, label: lane } : lane));
+      poolLanes.set(pool.id, lanes);
+      if (lanes.length === 0) bands.set(pool.id, pool);
+      lanes.forEach(lane => bands.set(lane.id, lane));
+    });
 
-        // Add cardinality labels if provided (simple text approach)
-        // Real ERD connectors in Draw.io are complex.
-        // We'll stick to simple labeled lines for v1.
+    const nodes = new Map();
+    elements.forEach(element => {
+      if (nodes.has(element.id)) throw new Error(`Duplicate id: ${element.id}`);
+      const band = element.lane ?? element.pool ?? null;
+      if (band !== null && !bands.has(band)) {
+        throw new Error(`Unknown ${element.lane !== undefined ? 'lane' : 'pool'} "${band}" for "${element.id}"`);
+      }
+      nodes.set(element.id, { element, band, ...this.getBpmnSize(element) });
+    });
+    nodes.forEach(({ element }) => {
+      if (element.attachedTo !== undefined && !nodes.has(element.attachedTo)) {
+        throw new Error(`Boundary event "${element.id}" is attached to an unknown activity "${element.attachedTo}"`);
+      }
+    });
+    // Message flows can also end at a pool, such as the black-box pool of an outside party
+    const poolIds = new Set(pools.map(pool => pool.id));
+    flows.forEach(flow => {
+      [flow.from, flow.to].forEach(id => {
+        if (!nodes.has(id) && !(flow.type === 'message' && poolIds.has(id))) throw new Error(`Flow ${flow.from} -> ${flow.to} refers to an unknown element`);
+      });
+    });
+    const placed = flows.filter(flow => nodes.has(flow.from) && nodes.has(flow.to));
+
+    // Boundary events are placed with their activity, so the layout sees their flows leave it
+    const host = id => nodes.get(id).element.attachedTo ?? id;
+    const laid = [...nodes.keys()].filter(id => nodes.get(id).element.attachedTo === undefined);
+    const hasLanes = [...poolLanes.values()].some(lanes => lanes.length > 0);
+    const header = 30;
+    const options = resolveLayoutOptions(layout, {
+      direction: 'LR',
+      rankSpacing: flows.some(flow => flow.label) ? 80 : 60,
+      ...(bands.size > 0 ? { lanes: [...bands.keys()], laneHeader: hasLanes ? header * 2 : header } : {}),
+    });
+    const result = this.layoutEngine.layout({
+      nodes: laid.map(id => ({ id, width: nodes.get(id).width, height: nodes.get(id).height, lane: nodes.get(id).band ?? undefined })),
+      edges: placed.map(flow => ({ from: host(flow.from), to: host(flow.to) })),
+    }, options);
+
+    // Pools hold their lanes; elements are positioned relative to their lane or pool
+    const origins = new Map();
+    const cellIds = {};
+    const poolRects = new Map();
+    const horizontal = options.direction === 'LR' || options.direction === 'RL';
+    if (bands.size > 0) {
+      if (!result.lanes) {
+        throw new Error(`Pools and lanes need the layered layout, not ${options.algorithm}`);
+      }
+      const style = `${this.shapes[horizontal ? 'lane' : 'swimlane'].style}${this.themeStyle('container')}startSize=${header};container=1;collapsible=0;`;
+      pools.forEach(pool => {
+        const lanes = poolLanes.get(pool.id);
+        const rects = (lanes.length > 0 ? lanes : [pool]).map(band => result.lanes.find(rect => rect.id === band.id));
+        const x = Math.min(...rects.map(rect => rect.x));
+        const y = Math.min(...rects.map(rect => rect.y));
+        const width = Math.max(...rects.map(rect => rect.x + rect.width)) - x;
+        const height = Math.max(...rects.map(rect => rect.y + rect.height)) - y;
+        const poolCell = this.createCell(pool.label ?? pool.id, `${style}fontStyle=1;`, `x="${x}" y="${y}" width="${width}" height="${height}" as="geometry"`, null, '1', true, false, null, null, '', pool.link);
+        cells.push(poolCell);
+        cellIds[pool.id] = poolCell.id;
+        poolRects.set(pool.id, { x, y, width, height });
+        if (lanes.length === 0) {
+          origins.set(pool.id, { x, y, cellId: poolCell.id });
+          return;
+        }
+        lanes.forEach((lane, index) => {
+          const rect = rects[index];
+          // The lane starts after the pool's title bar
+          const laneX = horizontal ? x + header : rect.x;
+          const laneY = horizontal ? rect.y : y + header;
+          const geometry = `x="${laneX - x}" y="${laneY - y}" width="${rect.x + rect.width - laneX}" height="${rect.y + rect.height - laneY}" as="geometry"`;
+          const laneCell = this.createCell(lane.label ?? lane.id, style, geometry, null, poolCell.id);
+          cells.push(laneCell);
+          origins.set(lane.id, { x: laneX, y: laneY, cellId: laneCell.id });
+        });
+      });
+    }
+
+    laid.forEach(id => {
+      const node = nodes.get(id);
+      let { x, y } = result.positions[id];
+      let parent = '1';
+      const origin = node.band === null ? null : origins.get(node.band);
+      if (origin) {
+        x -= origin.x;
+        y -= origin.y;
+        parent = origin.cellId;
+      }
+      const geometry = `x="${Math.round(x)}" y="${Math.round(y)}" width="${node.width}" height="${node.height}" as="geometry"`;
+      const cell = this.createCell(node.element.label || '', this.getBpmnStyle(node.element), geometry, null, parent, true, false, null, null, '', node.element.link);
+      cells.push(cell);
+      cellIds[id] = cell.id;
+    });
 
+    // Boundary events straddle the bottom edge of their activity, from the right
+    const attached = new Map();
+    nodes.forEach((node, id) => {
+      const hostId = node.element.attachedTo;
+      if (hostId === undefined) return;
+      const activity = nodes.get(hostId);
+      const index = attached.get(hostId) || 0;
+      attached.set(hostId, index + 1);
+      const x = activity.width - (index + 1) * (node.width + 10);
+      const geometry = `x="${x}" y="${activity.height - node.height / 2}" width="${node.width}" height="${node.height}" as="geometry"`;
+      const cell = this.createCell(node.element.label || '', this.getBpmnStyle(node.element), geometry, null, cellIds[hostId], true, false, null, null, '', node.element.link);
+      cells.push(cell);
+      cellIds[id] = cell.id;
+    });
+
+    flows.forEach(flow => {
+      let style = this.getConnectorStyle() + BPMN_FLOWS[flow.type || 'sequence'];
+      if (flow.default) style += 'startArrow=dash;startSize=8;';
+      // Routes start at the activity, not at a boundary event on its edge; flows to a pool are drawn straight
+      const index = placed.indexOf(flow);
+      const unrouted = index === -1 || nodes.get(flow.from).element.attachedTo !== undefined || nodes.get(flow.to).element.attachedTo !== undefined;
+      const points = unrouted || !result.edges[index] ? [] : result.edges[index].points;
+      const poolEnd = [flow.from, flow.to].find(id => poolRects.has(id));
+      if (poolEnd !== undefined) {
+        const laidId = host(flow.from === poolEnd ? flow.to : flow.from);
+        const box = { ...result.positions[laidId], width: nodes.get(laidId).width, height: nodes.get(laidId).height };
+        style += this.getPoolFlowEnds(flow.from === poolEnd, poolRects.get(poolEnd), box, horizontal, header);
+      }
+      cells.push(this.createConnector(cellIds[flow.from], cellIds[flow.to], flow.label || '', style, points));
+    });
+
+    return this.generateDiagram(cells);
+  }
+
+  /**
+   * Fixed ends for a message flow between an element and a pool: straight
+   * across from the element to the facing side of the pool, past its title bar
+   */
+  getPoolFlowEnds(fromPool, pool, box, horizontal, header) {
+    const center = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+    const along = (value, size) => Math.min(0.95, Math.max(header / size + 0.02, value / size));
+    const poolPoint = horizontal
+      ? { x: along(center.x - pool.x, pool.width), y: center.y < pool.y ? 0 : 1 }
+      : { x: center.x < pool.x ? 0 : 1, y: along(center.y - pool.y, pool.height) };
+    const elementPoint = horizontal ? { x: 0.5, y: 1 - poolPoint.y } : { x: 1 - poolPoint.x, y: 0.5 };
+    const [exit, entry] = fromPool ? [poolPoint, elementPoint] : [elementPoint, poolPoint];
+    const fraction = value => Number(value.toFixed(4));
+    return `exitX=${fraction(exit.x)};exitY=${fraction(exit.y)};entryX=${fraction(entry.x)};entryY=${fraction(entry.y)};`;
+  }
+
+  getBpmnSize(element) {
+    if (BPMN_EVENTS.includes(element.type)) return { width: 40, height: 40 };
+    if (BPMN_GATEWAYS[element.type]) return { width: 50, height: 50 };
+    const size = this.estimateNodeSize(element.label, 'process');
+    return { width: size.width, height: Math.max(80, size.height) };
+  }
+
+  /**
+   * draw.io's BPMN shapes, painted like other shapes of the theme. Event and
+   * gateway labels go underneath.
+   */
+  getBpmnStyle(element) {
+    const paint = `html=1;whiteSpace=wrap;${this.themeStyle('shape')}`;
+    const below = 'verticalLabelPosition=bottom;verticalAlign=top;align=center;';
+    if (BPMN_EVENTS.includes(element.type)) {
+      let outline = { start: 'standard', intermediate: element.throwing ? 'throwing' : 'catching', end: 'end' }[element.type];
+      if (element.attachedTo !== undefined) outline = element.interrupting === false ? 'boundNonint' : 'boundInt';
+      const symbol = element.trigger && element.trigger !== 'none' ? element.trigger : 'general';
+      return `shape=mxgraph.bpmn.event;outline=${outline};symbol=${symbol};perimeter=ellipsePerimeter;aspect=fixed;${below}${paint}`;
+    }
+    if (BPMN_GATEWAYS[element.type]) {
+      return `shape=mxgraph.bpmn.gateway2;${BPMN_GATEWAYS[element.type]}perimeter=rhombusPerimeter;${below}${paint}`;
+    }
+    // Activities are containers, so boundary events move with them
+    const marker = element.type === 'subprocess' ? 'taskMarker=abstract;isLoopSub=1;' : `taskMarker=${element.taskType || 'abstract'};`;
+    return `shape=mxgraph.bpmn.task;rectStyle=rounded;size=10;${marker}container=1;expand=0;collapsible=0;${paint}`;
+  }
+
+  /**
+   * Mind maps and org charts: a tree of { label, children } nodes, or an
+   * outline. Mind maps spread radially around their central topic; org charts
+   * are tidy top-down trees. Each branch from the root has its own color.
+   */
+  createTreeDiagram(kind, data, layout = {}) {
+    const root = data.outline !== undefined ? parseOutline(data.outline) : data;
+    if (!root.label) throw new Error(`The root of the ${kind === 'mindmap' ? 'mind map' : 'org chart'} needs a label`);
+
+    const nodes = [];
+    const edges = [];
+    const info = new Map();
+    const walk = (node, depth, inherited, parent) => {
+      const id = String(nodes.length);
+      const color = node.color || inherited;
+      nodes.push({ id, ...this.getTreeNodeSize(kind, node, depth) });
+      info.set(id, { node, depth, color });
+      if (parent !== null) edges.push({ from: parent, to: id, color });
+      (node.children || []).forEach((child, index) => {
+        walk(child, depth + 1, depth === 0 ? BRANCH_COLORS[index % BRANCH_COLORS.length] : color, id);
+      });
+    };
+    walk(root, 0, null, null);
+
+    const options = resolveLayoutOptions(layout, kind === 'mindmap'
+      ? { algorithm: 'radial', nodeSpacing: 20, rankSpacing: 40 }
+      : { algorithm: 'tree', compact: true, nodeSpacing: 20, rankSpacing: 40 });
+    const result = this.layoutEngine.layout({ nodes, edges }, options);
+
+    const cells = [];
+    const cellIds = {};
+    nodes.forEach(({ id, width, height }) => {
+      const { node, depth, color } = info.get(id);
+      const { x, y } = result.positions[id];
+      const label = node.title ? `<b>${escapeHtml(node.label)}</b><br>${escapeHtml(node.title)}` : node.label;
+      const geometry = `x="${x}" y="${y}" width="${width}" height="${height}" as="geometry"`;
+      const cell = this.createCell(label, this.getTreeNodeStyle(kind, depth, color), geometry, null, '1', true, false, null, null, '', node.link);
+      cells.push(cell);
+      cellIds[id] = cell.id;
+    });
+
+    // Mind map branches are straight lines; org charts step down between ranks
+    const base = kind === 'mindmap' ? 'edgeStyle=none;rounded=0;html=1;endArrow=none;strokeWidth=2;' : `${CONNECTOR_STYLE}endArrow=none;`;
+    edges.forEach((edge, index) => {
+      const style = base + this.themeStyle('edge', { strokeColor: edge.color }, 'branch');
+      cells.push(this.createConnector(cellIds[edge.from], cellIds[edge.to], '', style, result.edges[index].points));
+    });
+
+    return this.generateDiagram(cells);
+  }
+
+  getTreeNodeSize(kind, node, depth) {
+    const size = this.estimateNodeSize(node.title ? `${node.label}\n${node.title}` : node.label);
+    if (kind === 'orgchart') return size;
+    // Mind map topics are pills, around a larger central topic
+    if (depth === 0) return { width: Math.round(size.width * 1.3), height: Math.round(size.height * 1.3) };
+    return { width: size.width, height: size.height - 20 };
+  }
+
+  /**
+   * The root is painted like other shapes of the theme; the rest in the color
+   * of their branch, lighter further out
+   */
+  getTreeNodeStyle(kind, depth, color) {
+    let style = kind === 'mindmap'
+      ? `${depth === 0 ? 'ellipse;fontSize=14;' : 'rounded=1;arcSize=50;'}whiteSpace=wrap;html=1;`
+      : 'rounded=1;arcSize=10;whiteSpace=wrap;html=1;';
+    if (kind === 'mindmap' ? depth <= 1 : depth === 0) style += 'fontStyle=1;';
+    if (!color) return style + this.themeStyle('shape');
+    const fillColor = mixColor(color, this.theme.background || '#ffffff', depth <= 1 ? 0.7 : 0.85);
+    return style + this.themeStyle('shape', { fillColor, strokeColor: color }, 'branch');
+  }
+
+  buildFontStyle(element) {
+    let style = '';
+    if (element.fontColor) style += `fontColor=${element.fontColor};`;
+    if (element.fontSize) style += `fontSize=${element.fontSize};`;
+    if (element.fontFamily) style += `fontFamily=${element.fontFamily};`;
+
+    // draw.io encodes bold/italic/underline as a bitmask
+    const fontStyle = (element.bold ? 1 : 0) | (element.italic ? 2 : 0) | (element.underline ? 4 : 0);
+    if (fontStyle) style += `fontStyle=${fontStyle};`;
+
+    return style;
+  }
+
+  createCustomDiagram(shapes, connectors = []) {
+    return this.generateDiagram(this.createCustomElements(shapes, connectors));
+  }
+
+  /**
+   * Builds custom shapes and connectors. `shapeIds` maps ids connectors may
+   * reference to cell ids, e.g. cells already present in an existing file.
+   */
+  createCustomElements(shapes, connectors = [], shapeIds = {}) {
+    const elements = [];
+    shapeIds = { ...shapeIds };
+
+    // Shapes can sit inside other shapes, positioned relative to them, so parents
+    // are created before their children
+    const byId = new Map(shapes.map(shape => [shape.id, shape]));
+    const parents = new Set(shapes.map(shape => shape.parent).filter(Boolean));
+    const ordered = [];
+    const state = new Map();
+    const visit = shape => {
+      if (state.get(shape.id) === 'done') return;
+      if (state.get(shape.id) === 'active') throw new Error(`Shape "${shape.id}" is nested inside itself`);
+      state.set(shape.id, 'active');
+      if (shape.parent && byId.has(shape.parent)) visit(byId.get(shape.parent));
+      state.set(shape.id, 'done');
+      ordered.push(shape);
+    };
+    shapes.forEach(visit);
+
+    // Create shapes
+    ordered.forEach(shape => {
+      let extraStyle = parents.has(shape.id) ? 'container=1;' : '';
+      extraStyle += this.buildFontStyle(shape);
+      if (shape.style) {
+        extraStyle += shape.style.endsWith(';') ? shape.style : `${shape.style};`;
+      }
+      const parent = shape.parent ? shapeIds[shape.parent] : '1';
+      if (!parent) {
+        throw new Error(`Unknown parent "${shape.parent}" for shape "${shape.id}"`);
+      }
+
+      const created = this.createShape(
+        shape.label || '',
+        shape.type || 'rectangle',
+        shape.x,
+        shape.y,
+        shape.width || 120,
+        shape.height || 60,
+        shape.fillColor,
+        shape.strokeColor,
+        extraStyle,
+        parent,
+        shape.link
+      );
+      elements.push(created);
+      shapeIds[shape.id] = created.id;
+    });
+
+    // Create connectors
+    connectors.forEach(conn => {
+      const sourceId = shapeIds[conn.from];
+      const targetId = shapeIds[conn.to];
+
+      if (sourceId && targetId) {
+        let style = this.getConnectorStyle();
+        if (conn.startArrow) style += `startArrow=${conn.startArrow};`;
+        if (conn.endArrow) style += `endArrow=${conn.endArrow};`;
+        if (conn.dashed || conn.dashPattern) style += 'dashed=1;';
+        if (conn.dashPattern) style += `dashPattern=${conn.dashPattern};`;
+        if (conn.strokeColor) style += `strokeColor=${conn.strokeColor};`;
+        if (conn.strokeWidth) style += `strokeWidth=${conn.strokeWidth};`;
+        style += this.buildFontStyle(conn);
+        if (conn.style) {
+          style += conn.style.endsWith(';') ? conn.style : `${conn.style};`;
+        }
+
+        const connector = this.createConnector(sourceId, targetId, conn.label || '', style, conn.waypoints || []);
         elements.push(connector);
       }
     });
 
-    return this.generateDiagram(elements);
+    return elements;
   }
 }
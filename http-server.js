@@ -0,0 +1,183 @@
+/**
+ * HTTP Server
+ * Serves the MCP tools over Streamable HTTP (with the older HTTP+SSE transport
+ * for clients that predate it) and a REST endpoint that returns generated
+ * diagrams in the response body, so one shared service can stand in for a
+ * process per client.
+ */
+
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { hostHeaderValidation, localhostHostValidation } from '@modelcontextprotocol/sdk/server/middleware/hostHeaderValidation.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const LOCAL_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+const CONTENT_TYPES = {
+  drawio: 'application/vnd.jgraph.mxfile',
+  svg: 'image/svg+xml',
+};
+
+export class DiagramHttpServer {
+  /**
+   * diagrams is the DrawioMCPServer whose tools are served. Each MCP session
+   * gets its own protocol server from diagrams.createMcpServer().
+   */
+  constructor(diagrams, { port = 3000, host = '127.0.0.1', allowedHosts = [], bodyLimit = '10mb' } = {}) {
+    this.diagrams = diagrams;
+    this.port = port;
+    this.host = host;
+    this.allowedHosts = allowedHosts;
+    this.bodyLimit = bodyLimit;
+    this.sessions = new Map();
+  }
+
+  createApp() {
+    const app = express();
+    app.disable('x-powered-by');
+
+    // Browsers on other sites must not reach a local server through DNS rebinding
+    if (this.allowedHosts.length > 0) {
+      app.use(hostHeaderValidation(this.allowedHosts));
+    } else if (LOCAL_HOSTS.includes(this.host)) {
+      app.use(localhostHostValidation());
+    }
+    app.use(express.json({ limit: this.bodyLimit }));
+
+    app.post('/mcp', (req, res) => this.handleMcpPost(req, res));
+    app.get('/mcp', (req, res) => this.handleMcpSession(req, res));
+    app.delete('/mcp', (req, res) => this.handleMcpSession(req, res));
+
+    app.get('/sse', (req, res) => this.handleSseConnect(req, res));
+    app.post('/messages', (req, res) => this.handleSseMessage(req, res));
+
+    app.post('/diagrams/:type', (req, res) => this.handleGenerate(req, res));
+
+    // Malformed JSON bodies are reported in the same shape as other errors
+    app.use((error, req, res, next) => {
+      if (res.headersSent) return next(error);
+      res.status(error.status || 500).json({ error: error.message });
+    });
+
+    return app;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      const server = this.createApp().listen(this.port, this.host, () => {
+        console.error(`Draw.io MCP Server listening on http://${this.host}:${server.address().port} (MCP at /mcp and /sse, REST at /diagrams/:type)`);
+        resolve(server);
+      });
+      server.on('error', reject);
+    });
+  }
+
+  /**
+   * Streamable HTTP: an initialize request opens a session, later requests carry
+   * its id in the mcp-session-id header
+   */
+  async handleMcpPost(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    let transport = sessionId ? this.sessions.get(sessionId) : null;
+
+    if (!transport) {
+      if (sessionId || !isInitializeRequest(req.body)) {
+        this.sendRpcError(res, sessionId ? 404 : 400, sessionId ? `Unknown session: ${sessionId}` : 'No session: send an initialize request first');
+        return;
+      }
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: id => {
+          this.sessions.set(id, transport);
+        },
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) this.sessions.delete(transport.sessionId);
+      };
+      await this.diagrams.createMcpServer().connect(transport);
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  }
+
+  /**
+   * GET opens the stream of server-to-client messages, DELETE ends the session
+   */
+  async handleMcpSession(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const transport = sessionId && this.sessions.get(sessionId);
+    if (!transport) {
+      this.sendRpcError(res, sessionId ? 404 : 400, sessionId ? `Unknown session: ${sessionId}` : 'Missing mcp-session-id header');
+      return;
+    }
+    await transport.handleRequest(req, res);
+  }
+
+  /**
+   * HTTP+SSE: the event stream announces where to POST messages, with the session id
+   */
+  async handleSseConnect(req, res) {
+    const transport = new SSEServerTransport('/messages', res);
+    this.sessions.set(transport.sessionId, transport);
+    res.on('close', () => {
+      this.sessions.delete(transport.sessionId);
+    });
+    await this.diagrams.createMcpServer().connect(transport);
+  }
+
+  async handleSseMessage(req, res) {
+    const transport = this.sessions.get(req.query.sessionId);
+    if (!(transport instanceof SSEServerTransport)) {
+      this.sendRpcError(res, 404, `Unknown session: ${req.query.sessionId}`);
+      return;
+    }
+    await transport.handlePostMessage(req, res, req.body);
+  }
+
+  /**
+   * Generates a diagram from { data, layout, theme } and returns it instead of
+   * writing a file: draw.io XML by default, SVG with ?format=svg or an
+   * Accept: image/svg+xml header
+   */
+  handleGenerate(req, res) {
+    const { type } = req.params;
+    const { data, layout, theme } = req.body || {};
+    const format = req.query.format || (req.accepts(['application/xml', CONTENT_TYPES.svg]) === CONTENT_TYPES.svg ? 'svg' : 'drawio');
+    if (!CONTENT_TYPES[format]) {
+      res.status(400).json({ error: `Unknown format: ${format} (expected ${Object.keys(CONTENT_TYPES).join(', ')})` });
+      return;
+    }
+    if (!data || typeof data !== 'object') {
+      res.status(400).json({ error: 'Request body must be JSON with a data object, and optionally layout and theme' });
+      return;
+    }
+
+    const report = this.diagrams.checkInput({ type, data, layout });
+    if (!report.valid) {
+      res.status(400).json({ error: 'Invalid diagram input', errors: report.errors, warnings: report.warnings });
+      return;
+    }
+
+    // Anything thrown from here on, such as an unknown theme, is about the input too
+    let body;
+    try {
+      const xml = this.diagrams.generateXml({ type, data, layout, theme });
+      body = format === 'svg' ? this.diagrams.svgRenderer.render(xml) : xml;
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+
+    res.type(CONTENT_TYPES[format]).send(body);
+  }
+
+  sendRpcError(res, status, message) {
+    res.status(status).json({
+      jsonrpc: '2.0',
+      error: { code: -32000, message },
+      id: null,
+    });
+  }
+}
@@ -10,14 +10,648 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { DrawioGenerator } from './drawio-generator.js';
+import { DrawioGenerator, CLASS_RELATIONSHIPS, STATE_TYPES, C4_SHAPES, C4_LEVELS, c4Views, BPMN_TYPES, BPMN_TRIGGERS, BPMN_TASK_TYPES } from './drawio-generator.js';
+import { DrawioDocument } from './drawio-document.js';
+import { SvgRenderer, labelToLines } from './svg-renderer.js';
+import { DiagramImporter } from './diagram-importer.js';
+import { DiagramExporter, TEXT_DIAGRAM_TYPES } from './diagram-exporter.js';
+import { SchemaImporter } from './schema-importer.js';
+import { InfrastructureImporter } from './infrastructure-importer.js';
+import { CodeImporter, SOURCE_EXTENSIONS } from './code-importer.js';
+import { XStateImporter } from './xstate-importer.js';
+import { BpmnImporter } from './bpmn-importer.js';
+import { THEMES, resolveTheme, parseThemeFile } from './themes.js';
+import { DiagramValidator, formatIssues, DIAGRAM_TYPES } from './diagram-validator.js';
+import { DiagramHttpServer } from './http-server.js';
+import { DiagramCli } from './cli.js';
 import * as fs from 'fs';
 import * as path from 'path';
 
+const layoutSchema = {
+  description: 'Automatic layout for flowchart, network, architecture, erd, class, statemachine, c4, bpmn, mindmap and orgchart diagrams: an algorithm name or an options object',
+  oneOf: [
+    { type: 'string', enum: ['layered', 'grid', 'force', 'circular', 'tiered', 'tree', 'radial'] },
+    {
+      type: 'object',
+      properties: {
+        algorithm: {
+          type: 'string',
+          enum: ['layered', 'grid', 'force', 'circular', 'tiered', 'tree', 'radial'],
+          description: 'Defaults to layered, force for network diagrams, radial for mind maps and tree for org charts. tiered puts network nodes in edge, app and data bands',
+        },
+        direction: { type: 'string', enum: ['TB', 'BT', 'LR', 'RL'], description: 'Flow direction of layered and tiered layouts. Defaults to TB, or LR for ERDs' },
+        nodeSpacing: { type: 'number', description: 'Gap between nodes in the same rank' },
+        rankSpacing: { type: 'number', description: 'Gap between ranks' },
+        columns: { type: 'number', description: 'Columns of the grid layout' },
+        compact: { type: 'boolean', description: 'Tree layout: stack children that have no children of their own in a column. Defaults to true for org charts' },
+      },
+    },
+  ],
+};
+
+const linkSchema = {
+  type: 'string',
+  description: 'Opened when the shape is clicked: a URL, or page:<name> to go to another page of the file',
+};
+
+// Shared by create_diagram (custom type) and add_elements
+const shapeSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    label: { type: 'string' },
+    type: { type: 'string', description: 'Shape type, including container, swimlane and lane (swimlane with its title on the left) for shapes that hold others' },
+    parent: { type: 'string', description: 'Id of the shape this one sits in. Its x/y are then relative to that shape' },
+    link: linkSchema,
+    x: { type: 'number' },
+    y: { type: 'number' },
+    width: { type: 'number' },
+    height: { type: 'number' },
+    fillColor: { type: 'string' },
+    strokeColor: { type: 'string' },
+    fontColor: { type: 'string' },
+    fontSize: { type: 'number' },
+    fontFamily: { type: 'string' },
+    bold: { type: 'boolean' },
+    italic: { type: 'boolean' },
+    underline: { type: 'boolean' },
+    style: { type: 'string', description: 'Raw draw.io style appended last, overriding other settings' },
+  },
+  required: ['id', 'label', 'type', 'x', 'y'],
+};
+
+const connectorSchema = {
+  type: 'object',
+  properties: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    label: { type: 'string' },
+    startArrow: { type: 'string', description: 'draw.io arrowhead, e.g. none, classic, block, open, diamond, oval' },
+    endArrow: { type: 'string', description: 'draw.io arrowhead, e.g. none, classic, block, open, diamond, oval' },
+    dashed: { type: 'boolean' },
+    dashPattern: { type: 'string', description: 'Space separated dash and gap lengths, e.g. "8 4"' },
+    strokeColor: { type: 'string' },
+    strokeWidth: { type: 'number' },
+    waypoints: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          x: { type: 'number' },
+          y: { type: 'number' },
+        },
+        required: ['x', 'y'],
+      },
+    },
+    style: { type: 'string', description: 'Raw draw.io style appended last, overriding other settings' },
+  },
+  required: ['from', 'to'],
+};
+
+// A sequence diagram message, note or combined fragment
+const interactionSchema = {
+  type: 'object',
+  properties: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    message: { type: 'string' },
+    dashed: { type: 'boolean', description: 'Reply message; ends the activation started by the matching call' },
+    async: { type: 'boolean', description: 'Asynchronous message with an open arrowhead and no activation' },
+    activate: { type: 'boolean', description: 'Set to false to send a call without activating the receiver' },
+    create: { type: 'boolean', description: 'The message creates its receiver, whose lifeline starts here' },
+    destroy: {
+      oneOf: [{ type: 'boolean' }, { type: 'string' }],
+      description: 'true on a message to end the receiver\'s lifeline, or a participant name on its own',
+    },
+    note: { type: 'string', description: 'Note text; use with over and position' },
+    over: {
+      oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }],
+      description: 'Participant(s) the note is attached to',
+    },
+    position: { type: 'string', enum: ['over', 'left', 'right'] },
+    fragment: { type: 'string', enum: ['alt', 'opt', 'loop', 'par', 'break', 'critical', 'neg', 'ref'] },
+    guard: { type: 'string', description: 'Fragment guard condition, shown as [guard]' },
+    interactions: {
+      type: 'array',
+      items: { type: 'object' },
+      description: 'Messages, notes and fragments inside the fragment',
+    },
+    else: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          guard: { type: 'string' },
+          interactions: { type: 'array', items: { type: 'object' } },
+        },
+      },
+      description: 'Further operands of alt or par fragments',
+    },
+  },
+};
+
+const themeSchema = {
+  description: `Color theme: ${Object.keys(THEMES).join(', ')}, a theme from DRAWIO_THEMES_FILE, or an object of theme parts with an optional extends. Defaults to DRAWIO_THEME, or default`,
+  oneOf: [{ type: 'string' }, { type: 'object' }],
+};
+
+const pageSchema = {
+  oneOf: [{ type: 'string' }, { type: 'number' }],
+  description: 'Page name or zero-based index (defaults to the first page)',
+};
+
+const outputsSchema = {
+  type: 'array',
+  items: { type: 'string', enum: ['drawio', 'svg', 'mermaid', 'plantuml'] },
+  description: 'Files to write next to each other. The .drawio file is always written; mermaid (.mmd) and plantuml (.puml) are available for flowchart, sequence and erd diagrams',
+};
+
+const OVERWRITE_MODES = ['error', 'replace', 'version'];
+
+const DRAWIO_MIME_TYPE = 'application/vnd.jgraph.mxfile';
+
+// Files written next to a .drawio file under the same name, or per page as name-<page slug>
+const COMPANION_EXTENSIONS = ['.svg', '.mmd', '.puml'];
+
+const pageSlug = (name, index) => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `page-${index + 1}`;
+
+const overwriteSchema = {
+  type: 'string',
+  enum: OVERWRITE_MODES,
+  description: 'What to do when the .drawio file exists: replace it (default), fail with an error, or write name-v2.drawio, name-v3.drawio, ... next to it',
+};
+
+const backupSchema = {
+  type: 'boolean',
+  description: 'Copy the file being replaced to .backups/ in the output directory, with a timestamp. Defaults to DRAWIO_BACKUPS',
+};
+
+// create_diagram input for one diagram, also used for each page of a multi-page file
+const diagramTypeSchema = {
+  type: 'string',
+  enum: DIAGRAM_TYPES,
+  description: 'Type of diagram to generate',
+};
+
+const classMemberSchema = {
+  oneOf: [
+    { type: 'string', description: 'As shown, e.g. "- name: string" or "+ render(xml): string"' },
+    {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        type: { type: 'string', description: 'Attribute type' },
+        visibility: { type: 'string', enum: ['public', 'private', 'protected', 'package'] },
+        static: { type: 'boolean', description: 'Underlined' },
+        abstract: { type: 'boolean', description: 'Methods: italic' },
+        params: { type: 'array', items: { type: 'string' }, description: 'Method parameters, e.g. "xml: string"' },
+        returns: { type: 'string', description: 'Method return type' },
+      },
+      required: ['name'],
+    },
+  ],
+};
+
+const diagramDataSchema = {
+  type: 'object',
+  description: 'Data for the diagram, structure depends on type',
+  properties: {
+    // Flowchart properties
+    steps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          label: { type: 'string' },
+          type: { type: 'string', enum: ['process', 'decision', 'terminator', 'data', 'document', 'delay', 'database', 'hexagon'] },
+          connectorLabel: { type: 'string' },
+          lane: { type: 'string', description: 'Swimlane the step is laid out in. When one step has a lane, all must' },
+          link: linkSchema,
+        },
+        required: ['label', 'type'],
+      },
+    },
+    lanes: {
+      type: 'array',
+      description: 'Flowchart swimlanes in display order. Optional: lanes named by steps are added in order of use',
+      items: {
+        oneOf: [
+          { type: 'string' },
+          {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              label: { type: 'string' },
+            },
+            required: ['id'],
+          },
+        ],
+      },
+    },
+    connections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+          label: { type: 'string' },
+        },
+        required: ['from', 'to'],
+      },
+    },
+    // Sequence Diagram properties
+    participants: {
+      type: 'array',
+      items: {
+        oneOf: [
+          { type: 'string' },
+          {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              label: { type: 'string' },
+              type: { type: 'string', enum: ['participant', 'actor', 'boundary', 'control', 'entity', 'database'] },
+              link: linkSchema,
+            },
+            required: ['name'],
+          },
+        ],
+      },
+    },
+    interactions: {
+      type: 'array',
+      items: interactionSchema,
+    },
+    // Network and Architecture Diagram properties
+    nodes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          label: { type: 'string' },
+          type: { type: 'string' },
+          icon: { type: 'string', description: 'Architecture icon as provider:service, e.g. aws:lambda, azure:sql_database, gcp:cloud_run, k8s:pod' },
+          parent: { type: 'string', description: 'Group the node sits in' },
+          x: { type: 'number', description: 'Optional, relative to the parent group. Nodes without x/y are placed automatically; placed nodes keep their position under the force layout' },
+          y: { type: 'number' },
+          tier: { type: 'string', enum: ['edge', 'app', 'data'], description: 'Band for the tiered layout. Guessed from the type and label when omitted' },
+          link: linkSchema,
+        },
+        required: ['id', 'label'],
+      },
+    },
+    groups: {
+      type: 'array',
+      description: 'Architecture group containers or network zones, listed in any order. Groups are sized to fit their children',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          label: { type: 'string' },
+          type: { type: 'string', description: 'Architecture group type as provider:name, e.g. aws:vpc, aws:private_subnet, azure:resource_group, gcp:project, k8s:namespace, or plain group' },
+          parent: { type: 'string', description: 'Enclosing group' },
+          x: { type: 'number', description: 'Network zones only: optional position inside the enclosing group' },
+          y: { type: 'number' },
+          link: linkSchema,
+        },
+        required: ['id'],
+      },
+    },
+    // ERD properties
+    entities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          link: linkSchema,
+          attributes: {
+            type: 'array',
+            items: {
+              oneOf: [
+                { type: 'string', description: 'Shorthand such as "user_id: int FK"' },
+                {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string' },
+                    type: { type: 'string' },
+                    pk: { type: 'boolean' },
+                    fk: { type: 'boolean' },
+                    unique: { type: 'boolean' },
+                    nullable: { type: 'boolean' },
+                    references: { type: 'string', description: 'Referenced table or table.column, implies fk' },
+                  },
+                  required: ['name'],
+                },
+              ],
+            },
+          },
+        },
+        required: ['id', 'name', 'attributes'],
+      },
+    },
+    // Class diagram properties
+    classes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Defaults to the name' },
+          name: { type: 'string' },
+          stereotype: { type: 'string', description: 'Shown as «stereotype» above the name, e.g. interface or enumeration' },
+          abstract: { type: 'boolean', description: 'Names the class in italics' },
+          attributes: { type: 'array', items: classMemberSchema },
+          methods: { type: 'array', items: classMemberSchema },
+          link: linkSchema,
+        },
+        required: ['name'],
+      },
+    },
+    // State machine properties
+    states: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          label: { type: 'string', description: 'Defaults to the id' },
+          type: {
+            type: 'string',
+            enum: STATE_TYPES,
+            description: 'state (default), initial and final pseudo-states, choice, history, or parallel for a composite state whose children are concurrent regions',
+          },
+          parent: { type: 'string', description: 'Id of the composite state this state is nested in' },
+          initial: { type: 'string', description: 'Composite states: id of the child entered first, marked with an initial pseudo-state' },
+          entry: { type: ['string', 'array'], items: { type: 'string' }, description: 'Entry actions, listed as "entry / action"' },
+          exit: { type: ['string', 'array'], items: { type: 'string' }, description: 'Exit actions' },
+          do: { type: ['string', 'array'], items: { type: 'string' }, description: 'Activities while in the state' },
+          deep: { type: 'boolean', description: 'History states: deep history (H*)' },
+          link: linkSchema,
+        },
+        required: ['id'],
+      },
+    },
+    transitions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string', description: 'Same as from for a self-transition' },
+          event: { type: 'string' },
+          guard: { type: 'string' },
+          action: { type: ['string', 'array'], items: { type: 'string' } },
+          label: { type: 'string', description: 'Replaces the generated "event [guard] / action" label' },
+        },
+        required: ['from', 'to'],
+      },
+    },
+    initial: { type: 'string', description: 'State machines: id of the top-level state entered first' },
+    // C4 model properties
+    people: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string', description: 'Defaults to the id' },
+          description: { type: 'string' },
+          external: { type: 'boolean', description: 'Outside the organisation, drawn in grey' },
+          link: linkSchema,
+        },
+        required: ['id'],
+      },
+    },
+    systems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string', description: 'Defaults to the id' },
+          description: { type: 'string' },
+          external: { type: 'boolean', description: 'A system outside the estate being modelled, drawn in grey' },
+          link: linkSchema,
+        },
+        required: ['id'],
+      },
+    },
+    containers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string', description: 'Defaults to the id' },
+          system: { type: 'string', description: 'Id of the software system the container belongs to' },
+          technology: { type: 'string', description: 'e.g. Node.js, PostgreSQL' },
+          description: { type: 'string' },
+          shape: { type: 'string', enum: C4_SHAPES, description: 'box (default), database or web (browser window)' },
+          external: { type: 'boolean' },
+          link: linkSchema,
+        },
+        required: ['id', 'system'],
+      },
+    },
+    components: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string', description: 'Defaults to the id' },
+          container: { type: 'string', description: 'Id of the container the component belongs to' },
+          technology: { type: 'string' },
+          description: { type: 'string' },
+          shape: { type: 'string', enum: C4_SHAPES },
+          external: { type: 'boolean' },
+          link: linkSchema,
+        },
+        required: ['id', 'container'],
+      },
+    },
+    view: {
+      type: 'object',
+      description: 'C4 models: draw one view only. Without it every level is drawn as its own linked page',
+      properties: {
+        level: { type: 'string', enum: C4_LEVELS },
+        of: { type: 'string', description: 'Id of the system (container level) or container (component level) to look inside' },
+      },
+      required: ['level'],
+    },
+    legend: { type: 'boolean', description: 'C4 models: draw a key to the element kinds. Defaults to true' },
+    // Mind map and org chart properties: data is the root node
+    label: { type: 'string', description: 'Mind maps and org charts: the central topic, or the top of the organisation' },
+    title: { type: 'string', description: 'Org charts: role shown under the name' },
+    color: { type: 'string', description: 'Mind maps and org charts: color of a node and the branch below it, e.g. #82b366. Branches are colored automatically' },
+    link: linkSchema,
+    children: {
+      type: 'array',
+      description: 'Mind maps and org charts: child nodes, each with a label and optional title, color, link and children of its own',
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string' },
+          title: { type: 'string' },
+          color: { type: 'string' },
+          link: linkSchema,
+          children: { type: 'array', items: { type: 'object' } },
+        },
+        required: ['label'],
+      },
+    },
+    outline: {
+      type: 'string',
+      description: 'Mind maps and org charts: the tree as an indented outline or Markdown headings and lists, instead of label and children. The single top-level item is the root',
+    },
+    // BPMN properties
+    elements: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          label: { type: 'string' },
+          type: { type: 'string', enum: BPMN_TYPES, description: 'Events (start, intermediate, end), activities (task, subprocess) or gateways' },
+          trigger: { type: 'string', enum: BPMN_TRIGGERS, description: 'Events: what starts, interrupts or ends the flow. Defaults to none' },
+          throwing: { type: 'boolean', description: 'Intermediate events: sends rather than waits for the trigger' },
+          taskType: { type: 'string', enum: BPMN_TASK_TYPES, description: 'Tasks: icon in the corner' },
+          pool: { type: 'string', description: 'Pool without lanes the element is in' },
+          lane: { type: 'string', description: 'Lane the element is in' },
+          attachedTo: { type: 'string', description: 'Boundary events: id of the task or subprocess they sit on' },
+          interrupting: { type: 'boolean', description: 'Boundary events: false for a non-interrupting (dashed) event. Defaults to true' },
+          link: linkSchema,
+        },
+        required: ['id', 'type'],
+      },
+    },
+    flows: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+          label: { type: 'string', description: 'e.g. the condition of a gateway branch' },
+          type: { type: 'string', enum: ['sequence', 'message'], description: 'sequence (default) within a pool, message between pools' },
+          default: { type: 'boolean', description: 'Default flow of a gateway or activity, marked with a slash' },
+        },
+        required: ['from', 'to'],
+      },
+    },
+    pools: {
+      type: 'array',
+      description: 'BPMN pools, one per participant, top to bottom',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          label: { type: 'string' },
+          lanes: {
+            type: 'array',
+            items: {
+              oneOf: [
+                { type: 'string' },
+                {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    label: { type: 'string' },
+                  },
+                  required: ['id'],
+                },
+              ],
+            },
+          },
+          link: linkSchema,
+        },
+        required: ['id'],
+      },
+    },
+    // ERD and class diagram properties
+    relationships: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          from: { type: 'string' },
+          to: { type: 'string' },
+          label: { type: 'string' },
+          cardinality: {
+            type: 'string',
+            description: 'ERD: multiplicity of each end, e.g. 1:1, 1:N, N:M or 0..1:1..N',
+          },
+          fromColumn: { type: 'string', description: 'ERD only' },
+          toColumn: { type: 'string', description: 'ERD only' },
+          type: {
+            type: 'string',
+            enum: Object.keys(CLASS_RELATIONSHIPS),
+            description: 'Class diagrams: from is the subclass, implementing class, whole or client. Defaults to association',
+          },
+          fromMultiplicity: { type: 'string', description: 'Class diagrams: multiplicity at the from end, e.g. 1 or 0..*' },
+          toMultiplicity: { type: 'string', description: 'Class diagrams: multiplicity at the to end' },
+          description: { type: 'string', description: 'C4 models: what the relationship does, e.g. "Reads orders from"' },
+          technology: { type: 'string', description: 'C4 models: e.g. JSON/HTTPS' },
+        },
+        required: ['from', 'to'],
+      },
+    },
+    // Custom Diagram properties
+    shapes: {
+      type: 'array',
+      items: shapeSchema,
+    },
+    connectors: {
+      type: 'array',
+      items: connectorSchema,
+    },
+  },
+};
+
+const pagesSchema = {
+  type: 'array',
+  description: 'Several diagrams in one file, one page (tab) each, instead of type and data. Shapes can link to another page with link: "page:<name>"',
+  items: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Page (tab) name, unique within the file. C4 pages without a view become a page per level, named after it and the level' },
+      type: diagramTypeSchema,
+      data: diagramDataSchema,
+      layout: layoutSchema,
+    },
+    required: ['type', 'data'],
+  },
+};
+
 class DrawioMCPServer {
-  constructor() {
-    this.server = new Server(
+  constructor({ outputDir } = {}) {
+    this.svgRenderer = new SvgRenderer();
+    this.importer = new DiagramImporter();
+    this.exporter = new DiagramExporter();
+    this.schemaImporter = new SchemaImporter();
+    this.infrastructureImporter = new InfrastructureImporter();
+    this.codeImporter = new CodeImporter();
+    this.xstateImporter = new XStateImporter();
+    this.bpmnImporter = new BpmnImporter();
+    this.validator = new DiagramValidator();
+    this.outputDir = outputDir || process.env.DRAWIO_OUTPUT_DIR || process.cwd();
+    this.ensureOutputDirectory();
+  }
+
+  /**
+   * Creates an MCP protocol server for the tools and resources. Stdio uses one;
+   * over HTTP every client session gets its own.
+   */
+  createMcpServer() {
+    const server = new Server(
       {
         name: 'mcp-drawio-diagram-server',
         version: '1.0.0',
@@ -25,14 +659,12 @@ class DrawioMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
         },
       }
     );
-
-    this.generator = new DrawioGenerator();
-    this.outputDir = process.env.DRAWIO_OUTPUT_DIR || process.cwd();
-    this.ensureOutputDirectory();
-    this.setupHandlers();
+    this.setupHandlers(server);
+    return server;
   }
 
   ensureOutputDirectory() {
@@ -46,227 +678,1158 @@ class DrawioMCPServer {
     }
   }
 
-  saveToFile(filename, content) {
+  /**
+   * Resolves a path relative to the output directory. Paths that lead outside it,
+   * with .. or as absolute paths elsewhere, are rejected.
+   */
+  resolveOutputPath(relativePath) {
+    const root = path.resolve(this.outputDir);
+    const fullPath = path.resolve(root, relativePath);
+    const relative = path.relative(root, fullPath);
+    if (relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) {
+      throw new Error(`Path must be inside the output directory: ${relativePath}`);
+    }
+    return fullPath;
+  }
+
+  /**
+   * Writes a file in the output directory, creating subfolders as needed. The
+   * content goes to a temporary file that is renamed over the target, so a
+   * failed write never leaves a truncated file. With backup, the file being
+   * replaced is first copied to .backups/ with a timestamp.
+   */
+  saveToFile(filename, content, extension = '.drawio', { backup = false } = {}) {
+    // Ensure filename has the expected extension
+    if (!filename.endsWith(extension)) {
+      filename += extension;
+    }
+
+    const fullPath = this.resolveOutputPath(filename);
+    const tempPath = `${fullPath}.${process.pid}.tmp`;
     try {
-      // Ensure filename has .drawio extension
-      if (!filename.endsWith('.drawio')) {
-        filename += '.drawio';
+      fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+      if (backup && fs.existsSync(fullPath)) {
+        this.backupFile(fullPath);
       }
-
-      const fullPath = path.join(this.outputDir, filename);
-      fs.writeFileSync(fullPath, content, 'utf-8');
+      fs.writeFileSync(tempPath, content, 'utf-8');
+      fs.renameSync(tempPath, fullPath);
       return fullPath;
     } catch (error) {
+      fs.rmSync(tempPath, { force: true });
       throw new Error(`Failed to save file: ${error.message}`);
     }
   }
 
-  setupHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  backupFile(fullPath) {
+    const relative = path.relative(path.resolve(this.outputDir), fullPath);
+    const extension = path.extname(relative);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(path.resolve(this.outputDir), '.backups', `${relative.slice(0, -extension.length)}.${stamp}${extension}`);
+    fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+    fs.copyFileSync(fullPath, backupPath);
+    return backupPath;
+  }
+
+  /**
+   * Picks the .drawio file a new diagram is written to. An existing file is
+   * replaced, refused (error) or kept next to a new numbered version (version).
+   */
+  resolveTargetFile(filename, overwrite = 'replace') {
+    const name = filename.endsWith('.drawio') ? filename : `${filename}.drawio`;
+    if (!OVERWRITE_MODES.includes(overwrite)) {
+      throw new Error(`Unknown overwrite mode: ${overwrite} (expected ${OVERWRITE_MODES.join(', ')})`);
+    }
+    if (!fs.existsSync(this.resolveOutputPath(name)) || overwrite === 'replace') {
+      return name;
+    }
+    if (overwrite === 'error') {
+      throw new Error(`File already exists: ${name}. Pass overwrite "replace" to replace it or "version" to keep it`);
+    }
+    const base = name.replace(/\.drawio$/, '');
+    let version = 2;
+    while (fs.existsSync(this.resolveOutputPath(`${base}-v${version}.drawio`))) {
+      version++;
+    }
+    return `${base}-v${version}.drawio`;
+  }
+
+  readFromFile(filename) {
+    // Ensure filename has .drawio extension
+    if (!filename.endsWith('.drawio')) {
+      filename += '.drawio';
+    }
+
+    const fullPath = this.resolveOutputPath(filename);
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`File not found: ${filename}`);
+    }
+    return fs.readFileSync(fullPath, 'utf-8');
+  }
+
+  /**
+   * Reads an input file such as a schema, which must live inside the output directory
+   */
+  resolveInputPath(relativePath) {
+    const fullPath = this.resolveOutputPath(relativePath);
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`File not found: ${relativePath}`);
+    }
+    return fullPath;
+  }
+
+  readInputFile(relativePath) {
+    return fs.readFileSync(this.resolveInputPath(relativePath), 'utf-8');
+  }
+
+  /**
+   * Reads a file, or every file with one of the extensions in a folder and its
+   * subfolders, as [{ name, content }] with names relative to the output directory
+   */
+  readInputFiles(relativePath, extensions) {
+    const fullPath = this.resolveInputPath(relativePath);
+    if (!fs.statSync(fullPath).isDirectory()) {
+      return [{ name: relativePath, content: fs.readFileSync(fullPath, 'utf-8') }];
+    }
+
+    const root = path.resolve(this.outputDir);
+    const files = [];
+    const walk = directory => {
+      fs.readdirSync(directory, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+          const entryPath = path.join(directory, entry.name);
+          if (entry.isDirectory()) {
+            // Dependencies and hidden folders such as .git are never input
+            if (!entry.name.startsWith('.') && entry.name !== 'node_modules') walk(entryPath);
+          } else if (extensions.some(extension => entry.name.toLowerCase().endsWith(extension))) {
+            files.push({ name: path.relative(root, entryPath), content: fs.readFileSync(entryPath, 'utf-8') });
+          }
+        });
+    };
+    walk(fullPath);
+    if (files.length === 0) {
+      throw new Error(`No ${extensions.join(', ')} files found in ${relativePath}`);
+    }
+    return files;
+  }
+
+  /**
+   * Resolves a theme given to a tool, falling back to DRAWIO_THEME. Custom themes
+   * are read from DRAWIO_THEMES_FILE on every call, so edits apply without a restart.
+   */
+  resolveTheme(theme) {
+    let customThemes = {};
+    const themesFile = process.env.DRAWIO_THEMES_FILE;
+    if (themesFile) {
+      if (!fs.existsSync(themesFile)) {
+        throw new Error(`Themes file not found: ${themesFile}`);
+      }
+      customThemes = parseThemeFile(fs.readFileSync(themesFile, 'utf-8'), themesFile);
+    }
+    return resolveTheme(theme ?? process.env.DRAWIO_THEME, customThemes);
+  }
+
+  /**
+   * Backups are off unless requested per call or with DRAWIO_BACKUPS=true
+   */
+  useBackup(backup) {
+    return backup ?? ['1', 'true', 'yes'].includes(String(process.env.DRAWIO_BACKUPS || '').toLowerCase());
+  }
+
+  loadDocument(filename) {
+    return DrawioDocument.parse(this.readFromFile(filename));
+  }
+
+  saveSvg(filename, xmlContent, page = 0) {
+    const svgName = filename.replace(/\.drawio$/, '') + '.svg';
+    return this.saveToFile(svgName, this.svgRenderer.render(xmlContent, page), '.svg');
+  }
+
+  setupHandlers(server) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
       tools: [
         {
           name: 'create_diagram',
-          description: 'Create various types of diagrams (flowchart, sequence, network, erd, custom) and save to a file.',
+          description: 'Create various types of diagrams (flowchart, sequence, network, architecture, erd, class, statemachine, c4, bpmn, mindmap, orgchart, custom) and save to a file.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'Name for the output .drawio file (extension added automatically), optionally in a subfolder of the output directory',
+              },
+              type: diagramTypeSchema,
+              data: diagramDataSchema,
+              pages: pagesSchema,
+              layout: layoutSchema,
+              theme: themeSchema,
+              export_svg: {
+                type: 'boolean',
+                description: 'Also write an SVG rendering next to the .drawio file',
+              },
+              outputs: outputsSchema,
+              overwrite: overwriteSchema,
+              backup: backupSchema,
+              dry_run: {
+                type: 'boolean',
+                description: 'Only validate the input and return the report, without writing anything',
+              },
+            },
+            required: ['filename'],
+          },
+        },
+        {
+          name: 'validate_diagram',
+          description: 'Check create_diagram input without writing anything. Returns errors (which would stop create_diagram) and warnings, each with the path of the offending input, the problem and, where possible, a suggested fix.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              type: diagramTypeSchema,
+              data: diagramDataSchema,
+              pages: pagesSchema,
+              layout: layoutSchema,
+            },
+          },
+        },
+        {
+          name: 'import_diagram',
+          description: 'Convert Mermaid (flowchart, sequenceDiagram, erDiagram) or PlantUML (sequence, activity, entity) source into an editable .drawio file.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'Name for the output .drawio file (extension added automatically), optionally in a subfolder of the output directory',
+              },
+              source: {
+                type: 'string',
+                description: 'Mermaid or PlantUML text, optionally wrapped in a Markdown code fence',
+              },
+              format: {
+                type: 'string',
+                enum: ['auto', 'mermaid', 'plantuml'],
+                description: 'Source format, detected from @startuml when set to auto (default)',
+              },
+              layout: layoutSchema,
+              theme: themeSchema,
+              export_svg: {
+                type: 'boolean',
+                description: 'Also write an SVG rendering next to the .drawio file',
+              },
+              outputs: outputsSchema,
+              overwrite: overwriteSchema,
+              backup: backupSchema,
+            },
+            required: ['filename', 'source'],
+          },
+        },
+        {
+          name: 'import_schema',
+          description: 'Generate an ERD from SQL CREATE TABLE statements (Postgres, MySQL, SQLite) or a Prisma schema, with columns, keys and foreign-key relationships.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'Name for the output .drawio file (extension added automatically), optionally in a subfolder of the output directory',
+              },
+              source: {
+                type: 'string',
+                description: 'SQL DDL or Prisma schema text',
+              },
+              path: {
+                type: 'string',
+                description: 'Schema file to read instead of source, relative to the output directory (e.g. prisma/schema.prisma or db/schema.sql)',
+              },
+              format: {
+                type: 'string',
+                enum: ['auto', 'sql', 'prisma'],
+                description: 'Schema format. auto (default) picks prisma for .prisma files or when the text contains model blocks',
+              },
+              layout: layoutSchema,
+              theme: themeSchema,
+              export_svg: {
+                type: 'boolean',
+                description: 'Also write an SVG rendering next to the .drawio file',
+              },
+              outputs: outputsSchema,
+              overwrite: overwriteSchema,
+              backup: backupSchema,
+            },
+            required: ['filename'],
+          },
+        },
+        {
+          name: 'import_infrastructure',
+          description: 'Generate an architecture diagram from deployment files: a docker-compose file, Kubernetes manifests (a file or a folder of YAML) or Terraform state or plan JSON. Services, workloads and resources become nodes, and depends_on, service selectors and network or security group references become connections.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'Name for the output .drawio file (extension added automatically), optionally in a subfolder of the output directory',
+              },
+              source: {
+                type: 'string',
+                description: 'docker-compose YAML, Kubernetes YAML or Terraform JSON text',
+              },
+              path: {
+                type: 'string',
+                description: 'File or folder to read instead of source, relative to the output directory (e.g. docker-compose.yml, k8s/ or terraform.tfstate). Folders are read recursively for .yaml, .yml, .json and .tfstate files',
+              },
+              format: {
+                type: 'string',
+                enum: ['auto', 'compose', 'kubernetes', 'terraform'],
+                description: 'Input format. auto (default) goes by the file name, then by the content',
+              },
+              layout: layoutSchema,
+              theme: themeSchema,
+              export_svg: {
+                type: 'boolean',
+                description: 'Also write an SVG rendering next to the .drawio file',
+              },
+              outputs: outputsSchema,
+              overwrite: overwriteSchema,
+              backup: backupSchema,
+            },
+            required: ['filename'],
+          },
+        },
+        {
+          name: 'import_code',
+          description: 'Generate a UML class diagram from JavaScript or TypeScript source: classes and interfaces with their fields and methods, inheritance (extends), realization (implements), and the classes each one creates (composition), holds in typed fields (association) or otherwise uses (dependency), followed across relative imports.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'Name for the output .drawio file (extension added automatically), optionally in a subfolder of the output directory',
+              },
+              source: {
+                type: 'string',
+                description: 'JavaScript or TypeScript source of a single file',
+              },
+              path: {
+                type: 'string',
+                description: `File or folder to read instead of source, relative to the output directory (e.g. src/). Folders are read recursively for ${SOURCE_EXTENSIONS.join(', ')} files, skipping node_modules and hidden folders`,
+              },
+              members: {
+                type: 'boolean',
+                description: 'List attributes and methods in the class boxes (default true). Set to false for an overview of a large codebase',
+              },
+              layout: layoutSchema,
+              theme: themeSchema,
+              export_svg: {
+                type: 'boolean',
+                description: 'Also write an SVG rendering next to the .drawio file',
+              },
+              outputs: outputsSchema,
+              overwrite: overwriteSchema,
+              backup: backupSchema,
+            },
+            required: ['filename'],
+          },
+        },
+        {
+          name: 'import_xstate',
+          description: 'Generate a state machine diagram from an XState (v4 or v5) machine config in JSON: nested, parallel, final and history states with entry and exit actions and invoked services, and transitions from on, after, always, onDone and onError with their guards and actions.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'Name for the output .drawio file (extension added automatically), optionally in a subfolder of the output directory',
+              },
+              source: {
+                type: ['string', 'object'],
+                description: 'Machine config as JSON text or an object, e.g. the output of JSON.stringify(machine.config)',
+              },
+              path: {
+                type: 'string',
+                description: 'JSON file to read instead of source, relative to the output directory',
+              },
+              layout: layoutSchema,
+              theme: themeSchema,
+              export_svg: {
+                type: 'boolean',
+                description: 'Also write an SVG rendering next to the .drawio file',
+              },
+              outputs: outputsSchema,
+              overwrite: overwriteSchema,
+              backup: backupSchema,
+            },
+            required: ['filename'],
+          },
+        },
+        {
+          name: 'import_bpmn',
+          description: 'Generate a BPMN process diagram from a BPMN 2.0 XML file exported by Camunda, bpmn.io or another modeler: events, tasks, collapsed subprocesses, gateways, pools and lanes, and sequence and message flows. The process is laid out again; the positions in the file are ignored.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'Name for the output .drawio file (extension added automatically), optionally in a subfolder of the output directory',
+              },
+              source: {
+                type: 'string',
+                description: 'BPMN XML',
+              },
+              path: {
+                type: 'string',
+                description: '.bpmn file to read instead of source, relative to the output directory',
+              },
+              layout: layoutSchema,
+              theme: themeSchema,
+              export_svg: {
+                type: 'boolean',
+                description: 'Also write an SVG rendering next to the .drawio file',
+              },
+              outputs: outputsSchema,
+              overwrite: overwriteSchema,
+              backup: backupSchema,
+            },
+            required: ['filename'],
+          },
+        },
+        {
+          name: 'read_diagram',
+          description: 'Read an existing .drawio file (plain or compressed) and list its pages and cells with ids, labels, styles and geometry.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'Name of the .drawio file in the output directory',
+              },
+              page: pageSchema,
+            },
+            required: ['filename'],
+          },
+        },
+        {
+          name: 'export_svg',
+          description: 'Render one page of an existing .drawio file to an .svg file next to it, for embedding in docs and pull requests.',
           inputSchema: {
             type: 'object',
             properties: {
               filename: {
                 type: 'string',
-                description: 'Name for the output .drawio file (extension added automatically)',
+                description: 'Name of the .drawio file in the output directory',
               },
-              type: {
+              page: pageSchema,
+            },
+            required: ['filename'],
+          },
+        },
+        {
+          name: 'add_elements',
+          description: 'Add shapes and connectors to an existing .drawio file, keeping existing cells and layout. Connectors may reference new shape ids or existing cell ids.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
                 type: 'string',
-                enum: ['flowchart', 'sequence', 'network', 'erd', 'custom'],
-                description: 'Type of diagram to generate',
+                description: 'Name of the .drawio file in the output directory',
               },
-              data: {
+              page: pageSchema,
+              theme: themeSchema,
+              backup: backupSchema,
+              shapes: {
+                type: 'array',
+                items: shapeSchema,
+              },
+              connectors: {
+                type: 'array',
+                items: connectorSchema,
+              },
+            },
+            required: ['filename'],
+          },
+        },
+        {
+          name: 'update_element',
+          description: 'Change the label, position, size, style or endpoints of one cell in an existing .drawio file.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'Name of the .drawio file in the output directory',
+              },
+              page: pageSchema,
+              id: {
+                type: 'string',
+                description: 'Id of the cell to update',
+              },
+              changes: {
                 type: 'object',
-                description: 'Data for the diagram, structure depends on type',
                 properties: {
-                  // Flowchart properties
-                  steps: {
-                    type: 'array',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        id: { type: 'string' },
-                        label: { type: 'string' },
-                        type: { type: 'string', enum: ['process', 'decision', 'terminator', 'data', 'document', 'delay'] },
-                        connectorLabel: { type: 'string' },
-                      },
-                      required: ['label', 'type'],
-                    },
-                  },
-                  connections: {
-                    type: 'array',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        from: { type: 'string' },
-                        to: { type: 'string' },
-                        label: { type: 'string' },
-                      },
-                      required: ['from', 'to'],
-                    },
-                  },
-                  // Sequence Diagram properties
-                  participants: {
-                    type: 'array',
-                    items: { type: 'string' },
-                  },
-                  interactions: {
-                    type: 'array',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        from: { type: 'string' },
-                        to: { type: 'string' },
-                        message: { type: 'string' },
-                        dashed: { type: 'boolean' },
-                      },
-                      required: ['from', 'to', 'message'],
-                    },
-                  },
-                  // Network Diagram properties
-                  nodes: {
-                    type: 'array',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        id: { type: 'string' },
-                        label: { type: 'string' },
-                        type: { type: 'string' },
-                        x: { type: 'number' },
-                        y: { type: 'number' },
-                      },
-                      required: ['id', 'label', 'type', 'x', 'y'],
-                    },
-                  },
-                  // ERD properties
-                  entities: {
-                    type: 'array',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        id: { type: 'string' },
-                        name: { type: 'string' },
-                        attributes: { type: 'array', items: { type: 'string' } },
-                      },
-                      required: ['id', 'name', 'attributes'],
-                    },
-                  },
-                  relationships: {
-                    type: 'array',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        from: { type: 'string' },
-                        to: { type: 'string' },
-                        label: { type: 'string' },
-                      },
-                      required: ['from', 'to'],
-                    },
-                  },
-                  // Custom Diagram properties
-                  shapes: {
-                    type: 'array',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        id: { type: 'string' },
-                        label: { type: 'string' },
-                        type: { type: 'string' },
-                        x: { type: 'number' },
-                        y: { type: 'number' },
-                      },
-                      required: ['id', 'label', 'type', 'x', 'y'],
-                    },
-                  },
-                  connectors: {
-                    type: 'array',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        from: { type: 'string' },
-                        to: { type: 'string' },
-                        label: { type: 'string' },
-                      },
-                      required: ['from', 'to'],
-                    },
-                  },
+                  label: { type: 'string' },
+                  x: { type: 'number' },
+                  y: { type: 'number' },
+                  width: { type: 'number' },
+                  height: { type: 'number' },
+                  fillColor: { type: 'string' },
+                  strokeColor: { type: 'string' },
+                  fontColor: { type: 'string' },
+                  style: { type: 'string', description: 'draw.io style keys merged into the existing style' },
+                  source: { type: 'string', description: 'New source cell id (edges only)' },
+                  target: { type: 'string', description: 'New target cell id (edges only)' },
                 },
               },
+              backup: backupSchema,
+            },
+            required: ['filename', 'id', 'changes'],
+          },
+        },
+        {
+          name: 'remove_element',
+          description: 'Remove cells from an existing .drawio file. Children and connectors attached to removed cells are removed too.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'Name of the .drawio file in the output directory',
+              },
+              page: pageSchema,
+              ids: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Ids of the cells to remove',
+              },
+              backup: backupSchema,
+            },
+            required: ['filename', 'ids'],
+          },
+        },
+        {
+          name: 'list_diagrams',
+          description: 'List the .drawio files in the output directory with their pages, size, modification time, companion files (.svg, .mmd, .puml) and diagram:// resource URI.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              folder: {
+                type: 'string',
+                description: 'Only list diagrams in this subfolder of the output directory',
+              },
+            },
+          },
+        },
+        {
+          name: 'get_diagram_summary',
+          description: 'Summarize an existing .drawio file without returning every cell: per page, the number of nodes and edges and the node labels.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'Name of the .drawio file in the output directory',
+              },
+            },
+            required: ['filename'],
+          },
+        },
+        {
+          name: 'delete_diagram',
+          description: 'Delete a .drawio file from the output directory, together with the .svg, .mmd and .puml files of the same name.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'Name of the .drawio file in the output directory',
+              },
+              keep_outputs: {
+                type: 'boolean',
+                description: 'Only delete the .drawio file and keep its .svg, .mmd and .puml files',
+              },
+              backup: backupSchema,
             },
-            required: ['filename', 'type', 'data'],
+            required: ['filename'],
           },
         },
       ],
     }));
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      if (request.params.name !== 'create_diagram') {
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const handlers = {
+        create_diagram: (args) => this.createDiagram(args),
+        validate_diagram: (args) => this.validateDiagram(args),
+        import_diagram: (args) => this.importDiagram(args),
+        import_schema: (args) => this.importSchema(args),
+        import_infrastructure: (args) => this.importInfrastructure(args),
+        import_code: (args) => this.importCode(args),
+        import_xstate: (args) => this.importXState(args),
+        import_bpmn: (args) => this.importBpmn(args),
+        read_diagram: (args) => this.readDiagram(args),
+        export_svg: (args) => this.exportSvg(args),
+        add_elements: (args) => this.addElements(args),
+        update_element: (args) => this.updateElement(args),
+        remove_element: (args) => this.removeElement(args),
+        list_diagrams: (args) => this.listDiagrams(args),
+        get_diagram_summary: (args) => this.getDiagramSummary(args),
+        delete_diagram: (args) => this.deleteDiagram(args),
+      };
+
+      const handler = handlers[request.params.name];
+      if (!handler) {
         throw new Error('Tool not found');
       }
 
-      const { filename, type, data } = request.params.arguments;
-      const filePath = this.saveToFile(filename, ''); // Placeholder to get path
-      const fullPath = filePath; // Re-using logic inside saveToFile but we need content first.
-      // Actually saveToFile writes content. Let's refactor slightly to generate content first.
-
       try {
-        let xmlContent = '';
-
-        switch (type) {
-          case 'flowchart':
-            xmlContent = this.generator.createFlowchart(data.steps, data.connections);
-            break;
-          case 'sequence':
-            xmlContent = this.generator.createSequenceDiagram(data.participants, data.interactions);
-            break;
-          case 'network':
-            xmlContent = this.generator.createNetworkDiagram(data.nodes, data.connections || []);
-            break;
-          case 'erd':
-            xmlContent = this.generator.createERD(data.entities, data.relationships);
-            break;
-          case 'custom':
-            xmlContent = this.generator.createCustomDiagram(data.shapes, data.connectors || []);
-            break;
-          default:
-            throw new Error(`Unknown diagram type: ${type}`);
-        }
-
-        this.saveToFile(filename, xmlContent);
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Successfully created ${type} diagram at ${fullPath}\n\nYou can open this file directly in Draw.io.`,
-            },
-          ],
-        };
+        return await handler(request.params.arguments);
       } catch (error) {
         return {
           content: [
             {
               type: 'text',
-              text: `Error creating diagram: ${error.message}`,
+              text: `Error in ${request.params.name}: ${error.message}`,
             },
           ],
           isError: true,
         };
       }
     });
+
+    // Every .drawio file in the output directory is a diagram://<name> resource
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: this.listDiagramFiles().map(name => ({
+        uri: `diagram://${encodeURI(name)}`,
+        name,
+        mimeType: DRAWIO_MIME_TYPE,
+      })),
+    }));
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [
+        {
+          uriTemplate: 'diagram://{name}',
+          name: 'Diagram',
+          description: 'A .drawio file in the output directory, by its path without the extension, with its SVG rendering when one was exported',
+          mimeType: DRAWIO_MIME_TYPE,
+        },
+      ],
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => this.readDiagramResource(request.params.uri));
+  }
+
+  /**
+   * Writes one diagram, or several as the pages of one file when pages is given.
+   * Input is validated first; with dry_run only the validation report is returned.
+   */
+  createDiagram({ filename, type, data, layout, theme, pages, export_svg: exportSvg = false, outputs = [], overwrite, backup, dry_run: dryRun = false }) {
+    if (!(pages && pages.length > 0) && (!type || !data)) {
+      throw new Error('Either type and data, or pages, are required');
+    }
+    const report = this.checkInput({ type, data, layout, pages });
+    if (dryRun) {
+      return this.validationResult(report);
+    }
+    if (!report.valid) {
+      throw new Error(`Invalid diagram input, nothing was written:\n${formatIssues(report.errors)}`);
+    }
+
+    const generator = new DrawioGenerator(this.resolveTheme(theme));
+    const target = this.resolveTargetFile(filename, overwrite);
+    const options = { filename: target, layout, generator, exportSvg, outputs, backup: this.useBackup(backup) };
+    const modelPages = pages && pages.length > 0 ? this.expandPages(pages) : this.expandPages([{ type, data }]);
+    const result = modelPages.length > 1 || (pages && pages.length > 0)
+      ? this.createMultiPageDiagram({ ...options, pages: modelPages })
+      : this.createSingleDiagram({ ...options, type, data });
+    if (report.warnings.length > 0) {
+      result.content[0].text += `\n\nWarnings:\n${formatIssues(report.warnings)}`;
+    }
+    return result;
+  }
+
+  createSingleDiagram({ filename, type, data, layout, generator, exportSvg, outputs, backup }) {
+    // Text formats are built first so an unsupported type fails before anything is written
+    const textOutputs = [];
+    if (outputs.includes('mermaid')) {
+      textOutputs.push({ extension: '.mmd', content: this.exporter.toMermaid(type, data, layout) });
+    }
+    if (outputs.includes('plantuml')) {
+      textOutputs.push({ extension: '.puml', content: this.exporter.toPlantUml(type, data) });
+    }
+
+    const xmlContent = this.buildDiagram(generator, type, data, layout);
+    const fullPath = this.saveToFile(filename, xmlContent, '.drawio', { backup });
+
+    let text = `Successfully created ${type} diagram at ${fullPath}\n\nYou can open this file directly in Draw.io.`;
+    if (exportSvg || outputs.includes('svg')) {
+      text += `\nSVG rendering saved at ${this.saveSvg(filename, xmlContent)}`;
+    }
+
+    const baseName = filename.replace(/\.drawio$/, '');
+    textOutputs.forEach(({ extension, content }) => {
+      text += `\n${extension === '.mmd' ? 'Mermaid' : 'PlantUML'} source saved at ${this.saveToFile(baseName + extension, content, extension)}`;
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Validates create_diagram input: one diagram, or every page of a multi-page file
+   */
+  checkInput({ type, data, layout, pages }) {
+    if (pages && pages.length > 0) {
+      return this.validator.validatePages(pages, layout);
+    }
+    return this.validator.validate(type, data, layout);
+  }
+
+  validationResult(report) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(report, null, 2),
+        },
+      ],
+    };
+  }
+
+  validateDiagram({ type, data, layout, pages }) {
+    return this.validationResult(this.checkInput({ type, data, layout, pages }));
+  }
+
+  /**
+   * Generates the XML of one diagram without writing it, for callers that send it elsewhere
+   */
+  generateXml({ type, data, layout, theme }) {
+    const generator = new DrawioGenerator(this.resolveTheme(theme));
+    const pages = this.expandPages([{ type, data }]);
+    return pages.length > 1 ? this.buildPages(generator, pages, layout) : this.buildDiagram(generator, type, data, layout);
+  }
+
+  /**
+   * Replaces each C4 page without a view by a page per level of its model,
+   * which link to each other. Their names start with the page name, if any.
+   * Other pages are kept as they are.
+   */
+  expandPages(pages) {
+    return pages.flatMap(page => {
+      if (page.type !== 'c4' || !page.data || page.data.view) return [page];
+      const views = c4Views(page.data).map(view => ({ ...view, name: page.name ? `${page.name} - ${view.name}` : view.name }));
+      return views.map(({ name, level, of }) => ({ ...page, name, data: { ...page.data, view: { level, of } }, views }));
+    });
+  }
+
+  buildPages(generator, pages, layout) {
+    return DrawioDocument.fromPages(pages.map((page, index) => {
+      if (!page.name) throw new Error(`Page ${index + 1} has no name`);
+      return { name: page.name, xml: this.buildDiagram(generator, page.type, page.data || {}, page.layout || layout, page.views) };
+    })).toXml();
+  }
+
+  /**
+   * views lists the pages of a C4 model drawn level by level, for links between them
+   */
+  buildDiagram(generator, type, data, layout, views = []) {
+    switch (type) {
+      case 'flowchart':
+        return generator.createFlowchart(data.steps, data.connections, layout, data.lanes);
+      case 'sequence':
+        return generator.createSequenceDiagram(data.participants, data.interactions);
+      case 'network':
+        return generator.createNetworkDiagram(data.nodes, data.connections || [], layout, data.groups);
+      case 'architecture':
+        return generator.createArchitectureDiagram(data.nodes, data.groups, data.connections, layout);
+      case 'erd':
+        return generator.createERD(data.entities, data.relationships, layout);
+      case 'class':
+        return generator.createClassDiagram(data.classes, data.relationships, layout);
+      case 'statemachine':
+        return generator.createStateMachine(data.states, data.transitions, layout, data.initial);
+      case 'c4':
+        return generator.createC4Diagram(data, layout, views);
+      case 'bpmn':
+        return generator.createBpmnDiagram(data.elements, data.flows, data.pools, layout);
+      case 'mindmap':
+      case 'orgchart':
+        return generator.createTreeDiagram(type, data, layout);
+      case 'custom':
+        return generator.createCustomDiagram(data.shapes, data.connectors || []);
+      default:
+        throw new Error(`Unknown diagram type: ${type}`);
+    }
+  }
+
+  /**
+   * Pages become tabs of one .drawio file. SVG, Mermaid and PlantUML outputs are
+   * written per page, named after it; text outputs skip pages without a text form.
+   */
+  createMultiPageDiagram({ filename, pages, layout, generator, exportSvg, outputs, backup }) {
+    const baseName = filename.replace(/\.drawio$/, '');
+    const slugs = pages.map((page, index) => pageSlug(page.name, index));
+
+    const textOutputs = [];
+    const textPages = pages.filter(page => TEXT_DIAGRAM_TYPES.includes(page.type));
+    [['mermaid', '.mmd', 'toMermaid'], ['plantuml', '.puml', 'toPlantUml']].forEach(([output, extension, method]) => {
+      if (!outputs.includes(output)) return;
+      if (textPages.length === 0) {
+        throw new Error(`${output === 'mermaid' ? 'Mermaid' : 'PlantUML'} output needs at least one ${TEXT_DIAGRAM_TYPES.join(', ')} page`);
+      }
+      textPages.forEach(page => {
+        textOutputs.push({ extension, name: `${baseName}-${slugs[pages.indexOf(page)]}`, content: this.exporter[method](page.type, page.data, page.layout || layout) });
+      });
+    });
+
+    const xmlContent = this.buildPages(generator, pages, layout);
+    const fullPath = this.saveToFile(filename, xmlContent, '.drawio', { backup });
+
+    let text = `Successfully created ${pages.length}-page diagram at ${fullPath}\n`;
+    text += `Pages: ${pages.map(page => `${page.name} (${page.type})`).join(', ')}\n\nYou can open this file directly in Draw.io.`;
+    if (exportSvg || outputs.includes('svg')) {
+      pages.forEach((page, index) => {
+        text += `\nSVG rendering of "${page.name}" saved at ${this.saveSvg(`${baseName}-${slugs[index]}`, xmlContent, index)}`;
+      });
+    }
+    textOutputs.forEach(({ extension, name, content }) => {
+      text += `\n${extension === '.mmd' ? 'Mermaid' : 'PlantUML'} source saved at ${this.saveToFile(name, content, extension)}`;
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+    };
+  }
+
+  importDiagram({ filename, source, format = 'auto', layout, theme, export_svg: exportSvg = false, outputs = [], overwrite, backup }) {
+    const imported = this.importer.import(source, format);
+    const result = this.createDiagram({ filename, type: imported.type, data: imported.data, layout: layout ?? imported.layout, theme, export_svg: exportSvg, outputs, overwrite, backup });
+    if (imported.warnings) {
+      result.content[0].text += `\n\nImport warnings:\n${formatIssues(imported.warnings)}`;
+    }
+    return result;
+  }
+
+  importSchema({ filename, source, path: schemaPath, format = 'auto', layout, theme, export_svg: exportSvg = false, outputs = [], overwrite, backup }) {
+    if (source === undefined && !schemaPath) {
+      throw new Error('Either source or path is required');
+    }
+
+    let text = source;
+    if (schemaPath) {
+      text = this.readInputFile(schemaPath);
+      if (format === 'auto') {
+        format = schemaPath.endsWith('.prisma') ? 'prisma' : schemaPath.endsWith('.sql') ? 'sql' : 'auto';
+      }
+    }
+
+    const data = this.schemaImporter.import(text, format);
+    return this.createDiagram({ filename, type: 'erd', data, layout, theme, export_svg: exportSvg, outputs, overwrite, backup });
+  }
+
+  importInfrastructure({ filename, source, path: inputPath, format = 'auto', layout, theme, export_svg: exportSvg = false, outputs = [], overwrite, backup }) {
+    if (source === undefined && !inputPath) {
+      throw new Error('Either source or path is required');
+    }
+
+    const files = inputPath ? this.readInputFiles(inputPath, ['.yaml', '.yml', '.json', '.tfstate']) : [{ name: 'source', content: source }];
+    const data = this.infrastructureImporter.import(files, format);
+    return this.createDiagram({ filename, type: 'architecture', data, layout, theme, export_svg: exportSvg, outputs, overwrite, backup });
+  }
+
+  importCode({ filename, source, path: inputPath, members = true, layout, theme, export_svg: exportSvg = false, outputs = [], overwrite, backup }) {
+    if (source === undefined && !inputPath) {
+      throw new Error('Either source or path is required');
+    }
+
+    const files = inputPath ? this.readInputFiles(inputPath, SOURCE_EXTENSIONS) : [{ name: 'source.ts', content: source }];
+    const data = this.codeImporter.import(files, { members });
+    return this.createDiagram({ filename, type: 'class', data, layout, theme, export_svg: exportSvg, outputs, overwrite, backup });
+  }
+
+  importXState({ filename, source, path: inputPath, layout, theme, export_svg: exportSvg = false, outputs = [], overwrite, backup }) {
+    if (source === undefined && !inputPath) {
+      throw new Error('Either source or path is required');
+    }
+
+    const data = this.xstateImporter.import(inputPath ? this.readInputFile(inputPath) : source);
+    return this.createDiagram({ filename, type: 'statemachine', data, layout, theme, export_svg: exportSvg, outputs, overwrite, backup });
+  }
+
+  importBpmn({ filename, source, path: inputPath, layout, theme, export_svg: exportSvg = false, outputs = [], overwrite, backup }) {
+    if (source === undefined && !inputPath) {
+      throw new Error('Either source or path is required');
+    }
+
+    const data = this.bpmnImporter.import(inputPath ? this.readInputFile(inputPath) : source);
+    return this.createDiagram({ filename, type: 'bpmn', data, layout, theme, export_svg: exportSvg, outputs, overwrite, backup });
+  }
+
+  readDiagram({ filename, page = 0 }) {
+    const doc = this.loadDocument(filename);
+    const result = {
+      pages: doc.getPages(),
+      page,
+      cells: doc.getCells(page),
+    };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  }
+
+  exportSvg({ filename, page = 0 }) {
+    const svgPath = this.saveSvg(filename, this.readFromFile(filename), page);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `SVG rendering saved at ${svgPath}`,
+        },
+      ],
+    };
+  }
+
+  addElements({ filename, page = 0, theme, backup, shapes = [], connectors = [] }) {
+    const doc = this.loadDocument(filename);
+
+    // Existing cells can be referenced by connectors under their own ids
+    const existingIds = {};
+    doc.getCells(page).forEach(cell => {
+      existingIds[cell.id] = cell.id;
+    });
+
+    // A dedicated generator numbers new cells after the highest existing id
+    const generator = new DrawioGenerator(this.resolveTheme(theme));
+    generator.cellId = doc.getNextFreeId();
+    const elements = generator.createCustomElements(shapes, connectors, existingIds);
+
+    doc.addElements(page, elements);
+    doc.resolvePageLinks();
+    const fullPath = this.saveToFile(filename, doc.toXml(), '.drawio', { backup: this.useBackup(backup) });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Added ${elements.length} element(s) to ${fullPath}: ${elements.map(e => e.id).join(', ')}`,
+        },
+      ],
+    };
+  }
+
+  updateElement({ filename, page = 0, id, changes, backup }) {
+    const doc = this.loadDocument(filename);
+    doc.updateCell(page, id, changes);
+    const fullPath = this.saveToFile(filename, doc.toXml(), '.drawio', { backup: this.useBackup(backup) });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Updated cell ${id} in ${fullPath}`,
+        },
+      ],
+    };
+  }
+
+  removeElement({ filename, page = 0, ids, backup }) {
+    const doc = this.loadDocument(filename);
+    const removed = doc.removeCells(page, ids);
+    const fullPath = this.saveToFile(filename, doc.toXml(), '.drawio', { backup: this.useBackup(backup) });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Removed ${removed.length} cell(s) from ${fullPath}: ${removed.join(', ')}`,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Paths of the .drawio files under the output directory, without the extension.
+   * Hidden folders such as .backups are skipped.
+   */
+  listDiagramFiles(folder = '') {
+    const start = folder ? this.resolveInputPath(folder) : path.resolve(this.outputDir);
+    const root = path.resolve(this.outputDir);
+    const names = [];
+    const walk = directory => {
+      fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+        if (entry.name.startsWith('.')) return;
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          walk(entryPath);
+        } else if (entry.name.endsWith('.drawio')) {
+          names.push(path.relative(root, entryPath).split(path.sep).join('/').replace(/\.drawio$/, ''));
+        }
+      });
+    };
+    if (fs.existsSync(start)) walk(start);
+    return names.sort((a, b) => a.localeCompare(b));
+  }
+
+  readDiagramResource(uri) {
+    const match = /^diagram:\/\/(.+)$/.exec(uri);
+    if (!match) {
+      throw new Error(`Not a diagram resource: ${uri}`);
+    }
+    const name = decodeURI(match[1]).replace(/\.drawio$/, '');
+    const contents = [{ uri, mimeType: DRAWIO_MIME_TYPE, text: this.readFromFile(name) }];
+    const svgPath = this.resolveOutputPath(`${name}.svg`);
+    if (fs.existsSync(svgPath)) {
+      contents.push({ uri, mimeType: 'image/svg+xml', text: fs.readFileSync(svgPath, 'utf-8') });
+    }
+    return { contents };
+  }
+
+  listDiagrams({ folder } = {}) {
+    const diagrams = this.listDiagramFiles(folder).map(name => {
+      const fullPath = this.resolveOutputPath(`${name}.drawio`);
+      const stats = fs.statSync(fullPath);
+      const entry = {
+        name,
+        uri: `diagram://${encodeURI(name)}`,
+        size: stats.size,
+        modified: stats.mtime.toISOString(),
+      };
+      // One unreadable file should not hide the others
+      try {
+        entry.pages = DrawioDocument.parse(fs.readFileSync(fullPath, 'utf-8')).getPages().map(page => page.name);
+      } catch (error) {
+        entry.error = error.message;
+      }
+      entry.outputs = this.findCompanions(name, entry.pages || []).map(file => path.relative(path.resolve(this.outputDir), file));
+      return entry;
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ outputDir: path.resolve(this.outputDir), diagrams }, null, 2),
+        },
+      ],
+    };
+  }
+
+  getDiagramSummary({ filename }) {
+    const doc = this.loadDocument(filename);
+    const pages = doc.getPages().map(({ index, name }) => {
+      const cells = doc.getCells(index);
+      const nodes = cells.filter(cell => cell.type === 'vertex');
+      return {
+        name,
+        nodes: nodes.length,
+        edges: cells.filter(cell => cell.type === 'edge').length,
+        labels: [...new Set(nodes.map(cell => labelToLines(cell.label).join(' ')).filter(Boolean))],
+      };
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ filename, pages }, null, 2),
+        },
+      ],
+    };
   }
 
+  /**
+   * The .svg, .mmd and .puml files written for a diagram: under its own name, and
+   * per page as name-<page slug> for multi-page diagrams. A file that belongs to
+   * another diagram of that name is not counted.
+   */
+  findCompanions(name, pageNames) {
+    const bases = [name, ...pageNames.map((page, index) => `${name}-${pageSlug(page, index)}`)
+      .filter(base => !fs.existsSync(this.resolveOutputPath(`${base}.drawio`)))];
+    return bases
+      .flatMap(base => COMPANION_EXTENSIONS.map(extension => this.resolveOutputPath(base + extension)))
+      .filter(file => fs.existsSync(file));
+  }
+
+  deleteDiagram({ filename, keep_outputs: keepOutputs = false, backup }) {
+    const name = filename.replace(/\.drawio$/, '');
+    const fullPath = this.resolveOutputPath(`${name}.drawio`);
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`File not found: ${name}.drawio`);
+    }
+    let pageNames = [];
+    try {
+      pageNames = DrawioDocument.parse(fs.readFileSync(fullPath, 'utf-8')).getPages().map(page => page.name);
+    } catch {
+      // An unreadable file is still deleted, with the companions under its own name
+    }
+    const companions = keepOutputs ? [] : this.findCompanions(name, pageNames);
+    if (this.useBackup(backup)) {
+      this.backupFile(fullPath);
+    }
+
+    const deleted = [fullPath];
+    fs.unlinkSync(fullPath);
+    companions.forEach(companion => {
+      fs.unlinkSync(companion);
+      deleted.push(companion);
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Deleted ${deleted.join(', ')}`,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Serves over stdio, or over HTTP when DRAWIO_TRANSPORT is http
+   */
   async run() {
+    const transportName = process.env.DRAWIO_TRANSPORT || 'stdio';
+    if (!['stdio', 'http'].includes(transportName)) {
+      throw new Error(`Unknown DRAWIO_TRANSPORT: ${transportName} (expected stdio or http)`);
+    }
+
+    if (transportName === 'http') {
+      const httpServer = new DiagramHttpServer(this, {
+        port: Number(process.env.DRAWIO_PORT || 3000),
+        host: process.env.DRAWIO_HOST || '127.0.0.1',
+        allowedHosts: (process.env.DRAWIO_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+      });
+      await httpServer.start();
+      return;
+    }
+
     const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    await this.createMcpServer().connect(transport);
     console.error('Draw.io MCP Server running on stdio');
   }
 }
 
-// Start the server
-const server = new DrawioMCPServer();
-server.run().catch(console.error);
+// Run a CLI command, or start the server when there is none
+const args = process.argv.slice(2);
+if (args.length > 0) {
+  const cli = new DiagramCli(outputDir => new DrawioMCPServer({ outputDir }));
+  process.exitCode = cli.run(args);
+} else {
+  const server = new DrawioMCPServer();
+  server.run().catch(console.error);
+}
@@ -0,0 +1,576 @@
+/**
+ * Infrastructure Importer
+ * Derives architecture diagram data from deployment files: docker-compose,
+ * Kubernetes manifests and Terraform state or plan JSON. Works from the files
+ * alone, without access to a cluster or cloud account.
+ */
+
+import { parseYamlDocuments } from './yaml-parser.js';
+
+const DATA_IMAGES = /(^|\/)(postgres|postgis|mysql|mariadb|mongo|redis|valkey|memcached|elasticsearch|opensearch|cassandra|couchdb|clickhouse|influxdb|minio|mssql|cockroach)/i;
+
+const KUBERNETES_ICONS = {
+  Deployment: 'k8s:deployment',
+  StatefulSet: 'k8s:statefulset',
+  DaemonSet: 'k8s:daemonset',
+  ReplicaSet: 'k8s:replicaset',
+  Job: 'k8s:job',
+  CronJob: 'k8s:cronjob',
+  Pod: 'k8s:pod',
+  Service: 'k8s:service',
+  Ingress: 'k8s:ingress',
+  ConfigMap: 'k8s:configmap',
+  Secret: 'k8s:secret',
+  PersistentVolumeClaim: 'k8s:pvc',
+  PersistentVolume: 'k8s:pv',
+  StorageClass: 'k8s:storageclass',
+  HorizontalPodAutoscaler: 'k8s:hpa',
+  ServiceAccount: 'k8s:serviceaccount',
+  Role: 'k8s:role',
+  ClusterRole: 'k8s:clusterrole',
+  RoleBinding: 'k8s:rolebinding',
+  ClusterRoleBinding: 'k8s:clusterrolebinding',
+  NetworkPolicy: 'k8s:networkpolicy',
+  CustomResourceDefinition: 'k8s:crd',
+};
+
+const CLUSTER_SCOPED = new Set(['Namespace', 'PersistentVolume', 'StorageClass', 'ClusterRole', 'ClusterRoleBinding', 'CustomResourceDefinition']);
+
+const TERRAFORM_ICONS = {
+  aws_instance: 'aws:ec2',
+  aws_launch_template: 'aws:ec2',
+  aws_autoscaling_group: 'aws:ec2',
+  aws_lambda_function: 'aws:lambda',
+  aws_ecs_cluster: 'aws:ecs',
+  aws_ecs_service: 'aws:ecs',
+  aws_eks_cluster: 'aws:eks',
+  aws_ecr_repository: 'aws:ecr',
+  aws_s3_bucket: 'aws:s3',
+  aws_efs_file_system: 'aws:efs',
+  aws_ebs_volume: 'aws:ebs',
+  aws_db_instance: 'aws:rds',
+  aws_rds_cluster: 'aws:aurora',
+  aws_dynamodb_table: 'aws:dynamodb',
+  aws_elasticache_cluster: 'aws:elasticache',
+  aws_elasticache_replication_group: 'aws:elasticache',
+  aws_lb: 'aws:alb',
+  aws_alb: 'aws:alb',
+  aws_elb: 'aws:elb',
+  aws_cloudfront_distribution: 'aws:cloudfront',
+  aws_route53_zone: 'aws:route53',
+  aws_api_gateway_rest_api: 'aws:api_gateway',
+  aws_apigatewayv2_api: 'aws:api_gateway',
+  aws_nat_gateway: 'aws:nat_gateway',
+  aws_internet_gateway: 'aws:internet_gateway',
+  aws_sqs_queue: 'aws:sqs',
+  aws_sns_topic: 'aws:sns',
+  aws_cloudwatch_event_rule: 'aws:eventbridge',
+  aws_sfn_state_machine: 'aws:step_functions',
+  aws_kinesis_stream: 'aws:kinesis',
+  aws_iam_role: 'aws:iam',
+  aws_cognito_user_pool: 'aws:cognito',
+  aws_secretsmanager_secret: 'aws:secrets_manager',
+  aws_kms_key: 'aws:kms',
+  aws_wafv2_web_acl: 'aws:waf',
+  azurerm_linux_virtual_machine: 'azure:virtual_machine',
+  azurerm_windows_virtual_machine: 'azure:virtual_machine',
+  azurerm_virtual_machine: 'azure:virtual_machine',
+  azurerm_app_service: 'azure:app_service',
+  azurerm_linux_web_app: 'azure:app_service',
+  azurerm_windows_web_app: 'azure:app_service',
+  azurerm_storage_account: 'azure:storage',
+  azurerm_mssql_database: 'azure:sql_database',
+  azurerm_sql_database: 'azure:sql_database',
+  azurerm_redis_cache: 'azure:redis',
+  azurerm_servicebus_namespace: 'azure:service_bus',
+  azurerm_lb: 'azure:load_balancer',
+  azurerm_cdn_profile: 'azure:cdn',
+  azurerm_traffic_manager_profile: 'azure:traffic_manager',
+  google_compute_instance: 'gcp:compute_engine',
+  google_app_engine_application: 'gcp:app_engine',
+  google_container_cluster: 'gcp:gke',
+  google_cloudfunctions_function: 'gcp:cloud_functions',
+  google_cloudfunctions2_function: 'gcp:cloud_functions',
+  google_cloud_run_service: 'gcp:cloud_run',
+  google_cloud_run_v2_service: 'gcp:cloud_run',
+  google_storage_bucket: 'gcp:cloud_storage',
+  google_sql_database_instance: 'gcp:cloud_sql',
+  google_spanner_instance: 'gcp:spanner',
+  google_bigtable_instance: 'gcp:bigtable',
+  google_bigquery_dataset: 'gcp:bigquery',
+  google_pubsub_topic: 'gcp:pubsub',
+  google_redis_instance: 'gcp:memorystore',
+  google_compute_global_forwarding_rule: 'gcp:load_balancing',
+  google_dns_managed_zone: 'gcp:dns',
+  kubernetes_deployment: 'k8s:deployment',
+  kubernetes_deployment_v1: 'k8s:deployment',
+  kubernetes_service: 'k8s:service',
+  kubernetes_service_v1: 'k8s:service',
+  kubernetes_ingress_v1: 'k8s:ingress',
+  kubernetes_stateful_set: 'k8s:statefulset',
+  kubernetes_config_map: 'k8s:configmap',
+  kubernetes_secret: 'k8s:secret',
+};
+
+// Resources that hold others, by how deep they nest: a subnet sits in a network, a network in a resource group
+const TERRAFORM_GROUPS = {
+  azurerm_resource_group: { type: 'azure:resource_group', rank: 1 },
+  aws_vpc: { type: 'aws:vpc', rank: 2 },
+  azurerm_virtual_network: { type: 'azure:vnet', rank: 2 },
+  google_compute_network: { type: 'gcp:vpc', rank: 2 },
+  aws_subnet: { type: 'aws:private_subnet', rank: 3 },
+  azurerm_subnet: { type: 'azure:subnet', rank: 3 },
+  google_compute_subnetwork: { type: 'gcp:subnet', rank: 3 },
+  kubernetes_namespace: { type: 'k8s:namespace', rank: 1 },
+  kubernetes_namespace_v1: { type: 'k8s:namespace', rank: 1 },
+};
+
+// Resources drawn as plain shapes because they have no icon of their own
+const TERRAFORM_SHAPES = {
+  aws_security_group: 'hexagon',
+};
+
+// Attributes that name another resource instead of holding its id
+const TERRAFORM_NAME_REFERENCES = {
+  resource_group_name: 'azurerm_resource_group',
+  virtual_network_name: 'azurerm_virtual_network',
+  network: 'google_compute_network',
+  subnetwork: 'google_compute_subnetwork',
+};
+
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Collects connections without duplicates or self-loops
+ */
+function createConnections() {
+  const connections = [];
+  const seen = new Set();
+  return {
+    add(from, to, label) {
+      const key = `${from}\u0000${to}`;
+      if (from === to || seen.has(key)) return;
+      seen.add(key);
+      connections.push(label ? { from, to, label } : { from, to });
+    },
+    list: connections,
+  };
+}
+
+export class InfrastructureImporter {
+  /**
+   * Converts deployment files into architecture data ({ groups, nodes, connections }).
+   * files is a list of { name, content }; format is auto, compose, kubernetes or terraform.
+   */
+  import(files, format = 'auto') {
+    if (files.length === 0) {
+      throw new Error('No input files');
+    }
+    const resolved = format === 'auto' ? this.detectFormat(files) : format;
+    switch (resolved) {
+      case 'compose':
+        return this.importCompose(files);
+      case 'kubernetes':
+        return this.importKubernetes(files);
+      case 'terraform':
+        return this.importTerraform(files);
+      default:
+        throw new Error(`Unknown infrastructure format: ${resolved} (expected compose, kubernetes or terraform)`);
+    }
+  }
+
+  detectFormat(files) {
+    const { name, content } = files[0];
+    if (/\.(tfstate|json)$/i.test(name) || content.trimStart().startsWith('{')) {
+      return 'terraform';
+    }
+    if (/(^|\/)(docker-)?compose[^/]*\.ya?ml$/i.test(name) || /^services\s*:/m.test(content)) {
+      return 'compose';
+    }
+    if (/^kind\s*:/m.test(content)) {
+      return 'kubernetes';
+    }
+    throw new Error(`Could not tell the format of ${name}; pass format as compose, kubernetes or terraform`);
+  }
+
+  /**
+   * Services become nodes and named volumes become storage nodes. depends_on and
+   * links become connections. A service on exactly one network sits in that
+   * network's group.
+   */
+  importCompose(files) {
+    const nodes = [];
+    const groups = [];
+    const connections = createConnections();
+    const prefix = files.length > 1;
+
+    files.forEach(({ name, content }) => {
+      const [compose] = parseYamlDocuments(content);
+      if (!compose || typeof compose.services !== 'object' || compose.services === null) {
+        throw new Error(`No services found in ${name}`);
+      }
+      const id = key => (prefix ? `${name}:${key}` : key);
+      const services = compose.services;
+      const volumes = Object.keys(compose.volumes || {});
+      const networks = new Set(Object.keys(compose.networks || {}));
+      Object.values(services).forEach(service => {
+        const used = Array.isArray(service?.networks) ? service.networks : Object.keys(service?.networks || {});
+        used.forEach(network => networks.add(network));
+      });
+
+      // Network groups only say something when there is more than one network
+      if (networks.size > 1) {
+        networks.forEach(network => groups.push({ id: id(`network:${network}`), label: `${network} network`, type: 'group' }));
+      }
+
+      Object.entries(services).forEach(([serviceName, service]) => {
+        const spec = service || {};
+        const node = {
+          id: id(serviceName),
+          label: serviceName,
+          type: DATA_IMAGES.test(spec.image || '') ? 'database' : 'rectangle',
+        };
+        const serviceNetworks = Array.isArray(spec.networks) ? spec.networks : Object.keys(spec.networks || {});
+        if (networks.size > 1 && serviceNetworks.length === 1) {
+          node.parent = id(`network:${serviceNetworks[0]}`);
+        }
+        nodes.push(node);
+
+        const dependencies = Array.isArray(spec.depends_on) ? spec.depends_on : Object.keys(spec.depends_on || {});
+        dependencies.forEach(dependency => connections.add(id(serviceName), id(dependency)));
+        asList(spec.links).forEach(link => connections.add(id(serviceName), id(String(link).split(':')[0])));
+        asList(spec.volumes).forEach(volume => {
+          const source = typeof volume === 'string' ? volume.split(':')[0] : volume?.source;
+          if (volumes.includes(source)) connections.add(id(serviceName), id(`volume:${source}`));
+        });
+      });
+
+      volumes.forEach(volume => nodes.push({ id: id(`volume:${volume}`), label: volume, type: 'cylinder' }));
+    });
+
+    const ids = new Set(nodes.map(node => node.id));
+    return { groups, nodes, connections: connections.list.filter(conn => ids.has(conn.to)) };
+  }
+
+  /**
+   * Workloads, services, ingresses, config and storage objects become nodes in
+   * namespace groups. Connections follow ingress backends, service selectors,
+   * config, secret and volume references, HPA targets and role bindings.
+   */
+  importKubernetes(files) {
+    const objects = [];
+    files.forEach(({ name, content }) => {
+      let documents;
+      try {
+        documents = parseYamlDocuments(content);
+      } catch (error) {
+        throw new Error(`${name}: ${error.message}`);
+      }
+      documents.forEach(document => {
+        const items = document.kind === 'List' ? asList(document.items) : [document];
+        items.forEach(item => {
+          if (item && item.kind && item.metadata && item.metadata.name) objects.push(item);
+        });
+      });
+    });
+    if (objects.length === 0) {
+      throw new Error('No Kubernetes objects found');
+    }
+
+    const namespaced = objects.filter(object => !CLUSTER_SCOPED.has(object.kind));
+    const useNamespaces = objects.some(object => object.kind === 'Namespace' || object.metadata.namespace);
+    const namespaceOf = object => (CLUSTER_SCOPED.has(object.kind) ? null : object.metadata.namespace || 'default');
+    const keyOf = (kind, namespace, name) => `${kind}/${namespace || ''}/${name}`;
+    const index = new Map(objects.map(object => [keyOf(object.kind, namespaceOf(object), object.metadata.name), object]));
+
+    const groups = [];
+    if (useNamespaces) {
+      new Set(namespaced.map(namespaceOf).concat(objects.filter(o => o.kind === 'Namespace').map(o => o.metadata.name)))
+        .forEach(namespace => groups.push({ id: `ns:${namespace}`, label: namespace, type: 'k8s:namespace' }));
+    }
+
+    const nodes = [];
+    objects.forEach(object => {
+      if (object.kind === 'Namespace') return;
+      const namespace = namespaceOf(object);
+      const node = {
+        id: keyOf(object.kind, namespace, object.metadata.name),
+        label: KUBERNETES_ICONS[object.kind] ? object.metadata.name : `${object.kind}/${object.metadata.name}`,
+      };
+      if (KUBERNETES_ICONS[object.kind]) node.icon = KUBERNETES_ICONS[object.kind];
+      else node.type = 'rectangle';
+      if (useNamespaces && namespace) node.parent = `ns:${namespace}`;
+      nodes.push(node);
+    });
+
+    const connections = createConnections();
+    const link = (from, kind, namespace, name) => {
+      const target = keyOf(kind, CLUSTER_SCOPED.has(kind) ? null : namespace, name);
+      if (name && index.has(target)) connections.add(keyOf(from.kind, namespaceOf(from), from.metadata.name), target);
+    };
+
+    const podTemplate = object => {
+      const spec = object.spec || {};
+      if (object.kind === 'Pod') return { labels: object.metadata.labels || {}, spec };
+      if (object.kind === 'CronJob') {
+        const template = spec.jobTemplate?.spec?.template || {};
+        return { labels: template.metadata?.labels || {}, spec: template.spec || {} };
+      }
+      if (!spec.template) return null;
+      return { labels: spec.template.metadata?.labels || {}, spec: spec.template.spec || {} };
+    };
+    const workloads = objects.map(object => ({ object, template: podTemplate(object) })).filter(({ template }) => template);
+    const selects = (selector, labels) => {
+      const entries = Object.entries(selector || {});
+      return entries.length > 0 && entries.every(([key, value]) => labels[key] === value);
+    };
+
+    workloads.forEach(({ object, template }) => {
+      const namespace = namespaceOf(object);
+      const spec = template.spec;
+      link(object, 'ServiceAccount', namespace, spec.serviceAccountName);
+      asList(spec.volumes).forEach(volume => {
+        link(object, 'ConfigMap', namespace, volume?.configMap?.name);
+        link(object, 'Secret', namespace, volume?.secret?.secretName);
+        link(object, 'PersistentVolumeClaim', namespace, volume?.persistentVolumeClaim?.claimName);
+      });
+      [...asList(spec.containers), ...asList(spec.initContainers)].forEach(container => {
+        asList(container?.envFrom).forEach(source => {
+          link(object, 'ConfigMap', namespace, source?.configMapRef?.name);
+          link(object, 'Secret', namespace, source?.secretRef?.name);
+        });
+        asList(container?.env).forEach(variable => {
+          link(object, 'ConfigMap', namespace, variable?.valueFrom?.configMapKeyRef?.name);
+          link(object, 'Secret', namespace, variable?.valueFrom?.secretKeyRef?.name);
+        });
+      });
+    });
+
+    objects.forEach(object => {
+      const namespace = namespaceOf(object);
+      const spec = object.spec || {};
+      switch (object.kind) {
+        case 'Service':
+          workloads.forEach(({ object: workload, template }) => {
+            if (namespaceOf(workload) === namespace && selects(spec.selector, template.labels)) {
+              connections.add(keyOf('Service', namespace, object.metadata.name), keyOf(workload.kind, namespace, workload.metadata.name));
+            }
+          });
+          break;
+        case 'Ingress': {
+          const backends = [spec.defaultBackend, spec.backend];
+          asList(spec.rules).forEach(rule => asList(rule?.http?.paths).forEach(path => backends.push(path?.backend)));
+          backends.forEach(backend => link(object, 'Service', namespace, backend?.service?.name || backend?.serviceName));
+          break;
+        }
+        case 'HorizontalPodAutoscaler':
+          link(object, spec.scaleTargetRef?.kind, namespace, spec.scaleTargetRef?.name);
+          break;
+        case 'NetworkPolicy':
+          workloads.forEach(({ object: workload, template }) => {
+            if (namespaceOf(workload) === namespace && selects(spec.podSelector?.matchLabels, template.labels)) {
+              connections.add(keyOf('NetworkPolicy', namespace, object.metadata.name), keyOf(workload.kind, namespace, workload.metadata.name));
+            }
+          });
+          break;
+        case 'RoleBinding':
+        case 'ClusterRoleBinding':
+          link(object, object.roleRef?.kind, namespace, object.roleRef?.name);
+          asList(object.subjects).forEach(subject => {
+            if (subject?.kind === 'ServiceAccount') link(object, 'ServiceAccount', subject.namespace || namespace, subject.name);
+          });
+          break;
+        case 'PersistentVolumeClaim':
+          link(object, 'StorageClass', null, spec.storageClassName);
+          link(object, 'PersistentVolume', null, spec.volumeName);
+          break;
+        default:
+          break;
+      }
+    });
+
+    return { groups, nodes, connections: connections.list };
+  }
+
+  /**
+   * Managed resources with a known icon become nodes; VPCs, subnets, virtual
+   * networks and resource groups become the groups that hold them. A resource
+   * that refers to another one (by id, ARN or self link in state, or through
+   * expression references in a plan) is connected to it.
+   */
+  importTerraform(files) {
+    const resources = [];
+    files.forEach(({ name, content }) => {
+      let json;
+      try {
+        json = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`${name} is not valid JSON: ${error.message}`);
+      }
+      resources.push(...this.readTerraformResources(json));
+    });
+    if (resources.length === 0) {
+      throw new Error('No managed resources found in the Terraform state or plan');
+    }
+
+    const kept = resources.filter(resource => (
+      TERRAFORM_ICONS[resource.type] || TERRAFORM_GROUPS[resource.type] || TERRAFORM_SHAPES[resource.type]
+    ));
+    const byBase = new Map();
+    kept.forEach(resource => {
+      if (!byBase.has(resource.base)) byBase.set(resource.base, []);
+      byBase.get(resource.base).push(resource);
+    });
+
+    // Values that identify a resource, and names that some attributes refer to resources by
+    const byValue = new Map();
+    const byName = new Map();
+    kept.forEach(resource => {
+      ['id', 'arn', 'self_link'].forEach(attribute => {
+        const value = resource.values[attribute];
+        if (typeof value === 'string' && value.length > 3) byValue.set(value, resource);
+      });
+      if (typeof resource.values.name === 'string') byName.set(`${resource.type}:${resource.values.name}`, resource);
+    });
+
+    const referencesOf = resource => {
+      const found = new Set();
+      const visit = (value, attribute) => {
+        if (typeof value === 'string') {
+          const target = byValue.get(value)
+            || (TERRAFORM_NAME_REFERENCES[attribute] && byName.get(`${TERRAFORM_NAME_REFERENCES[attribute]}:${value}`));
+          if (target && target !== resource) found.add(target);
+        } else if (Array.isArray(value)) {
+          value.forEach(item => visit(item, attribute));
+        } else if (value && typeof value === 'object') {
+          Object.entries(value).forEach(([key, item]) => visit(item, key));
+        }
+      };
+      visit(resource.values, null);
+      resource.references.forEach(reference => (byBase.get(reference) || []).forEach(target => {
+        if (target !== resource) found.add(target);
+      }));
+      return [...found];
+    };
+
+    const groups = [];
+    const nodes = [];
+    const connections = createConnections();
+    kept.forEach(resource => {
+      const group = TERRAFORM_GROUPS[resource.type];
+      const references = referencesOf(resource);
+
+      // The most deeply nested group the resource refers to holds it; several groups at
+      // the same depth (subnets in different zones) defer to the next level up
+      let parent = null;
+      for (let rank = 3; rank >= 1 && !parent; rank--) {
+        if (group && rank >= group.rank) continue;
+        const candidates = references.filter(target => TERRAFORM_GROUPS[target.type]?.rank === rank);
+        if (candidates.length === 1) parent = candidates[0].address;
+      }
+
+      const label = resource.values.tags?.Name || resource.values.name || resource.values.function_name
+        || resource.values.bucket || resource.values.identifier || resource.label;
+      if (group) {
+        let type = group.type;
+        if (resource.type === 'aws_subnet' && resource.values.map_public_ip_on_launch) type = 'aws:public_subnet';
+        groups.push({ id: resource.address, label: String(label), type, ...(parent ? { parent } : {}) });
+        return;
+      }
+
+      const node = { id: resource.address, label: String(label) };
+      if (TERRAFORM_ICONS[resource.type]) node.icon = TERRAFORM_ICONS[resource.type];
+      else node.type = TERRAFORM_SHAPES[resource.type];
+      if (parent) node.parent = parent;
+      nodes.push(node);
+      references
+        .filter(target => !TERRAFORM_GROUPS[target.type])
+        .forEach(target => connections.add(resource.address, target.address));
+    });
+
+    return { groups, nodes, connections: connections.list };
+  }
+
+  /**
+   * Flattens raw .tfstate files, `terraform show -json` output and plan JSON into
+   * { address, base, type, label, values, references }
+   */
+  readTerraformResources(json) {
+    const resources = [];
+
+    if (Array.isArray(json.resources)) {
+      // Raw state file
+      json.resources.forEach(resource => {
+        if (resource.mode === 'data') return;
+        const base = `${resource.module ? `${resource.module}.` : ''}${resource.type}.${resource.name}`;
+        asList(resource.instances).forEach(instance => {
+          const suffix = instance.index_key === undefined ? '' : `[${JSON.stringify(instance.index_key)}]`;
+          resources.push({
+            address: base + suffix,
+            base,
+            type: resource.type,
+            label: resource.name + suffix,
+            values: instance.attributes || {},
+            references: [],
+          });
+        });
+      });
+      return resources;
+    }
+
+    // Expression references from the plan's configuration, keyed by resource address
+    const configured = new Map();
+    const readConfiguration = (module, prefix) => {
+      if (!module) return;
+      asList(module.resources).forEach(resource => {
+        if (resource.mode === 'data') return;
+        const references = new Set();
+        const visit = value => {
+          if (Array.isArray(value)) value.forEach(visit);
+          else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, item]) => {
+              if (key === 'references' && Array.isArray(item)) {
+                item.forEach(reference => {
+                  const match = /^([a-z0-9_]+)\.([A-Za-z0-9_-]+)/.exec(reference);
+                  if (match && !['var', 'local', 'module', 'data', 'each', 'count', 'path', 'self', 'terraform'].includes(match[1])) {
+                    references.add(`${prefix}${match[1]}.${match[2]}`);
+                  }
+                });
+              } else {
+                visit(item);
+              }
+            });
+          }
+        };
+        visit(resource.expressions);
+        configured.set(prefix + resource.address, [...references]);
+      });
+      Object.entries(module.module_calls || {}).forEach(([name, call]) => {
+        readConfiguration(call.module, `${prefix}module.${name}.`);
+      });
+    };
+    readConfiguration(json.configuration?.root_module, '');
+
+    const readModule = module => {
+      if (!module) return;
+      asList(module.resources).forEach(resource => {
+        if (resource.mode === 'data') return;
+        const base = resource.address.replace(/\[[^\]]*\]$/, '');
+        resources.push({
+          address: resource.address,
+          base,
+          type: resource.type,
+          label: resource.address.slice(resource.address.lastIndexOf(`${resource.type}.`) + resource.type.length + 1),
+          values: resource.values || {},
+          references: configured.get(base) || [],
+        });
+      });
+      asList(module.child_modules).forEach(readModule);
+    };
+    readModule(json.planned_values?.root_module || json.values?.root_module);
+    return resources;
+  }
+}
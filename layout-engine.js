@@ -0,0 +1,1052 @@
+/**
+ * Layout Engine
+ * Positions nodes for generated diagrams. Algorithms are registered by name so
+ * diagram types can share them and new ones can be plugged in.
+ */
+
+const DIRECTIONS = ['TB', 'BT', 'LR', 'RL'];
+
+const DEFAULT_OPTIONS = {
+  algorithm: 'layered',
+  direction: 'TB',
+  nodeSpacing: 40,
+  rankSpacing: 60,
+  origin: { x: 40, y: 40 },
+};
+
+/**
+ * Accepts a layout name ("layered") or an options object and fills in the defaults
+ * a diagram type prefers
+ */
+export function resolveLayoutOptions(layout, defaults = {}) {
+  const options = typeof layout === 'string' ? { algorithm: layout } : { ...(layout || {}) };
+  const resolved = { ...DEFAULT_OPTIONS, ...defaults, ...options };
+  resolved.direction = String(resolved.direction).toUpperCase();
+  if (!DIRECTIONS.includes(resolved.direction)) {
+    throw new Error(`Unknown layout direction: ${resolved.direction} (expected one of ${DIRECTIONS.join(', ')})`);
+  }
+  return resolved;
+}
+
+export class LayoutEngine {
+  constructor() {
+    this.algorithms = new Map();
+    this.register('layered', (graph, options) => this.layered(graph, options));
+    this.register('grid', (graph, options) => this.grid(graph, options));
+    this.register('force', (graph, options) => this.force(graph, options));
+    this.register('circular', (graph, options) => this.circular(graph, options));
+    this.register('tiered', (graph, options) => this.tiered(graph, options));
+    this.register('tree', (graph, options) => this.tree(graph, options));
+    this.register('radial', (graph, options) => this.radial(graph, options));
+  }
+
+  /**
+   * Adds a layout algorithm. It receives { nodes: [{ id, width, height }], edges: [{ from, to }] }
+   * and the resolved options, and returns { positions: { id: { x, y } }, edges: [{ points }] }
+   * with top-left node positions and optional waypoints per input edge. Layouts that keep
+   * pinned nodes where they are return anchored: true so they are not moved to the origin;
+   * they are only shifted when a node would otherwise get a negative coordinate.
+   */
+  register(name, algorithm) {
+    this.algorithms.set(name, algorithm);
+  }
+
+  getAlgorithms() {
+    return [...this.algorithms.keys()];
+  }
+
+  layout(graph, options = {}) {
+    const resolved = resolveLayoutOptions(options);
+    const algorithm = this.algorithms.get(resolved.algorithm);
+    if (!algorithm) {
+      throw new Error(`Unknown layout: ${resolved.algorithm} (available: ${this.getAlgorithms().join(', ')})`);
+    }
+
+    const result = algorithm(graph, resolved);
+    if (result.anchored) {
+      return this.translate(graph, result, { x: 0, y: 0 }, false);
+    }
+    return this.translate(graph, result, resolved.origin);
+  }
+
+  /**
+   * Moves a layout so its top-left corner sits at the origin, or when move is
+   * false only rounds it and moves it as far as needed to keep it off negative coordinates
+   */
+  translate(graph, result, origin, move = true) {
+    const edges = result.edges || graph.edges.map(() => ({ points: [] }));
+    let minX = Infinity;
+    let minY = Infinity;
+    graph.nodes.forEach(node => {
+      const position = result.positions[node.id];
+      if (!position) return;
+      minX = Math.min(minX, position.x);
+      minY = Math.min(minY, position.y);
+    });
+    edges.forEach(edge => edge.points.forEach(point => {
+      minX = Math.min(minX, point.x);
+      minY = Math.min(minY, point.y);
+    }));
+    (result.lanes || []).forEach(lane => {
+      minX = Math.min(minX, lane.x);
+      minY = Math.min(minY, lane.y);
+    });
+    if (minX === Infinity) return { positions: {}, edges };
+
+    const dx = move ? origin.x - minX : Math.max(0, origin.x - minX);
+    const dy = move ? origin.y - minY : Math.max(0, origin.y - minY);
+    const shift = point => ({ x: Math.round(point.x + dx), y: Math.round(point.y + dy) });
+
+    const positions = {};
+    Object.entries(result.positions).forEach(([id, position]) => {
+      positions[id] = shift(position);
+    });
+    const moved = {
+      positions,
+      edges: edges.map(edge => ({ ...edge, points: edge.points.map(shift) })),
+    };
+    if (result.lanes) {
+      moved.lanes = result.lanes.map(lane => ({ ...lane, ...shift(lane) }));
+    }
+    return moved;
+  }
+
+  /**
+   * Rows of equally sized cells, filled in input order
+   */
+  grid(graph, options) {
+    const columns = options.columns || Math.max(1, Math.ceil(Math.sqrt(graph.nodes.length)));
+    const cellWidth = Math.max(0, ...graph.nodes.map(node => node.width)) + options.nodeSpacing;
+    const cellHeight = Math.max(0, ...graph.nodes.map(node => node.height)) + options.nodeSpacing;
+    const positions = {};
+    graph.nodes.forEach((node, index) => {
+      const column = index % columns;
+      const row = Math.floor(index / columns);
+      positions[node.id] = {
+        x: column * cellWidth + (cellWidth - options.nodeSpacing - node.width) / 2,
+        y: row * cellHeight + (cellHeight - options.nodeSpacing - node.height) / 2,
+      };
+    });
+    return { positions };
+  }
+
+  /**
+   * Layered (Sugiyama) layout: breaks cycles by reversing back-edges, assigns
+   * ranks, splits long edges with dummy nodes, orders each rank by barycenters
+   * to reduce crossings, then places nodes by their actual sizes.
+   *
+   * Works in rank/cross coordinates; the direction option maps them to x/y at the end.
+   *
+   * Nodes with a lane are kept in swimlanes: bands across the ranks, stacked in the
+   * order of options.lanes (or first use), returned as lanes: [{ id, x, y, width, height }]
+   * with options.laneHeader of room before the first rank for the lane titles.
+   */
+  layered(graph, options) {
+    const horizontal = options.direction === 'LR' || options.direction === 'RL';
+    const nodes = new Map();
+    graph.nodes.forEach((node, index) => {
+      nodes.set(node.id, {
+        id: node.id,
+        index,
+        cross: horizontal ? node.height : node.width,
+        main: horizontal ? node.width : node.height,
+        lane: node.lane ?? null,
+        dummy: false,
+      });
+    });
+    const laneOrder = [...new Set([...(options.lanes || []), ...graph.nodes.map(node => node.lane).filter(lane => lane !== undefined && lane !== null)])];
+
+    const edges = graph.edges
+      .map((edge, index) => ({ ...edge, index }))
+      .filter(edge => nodes.has(edge.from) && nodes.has(edge.to) && edge.from !== edge.to);
+
+    // In swimlanes every node gets a rank, so unconnected steps still sit in their lane
+    const connected = new Set(edges.flatMap(edge => [edge.from, edge.to]));
+    const ids = [...nodes.keys()].filter(id => laneOrder.length > 0 || connected.has(id));
+    const isolated = [...nodes.keys()].filter(id => !ids.includes(id));
+
+    this.breakCycles(ids, edges);
+    const rank = this.assignRanks(ids, edges);
+
+    // Long edges become chains of dummy nodes, one per rank they cross
+    const segments = [];
+    const chains = new Map();
+    edges.forEach(edge => {
+      const [upper, lower] = edge.reversed ? [edge.to, edge.from] : [edge.from, edge.to];
+      const chain = [upper];
+      for (let r = rank[upper] + 1; r < rank[lower]; r++) {
+        const id = `dummy:${edge.index}:${r}`;
+        nodes.set(id, { id, cross: 0, main: 0, lane: nodes.get(upper).lane, dummy: true });
+        rank[id] = r;
+        chain.push(id);
+      }
+      chain.push(lower);
+      for (let i = 1; i < chain.length; i++) {
+        segments.push([chain[i - 1], chain[i]]);
+      }
+      chains.set(edge.index, chain);
+    });
+
+    const ranks = [];
+    [...ids, ...[...nodes.keys()].filter(id => nodes.get(id).dummy)].forEach(id => {
+      (ranks[rank[id]] = ranks[rank[id]] || []).push(id);
+    });
+    for (let r = 0; r < ranks.length; r++) ranks[r] = ranks[r] || [];
+
+    const above = new Map([...nodes.keys()].map(id => [id, []]));
+    const below = new Map([...nodes.keys()].map(id => [id, []]));
+    segments.forEach(([upper, lower]) => {
+      below.get(upper).push(lower);
+      above.get(lower).push(upper);
+    });
+
+    this.orderRanks(ranks, above, below);
+    let crossPosition;
+    let laneBands = [];
+    if (laneOrder.length > 0) {
+      // Nodes without a lane share one more lane after the named ones
+      if ([...nodes.values()].some(node => node.lane === null)) laneOrder.push(null);
+      ({ position: crossPosition, bands: laneBands } = this.assignLaneCoordinates(ranks, nodes, above, below, laneOrder, options.nodeSpacing));
+    } else {
+      crossPosition = this.assignCrossCoordinates(ranks, nodes, above, below, options.nodeSpacing);
+    }
+
+    // Rank bands are as deep as their deepest node; nodes are centered in their band
+    const rankStart = [];
+    let offset = 0;
+    ranks.forEach((ids, r) => {
+      rankStart[r] = offset;
+      const depth = Math.max(0, ...ids.map(id => nodes.get(id).main));
+      ranks[r].depth = depth;
+      offset += depth + options.rankSpacing;
+    });
+    const totalMain = offset - options.rankSpacing;
+
+    const center = id => ({
+      cross: crossPosition[id],
+      main: rankStart[rank[id]] + ranks[rank[id]].depth / 2,
+    });
+
+    // Nodes without edges go in a grid past the end of the layout
+    let crossEnd = Math.max(0, ...[...nodes.values()].map(node => (crossPosition[node.id] || 0) + node.cross / 2));
+    if (ids.length > 0) crossEnd += options.nodeSpacing * 2;
+    const columns = Math.max(1, Math.ceil(Math.sqrt(isolated.length)));
+    const isolatedCenters = {};
+    let gridCross = crossEnd;
+    let gridMain = 0;
+    let rowDepth = 0;
+    isolated.forEach((id, index) => {
+      const node = nodes.get(id);
+      if (index > 0 && index % columns === 0) {
+        gridCross = crossEnd;
+        gridMain += rowDepth + options.rankSpacing;
+        rowDepth = 0;
+      }
+      isolatedCenters[id] = { cross: gridCross + node.cross / 2, main: gridMain + node.main / 2 };
+      gridCross += node.cross + options.nodeSpacing;
+      rowDepth = Math.max(rowDepth, node.main);
+    });
+
+    const toXY = ({ cross, main }) => {
+      const flippedMain = options.direction === 'BT' || options.direction === 'RL' ? totalMain - main : main;
+      return horizontal ? { x: flippedMain, y: cross } : { x: cross, y: flippedMain };
+    };
+
+    const positions = {};
+    graph.nodes.forEach(({ id, width, height }) => {
+      const point = toXY(isolatedCenters[id] || center(id));
+      positions[id] = { x: point.x - width / 2, y: point.y - height / 2 };
+    });
+
+    const routed = graph.edges.map(() => ({ points: [] }));
+    edges.forEach(edge => {
+      const chain = chains.get(edge.index);
+      let points = chain.slice(1, -1).map(id => toXY(center(id)));
+      if (chain.length === 2 && edge.reversed) {
+        // Back-edges between neighbouring ranks go around the outside of both ranks
+        // instead of over the forward edge or the other nodes beside it
+        const [upper, lower] = chain;
+        const spanned = ranks.slice(Math.min(rank[upper], rank[lower]), Math.max(rank[upper], rank[lower]) + 1).flat();
+        const side = Math.max(...spanned.map(id => crossPosition[id] + nodes.get(id).cross / 2)) + options.nodeSpacing / 2;
+        points = [toXY({ cross: side, main: center(upper).main }), toXY({ cross: side, main: center(lower).main })];
+      }
+      if (edge.reversed) points.reverse();
+      routed[edge.index] = { points, reversed: Boolean(edge.reversed) };
+    });
+
+    const result = { positions, edges: routed };
+    if (laneOrder.length > 0) {
+      // Lanes span every rank, plus the title area in front of the first one
+      const pad = options.nodeSpacing / 2;
+      const header = options.laneHeader || 0;
+      result.lanes = laneBands.map(band => {
+        const a = toXY({ cross: band.start, main: -pad });
+        const b = toXY({ cross: band.end, main: totalMain + pad });
+        const x = Math.min(a.x, b.x) - (horizontal ? header : 0);
+        const y = Math.min(a.y, b.y) - (horizontal ? 0 : header);
+        return {
+          id: band.id,
+          x,
+          y,
+          width: Math.max(a.x, b.x) - x,
+          height: Math.max(a.y, b.y) - y,
+        };
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Marks edges that close a cycle as reversed, found by depth-first search in input order
+   */
+  breakCycles(ids, edges) {
+    const outgoing = new Map(ids.map(id => [id, []]));
+    edges.forEach(edge => outgoing.get(edge.from).push(edge));
+
+    const state = new Map();
+    const visit = id => {
+      state.set(id, 'active');
+      outgoing.get(id).forEach(edge => {
+        const next = state.get(edge.to);
+        if (next === 'active') {
+          edge.reversed = true;
+        } else if (!next) {
+          visit(edge.to);
+        }
+      });
+      state.set(id, 'done');
+    };
+
+    // Start from sources so the natural flow direction wins
+    const incoming = new Set(edges.map(edge => edge.to));
+    [...ids.filter(id => !incoming.has(id)), ...ids].forEach(id => {
+      if (!state.has(id)) visit(id);
+    });
+  }
+
+  /**
+   * Longest-path ranking, then nodes are nudged toward the side with more
+   * edges while that shortens the total edge length
+   */
+  assignRanks(ids, edges) {
+    const successors = new Map(ids.map(id => [id, []]));
+    const predecessors = new Map(ids.map(id => [id, []]));
+    edges.forEach(edge => {
+      const [upper, lower] = edge.reversed ? [edge.to, edge.from] : [edge.from, edge.to];
+      successors.get(upper).push(lower);
+      predecessors.get(lower).push(upper);
+    });
+
+    const rank = {};
+    const visit = id => {
+      if (rank[id] !== undefined) return rank[id];
+      rank[id] = 0;
+      rank[id] = Math.max(0, ...predecessors.get(id).map(parent => visit(parent) + 1));
+      return rank[id];
+    };
+    ids.forEach(visit);
+
+    for (let pass = 0; pass < ids.length; pass++) {
+      let moved = false;
+      ids.forEach(id => {
+        const ups = predecessors.get(id);
+        const downs = successors.get(id);
+        if (downs.length > ups.length) {
+          const target = Math.min(...downs.map(child => rank[child])) - 1;
+          if (target > rank[id]) {
+            rank[id] = target;
+            moved = true;
+          }
+        } else if (ups.length > downs.length && ups.length > 0) {
+          const target = Math.max(...ups.map(parent => rank[parent])) + 1;
+          if (target < rank[id]) {
+            rank[id] = target;
+            moved = true;
+          }
+        }
+      });
+      if (!moved) break;
+    }
+
+    return rank;
+  }
+
+  /**
+   * Barycenter sweeps up and down the ranks, keeping the order with the fewest crossings
+   */
+  orderRanks(ranks, above, below) {
+    const position = new Map();
+    const index = () => ranks.forEach(ids => ids.forEach((id, i) => position.set(id, i)));
+    index();
+
+    let best = ranks.map(ids => [...ids]);
+    let bestCrossings = this.countCrossings(ranks, below, position);
+
+    for (let iteration = 0; iteration < 12 && bestCrossings > 0; iteration++) {
+      const down = iteration % 2 === 0;
+      const order = down ? ranks.map((_, r) => r).slice(1) : ranks.map((_, r) => r).reverse().slice(1);
+      order.forEach(r => {
+        const neighbours = down ? above : below;
+        const weight = new Map(ranks[r].map(id => {
+          const adjacent = neighbours.get(id);
+          if (adjacent.length === 0) return [id, position.get(id)];
+          return [id, adjacent.reduce((sum, other) => sum + position.get(other), 0) / adjacent.length];
+        }));
+        ranks[r].sort((a, b) => weight.get(a) - weight.get(b));
+        ranks[r].forEach((id, i) => position.set(id, i));
+      });
+
+      const crossings = this.countCrossings(ranks, below, position);
+      if (crossings < bestCrossings) {
+        bestCrossings = crossings;
+        best = ranks.map(ids => [...ids]);
+      }
+    }
+
+    best.forEach((ids, r) => {
+      ranks[r].splice(0, ranks[r].length, ...ids);
+    });
+    index();
+  }
+
+  countCrossings(ranks, below, position) {
+    let crossings = 0;
+    for (let r = 0; r < ranks.length - 1; r++) {
+      const pairs = [];
+      ranks[r].forEach(id => below.get(id).forEach(lower => pairs.push([position.get(id), position.get(lower)])));
+      for (let i = 0; i < pairs.length; i++) {
+        for (let j = i + 1; j < pairs.length; j++) {
+          if ((pairs[i][0] - pairs[j][0]) * (pairs[i][1] - pairs[j][1]) < 0) crossings++;
+        }
+      }
+    }
+    return crossings;
+  }
+
+  /**
+   * Places each rank so nodes sit near the average of their neighbours without
+   * overlapping. Packing from the left and from the right and averaging the two
+   * keeps the rank balanced around the positions it wants.
+   */
+  assignCrossCoordinates(ranks, nodes, above, below, spacing) {
+    const position = {};
+    const gap = (a, b) => (nodes.get(a).cross + nodes.get(b).cross) / 2
+      + (nodes.get(a).dummy || nodes.get(b).dummy ? spacing / 2 : spacing);
+
+    ranks.forEach(ids => {
+      let cursor = 0;
+      ids.forEach((id, i) => {
+        if (i > 0) cursor += gap(ids[i - 1], id);
+        position[id] = cursor;
+      });
+      ids.forEach(id => { position[id] -= cursor / 2; });
+    });
+
+    const place = (ids, desired) => {
+      const left = [];
+      const right = [];
+      ids.forEach((id, i) => {
+        left[i] = i === 0 ? desired[i] : Math.max(desired[i], left[i - 1] + gap(ids[i - 1], id));
+      });
+      for (let i = ids.length - 1; i >= 0; i--) {
+        right[i] = i === ids.length - 1 ? desired[i] : Math.min(desired[i], right[i + 1] - gap(ids[i], ids[i + 1]));
+      }
+      ids.forEach((id, i) => { position[id] = (left[i] + right[i]) / 2; });
+    };
+
+    for (let iteration = 0; iteration < 8; iteration++) {
+      const down = iteration % 2 === 0;
+      const order = down ? ranks.map((_, r) => r) : ranks.map((_, r) => r).reverse();
+      order.forEach(r => {
+        const ids = ranks[r];
+        const neighbours = down ? above : below;
+        const desired = ids.map(id => {
+          const adjacent = neighbours.get(id);
+          if (adjacent.length === 0) return position[id];
+          return adjacent.reduce((sum, other) => sum + position[other], 0) / adjacent.length;
+        });
+        place(ids, desired);
+      });
+    }
+
+    return position;
+  }
+
+  /**
+   * Cross coordinates for swimlanes: each lane is placed on its own, by its own
+   * connections, and the lanes are then stacked edge to edge
+   */
+  assignLaneCoordinates(ranks, nodes, above, below, laneOrder, spacing) {
+    const position = {};
+    const bands = [];
+    let offset = 0;
+    laneOrder.forEach(lane => {
+      const inLane = id => nodes.get(id).lane === lane;
+      const sameLane = neighbours => new Map([...neighbours].map(([id, list]) => [id, list.filter(inLane)]));
+      const laneRanks = ranks.map(ids => ids.filter(inLane));
+      const local = this.assignCrossCoordinates(laneRanks, nodes, sameLane(above), sameLane(below), spacing);
+
+      const members = laneRanks.flat();
+      let start = 0;
+      let size = spacing * 3;
+      if (members.length > 0) {
+        // A full spacing of margin keeps edges routed around a lane's nodes inside it
+        start = Math.min(...members.map(id => local[id] - nodes.get(id).cross / 2)) - spacing;
+        const end = Math.max(...members.map(id => local[id] + nodes.get(id).cross / 2)) + spacing;
+        size = Math.max(size, end - start);
+      }
+      members.forEach(id => { position[id] = local[id] - start + offset; });
+      bands.push({ id: lane, start: offset, end: offset + size });
+      offset += size;
+    });
+    return { position, bands };
+  }
+
+  /**
+   * Nodes in depth-first order over their connections, so neighbours stay close
+   * when a layout places nodes along a line or a circle
+   */
+  traversalOrder(graph) {
+    const adjacent = new Map(graph.nodes.map(node => [node.id, []]));
+    graph.edges.forEach(edge => {
+      if (!adjacent.has(edge.from) || !adjacent.has(edge.to)) return;
+      adjacent.get(edge.from).push(edge.to);
+      adjacent.get(edge.to).push(edge.from);
+    });
+
+    const order = [];
+    const seen = new Set();
+    const visit = id => {
+      seen.add(id);
+      order.push(id);
+      adjacent.get(id).forEach(next => {
+        if (!seen.has(next)) visit(next);
+      });
+    };
+    graph.nodes.forEach(node => {
+      if (!seen.has(node.id)) visit(node.id);
+    });
+    return order;
+  }
+
+  /**
+   * Nodes evenly spaced on a circle, clockwise from the top
+   */
+  circular(graph, options) {
+    const byId = new Map(graph.nodes.map(node => [node.id, node]));
+    const order = this.traversalOrder(graph);
+    const extent = Math.max(0, ...graph.nodes.map(node => Math.hypot(node.width, node.height)));
+    const radius = order.length > 1 ? ((extent + options.nodeSpacing) * order.length) / (2 * Math.PI) : 0;
+    const minRadius = order.length > 1 ? (extent + options.nodeSpacing) / 2 : 0;
+
+    const positions = {};
+    order.forEach((id, i) => {
+      const node = byId.get(id);
+      const angle = -Math.PI / 2 + (2 * Math.PI * i) / order.length;
+      const r = Math.max(radius, minRadius);
+      positions[id] = {
+        x: r * Math.cos(angle) - node.width / 2,
+        y: r * Math.sin(angle) - node.height / 2,
+      };
+    });
+    return { positions };
+  }
+
+  /**
+   * Children of each node along the edges in input order. A node reached by
+   * several edges stays under the first; nodes without a parent are roots.
+   */
+  spanningTree(graph) {
+    const children = new Map(graph.nodes.map(node => [node.id, []]));
+    const hasParent = new Set();
+    graph.edges.forEach(edge => {
+      if (!children.has(edge.from) || !children.has(edge.to) || edge.from === edge.to || hasParent.has(edge.to)) return;
+      children.get(edge.from).push(edge.to);
+      hasParent.add(edge.to);
+    });
+
+    // Cycles without a way in are entered at their first node
+    const roots = [];
+    const seen = new Set();
+    const visit = id => {
+      seen.add(id);
+      children.set(id, children.get(id).filter(child => !seen.has(child)));
+      children.get(id).forEach(child => {
+        if (!seen.has(child)) visit(child);
+      });
+    };
+    [...graph.nodes.filter(node => !hasParent.has(node.id)), ...graph.nodes].forEach(node => {
+      if (seen.has(node.id)) return;
+      roots.push(node.id);
+      visit(node.id);
+    });
+    return { roots, children };
+  }
+
+  /**
+   * Tidy tree (Reingold-Tilford): each parent is centered over its children
+   * and subtrees are packed as close as their outlines allow, rank by rank,
+   * so a small subtree can sit under the overhang of a wide neighbour. With
+   * options.compact, children that are all leaves are stacked in a column
+   * beside a line down from their parent instead of spreading out in a row.
+   * Edges run down from the parent, across and into the child.
+   */
+  tree(graph, options) {
+    const horizontal = options.direction === 'LR' || options.direction === 'RL';
+    const crossSize = node => (horizontal ? node.height : node.width);
+    const mainSize = node => (horizontal ? node.width : node.height);
+    const byId = new Map(graph.nodes.map(node => [node.id, node]));
+    const { roots, children } = this.spanningTree(graph);
+    const stacked = id => options.compact && children.get(id).length > 1 && children.get(id).every(child => children.get(child).length === 0);
+
+    // Ranks are as deep as their deepest node; a stack of leaves only counts its first
+    const depth = new Map();
+    const rankDepth = [];
+    const measure = (id, d) => {
+      depth.set(id, d);
+      rankDepth[d] = Math.max(rankDepth[d] || 0, mainSize(byId.get(id)));
+      children.get(id).forEach((child, index) => {
+        if (stacked(id) && index > 0) depth.set(child, d + 1);
+        else measure(child, d + 1);
+      });
+    };
+    roots.forEach(root => measure(root, 0));
+    const rankStart = [];
+    rankDepth.reduce((start, size, d) => {
+      rankStart[d] = start;
+      return start + size + options.rankSpacing;
+    }, 0);
+    // Rank a distance along the flow falls in, for the outline of a stack
+    const rankAt = main => {
+      let d = 0;
+      while (d + 1 < rankStart.length && rankStart[d + 1] <= main) d++;
+      return d;
+    };
+
+    // Children offsets along the cross axis, relative to their parent's center;
+    // stacked leaves also get their distance along the flow
+    const offset = new Map();
+    const stackMain = new Map();
+    const indent = options.nodeSpacing / 2;
+
+    // Returns the outline of a subtree: its left and right extent per rank below its root
+    const place = id => {
+      const half = crossSize(byId.get(id)) / 2;
+      const kids = children.get(id);
+      if (kids.length === 0) return { left: [-half], right: [half] };
+
+      if (stacked(id)) {
+        const d = depth.get(id) + 1;
+        let main = rankStart[d];
+        let width = 0;
+        kids.forEach(kid => {
+          const node = byId.get(kid);
+          offset.set(kid, indent + crossSize(node) / 2);
+          stackMain.set(kid, main);
+          width = Math.max(width, crossSize(node));
+          main += mainSize(node) + options.nodeSpacing / 2;
+        });
+        const bottom = rankAt(main - options.nodeSpacing / 2);
+        const left = [-half];
+        const right = [half];
+        for (let rank = d; rank <= bottom; rank++) {
+          left.push(0);
+          right.push(indent + width);
+        }
+        return { left, right };
+      }
+
+      let outline = null;
+      const shifts = [];
+      kids.forEach(kid => {
+        const sub = place(kid);
+        if (!outline) {
+          outline = { left: [...sub.left], right: [...sub.right] };
+          shifts.push(0);
+          return;
+        }
+        let shift = -Infinity;
+        for (let d = 0; d < Math.min(outline.right.length, sub.left.length); d++) {
+          shift = Math.max(shift, outline.right[d] - sub.left[d] + options.nodeSpacing);
+        }
+        shifts.push(shift);
+        sub.left.forEach((value, d) => {
+          if (d >= outline.left.length) outline.left[d] = value + shift;
+        });
+        sub.right.forEach((value, d) => {
+          outline.right[d] = value + shift;
+        });
+      });
+      const middle = (shifts[0] + shifts[shifts.length - 1]) / 2;
+      kids.forEach((kid, index) => offset.set(kid, shifts[index] - middle));
+      return {
+        left: [-half, ...outline.left.map(value => value - middle)],
+        right: [half, ...outline.right.map(value => value - middle)],
+      };
+    };
+
+    // Trees side by side
+    const cross = new Map();
+    let cursor = 0;
+    roots.forEach(root => {
+      const outline = place(root);
+      const left = Math.min(...outline.left);
+      cross.set(root, cursor - left);
+      cursor += Math.max(...outline.right) - left + options.nodeSpacing;
+      const spread = id => children.get(id).forEach(child => {
+        cross.set(child, cross.get(id) + offset.get(child));
+        spread(child);
+      });
+      spread(root);
+    });
+
+    const totalMain = rankStart[rankStart.length - 1] + rankDepth[rankDepth.length - 1];
+    const toXY = (crossValue, main) => {
+      const flippedMain = options.direction === 'BT' || options.direction === 'RL' ? totalMain - main : main;
+      return horizontal ? { x: flippedMain, y: crossValue } : { x: crossValue, y: flippedMain };
+    };
+    // Nodes sit at the start of their rank, so the lines between ranks are the same length
+    const startOf = id => (stackMain.has(id) ? stackMain.get(id) : rankStart[depth.get(id)]);
+    const flipped = options.direction === 'BT' || options.direction === 'RL';
+
+    const positions = {};
+    graph.nodes.forEach(node => {
+      const start = startOf(node.id);
+      // The top-left corner: flipped ranks count from their far end
+      const corner = toXY(cross.get(node.id), flipped ? start + mainSize(node) : start);
+      positions[node.id] = horizontal
+        ? { x: corner.x, y: corner.y - node.height / 2 }
+        : { x: corner.x - node.width / 2, y: corner.y };
+    });
+
+    const parentOf = new Map();
+    children.forEach((kids, id) => kids.forEach(kid => parentOf.set(kid, id)));
+    const edges = graph.edges.map(edge => {
+      if (parentOf.get(edge.to) !== edge.from) return { points: [] };
+      const parent = cross.get(edge.from);
+      if (stackMain.has(edge.to)) {
+        // Down the line beside the stack, then across into the leaf
+        return { points: [toXY(parent, stackMain.get(edge.to) + mainSize(byId.get(edge.to)) / 2)] };
+      }
+      const main = rankStart[depth.get(edge.to)] - options.rankSpacing / 2;
+      return { points: [toXY(parent, main), toXY(cross.get(edge.to), main)] };
+    });
+
+    return { positions, edges };
+  }
+
+  /**
+   * Radial tree: the root in the middle and each level on a ring around it.
+   * Every subtree gets a wedge sized by its number of leaves, so branches fan
+   * out without crossing, and rings are spread until the nodes on them fit
+   * their wedges. Edges are straight lines.
+   */
+  radial(graph, options) {
+    const byId = new Map(graph.nodes.map(node => [node.id, node]));
+    const { roots, children } = this.spanningTree(graph);
+    const leaves = new Map();
+    const count = id => {
+      const kids = children.get(id);
+      const total = kids.length === 0 ? 1 : kids.reduce((sum, kid) => sum + count(kid), 0);
+      leaves.set(id, total);
+      return total;
+    };
+
+    // Several roots share the middle as children of an invisible hub
+    const hub = Symbol('hub');
+    children.set(hub, roots.length === 1 ? [] : roots);
+    const top = roots.length === 1 ? roots[0] : hub;
+    count(top);
+
+    // Wedges: [start, end] angles, clockwise from the top
+    const angle = new Map();
+    const wedge = new Map();
+    const depth = new Map();
+    const spread = (id, start, end, d) => {
+      depth.set(id, d);
+      angle.set(id, (start + end) / 2);
+      wedge.set(id, end - start);
+      let cursor = start;
+      children.get(id).forEach(kid => {
+        const size = ((end - start) * leaves.get(kid)) / leaves.get(id);
+        spread(kid, cursor, cursor + size, d + 1);
+        cursor += size;
+      });
+    };
+    spread(top, -Math.PI / 2, (3 * Math.PI) / 2, 0);
+
+    // Extent of a node along a ray at its angle, and across it
+    const along = (node, a) => Math.abs(node.width * Math.cos(a)) + Math.abs(node.height * Math.sin(a));
+    const across = (node, a) => Math.abs(node.width * Math.sin(a)) + Math.abs(node.height * Math.cos(a));
+    const rings = [];
+    [...depth].forEach(([id, d]) => {
+      if (id === hub) return;
+      const node = byId.get(id);
+      const a = angle.get(id);
+      const ring = rings[d] || (rings[d] = { half: 0, fit: 0, clear: 0 });
+      ring.half = Math.max(ring.half, along(node, a) / 2);
+      // The root has no ray of its own; the first ring clears it along each of its children's
+      if (d === 1 && top !== hub) ring.clear = Math.max(ring.clear, (along(byId.get(top), a) + along(node, a)) / 2);
+      // The arc of a wedge has to hold the node, with spacing, at the ring's radius
+      if (d > 0) ring.fit = Math.max(ring.fit, (across(node, a) + options.nodeSpacing) / Math.min(wedge.get(id), Math.PI));
+    });
+    const radius = [0];
+    for (let d = 1; d < rings.length; d++) {
+      const previous = d === 1 ? { half: 0 } : rings[d - 1];
+      radius[d] = Math.max(radius[d - 1] + previous.half + rings[d].half, rings[d].clear) + options.rankSpacing;
+      radius[d] = Math.max(radius[d], rings[d].fit);
+    }
+
+    const positions = {};
+    depth.forEach((d, id) => {
+      if (id === hub) return;
+      const node = byId.get(id);
+      const r = radius[d];
+      positions[id] = {
+        x: r * Math.cos(angle.get(id)) - node.width / 2,
+        y: r * Math.sin(angle.get(id)) - node.height / 2,
+      };
+    });
+    return { positions };
+  }
+
+  /**
+   * Force-directed layout (Fruchterman-Reingold): connected nodes pull together,
+   * nearby pairs push apart and a pull towards the middle keeps separate groups
+   * close. Nodes with fixed: true keep their x/y unless they overlap each other,
+   * and the rest settle around them. The start is deterministic, so the same input gives the same picture.
+   */
+  force(graph, options) {
+    const nodes = graph.nodes;
+    const index = new Map(nodes.map((node, i) => [node.id, i]));
+    const edges = graph.edges
+      .filter(edge => index.has(edge.from) && index.has(edge.to) && edge.from !== edge.to)
+      .map(edge => [index.get(edge.from), index.get(edge.to)]);
+    const pinned = nodes.map(node => Boolean(node.fixed));
+    const anchored = pinned.some(Boolean);
+
+    const averageSize = nodes.reduce((sum, node) => sum + Math.max(node.width, node.height), 0) / Math.max(1, nodes.length);
+    const k = options.idealEdgeLength || averageSize + options.nodeSpacing;
+
+    // Pinned nodes that cover each other are first pushed apart among themselves,
+    // each as little as possible, and then stay put like the rest
+    const held = nodes.filter(node => node.fixed);
+    const spots = this.removeOverlaps(
+      held.map(node => ({ id: node.id, width: node.width, height: node.height })),
+      Object.fromEntries(held.map(node => [node.id, { x: node.x, y: node.y }])),
+      options.nodeSpacing / 2,
+    );
+
+    // Centers; pinned nodes start where they are, the rest on a circle around them
+    const x = nodes.map(node => (node.fixed ? spots[node.id].x + node.width / 2 : 0));
+    const y = nodes.map(node => (node.fixed ? spots[node.id].y + node.height / 2 : 0));
+    const middle = { x: 0, y: 0 };
+    if (anchored) {
+      const count = pinned.filter(Boolean).length;
+      nodes.forEach((node, i) => {
+        if (!pinned[i]) return;
+        middle.x += x[i] / count;
+        middle.y += y[i] / count;
+      });
+    }
+    const free = this.traversalOrder(graph).map(id => index.get(id)).filter(i => !pinned[i]);
+    const startRadius = Math.max(k, (k * free.length) / (2 * Math.PI));
+    free.forEach((i, n) => {
+      const angle = -Math.PI / 2 + (2 * Math.PI * n) / free.length;
+      x[i] = middle.x + startRadius * Math.cos(angle);
+      y[i] = middle.y + startRadius * Math.sin(angle);
+    });
+
+    const iterations = options.iterations || 300;
+    // The pull towards the middle grows to 1.5k, well above the k/3 push at the 3k cutoff,
+    // so unconnected nodes and separate groups settle close instead of drifting apart
+    const gravity = 1.5;
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      const temperature = 2 * k * (1 - iteration / iterations);
+      const dx = new Array(nodes.length).fill(0);
+      const dy = new Array(nodes.length).fill(0);
+
+      for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+          let ddx = x[i] - x[j];
+          let ddy = y[i] - y[j];
+          if (Math.abs(ddx) < 0.01 && Math.abs(ddy) < 0.01) {
+            ddx = Math.cos(i + j);
+            ddy = Math.sin(i + j);
+          }
+          const distance = Math.hypot(ddx, ddy);
+          // Far-apart nodes stop pushing, otherwise chains stretch out into long lines
+          if (distance > 3 * k) continue;
+          const push = (k * k) / distance;
+          dx[i] += (ddx / distance) * push;
+          dy[i] += (ddy / distance) * push;
+          dx[j] -= (ddx / distance) * push;
+          dy[j] -= (ddy / distance) * push;
+        }
+      }
+
+      edges.forEach(([a, b]) => {
+        const ddx = x[a] - x[b];
+        const ddy = y[a] - y[b];
+        const distance = Math.hypot(ddx, ddy);
+        if (distance < 0.01) return;
+        const pull = (distance * distance) / k;
+        dx[a] -= (ddx / distance) * pull;
+        dy[a] -= (ddy / distance) * pull;
+        dx[b] += (ddx / distance) * pull;
+        dy[b] += (ddy / distance) * pull;
+      });
+
+      for (let i = 0; i < nodes.length; i++) {
+        if (pinned[i]) continue;
+        const offX = x[i] - middle.x;
+        const offY = y[i] - middle.y;
+        const pull = gravity * Math.min(1, k / Math.max(1, Math.hypot(offX, offY)));
+        dx[i] -= offX * pull;
+        dy[i] -= offY * pull;
+        const displacement = Math.hypot(dx[i], dy[i]);
+        if (displacement < 0.01) continue;
+        const step = Math.min(displacement, temperature);
+        x[i] += (dx[i] / displacement) * step;
+        y[i] += (dy[i] / displacement) * step;
+      }
+    }
+
+    const positions = {};
+    nodes.forEach((node, i) => {
+      positions[node.id] = { x: x[i] - node.width / 2, y: y[i] - node.height / 2 };
+    });
+    return { positions: this.removeOverlaps(nodes, positions, options.nodeSpacing / 2), anchored };
+  }
+
+  /**
+   * Bands of nodes by their tier (edge, app and data unless options.tiers says
+   * otherwise), with nodes of unknown tiers in the middle band. Each band starts
+   * in traversal order and is then sorted by the average position of its
+   * neighbours to untangle the edges.
+   */
+  tiered(graph, options) {
+    const tiers = options.tiers || ['edge', 'app', 'data'];
+    const horizontal = options.direction === 'LR' || options.direction === 'RL';
+    const crossSize = node => (horizontal ? node.height : node.width);
+    const mainSize = node => (horizontal ? node.width : node.height);
+
+    const byId = new Map(graph.nodes.map(node => [node.id, node]));
+    const bands = tiers.map(() => []);
+    this.traversalOrder(graph).map(id => byId.get(id)).forEach(node => {
+      const tier = tiers.indexOf(node.tier);
+      bands[tier === -1 ? Math.floor((tiers.length - 1) / 2) : tier].push(node);
+    });
+    const filled = bands.filter(band => band.length > 0);
+    const bandOf = new Map();
+    filled.forEach((band, b) => band.forEach(node => bandOf.set(node.id, b)));
+
+    const neighbours = new Map(graph.nodes.map(node => [node.id, []]));
+    graph.edges.forEach(edge => {
+      if (!neighbours.has(edge.from) || !neighbours.has(edge.to)) return;
+      neighbours.get(edge.from).push(edge.to);
+      neighbours.get(edge.to).push(edge.from);
+    });
+
+    const cross = {};
+    const pack = band => {
+      const width = band.reduce((sum, node) => sum + crossSize(node), 0) + options.nodeSpacing * (band.length - 1);
+      let cursor = -width / 2;
+      band.forEach(node => {
+        cross[node.id] = cursor + crossSize(node) / 2;
+        cursor += crossSize(node) + options.nodeSpacing;
+      });
+    };
+    filled.forEach(pack);
+
+    for (let sweep = 0; sweep < 4; sweep++) {
+      filled.forEach(band => {
+        const key = node => {
+          const others = neighbours.get(node.id);
+          if (others.length === 0) return cross[node.id];
+          return others.reduce((sum, id) => sum + cross[id], 0) / others.length;
+        };
+        const keys = new Map(band.map(node => [node.id, key(node)]));
+        band.sort((p, q) => keys.get(p.id) - keys.get(q.id));
+        pack(band);
+      });
+    }
+
+    const bandStart = [];
+    const bandDepth = [];
+    let offset = 0;
+    filled.forEach((band, b) => {
+      bandStart[b] = offset;
+      bandDepth[b] = Math.max(...band.map(mainSize));
+      offset += bandDepth[b] + options.rankSpacing;
+    });
+    const totalMain = offset - options.rankSpacing;
+
+    const toXY = (crossValue, main) => {
+      const flippedMain = options.direction === 'BT' || options.direction === 'RL' ? totalMain - main : main;
+      return horizontal ? { x: flippedMain, y: crossValue } : { x: crossValue, y: flippedMain };
+    };
+
+    const positions = {};
+    graph.nodes.forEach(node => {
+      const b = bandOf.get(node.id);
+      const center = toXY(cross[node.id], bandStart[b] + bandDepth[b] / 2);
+      positions[node.id] = { x: center.x - node.width / 2, y: center.y - node.height / 2 };
+    });
+
+    // Edges inside a band that would run through the nodes between their ends go around in front of the band
+    const edges = graph.edges.map(edge => {
+      const b = bandOf.get(edge.from);
+      if (b === undefined || b !== bandOf.get(edge.to)) return { points: [] };
+      const [low, high] = [cross[edge.from], cross[edge.to]].sort((p, q) => p - q);
+      const between = filled[b].some(node => cross[node.id] > low && cross[node.id] < high);
+      if (!between) return { points: [] };
+      const main = bandStart[b] - options.rankSpacing / 3;
+      return { points: [toXY(cross[edge.from], main), toXY(cross[edge.to], main)] };
+    });
+
+    return { positions, edges };
+  }
+
+  /**
+   * Pushes overlapping nodes apart along the axis that needs the smaller move
+   * until every pair is at least gap apart. Nodes with fixed: true stay put and
+   * the other node makes the whole move; two fixed nodes are left as they are.
+   */
+  removeOverlaps(nodes, positions, gap = 10) {
+    const result = {};
+    nodes.forEach(node => { result[node.id] = { ...positions[node.id] }; });
+
+    for (let pass = 0; pass < 100; pass++) {
+      let moved = false;
+      for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+          const a = nodes[i];
+          const b = nodes[j];
+          if (a.fixed && b.fixed) continue;
+          const pa = result[a.id];
+          const pb = result[b.id];
+          const centerX = (pb.x + b.width / 2) - (pa.x + a.width / 2);
+          const centerY = (pb.y + b.height / 2) - (pa.y + a.height / 2);
+          const overlapX = (a.width + b.width) / 2 + gap - Math.abs(centerX);
+          const overlapY = (a.height + b.height) / 2 + gap - Math.abs(centerY);
+          if (overlapX <= 0 || overlapY <= 0) continue;
+
+          moved = true;
+          const shareA = a.fixed ? 0 : b.fixed ? 1 : 0.5;
+          if (overlapX < overlapY) {
+            const sign = centerX >= 0 ? 1 : -1;
+            pa.x -= sign * overlapX * shareA;
+            pb.x += sign * overlapX * (1 - shareA);
+          } else {
+            const sign = centerY >= 0 ? 1 : -1;
+            pa.y -= sign * overlapY * shareA;
+            pb.y += sign * overlapY * (1 - shareA);
+          }
+        }
+      }
+      if (!moved) break;
+    }
+    return result;
+  }
+}
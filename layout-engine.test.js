@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LayoutEngine } from './layout-engine.js';
+
+const box = id => ({ id, width: 120, height: 60 });
+
+// True when a vertical or horizontal segment runs through the inside of a node
+const crosses = (points, nodes, positions) => points.slice(1).some((point, i) => {
+  const prev = points[i];
+  return nodes.some(node => {
+    const { x, y } = positions[node.id];
+    const [left, right] = [Math.min(prev.x, point.x), Math.max(prev.x, point.x)];
+    const [top, bottom] = [Math.min(prev.y, point.y), Math.max(prev.y, point.y)];
+    return right > x && left < x + node.width && bottom > y && top < y + node.height;
+  });
+});
+
+test('layered back-edges between neighbouring ranks go around every node in those ranks', () => {
+  const nodes = ['start', 'check', 'do', 'end'].map(box);
+  const edges = [
+    { from: 'start', to: 'check' },
+    { from: 'check', to: 'do' },
+    { from: 'do', to: 'check' },
+    { from: 'check', to: 'end' },
+  ];
+  const { positions, edges: routed } = new LayoutEngine().layout({ nodes, edges }, { algorithm: 'layered' });
+
+  assert.equal(routed[2].reversed, true);
+  assert.equal(routed[2].points.length, 2);
+  assert.equal(crosses(routed[2].points, nodes, positions), false);
+});
@@ -0,0 +1,58 @@
+/**
+ * Outline Parser
+ * Reads an indented outline or a Markdown document into a tree of
+ * { label, children } nodes. Headings nest by level and list items by
+ * indentation, under the heading before them. Bullets (-, *, +), numbers
+ * (1. or 1)) and task boxes ([ ] and [x]) are dropped from the labels, and an
+ * item that is only a Markdown link becomes a node with that link.
+ */
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MARKER_PATTERN = /^(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/;
+const LINK_PATTERN = /^\[([^\]]+)\]\(([^)\s]+)\)$/;
+
+function createNode(text) {
+  const link = text.match(LINK_PATTERN);
+  return link ? { label: link[1], link: link[2], children: [] } : { label: text, children: [] };
+}
+
+/**
+ * Returns the root node of the outline. The outline needs exactly one
+ * top-level item or heading to be the root.
+ */
+export function parseOutline(text) {
+  const roots = [];
+  // Open nodes, outermost first: headings by level, items by indentation
+  const stack = [];
+
+  String(text).split(/\r?\n/).forEach(line => {
+    const expanded = line.replace(/\t/g, '    ');
+    if (!expanded.trim()) return;
+
+    const heading = expanded.match(HEADING_PATTERN);
+    let entry;
+    if (heading) {
+      entry = { heading: heading[1].length, node: createNode(heading[2].trim()) };
+      while (stack.length > 0 && (stack[stack.length - 1].heading === undefined || stack[stack.length - 1].heading >= entry.heading)) stack.pop();
+    } else {
+      const indent = expanded.length - expanded.trimStart().length;
+      const label = expanded.trim().replace(MARKER_PATTERN, '').trim();
+      if (!label) return;
+      entry = { indent, node: createNode(label) };
+      while (stack.length > 0 && stack[stack.length - 1].indent !== undefined && stack[stack.length - 1].indent >= indent) stack.pop();
+    }
+
+    if (stack.length > 0) stack[stack.length - 1].node.children.push(entry.node);
+    else roots.push(entry.node);
+    stack.push(entry);
+  });
+
+  if (roots.length === 0) {
+    throw new Error('The outline is empty');
+  }
+  if (roots.length > 1) {
+    const labels = roots.slice(0, 3).map(root => `"${root.label}"`).join(', ');
+    throw new Error(`An outline needs one top-level item as its root, found ${roots.length}: ${labels}${roots.length > 3 ? ' and more' : ''}. Indent the others under it`);
+  }
+  return roots[0];
+}
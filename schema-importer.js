@@ -0,0 +1,421 @@
+/**
+ * Database Schema Importer
+ * Reads SQL DDL (Postgres, MySQL, SQLite) and Prisma schemas into ERD data
+ */
+
+// Words that end a column's type and start its constraints
+const COLUMN_CONSTRAINTS = new Set([
+  'NOT', 'NULL', 'PRIMARY', 'UNIQUE', 'REFERENCES', 'DEFAULT', 'CHECK', 'CONSTRAINT',
+  'AUTO_INCREMENT', 'AUTOINCREMENT', 'GENERATED', 'COLLATE', 'COMMENT', 'ON', 'AS', 'IDENTITY',
+]);
+
+// Table-level clauses that carry no column information for the diagram
+const IGNORED_TABLE_CLAUSES = /^(KEY|INDEX|FULLTEXT|SPATIAL|CHECK|EXCLUDE|PERIOD|LIKE)\b/i;
+
+export class SchemaImporter {
+  /**
+   * Detects the format and returns { entities, relationships } for an erd diagram
+   */
+  import(source, format = 'auto') {
+    if (format === 'auto') {
+      format = /^\s*model\s+\w+\s*\{/m.test(source) ? 'prisma' : 'sql';
+    }
+
+    switch (format) {
+      case 'sql':
+        return this.parseSql(source);
+      case 'prisma':
+        return this.parsePrisma(source);
+      default:
+        throw new Error(`Unknown schema format: ${format}`);
+    }
+  }
+
+  /**
+   * Strips line and block comments outside of quoted strings and identifiers
+   */
+  stripSqlComments(sql) {
+    let result = '';
+    let quote = null;
+    for (let i = 0; i < sql.length; i++) {
+      const char = sql[i];
+      if (quote) {
+        result += char;
+        if (char === quote) quote = null;
+      } else if (char === '\'' || char === '"' || char === '`') {
+        quote = char;
+        result += char;
+      } else if (sql.startsWith('--', i) || (char === '#' && /(^|\s)$/.test(result))) {
+        const end = sql.indexOf('\n', i);
+        i = end === -1 ? sql.length : end - 1;
+      } else if (sql.startsWith('/*', i)) {
+        const end = sql.indexOf('*/', i + 2);
+        i = end === -1 ? sql.length : end + 1;
+        result += ' ';
+      } else {
+        result += char;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Splits on a separator at parenthesis depth zero, ignoring quoted text
+   */
+  splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (const char of text) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '\'' || char === '"' || char === '`') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      } else if (char === separator && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+
+  /**
+   * Removes identifier quoting ("name", `name`, [name]) and any schema prefix
+   */
+  unquoteIdentifier(identifier) {
+    const parts = identifier.trim().match(/"[^"]*"|`[^`]*`|\[[^\]]*\]|[^.\s]+/g) || [''];
+    return parts[parts.length - 1].replace(/^["`[]|["`\]]$/g, '');
+  }
+
+  /**
+   * Reads a parenthesized identifier list such as ("a", `b`)
+   */
+  parseColumnList(text) {
+    return this.splitTopLevel(text.replace(/^\s*\(|\)\s*$/g, ''), ',').map(name => this.unquoteIdentifier(name));
+  }
+
+  /**
+   * Splits a column definition into identifiers, words and parenthesized groups
+   */
+  tokenize(text) {
+    return text.match(/"[^"]*"|`[^`]*`|\[[^\]]*\]|'(?:[^']|'')*'|\((?:[^()']|'[^']*'|\((?:[^()]|\([^()]*\))*\))*\)|[^\s(]+/g) || [];
+  }
+
+  parseSql(source) {
+    const tables = [];
+    const tableIndex = {};
+    const foreignKeys = [];
+
+    const statements = this.splitTopLevel(this.stripSqlComments(source), ';');
+    statements.forEach(statement => {
+      const create = statement.match(/^CREATE\s+(?:(?:GLOBAL|LOCAL)\s+)?(?:TEMP(?:ORARY)?\s+|UNLOGGED\s+|VIRTUAL\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?((?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+)(?:\s*\.\s*(?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+))*)\s*\(([\s\S]*)\)[^)]*$/i);
+      if (create) {
+        const table = this.parseCreateTable(this.unquoteIdentifier(create[1]), create[2], foreignKeys);
+        if (!tableIndex[table.id]) {
+          tables.push(table);
+        }
+        tableIndex[table.id] = table;
+        return;
+      }
+
+      // pg_dump and migrations often add keys after the table is created
+      const alter = statement.match(/^ALTER\s+TABLE\s+(?:ONLY\s+)?(?:IF\s+EXISTS\s+)?(\S+)\s+([\s\S]*)$/i);
+      if (alter) {
+        const table = tableIndex[this.unquoteIdentifier(alter[1])];
+        if (!table) return;
+        this.splitTopLevel(alter[2], ',').forEach(action => {
+          const add = action.match(/^ADD\s+(?!COLUMN\b)([\s\S]*)$/i);
+          if (add) this.applyTableConstraint(table, add[1], foreignKeys);
+        });
+      }
+    });
+
+    if (tables.length === 0) {
+      throw new Error('No CREATE TABLE statements found in the SQL source');
+    }
+
+    // Primary keys are never null, whichever clause declared them
+    tables.forEach(table => table.attributes.forEach(attr => {
+      if (attr.pk) delete attr.nullable;
+    }));
+
+    const relationships = [];
+    // An inline REFERENCES and an ALTER TABLE ... ADD FOREIGN KEY may declare the same key
+    const seen = new Set();
+    foreignKeys.forEach(fk => {
+      const table = tableIndex[fk.table];
+      const columns = fk.columns.map(name => table.attributes.find(attr => attr.name === name)).filter(Boolean);
+      const parent = tableIndex[fk.refTable];
+      if (columns.length === 0) return;
+
+      const refColumns = fk.refColumns.length > 0
+        ? fk.refColumns
+        : (parent ? parent.attributes.filter(attr => attr.pk).map(attr => attr.name) : []);
+      columns.forEach((attr, index) => {
+        attr.fk = true;
+        attr.references = refColumns[index] ? `${fk.refTable}.${refColumns[index]}` : fk.refTable;
+      });
+      const key = [fk.table, columns.map(attr => attr.name).join(','), fk.refTable, refColumns.join(',')].join('|');
+      if (!parent || seen.has(key)) return;
+      seen.add(key);
+
+      relationships.push(this.createForeignKeyRelationship(fk.refTable, fk.table, refColumns[0], columns, table));
+    });
+
+    return {
+      entities: tables.map(({ id, name, attributes }) => ({ id, name, attributes })),
+      relationships,
+    };
+  }
+
+  parseCreateTable(name, body, foreignKeys) {
+    const table = { id: name, name, attributes: [], uniqueSets: [] };
+
+    this.splitTopLevel(body, ',').forEach(definition => {
+      if (this.applyTableConstraint(table, definition, foreignKeys) || IGNORED_TABLE_CLAUSES.test(definition)) {
+        return;
+      }
+
+      const tokens = this.tokenize(definition);
+      if (tokens.length === 0) return;
+
+      const attribute = { name: this.unquoteIdentifier(tokens[0]), type: '' };
+      let index = 1;
+      const typeParts = [];
+      while (index < tokens.length && !COLUMN_CONSTRAINTS.has(tokens[index].toUpperCase())) {
+        const token = tokens[index];
+        if (token.startsWith('(') && typeParts.length > 0) {
+          typeParts[typeParts.length - 1] += token;
+        } else {
+          typeParts.push(token);
+        }
+        index++;
+      }
+      attribute.type = typeParts.join(' ');
+
+      const rest = tokens.slice(index).join(' ');
+      if (/\bPRIMARY\s+KEY\b/i.test(rest)) attribute.pk = true;
+      if (/\bUNIQUE\b/i.test(rest)) attribute.unique = true;
+      if (!/\bNOT\s+NULL\b/i.test(rest)) attribute.nullable = true;
+
+      const reference = rest.match(/\bREFERENCES\s+((?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+)(?:\s*\.\s*(?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+))*)\s*(\([^)]*\))?/i);
+      if (reference) {
+        foreignKeys.push({
+          table: table.id,
+          columns: [attribute.name],
+          refTable: this.unquoteIdentifier(reference[1]),
+          refColumns: reference[2] ? this.parseColumnList(reference[2]) : [],
+        });
+      }
+
+      table.attributes.push(attribute);
+    });
+
+    return table;
+  }
+
+  /**
+   * Applies PRIMARY KEY, UNIQUE and FOREIGN KEY table constraints.
+   * Returns false when the definition is not one of them.
+   */
+  applyTableConstraint(table, definition, foreignKeys) {
+    const clause = definition.replace(/^CONSTRAINT\s+(?:"[^"]+"|`[^`]+`|\[[^\]]+\]|\S+)\s+/i, '');
+
+    const primary = clause.match(/^PRIMARY\s+KEY\s*(?:\w+\s*)?(\([^)]*\))/i);
+    if (primary) {
+      this.parseColumnList(primary[1]).forEach(name => {
+        const attr = table.attributes.find(a => a.name === name);
+        if (attr) attr.pk = true;
+      });
+      return true;
+    }
+
+    const unique = clause.match(/^UNIQUE\s+(?:(?:KEY|INDEX)\s+)?(?:(?:"[^"]+"|`[^`]+`|\w+)\s*)?(\([^)]*\))/i);
+    if (unique) {
+      const columns = this.parseColumnList(unique[1]);
+      if (columns.length === 1) {
+        const attr = table.attributes.find(a => a.name === columns[0]);
+        if (attr) attr.unique = true;
+      }
+      table.uniqueSets.push(columns);
+      return true;
+    }
+
+    const foreign = clause.match(/^FOREIGN\s+KEY\s*(?:(?:"[^"]+"|`[^`]+`|\w+)\s*)?(\([^)]*\))\s*REFERENCES\s+((?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+)(?:\s*\.\s*(?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+))*)\s*(\([^)]*\))?/i);
+    if (foreign) {
+      foreignKeys.push({
+        table: table.id,
+        columns: this.parseColumnList(foreign[1]),
+        refTable: this.unquoteIdentifier(foreign[2]),
+        refColumns: foreign[3] ? this.parseColumnList(foreign[3]) : [],
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * A foreign key is one-to-one when its columns are unique on their own
+   * (a unique column, a unique set, or the whole primary key), otherwise
+   * one-to-many. Nullable foreign keys make the parent side optional.
+   */
+  createForeignKeyRelationship(parentId, childId, parentColumn, columns, table) {
+    const names = columns.map(attr => attr.name).sort().join(',');
+    const primaryKey = table.attributes.filter(attr => attr.pk).map(attr => attr.name).sort().join(',');
+    const unique = (columns.length === 1 && (columns[0].unique || (columns[0].pk && primaryKey === names)))
+      || primaryKey === names
+      || (table.uniqueSets || []).some(set => [...set].sort().join(',') === names);
+    const optional = columns.some(attr => attr.nullable);
+
+    const relationship = {
+      from: parentId,
+      to: childId,
+      cardinality: `${optional ? '0..1' : '1'}:${unique ? '0..1' : '0..N'}`,
+      toColumn: columns[0].name,
+    };
+    if (parentColumn) relationship.fromColumn = parentColumn;
+    return relationship;
+  }
+
+  /**
+   * Top-level blocks of a Prisma schema. Braces are matched token by token,
+   * skipping strings and comments, so a field on the opening line or a closing
+   * brace right after a field does not run into the next block.
+   */
+  findPrismaBlocks(source) {
+    const blocks = [];
+    const tokenPattern = /\b(model|enum|view|type)\s+(\w+)\s*\{|"(?:[^"\\]|\\.)*"|\/\/[^\n]*|[{}]/g;
+    let depth = 0;
+    let open = null;
+    let match;
+    while ((match = tokenPattern.exec(source)) !== null) {
+      const token = match[0];
+      if (token.startsWith('"') || token.startsWith('//')) continue;
+      if (token === '}') {
+        depth = Math.max(0, depth - 1);
+        if (depth === 0 && open) {
+          blocks.push({ kind: open.kind, name: open.name, body: source.slice(open.start, match.index) });
+          open = null;
+        }
+        continue;
+      }
+      if (match[1] && depth === 0) {
+        open = { kind: match[1], name: match[2], start: tokenPattern.lastIndex };
+      }
+      depth++;
+    }
+    return blocks;
+  }
+
+  parsePrisma(source) {
+    const blocks = this.findPrismaBlocks(source);
+
+    const models = blocks.filter(block => block.kind === 'model' || block.kind === 'view');
+    if (models.length === 0) {
+      throw new Error('No models found in the Prisma schema');
+    }
+    const modelNames = new Set(models.map(model => model.name));
+
+    const entities = [];
+    const relations = [];
+    const listRelations = [];
+
+    models.forEach(model => {
+      const entity = { id: model.name, name: model.name, attributes: [] };
+      const uniqueSets = [];
+
+      model.body.split(/\r?\n/).forEach(raw => {
+        const line = raw.replace(/\/\/.*$/, '').trim();
+        if (!line) return;
+
+        const blockAttribute = line.match(/^@@(id|unique)\s*\(\s*(?:fields:\s*)?\[([^\]]*)\]/);
+        if (blockAttribute) {
+          const fields = blockAttribute[2].split(',').map(field => field.trim().replace(/\(.*$/, '')).filter(Boolean);
+          if (blockAttribute[1] === 'id') {
+            entity.pendingPk = fields;
+          } else {
+            uniqueSets.push(fields);
+          }
+          return;
+        }
+        if (line.startsWith('@@')) return;
+
+        const field = line.match(/^(\w+)\s+(\w+)(\[\])?(\?)?\s*(.*)$/);
+        if (!field) return;
+        const [, name, type, list, optional, attributes] = field;
+
+        if (modelNames.has(type)) {
+          const relation = attributes.match(/@relation\(([^)]*)\)/);
+          const fields = relation && relation[1].match(/fields:\s*\[([^\]]*)\]/);
+          const references = relation && relation[1].match(/references:\s*\[([^\]]*)\]/);
+          const relationName = relation && relation[1].match(/^\s*(?:name:\s*)?"([^"]+)"/);
+          if (fields) {
+            relations.push({
+              child: model.name,
+              parent: type,
+              fields: fields[1].split(',').map(f => f.trim()),
+              references: references ? references[1].split(',').map(f => f.trim()) : [],
+            });
+          } else if (list) {
+            listRelations.push({ model: model.name, other: type, name: relationName ? relationName[1] : '' });
+          }
+          return;
+        }
+
+        const attribute = { name, type: `${type}${list ? '[]' : ''}` };
+        const native = attributes.match(/@db\.(\w+(?:\([^)]*\))?)/);
+        if (native) attribute.type = native[1];
+        if (/@id\b/.test(attributes)) attribute.pk = true;
+        if (/@unique\b/.test(attributes)) attribute.unique = true;
+        if (optional) attribute.nullable = true;
+        entity.attributes.push(attribute);
+      });
+
+      (entity.pendingPk || []).forEach(name => {
+        const attr = entity.attributes.find(a => a.name === name);
+        if (attr) attr.pk = true;
+      });
+      delete entity.pendingPk;
+      entity.uniqueSets = uniqueSets;
+      entities.push(entity);
+    });
+
+    const entityIndex = Object.fromEntries(entities.map(entity => [entity.id, entity]));
+    const relationships = [];
+
+    relations.forEach(({ child, parent, fields, references }) => {
+      const table = entityIndex[child];
+      const columns = fields.map(name => table.attributes.find(attr => attr.name === name)).filter(Boolean);
+      if (columns.length === 0) return;
+      columns.forEach((attr, index) => {
+        attr.fk = true;
+        attr.references = references[index] ? `${parent}.${references[index]}` : parent;
+      });
+      relationships.push(this.createForeignKeyRelationship(parent, child, references[0], columns, table));
+    });
+
+    // Implicit many-to-many: list fields on both sides and no foreign key
+    const seen = new Set();
+    listRelations.forEach(({ model, other, name }) => {
+      const back = listRelations.find(r => r.model === other && r.other === model && r.name === name);
+      const key = [model, other].sort().join('|') + `|${name}`;
+      if (!back || seen.has(key)) return;
+      seen.add(key);
+      relationships.push({ from: model, to: other, cardinality: 'N:M' });
+    });
+
+    return {
+      entities: entities.map(({ id, name, attributes }) => ({ id, name, attributes })),
+      relationships,
+    };
+  }
+}
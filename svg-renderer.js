@@ -0,0 +1,909 @@
+/**
+ * SVG Renderer
+ * Renders draw.io diagrams to standalone SVG without the draw.io application
+ */
+
+import { DrawioDocument, parseStyle } from './drawio-document.js';
+import { findChild, findChildren } from './xml-parser.js';
+
+const DEFAULT_FONT_SIZE = 12;
+const DEFAULT_FONT_FAMILY = 'Helvetica';
+const ARROW_SIZE = 8;
+
+function escapeSvg(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Converts an html=1 label to plain text lines
+ */
+export function labelToLines(value) {
+  return value
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(div|p|li|h\d)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map(line => line.trim())
+    .filter((line, index, lines) => line || (index > 0 && index < lines.length - 1));
+}
+
+export class SvgRenderer {
+  /**
+   * Renders one page of a draw.io XML document and returns the SVG markup
+   */
+  render(xml, page = 0) {
+    const doc = DrawioDocument.parse(xml);
+    const cells = this.collectCells(doc, page);
+    // Frame tabs, edge labels and hollow arrowheads are filled with the page color
+    const { background } = doc.getPageModel(page).attributes;
+    this.background = background && background !== 'none' ? background : '#ffffff';
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    const extend = (x, y) => {
+      bounds.minX = Math.min(bounds.minX, x);
+      bounds.minY = Math.min(bounds.minY, y);
+      bounds.maxX = Math.max(bounds.maxX, x);
+      bounds.maxY = Math.max(bounds.maxY, y);
+    };
+
+    const body = [];
+    cells.forEach(cell => {
+      if (cell.vertex && cell.bounds) {
+        const { x, y, width, height } = cell.bounds;
+        extend(x, y);
+        extend(x + width, y + height);
+        if (cell.style.verticalLabelPosition === 'bottom') {
+          extend(x + width, y + height + DEFAULT_FONT_SIZE * 2);
+        }
+        body.push(this.renderVertex(cell));
+      } else if (cell.edge) {
+        const points = this.routeEdge(cell, cells);
+        if (points.length < 2) return;
+        points.forEach(point => extend(point.x, point.y));
+        body.push(this.renderEdge(cell, points));
+      }
+    });
+
+    if (bounds.minX === Infinity) {
+      bounds.minX = bounds.minY = 0;
+      bounds.maxX = bounds.maxY = 0;
+    }
+
+    const padding = 10;
+    const x = round(bounds.minX - padding);
+    const y = round(bounds.minY - padding);
+    const width = round(bounds.maxX - bounds.minX + padding * 2);
+    const height = round(bounds.maxY - bounds.minY + padding * 2);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">
+  <rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${escapeSvg(this.background)}" />
+${body.filter(Boolean).join('\n')}
+</svg>
+`;
+  }
+
+  /**
+   * Reads cells with parsed styles and absolute bounds
+   */
+  collectCells(doc, page) {
+    const cells = doc.getCellNodes(page).map(({ wrapper, cell, id }) => {
+      const attrs = cell.attributes;
+      const geometry = findChild(cell, 'mxGeometry');
+      const result = {
+        id,
+        label: wrapper ? wrapper.attributes.label || '' : attrs.value || '',
+        style: Object.fromEntries(parseStyle(attrs.style || '')),
+        parent: attrs.parent,
+        vertex: attrs.vertex === '1',
+        edge: attrs.edge === '1',
+        source: attrs.source,
+        target: attrs.target,
+        geometry: geometry ? geometry.attributes : {},
+        points: [],
+      };
+
+      if (geometry) {
+        const array = findChild(geometry, 'Array');
+        if (array) {
+          result.points = findChildren(array, 'mxPoint').map(p => ({
+            x: Number(p.attributes.x || 0),
+            y: Number(p.attributes.y || 0),
+          }));
+        }
+        findChildren(geometry, 'mxPoint').forEach(p => {
+          result[p.attributes.as] = { x: Number(p.attributes.x || 0), y: Number(p.attributes.y || 0) };
+        });
+      }
+
+      return result;
+    });
+
+    const byId = new Map(cells.map(cell => [cell.id, cell]));
+
+    // Child geometry is relative to its parent vertex
+    const offsetOf = (cell, seen = new Set()) => {
+      const parent = byId.get(cell.parent);
+      if (!parent || !parent.vertex || seen.has(parent.id)) return { x: 0, y: 0 };
+      seen.add(parent.id);
+      const offset = offsetOf(parent, seen);
+      return {
+        x: offset.x + Number(parent.geometry.x || 0),
+        y: offset.y + Number(parent.geometry.y || 0),
+      };
+    };
+
+    cells.forEach(cell => {
+      const offset = offsetOf(cell);
+      cell.offset = offset;
+      if (cell.vertex && byId.get(cell.parent) && byId.get(cell.parent).edge) {
+        // Edge labels are positioned along their edge once it is routed
+        cell.edgeLabelOf = cell.parent;
+      } else if (cell.vertex) {
+        cell.bounds = {
+          x: offset.x + Number(cell.geometry.x || 0),
+          y: offset.y + Number(cell.geometry.y || 0),
+          width: Number(cell.geometry.width || 0),
+          height: Number(cell.geometry.height || 0),
+        };
+      }
+    });
+
+    // Labels at the middle of an edge join its own; others, such as UML
+    // multiplicities at x=-1 and x=1, sit toward an end
+    cells.forEach(cell => {
+      if (!cell.edgeLabelOf || !cell.label) return;
+      const edge = byId.get(cell.edgeLabelOf);
+      const position = Number(cell.geometry.x || 0);
+      if (position === 0) {
+        edge.extraLabels = [...(edge.extraLabels || []), cell.label];
+      } else {
+        edge.endLabels = [...(edge.endLabels || []), { label: cell.label, position }];
+      }
+    });
+
+    return cells;
+  }
+
+  getShapeName(style) {
+    if (style.shape) return style.shape;
+    const bare = ['ellipse', 'rhombus', 'triangle', 'swimlane', 'text', 'line', 'label', 'image'];
+    return bare.find(name => name in style) || 'rectangle';
+  }
+
+  renderVertex(cell) {
+    const { style } = cell;
+    const { x, y, width: w, height: h } = cell.bounds;
+    const shape = this.getShapeName(style);
+    const fill = style.fillColor && style.fillColor !== 'default' ? style.fillColor : '#ffffff';
+    const stroke = style.strokeColor && style.strokeColor !== 'default' ? style.strokeColor : '#000000';
+    let paint = `fill="${escapeSvg(fill)}" stroke="${escapeSvg(stroke)}" stroke-width="${style.strokeWidth || 1}"`;
+    if (style.dashed === '1') {
+      paint += ` stroke-dasharray="${escapeSvg(style.dashPattern || '3 3')}"`;
+    }
+
+    const { parts, labelBox: shapeLabelBox } = this.drawShape(shape, cell.bounds, style, paint);
+    let labelBox = shapeLabelBox;
+
+    if (style.verticalLabelPosition === 'bottom') {
+      labelBox = { x, y: y + h, width: w, height: DEFAULT_FONT_SIZE * 2 };
+    }
+
+    if (cell.label && style.horizontal === '0') {
+      // Vertical labels are laid out in the box turned on its side, then rotated back
+      const cx = labelBox.x + labelBox.width / 2;
+      const cy = labelBox.y + labelBox.height / 2;
+      const turned = { x: cx - labelBox.height / 2, y: cy - labelBox.width / 2, width: labelBox.height, height: labelBox.width };
+      parts.push(`<g transform="rotate(-90 ${round(cx)} ${round(cy)})">${this.renderText(cell.label, turned, style, style.labelBackgroundColor || null)}</g>`);
+    } else if (cell.label) {
+      parts.push(this.renderText(cell.label, labelBox, style, style.labelBackgroundColor || null));
+    }
+
+    return `  <g data-cell-id="${escapeSvg(cell.id)}">\n    ${parts.join('\n    ')}\n  </g>`;
+  }
+
+  /**
+   * Draws the outline of a shape in a box and returns the SVG parts and the box its label goes in
+   */
+  drawShape(shape, box, style, paint) {
+    const { x, y, width: w, height: h } = box;
+    const stroke = style.strokeColor && style.strokeColor !== 'default' ? style.strokeColor : '#000000';
+    const strokeWidth = style.strokeWidth || 1;
+    const line = `fill="none" stroke="${escapeSvg(stroke)}" stroke-width="${strokeWidth}"`;
+    const parts = [];
+    let labelBox = { x, y, width: w, height: h };
+
+    switch (shape) {
+      case 'ellipse':
+        parts.push(`<ellipse cx="${round(x + w / 2)}" cy="${round(y + h / 2)}" rx="${round(w / 2)}" ry="${round(h / 2)}" ${paint} />`);
+        break;
+      case 'rhombus':
+        parts.push(this.polygon([[x + w / 2, y], [x + w, y + h / 2], [x + w / 2, y + h], [x, y + h / 2]], paint));
+        break;
+      case 'triangle':
+        parts.push(this.polygon([[x, y], [x + w, y + h / 2], [x, y + h]], paint));
+        break;
+      case 'parallelogram': {
+        const s = w * Number(style.size || 0.2);
+        parts.push(this.polygon([[x + s, y], [x + w, y], [x + w - s, y + h], [x, y + h]], paint));
+        break;
+      }
+      case 'hexagon': {
+        const s = w * Number(style.size || 0.25);
+        parts.push(this.polygon([[x + s, y], [x + w - s, y], [x + w, y + h / 2], [x + w - s, y + h], [x + s, y + h], [x, y + h / 2]], paint));
+        break;
+      }
+      case 'cylinder':
+      case 'cylinder3': {
+        const s = Math.min(Number(style.size || 15), h / 2);
+        const rx = round(w / 2);
+        parts.push(`<path d="M${x},${y + s} A${rx},${s} 0 0 1 ${x + w},${y + s} L${x + w},${y + h - s} A${rx},${s} 0 0 1 ${x},${y + h - s} Z" ${paint} />`);
+        parts.push(`<path d="M${x},${y + s} A${rx},${s} 0 0 0 ${x + w},${y + s}" fill="none" stroke="${escapeSvg(stroke)}" stroke-width="${strokeWidth}" />`);
+        labelBox = { x, y: y + s * 2, width: w, height: h - s * 3 };
+        break;
+      }
+      case 'cloud': {
+        const p = (fx, fy) => `${round(x + fx * w)},${round(y + fy * h)}`;
+        parts.push(`<path d="M${p(0.25, 0.25)} C${p(0.05, 0.25)} ${p(0, 0.5)} ${p(0.16, 0.55)} C${p(0, 0.66)} ${p(0.18, 0.9)} ${p(0.31, 0.8)} C${p(0.4, 1)} ${p(0.7, 1)} ${p(0.8, 0.8)} C${p(1, 0.8)} ${p(1, 0.6)} ${p(0.875, 0.5)} C${p(1, 0.3)} ${p(0.8, 0.1)} ${p(0.625, 0.2)} C${p(0.5, 0.05)} ${p(0.3, 0.05)} ${p(0.25, 0.25)} Z" ${paint} />`);
+        break;
+      }
+      case 'document': {
+        const dy = h * Number(style.size || 0.3);
+        parts.push(`<path d="M${x},${y} L${x + w},${y} L${x + w},${round(y + h - dy / 2)} Q${round(x + w * 0.75)},${round(y + h - dy * 1.4)} ${round(x + w / 2)},${round(y + h - dy / 2)} Q${round(x + w * 0.25)},${round(y + h + dy * 0.4)} ${x},${round(y + h - dy / 2)} Z" ${paint} />`);
+        labelBox = { x, y, width: w, height: h - dy / 2 };
+        break;
+      }
+      case 'delay': {
+        const r = Math.min(w / 2, h / 2);
+        parts.push(`<path d="M${x},${y} L${x + w - r},${y} A${r},${h / 2} 0 0 1 ${x + w - r},${y + h} L${x},${y + h} Z" ${paint} />`);
+        break;
+      }
+      case 'note': {
+        const s = Math.min(Number(style.size || 30), w, h);
+        parts.push(`<path d="M${x},${y} L${x + w - s},${y} L${x + w},${y + s} L${x + w},${y + h} L${x},${y + h} Z" ${paint} />`);
+        parts.push(`<path d="M${x + w - s},${y} L${x + w - s},${y + s} L${x + w},${y + s}" fill="none" stroke="${escapeSvg(stroke)}" stroke-width="${strokeWidth}" />`);
+        break;
+      }
+      case 'umlActor': {
+        const cx = x + w / 2;
+        parts.push(`<ellipse cx="${round(cx)}" cy="${round(y + h / 8)}" rx="${round(w / 4)}" ry="${round(h / 8)}" ${paint} />`);
+        parts.push(`<path d="M${round(cx)},${round(y + h / 4)} L${round(cx)},${round(y + h * 2 / 3)} M${x},${round(y + h / 3)} L${x + w},${round(y + h / 3)} M${x},${y + h} L${round(cx)},${round(y + h * 2 / 3)} L${x + w},${y + h}" ${line} />`);
+        break;
+      }
+      case 'umlLifeline': {
+        const header = Math.min(Number(style.size || 40), h);
+        const cx = round(x + w / 2);
+        if (style.participant) {
+          // Stereotype figure (actor, boundary, ...) in place of the header box
+          parts.push(...this.drawShape(style.participant, { x, y, width: w, height: header }, style, paint).parts);
+        } else {
+          parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${header}" ${paint} />`);
+        }
+        parts.push(`<path d="M${cx},${y + header} L${cx},${y + h}" ${line} stroke-dasharray="3 3" />`);
+        labelBox = { x, y, width: w, height: header };
+        break;
+      }
+      case 'umlBoundary': {
+        const r = Math.min(w * 5 / 6, h) / 2;
+        const cx = x + w - r;
+        parts.push(`<path d="M${x},${y} L${x},${y + h} M${x},${round(y + h / 2)} L${round(cx - r)},${round(y + h / 2)}" ${line} />`);
+        parts.push(`<circle cx="${round(cx)}" cy="${round(y + h / 2)}" r="${round(r)}" ${paint} />`);
+        break;
+      }
+      case 'umlControl': {
+        const r = Math.min(w, h) / 2;
+        const cx = x + w / 2;
+        parts.push(`<circle cx="${round(cx)}" cy="${round(y + h / 2)}" r="${round(r)}" ${paint} />`);
+        parts.push(`<path d="M${round(cx + 4)},${round(y + h / 2 - r - 4)} L${round(cx - 2)},${round(y + h / 2 - r)} L${round(cx + 4)},${round(y + h / 2 - r + 4)}" ${line} />`);
+        break;
+      }
+      case 'umlEntity': {
+        const r = Math.min(w, h) / 2;
+        const cx = x + w / 2;
+        parts.push(`<circle cx="${round(cx)}" cy="${round(y + h / 2)}" r="${round(r)}" ${paint} />`);
+        parts.push(`<path d="M${round(cx - r)},${round(y + h / 2 + r)} L${round(cx + r)},${round(y + h / 2 + r)}" ${line} />`);
+        break;
+      }
+      case 'endState': {
+        // UML final state: a ring around a filled disc
+        const rx = w / 2;
+        const ry = h / 2;
+        const fill = style.fillColor && style.fillColor !== 'default' ? style.fillColor : stroke;
+        parts.push(`<ellipse cx="${round(x + rx)}" cy="${round(y + ry)}" rx="${round(rx)}" ry="${round(ry)}" ${line} />`);
+        parts.push(`<ellipse cx="${round(x + rx)}" cy="${round(y + ry)}" rx="${round(rx * 0.6)}" ry="${round(ry * 0.6)}" fill="${escapeSvg(fill)}" stroke="none" />`);
+        break;
+      }
+      case 'umlDestroy':
+        parts.push(`<path d="M${x},${y} L${x + w},${y + h} M${x + w},${y} L${x},${y + h}" ${line} />`);
+        break;
+      case 'umlFrame': {
+        const tabWidth = Math.min(Number(style.width || 60), w);
+        const tabHeight = Math.min(Number(style.height || 30), h);
+        parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" ${paint} />`);
+        parts.push(this.polygon([[x, y], [x + tabWidth, y], [x + tabWidth, y + tabHeight - 8], [x + tabWidth - 8, y + tabHeight], [x, y + tabHeight]], `fill="${escapeSvg(this.background)}" stroke="${escapeSvg(stroke)}" stroke-width="${strokeWidth}"`));
+        labelBox = { x, y, width: tabWidth, height: tabHeight };
+        break;
+      }
+      case 'swimlane': {
+        const header = Math.min(Number(style.startSize || 23), h);
+        // fillColor only paints the title area; the body has its own color, if any
+        const body = paint.replace(/fill="[^"]*"/, `fill="${escapeSvg(style.swimlaneFillColor || 'none')}"`);
+        if (style.horizontal === '0') {
+          parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" ${body} />`);
+          parts.push(`<rect x="${x}" y="${y}" width="${header}" height="${h}" ${paint} />`);
+          labelBox = { x, y, width: header, height: h };
+        } else {
+          parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" ${body} />`);
+          parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${header}" ${paint} />`);
+          labelBox = { x, y, width: w, height: header };
+        }
+        break;
+      }
+      case 'table': {
+        const header = Math.min(Number(style.startSize || 30), h);
+        const body = style.swimlaneFillColor || '#ffffff';
+        parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" ${paint.replace(/fill="[^"]*"/, `fill="${escapeSvg(body)}"`)} />`);
+        parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${header}" ${paint} />`);
+        labelBox = { x, y, width: w, height: header };
+        break;
+      }
+      case 'tableRow':
+      case 'partialRectangle': {
+        // Only the sides switched on by top/left/bottom/right are drawn
+        const sides = [
+          ['top', x, y, x + w, y],
+          ['right', x + w, y, x + w, y + h],
+          ['bottom', x, y + h, x + w, y + h],
+          ['left', x, y, x, y + h],
+        ].filter(([side]) => style[side] !== '0');
+        if (style.fillColor && style.fillColor !== 'none') {
+          parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${escapeSvg(style.fillColor)}" stroke="none" />`);
+        }
+        if (sides.length > 0) {
+          parts.push(`<path d="${sides.map(([, x1, y1, x2, y2]) => `M${x1},${y1} L${x2},${y2}`).join(' ')}" ${line} />`);
+        }
+        break;
+      }
+      case 'mxgraph.aws4.resourceIcon':
+        parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="${round(Math.min(w, h) / 10)}" ${paint} />`);
+        break;
+      case 'mxgraph.aws4.group': {
+        // The group outline with its badge in the top-left corner
+        const badge = Math.min(25, w, h);
+        parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" ${paint} />`);
+        parts.push(`<rect x="${x}" y="${y}" width="${badge}" height="${badge}" fill="${escapeSvg(stroke)}" stroke="none" />`);
+        break;
+      }
+      case 'mxgraph.gcp2.hexIcon':
+        parts.push(this.polygon([[x + w / 4, y], [x + (w * 3) / 4, y], [x + w, y + h / 2], [x + (w * 3) / 4, y + h], [x + w / 4, y + h], [x, y + h / 2]], paint));
+        break;
+      case 'mxgraph.kubernetes.icon': {
+        const corners = Array.from({ length: 7 }, (_, i) => {
+          const angle = -Math.PI / 2 + (2 * Math.PI * i) / 7;
+          return [x + w / 2 + (w / 2) * Math.cos(angle), y + h / 2 + (h / 2) * Math.sin(angle)];
+        });
+        parts.push(this.polygon(corners, paint));
+        break;
+      }
+      case 'mxgraph.c4.person2': {
+        // C4 person: a head over a rounded body that holds the label
+        const head = Math.min(w / 2, h / 3);
+        const r = head / 2;
+        const top = y + head * 0.8;
+        parts.push(`<rect x="${x}" y="${round(top)}" width="${w}" height="${round(y + h - top)}" rx="${round(r)}" ry="${round(r)}" ${paint} />`);
+        parts.push(`<ellipse cx="${round(x + w / 2)}" cy="${round(y + r)}" rx="${round(r)}" ry="${round(r)}" ${paint} />`);
+        labelBox = { x, y: top, width: w, height: y + h - top };
+        break;
+      }
+      case 'mxgraph.c4.webBrowserContainer2': {
+        // C4 web browser: a window with a title bar of three buttons
+        const bar = Math.min(20, h / 4);
+        parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="4" ry="4" ${paint} />`);
+        parts.push(`<path d="M${x},${y + bar} L${x + w},${y + bar}" ${line} />`);
+        [0, 1, 2].forEach(index => {
+          parts.push(`<circle cx="${round(x + 10 + index * 10)}" cy="${round(y + bar / 2)}" r="3" ${line} />`);
+        });
+        labelBox = { x, y: y + bar, width: w, height: h - bar };
+        break;
+      }
+      case 'mxgraph.bpmn.event': {
+        // BPMN event: thin (start), double (intermediate) or thick (end) ring around its trigger
+        const cx = x + w / 2;
+        const cy = y + h / 2;
+        const r = Math.min(w, h) / 2;
+        const outline = style.outline || 'standard';
+        const ring = outline === 'end' ? paint.replace(/stroke-width="[^"]*"/, `stroke-width="${strokeWidth * 3}"`) : paint;
+        parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(r)}" ${ring} />`);
+        if (outline !== 'standard' && outline !== 'end') {
+          parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(r - 3)}" ${line}${outline === 'boundNonint' ? ' stroke-dasharray="4 2"' : ''} />`);
+        }
+        const filled = outline === 'end' || outline === 'throwing';
+        parts.push(...this.bpmnSymbol(style.symbol, cx, cy, r * 0.5, stroke, strokeWidth, filled));
+        break;
+      }
+      case 'mxgraph.bpmn.gateway2': {
+        // BPMN gateway: a diamond with its marker (X, +, circle or pentagon)
+        const cx = x + w / 2;
+        const cy = y + h / 2;
+        const s = Math.min(w, h) / 4;
+        parts.push(this.polygon([[cx, y], [x + w, cy], [cx, y + h], [x, cy]], paint));
+        const marker = `fill="none" stroke="${escapeSvg(stroke)}" stroke-width="${strokeWidth * 3}"`;
+        if (style.gwType === 'exclusive') {
+          parts.push(`<path d="M${round(cx - s * 0.7)},${round(cy - s * 0.7)} L${round(cx + s * 0.7)},${round(cy + s * 0.7)} M${round(cx + s * 0.7)},${round(cy - s * 0.7)} L${round(cx - s * 0.7)},${round(cy + s * 0.7)}" ${marker} />`);
+        } else if (style.gwType === 'parallel') {
+          parts.push(`<path d="M${round(cx)},${round(cy - s)} L${round(cx)},${round(cy + s)} M${round(cx - s)},${round(cy)} L${round(cx + s)},${round(cy)}" ${marker} />`);
+        } else if (style.outline === 'end') {
+          parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(s)}" ${marker} />`);
+        } else if (style.outline) {
+          parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(s * 1.1)}" ${line} />`);
+          parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(s * 0.9)}" ${line} />`);
+          parts.push(...this.bpmnSymbol(style.symbol, cx, cy, s * 0.6, stroke, strokeWidth, false));
+        }
+        break;
+      }
+      case 'mxgraph.bpmn.task': {
+        // BPMN activity: a rounded box with its task type in the corner, subprocesses with a [+]
+        const r = Math.min(Number(style.size || 10), w / 2, h / 2);
+        parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="${r}" ry="${r}" ${paint} />`);
+        parts.push(...this.bpmnTaskMarker(style.taskMarker, x + 6, y + 6, stroke, strokeWidth));
+        if (style.isLoopSub === '1') {
+          const size = 12;
+          const bx = round(x + w / 2 - size / 2);
+          const by = round(y + h - size - 2);
+          parts.push(`<rect x="${bx}" y="${by}" width="${size}" height="${size}" ${line} />`);
+          parts.push(`<path d="M${bx + 3},${by + size / 2} L${bx + size - 3},${by + size / 2} M${bx + size / 2},${by + 3} L${bx + size / 2},${by + size - 3}" ${line} />`);
+        }
+        labelBox = { x, y: y + 16, width: w, height: h - 32 };
+        break;
+      }
+      case 'text':
+      case 'label':
+        break;
+      case 'line':
+        parts.push(`<path d="M${x},${round(y + h / 2)} L${x + w},${round(y + h / 2)}" fill="none" stroke="${escapeSvg(stroke)}" stroke-width="${strokeWidth}" />`);
+        break;
+      default: {
+        let rx = 0;
+        if (style.rounded === '1') {
+          rx = Math.min(w, h) * Number(style.arcSize || 15) / 100;
+        }
+        if (style.fillColor === 'none' && style.strokeColor === 'none') break;
+        parts.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}"${rx ? ` rx="${round(rx)}" ry="${round(rx)}"` : ''} ${paint} />`);
+      }
+    }
+
+    return { parts, labelBox };
+  }
+
+  /**
+   * Trigger symbol of a BPMN event, centered in a circle of radius r
+   */
+  bpmnSymbol(symbol, cx, cy, r, color, strokeWidth, filled) {
+    const at = (fx, fy) => `${round(cx + fx * r)},${round(cy + fy * r)}`;
+    const paint = `fill="${filled ? escapeSvg(color) : 'none'}" stroke="${escapeSvg(color)}" stroke-width="${strokeWidth}"`;
+    const line = `fill="none" stroke="${escapeSvg(color)}" stroke-width="${strokeWidth}"`;
+    switch (symbol) {
+      case 'message':
+        return filled
+          ? [`<path d="M${at(-1, -0.65)} L${at(1, -0.65)} L${at(1, 0.65)} L${at(-1, 0.65)} Z" ${paint} />`, `<path d="M${at(-1, -0.65)} L${at(0, 0.1)} L${at(1, -0.65)}" fill="none" stroke="${escapeSvg(this.background)}" stroke-width="${strokeWidth}" />`]
+          : [`<path d="M${at(-1, -0.65)} L${at(1, -0.65)} L${at(1, 0.65)} L${at(-1, 0.65)} Z M${at(-1, -0.65)} L${at(0, 0.1)} L${at(1, -0.65)}" ${paint} />`];
+      case 'timer':
+        return [
+          `<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(r * 1.1)}" ${line} />`,
+          `<path d="M${at(0, -0.8)} L${at(0, 0)} L${at(0.5, 0.3)}" ${line} />`,
+        ];
+      case 'signal':
+        return [`<path d="M${at(0, -1)} L${at(0.9, 0.6)} L${at(-0.9, 0.6)} Z" ${paint} />`];
+      case 'error':
+        return [`<path d="M${at(-0.8, 0.9)} L${at(-0.3, -0.8)} L${at(0.2, 0.2)} L${at(0.8, -0.9)} L${at(0.3, 0.8)} L${at(-0.2, -0.2)} Z" ${paint} />`];
+      case 'escalation':
+        return [`<path d="M${at(0, -1)} L${at(0.7, 0.9)} L${at(0, 0.3)} L${at(-0.7, 0.9)} Z" ${paint} />`];
+      case 'conditional':
+        return [
+          `<rect x="${round(cx - r * 0.7)}" y="${round(cy - r * 0.9)}" width="${round(r * 1.4)}" height="${round(r * 1.8)}" ${line} />`,
+          `<path d="M${at(-0.45, -0.45)} L${at(0.45, -0.45)} M${at(-0.45, 0)} L${at(0.45, 0)} M${at(-0.45, 0.45)} L${at(0.45, 0.45)}" ${line} />`,
+        ];
+      case 'terminate':
+        return [`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(r * 1.1)}" fill="${escapeSvg(color)}" stroke="none" />`];
+      case 'multiple': {
+        const corners = Array.from({ length: 5 }, (_, i) => {
+          const angle = -Math.PI / 2 + (2 * Math.PI * i) / 5;
+          return `${round(cx + r * Math.cos(angle))},${round(cy + r * Math.sin(angle))}`;
+        });
+        return [`<polygon points="${corners.join(' ')}" ${paint} />`];
+      }
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Task type icon in the top-left corner of a BPMN activity
+   */
+  bpmnTaskMarker(marker, x, y, color, strokeWidth) {
+    const line = `fill="none" stroke="${escapeSvg(color)}" stroke-width="${strokeWidth}"`;
+    const solid = `fill="${escapeSvg(color)}" stroke="${escapeSvg(color)}" stroke-width="${strokeWidth}"`;
+    switch (marker) {
+      case 'user':
+        return [`<circle cx="${x + 7}" cy="${y + 4}" r="4" ${line} />`, `<path d="M${x},${y + 14} Q${x},${y + 8} ${x + 7},${y + 8} Q${x + 14},${y + 8} ${x + 14},${y + 14} Z" ${line} />`];
+      case 'service':
+        return [`<circle cx="${x + 7}" cy="${y + 7}" r="6" ${line} stroke-dasharray="3 2" />`, `<circle cx="${x + 7}" cy="${y + 7}" r="2.5" ${line} />`];
+      case 'script':
+        return [`<path d="M${x + 3},${y} L${x + 14},${y} Q${x + 10},${y + 7} ${x + 14},${y + 14} L${x + 3},${y + 14} Q${x + 7},${y + 7} ${x + 3},${y} Z M${x + 6},${y + 4} L${x + 10},${y + 4} M${x + 7},${y + 10} L${x + 11},${y + 10}" ${line} />`];
+      case 'manual':
+        return [`<path d="M${x},${y + 5} L${x + 9},${y + 5} L${x + 14},${y + 7} M${x},${y + 5} L${x},${y + 13} L${x + 12},${y + 13} M${x + 4},${y + 9} L${x + 13},${y + 9}" ${line} />`];
+      case 'send':
+        return [`<path d="M${x},${y + 2} L${x + 16},${y + 2} L${x + 16},${y + 12} L${x},${y + 12} Z" ${solid} />`, `<path d="M${x},${y + 2} L${x + 8},${y + 8} L${x + 16},${y + 2}" fill="none" stroke="${escapeSvg(this.background)}" stroke-width="${strokeWidth}" />`];
+      case 'receive':
+        return [`<path d="M${x},${y + 2} L${x + 16},${y + 2} L${x + 16},${y + 12} L${x},${y + 12} Z M${x},${y + 2} L${x + 8},${y + 8} L${x + 16},${y + 2}" ${line} />`];
+      case 'businessRule':
+        return [`<rect x="${x}" y="${y + 1}" width="16" height="12" ${line} />`, `<path d="M${x},${y + 5} L${x + 16},${y + 5} M${x},${y + 9} L${x + 16},${y + 9} M${x + 5},${y + 5} L${x + 5},${y + 13}" ${line} />`];
+      default:
+        return [];
+    }
+  }
+
+  polygon(points, paint) {
+    return `<polygon points="${points.map(([px, py]) => `${round(px)},${round(py)}`).join(' ')}" ${paint} />`;
+  }
+
+  /**
+   * Renders a multi-line label centered in a box, wrapping when whiteSpace=wrap
+   */
+  renderText(label, box, style, background = null) {
+    const fontSize = Number(style.fontSize || DEFAULT_FONT_SIZE);
+    const fontFamily = style.fontFamily || DEFAULT_FONT_FAMILY;
+    const fontStyle = Number(style.fontStyle || 0);
+    const color = style.fontColor || '#000000';
+    const align = style.align || 'center';
+    const spacingLeft = Number(style.spacingLeft || 0);
+
+    let lines = style.html === '1' ? labelToLines(label) : String(label).split('\n');
+    if (style.whiteSpace === 'wrap' && box.width > 0) {
+      const maxChars = Math.max(1, Math.floor((box.width - 8 - spacingLeft) / (fontSize * 0.6)));
+      lines = lines.flatMap(line => this.wrapLine(line, maxChars));
+    }
+
+    const lineHeight = fontSize * 1.2;
+    const anchor = align === 'left' ? 'start' : align === 'right' ? 'end' : 'middle';
+    const textX = align === 'left' ? box.x + 4 + spacingLeft : align === 'right' ? box.x + box.width - 4 : box.x + box.width / 2;
+    let firstY = box.y + box.height / 2 - ((lines.length - 1) * lineHeight) / 2;
+    if (style.verticalAlign === 'top') {
+      firstY = box.y + Number(style.spacingTop || 0) + lineHeight / 2 + 2;
+    }
+
+    let attrs = `x="${round(textX)}" font-family="${escapeSvg(fontFamily)}" font-size="${fontSize}" fill="${escapeSvg(color)}" text-anchor="${anchor}" dominant-baseline="central"`;
+    if (fontStyle & 1) attrs += ' font-weight="bold"';
+    if (fontStyle & 2) attrs += ' font-style="italic"';
+    if (fontStyle & 4) attrs += ' text-decoration="underline"';
+
+    let svg = '';
+    if (background) {
+      const longest = Math.max(...lines.map(line => line.length), 0);
+      const bgWidth = longest * fontSize * 0.6 + 4;
+      const bgHeight = lines.length * lineHeight;
+      const bgX = anchor === 'start' ? textX - 2 : anchor === 'end' ? textX - bgWidth + 2 : textX - bgWidth / 2;
+      svg += `<rect x="${round(bgX)}" y="${round(firstY - lineHeight / 2)}" width="${round(bgWidth)}" height="${round(bgHeight)}" fill="${background}" />`;
+    }
+
+    svg += `<text ${attrs}>`;
+    lines.forEach((line, index) => {
+      svg += `<tspan x="${round(textX)}" y="${round(firstY + index * lineHeight)}">${escapeSvg(line)}</tspan>`;
+    });
+    return svg + '</text>';
+  }
+
+  wrapLine(line, maxChars) {
+    if (line.length <= maxChars) return [line];
+    const words = line.split(/\s+/);
+    const lines = [];
+    let current = '';
+    words.forEach(word => {
+      if (current && (current + ' ' + word).length > maxChars) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    });
+    if (current) lines.push(current);
+    return lines;
+  }
+
+  /**
+   * Computes the polyline of an edge, orthogonal unless the style asks for straight lines
+   */
+  routeEdge(cell, cells) {
+    const find = id => cells.find(c => c.id === id && c.bounds);
+    const source = find(cell.source);
+    const target = find(cell.target);
+    const offset = cell.offset || { x: 0, y: 0 };
+    const waypoints = cell.points.map(p => ({ x: p.x + offset.x, y: p.y + offset.y }));
+
+    const sourceBox = source ? source.bounds : cell.sourcePoint && { ...cell.sourcePoint, width: 0, height: 0 };
+    const targetBox = target ? target.bounds : cell.targetPoint && { ...cell.targetPoint, width: 0, height: 0 };
+    if (!sourceBox || !targetBox) return [];
+
+    const center = box => ({ x: box.x + box.width / 2, y: box.y + box.height / 2 });
+
+    // Fixed connection points from exitX/exitY and entryX/entryY
+    const constraint = (box, fx, fy) => (
+      fx !== undefined && fy !== undefined
+        ? { x: box.x + Number(fx) * box.width, y: box.y + Number(fy) * box.height }
+        : null
+    );
+    const fixedStart = constraint(sourceBox, cell.style.exitX, cell.style.exitY);
+    const fixedEnd = constraint(targetBox, cell.style.entryX, cell.style.entryY);
+
+    // Self-loops go out and back on the right side
+    if (source && source === target && waypoints.length === 0 && !fixedStart) {
+      const { x, y, width, height } = sourceBox;
+      const loop = Math.max(20, width / 4);
+      return [
+        { x: x + width, y: y + height / 3 },
+        { x: x + width + loop, y: y + height / 3 },
+        { x: x + width + loop, y: y + (height * 2) / 3 },
+        { x: x + width, y: y + (height * 2) / 3 },
+      ];
+    }
+
+    const edgeStyle = cell.style.edgeStyle;
+    const orthogonal = edgeStyle === 'orthogonalEdgeStyle' || edgeStyle === 'elbowEdgeStyle' || edgeStyle === 'entityRelationEdgeStyle';
+
+    if (!orthogonal) {
+      const inner = waypoints;
+      const elliptic = end => Boolean(end) && (end.style.perimeter === 'ellipsePerimeter' || this.getShapeName(end.style) === 'ellipse');
+      const start = fixedStart || this.perimeterPoint(sourceBox, inner[0] || fixedEnd || center(targetBox), elliptic(source));
+      const end = fixedEnd || this.perimeterPoint(targetBox, inner[inner.length - 1] || start, elliptic(target));
+      return [start, ...inner, end];
+    }
+
+    if (edgeStyle === 'entityRelationEdgeStyle' && waypoints.length === 0 && !fixedStart && !fixedEnd) {
+      return this.routeEntityRelation(sourceBox, targetBox, Number(cell.style.segment || 30));
+    }
+
+    if (waypoints.length > 0 || fixedStart || fixedEnd) {
+      const first = waypoints[0] || fixedEnd || center(targetBox);
+      const last = waypoints[waypoints.length - 1] || fixedStart || center(sourceBox);
+      const start = fixedStart || this.orthogonalExit(sourceBox, first);
+      const end = fixedEnd || this.orthogonalExit(targetBox, last);
+      const points = [start];
+      [...waypoints, end].forEach(point => {
+        const prev = points[points.length - 1];
+        // Points less than a pixel apart are aligned; rounded geometry must not add a jog
+        if (Math.abs(prev.x - point.x) >= 1 && Math.abs(prev.y - point.y) >= 1) {
+          points.push({ x: prev.x, y: point.y });
+        }
+        points.push(point);
+      });
+      return points;
+    }
+
+    const s = center(sourceBox);
+    const t = center(targetBox);
+    const overlapX = Math.min(sourceBox.x + sourceBox.width, targetBox.x + targetBox.width) - Math.max(sourceBox.x, targetBox.x);
+    const overlapY = Math.min(sourceBox.y + sourceBox.height, targetBox.y + targetBox.height) - Math.max(sourceBox.y, targetBox.y);
+
+    if (overlapY > 0 && !(overlapX > 0)) {
+      // Side by side: leave through the facing sides
+      const y = Math.max(sourceBox.y, targetBox.y) + overlapY / 2;
+      const startX = t.x > s.x ? sourceBox.x + sourceBox.width : sourceBox.x;
+      const endX = t.x > s.x ? targetBox.x : targetBox.x + targetBox.width;
+      return [{ x: startX, y }, { x: endX, y }];
+    }
+
+    if (overlapX > 0) {
+      // Stacked: a straight vertical line through the shared span
+      const x = Math.max(sourceBox.x, targetBox.x) + overlapX / 2;
+      const startY = t.y > s.y ? sourceBox.y + sourceBox.height : sourceBox.y;
+      const endY = t.y > s.y ? targetBox.y : targetBox.y + targetBox.height;
+      return [{ x, y: startY }, { x, y: endY }];
+    }
+
+    if (Math.abs(t.y - s.y) >= Math.abs(t.x - s.x)) {
+      // Mostly vertical: down, across, down
+      const startY = t.y > s.y ? sourceBox.y + sourceBox.height : sourceBox.y;
+      const endY = t.y > s.y ? targetBox.y : targetBox.y + targetBox.height;
+      const midY = (startY + endY) / 2;
+      return [{ x: s.x, y: startY }, { x: s.x, y: midY }, { x: t.x, y: midY }, { x: t.x, y: endY }];
+    }
+
+    const startX = t.x > s.x ? sourceBox.x + sourceBox.width : sourceBox.x;
+    const endX = t.x > s.x ? targetBox.x : targetBox.x + targetBox.width;
+    const midX = (startX + endX) / 2;
+    return [{ x: startX, y: s.y }, { x: midX, y: s.y }, { x: midX, y: t.y }, { x: endX, y: t.y }];
+  }
+
+  /**
+   * Entity relation edges leave and enter horizontally from the sides that face
+   * each other, or loop around the right side when the boxes are stacked
+   */
+  routeEntityRelation(sourceBox, targetBox, segment) {
+    const sy = sourceBox.y + sourceBox.height / 2;
+    const ty = targetBox.y + targetBox.height / 2;
+    const sourceRight = sourceBox.x + sourceBox.width;
+    const targetRight = targetBox.x + targetBox.width;
+
+    if (targetBox.x >= sourceRight + segment) {
+      const midX = (sourceRight + targetBox.x) / 2;
+      return [{ x: sourceRight, y: sy }, { x: midX, y: sy }, { x: midX, y: ty }, { x: targetBox.x, y: ty }];
+    }
+    if (sourceBox.x >= targetRight + segment) {
+      const midX = (targetRight + sourceBox.x) / 2;
+      return [{ x: sourceBox.x, y: sy }, { x: midX, y: sy }, { x: midX, y: ty }, { x: targetRight, y: ty }];
+    }
+
+    const outX = Math.max(sourceRight, targetRight) + segment;
+    return [{ x: sourceRight, y: sy }, { x: outX, y: sy }, { x: outX, y: ty }, { x: targetRight, y: ty }];
+  }
+
+  /**
+   * Point on the box border facing `toward`, leaving horizontally or vertically
+   */
+  orthogonalExit(box, toward) {
+    const cx = box.x + box.width / 2;
+    const cy = box.y + box.height / 2;
+    if (toward.x >= box.x && toward.x <= box.x + box.width) {
+      return { x: toward.x, y: toward.y > cy ? box.y + box.height : box.y };
+    }
+    if (toward.y >= box.y && toward.y <= box.y + box.height) {
+      return { x: toward.x > cx ? box.x + box.width : box.x, y: toward.y };
+    }
+    return Math.abs(toward.y - cy) > Math.abs(toward.x - cx)
+      ? { x: cx, y: toward.y > cy ? box.y + box.height : box.y }
+      : { x: toward.x > cx ? box.x + box.width : box.x, y: cy };
+  }
+
+  /**
+   * Where the line from the box center toward a point crosses the box border,
+   * or the ellipse inside the box
+   */
+  perimeterPoint(box, toward, elliptic = false) {
+    const cx = box.x + box.width / 2;
+    const cy = box.y + box.height / 2;
+    const dx = toward.x - cx;
+    const dy = toward.y - cy;
+    if ((dx === 0 && dy === 0) || box.width === 0 || box.height === 0) return { x: cx, y: cy };
+    if (elliptic) {
+      const scale = 1 / Math.hypot(dx / (box.width / 2), dy / (box.height / 2));
+      return { x: cx + dx * scale, y: cy + dy * scale };
+    }
+    const scale = Math.min(
+      dx !== 0 ? box.width / 2 / Math.abs(dx) : Infinity,
+      dy !== 0 ? box.height / 2 / Math.abs(dy) : Infinity
+    );
+    return { x: cx + dx * scale, y: cy + dy * scale };
+  }
+
+  renderEdge(cell, points) {
+    const { style } = cell;
+    const stroke = style.strokeColor && style.strokeColor !== 'default' ? style.strokeColor : '#000000';
+    const strokeWidth = Number(style.strokeWidth || 1);
+    let attrs = `fill="none" stroke="${escapeSvg(stroke)}" stroke-width="${strokeWidth}"`;
+    if (style.dashed === '1') {
+      attrs += ` stroke-dasharray="${escapeSvg(style.dashPattern || '3 3')}"`;
+    }
+
+    const parts = [];
+    const d = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${round(p.x)},${round(p.y)}`).join(' ');
+    parts.push(`<path d="${d}" ${attrs} />`);
+
+    const endArrow = style.endArrow !== undefined ? style.endArrow : 'classic';
+    const startArrow = style.startArrow || 'none';
+    const endHead = this.renderArrow(endArrow, points[points.length - 2], points[points.length - 1], stroke, style.endFill !== '0');
+    const startHead = this.renderArrow(startArrow, points[1], points[0], stroke, style.startFill !== '0');
+    if (endHead) parts.push(endHead);
+    if (startHead) parts.push(startHead);
+
+    const labels = [cell.label, ...(cell.extraLabels || [])].filter(Boolean);
+    if (labels.length > 0) {
+      const mid = this.midpoint(points);
+      // Left-aligned labels start at the midpoint instead of centering on it
+      const box = { x: style.align === 'left' ? mid.x : mid.x - 100, y: mid.y - 10, width: 200, height: 20 };
+      if (style.verticalAlign === 'bottom') {
+        box.y -= 10;
+      }
+      parts.push(this.renderText(labels.join('\n'), box, { ...style, whiteSpace: 'nowrap', verticalAlign: 'middle' }, style.labelBackgroundColor || this.background));
+    }
+    (cell.endLabels || []).forEach(({ label, position }) => {
+      // Kept clear of the arrowhead at that end
+      const length = points.slice(1).reduce((sum, p, i) => sum + Math.hypot(p.x - points[i].x, p.y - points[i].y), 0);
+      const clearance = length > 0 ? 24 / length : 0;
+      const at = this.pointAlong(points, (position + 1) / 2 + (position < 0 ? clearance : -clearance));
+      const box = { x: at.x + 4, y: at.y - 10, width: 60, height: 20 };
+      parts.push(this.renderText(label, box, { ...style, align: 'left', whiteSpace: 'nowrap', verticalAlign: 'middle' }));
+    });
+
+    return `  <g data-cell-id="${escapeSvg(cell.id)}">\n    ${parts.join('\n    ')}\n  </g>`;
+  }
+
+  /**
+   * Point halfway along a polyline
+   */
+  midpoint(points) {
+    return this.pointAlong(points, 0.5);
+  }
+
+  /**
+   * Point at a fraction (0 to 1) of the length of a polyline
+   */
+  pointAlong(points, fraction) {
+    const lengths = [];
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+      const length = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+      lengths.push(length);
+      total += length;
+    }
+
+    let remaining = total * Math.min(1, Math.max(0, fraction));
+    for (let i = 1; i < points.length; i++) {
+      if (remaining <= lengths[i - 1] && lengths[i - 1] > 0) {
+        const t = remaining / lengths[i - 1];
+        return {
+          x: points[i - 1].x + (points[i].x - points[i - 1].x) * t,
+          y: points[i - 1].y + (points[i].y - points[i - 1].y) * t,
+        };
+      }
+      remaining -= lengths[i - 1];
+    }
+    return points[0];
+  }
+
+  /**
+   * Draws an arrowhead at `tip`, pointing away from `from`
+   */
+  renderArrow(type, from, tip, color, filled) {
+    if (!type || type === 'none' || !from || !tip) return null;
+    const length = Math.hypot(tip.x - from.x, tip.y - from.y);
+    if (length === 0) return null;
+
+    const ux = (tip.x - from.x) / length;
+    const uy = (tip.y - from.y) / length;
+    const nx = -uy;
+    const ny = ux;
+    const s = ARROW_SIZE;
+    const at = (back, side) => `${round(tip.x - ux * back + nx * side)},${round(tip.y - uy * back + ny * side)}`;
+    const fill = filled ? color : this.background;
+    const line = `fill="none" stroke="${escapeSvg(color)}"`;
+
+    switch (type) {
+      case 'open':
+        return `<path d="M${at(s, s / 2)} L${at(0, 0)} L${at(s, -s / 2)}" ${line} />`;
+      case 'diamond':
+      case 'diamondThin':
+        return `<polygon points="${at(0, 0)} ${at(s, s / 2)} ${at(s * 2, 0)} ${at(s, -s / 2)}" fill="${escapeSvg(fill)}" stroke="${escapeSvg(color)}" />`;
+      case 'dash':
+        // Default flow: a slash across the line
+        return `<path d="M${at(s * 1.5, s / 2)} L${at(s / 2, -s / 2)}" ${line} />`;
+      case 'oval':
+        return `<circle cx="${round(tip.x - ux * s / 2)}" cy="${round(tip.y - uy * s / 2)}" r="${s / 2}" fill="${escapeSvg(fill)}" stroke="${escapeSvg(color)}" />`;
+      case 'ERmandOne':
+        return `<path d="M${at(s, s / 2)} L${at(s, -s / 2)} M${at(s * 1.5, s / 2)} L${at(s * 1.5, -s / 2)}" ${line} />`;
+      case 'ERone':
+        return `<path d="M${at(s, s / 2)} L${at(s, -s / 2)}" ${line} />`;
+      case 'ERmany':
+        return `<path d="M${at(0, s / 2)} L${at(s, 0)} L${at(0, -s / 2)}" ${line} />`;
+      case 'ERoneToMany':
+        return `<path d="M${at(0, s / 2)} L${at(s, 0)} L${at(0, -s / 2)} M${at(s * 1.5, s / 2)} L${at(s * 1.5, -s / 2)}" ${line} />`;
+      case 'ERzeroToMany':
+        return `<path d="M${at(0, s / 2)} L${at(s, 0)} L${at(0, -s / 2)}" ${line} /><circle cx="${round(tip.x - ux * s * 1.5)}" cy="${round(tip.y - uy * s * 1.5)}" r="${s / 3}" fill="${escapeSvg(this.background)}" stroke="${escapeSvg(color)}" />`;
+      case 'ERzeroToOne':
+        return `<path d="M${at(s, s / 2)} L${at(s, -s / 2)}" ${line} /><circle cx="${round(tip.x - ux * s * 1.7)}" cy="${round(tip.y - uy * s * 1.7)}" r="${s / 3}" fill="${escapeSvg(this.background)}" stroke="${escapeSvg(color)}" />`;
+      default:
+        // classic, block and anything unknown
+        return `<polygon points="${at(0, 0)} ${at(s, s / 2)} ${at(s, -s / 2)}" fill="${escapeSvg(fill)}" stroke="${escapeSvg(color)}" />`;
+    }
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * Themes
+ * Named sets of draw.io style keys that generated diagrams are painted with.
+ * Each part of a theme styles one kind of element:
+ *
+ * - background: page color, or null for none
+ * - font: keys added to every part, e.g. fontFamily and fontColor
+ * - shape: flowchart, network and custom shapes; shapes.<type> overrides it per shape type
+ * - edge: connectors of every diagram type
+ * - container: swimlanes and network zones
+ * - note, lifeline, activation, frame: sequence diagram notes, lifelines, activation bars and fragments
+ * - table, muted: ERD tables and their column types, and UML class boxes
+ * - icon, group: architecture icons and group containers, on top of their provider colors
+ * - c4: C4 people, systems, containers and components, on top of the standard C4 colors
+ * - branch: mind map and org chart nodes and lines, on top of their branch colors
+ */
+
+const PARTS = ['font', 'shape', 'edge', 'container', 'note', 'lifeline', 'activation', 'frame', 'table', 'muted', 'icon', 'group', 'c4', 'branch'];
+
+export const THEMES = {
+  default: {
+    background: null,
+    font: {},
+    shape: { fillColor: '#dae8fc', strokeColor: '#6c8ebf' },
+    shapes: {},
+    edge: {},
+    container: { fillColor: '#f5f5f5', strokeColor: '#666666', fontColor: '#333333' },
+    note: { fillColor: '#fff2cc', strokeColor: '#d6b656' },
+    lifeline: {},
+    activation: { fillColor: '#ffffff' },
+    frame: {},
+    table: { fillColor: '#dae8fc', strokeColor: '#6c8ebf', swimlaneFillColor: '#ffffff' },
+    muted: { fontColor: '#666666' },
+    icon: {},
+    group: {},
+    c4: {},
+    branch: {},
+  },
+  dark: {
+    background: '#1e1e1e',
+    font: { fontColor: '#e6e6e6' },
+    shape: { fillColor: '#2a3b52', strokeColor: '#7ea6e0' },
+    shapes: {
+      decision: { fillColor: '#4a3a1c', strokeColor: '#e6b450' },
+      terminator: { fillColor: '#23402c', strokeColor: '#7fc08a' },
+      database: { fillColor: '#3d2a4a', strokeColor: '#b58ad0' },
+      cylinder: { fillColor: '#3d2a4a', strokeColor: '#b58ad0' },
+    },
+    edge: { strokeColor: '#b3b3b3', fontColor: '#e6e6e6', labelBackgroundColor: '#1e1e1e' },
+    container: { fillColor: '#2d2d2d', strokeColor: '#8c8c8c', fontColor: '#e6e6e6' },
+    note: { fillColor: '#4a4221', strokeColor: '#c9a93f' },
+    lifeline: { fillColor: '#2a3b52', strokeColor: '#7ea6e0' },
+    activation: { fillColor: '#2d2d2d', strokeColor: '#b3b3b3' },
+    frame: { strokeColor: '#8c8c8c' },
+    table: { fillColor: '#2a3b52', strokeColor: '#7ea6e0', swimlaneFillColor: '#262626' },
+    muted: { fontColor: '#a6a6a6' },
+    icon: {},
+    // Provider groups such as subnets have light fills that hide light text
+    group: { fillColor: 'none' },
+    c4: {},
+    // Branch fills are blended with the page background, so they darken with it
+    branch: {},
+  },
+  monochrome: {
+    background: null,
+    font: { fontColor: '#000000' },
+    shape: { fillColor: '#ffffff', strokeColor: '#000000' },
+    shapes: {
+      decision: { fillColor: '#f2f2f2' },
+      terminator: { fillColor: '#e6e6e6' },
+    },
+    edge: { strokeColor: '#000000', fontColor: '#000000' },
+    container: { fillColor: '#eeeeee', strokeColor: '#000000', fontColor: '#000000' },
+    note: { fillColor: '#ffffff', strokeColor: '#000000' },
+    lifeline: { fillColor: '#ffffff', strokeColor: '#000000' },
+    activation: { fillColor: '#ffffff', strokeColor: '#000000' },
+    frame: { strokeColor: '#000000' },
+    table: { fillColor: '#e6e6e6', strokeColor: '#000000', swimlaneFillColor: '#ffffff' },
+    muted: { fontColor: '#4d4d4d' },
+    icon: { fillColor: '#4d4d4d', gradientColor: 'none' },
+    group: { fillColor: 'none', strokeColor: '#000000', fontColor: '#000000' },
+    c4: { fillColor: '#ffffff', strokeColor: '#000000', fontColor: '#000000' },
+    branch: { fillColor: '#ffffff', strokeColor: '#000000' },
+  },
+  'high-contrast': {
+    background: '#000000',
+    font: { fontColor: '#ffffff', fontSize: 14 },
+    shape: { fillColor: '#000000', strokeColor: '#ffff00', strokeWidth: 3 },
+    shapes: {
+      decision: { strokeColor: '#00ffff' },
+      terminator: { strokeColor: '#00ff00' },
+    },
+    edge: { strokeColor: '#ffffff', fontColor: '#ffffff', strokeWidth: 2, labelBackgroundColor: '#000000' },
+    container: { fillColor: '#000000', strokeColor: '#ffffff', fontColor: '#ffffff', strokeWidth: 2 },
+    note: { fillColor: '#000000', strokeColor: '#ffff00', strokeWidth: 2 },
+    lifeline: { fillColor: '#000000', strokeColor: '#ffffff', strokeWidth: 2 },
+    activation: { fillColor: '#000000', strokeColor: '#ffffff', strokeWidth: 2 },
+    frame: { strokeColor: '#ffffff', strokeWidth: 2 },
+    table: { fillColor: '#000000', strokeColor: '#ffffff', swimlaneFillColor: '#000000', strokeWidth: 2 },
+    muted: { fontColor: '#ffff00' },
+    icon: {},
+    group: { fillColor: 'none', fontColor: '#ffffff' },
+    c4: { fillColor: '#000000', strokeColor: '#ffff00', fontColor: '#ffffff', strokeWidth: 2 },
+    branch: { fillColor: '#000000', strokeColor: '#ffff00', strokeWidth: 2 },
+  },
+};
+
+/**
+ * Layers a theme over its base: each part and each shape type is merged key by key
+ */
+function mergeTheme(base, overrides) {
+  const merged = { ...base, background: overrides.background !== undefined ? overrides.background : base.background };
+  PARTS.forEach(part => {
+    merged[part] = { ...base[part], ...(overrides[part] || {}) };
+  });
+  merged.shapes = { ...base.shapes };
+  Object.entries(overrides.shapes || {}).forEach(([type, style]) => {
+    merged.shapes[type] = { ...(base.shapes[type] || {}), ...style };
+  });
+  return merged;
+}
+
+/**
+ * Resolves a theme name or inline theme object. Themes extend the built-in or
+ * custom theme named by `extends`, or the default theme.
+ */
+export function resolveTheme(theme, customThemes = {}) {
+  const available = { ...THEMES, ...customThemes };
+  const resolve = (value, seen) => {
+    if (value === undefined || value === null || value === '') return THEMES.default;
+    if (typeof value === 'string') {
+      if (seen.includes(value)) {
+        throw new Error(`Theme "${value}" extends itself`);
+      }
+      const definition = available[value];
+      if (!definition) {
+        throw new Error(`Unknown theme: ${value} (available: ${Object.keys(available).join(', ')})`);
+      }
+      // Built-in themes are complete; custom ones are layered over their base
+      if (definition === THEMES[value]) return definition;
+      return resolve({ extends: 'default', ...definition, name: value }, [...seen, value]);
+    }
+    if (typeof value !== 'object') {
+      throw new Error('A theme is a theme name or an object of theme parts');
+    }
+    const base = value.extends === undefined ? THEMES.default : resolve(value.extends, seen);
+    return { ...mergeTheme(base, value), name: value.name || 'custom' };
+  };
+  return resolve(theme, []);
+}
+
+/**
+ * Parses a JSON file of custom themes: an object mapping theme names to themes
+ */
+export function parseThemeFile(text, file = 'themes file') {
+  let themes;
+  try {
+    themes = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+  }
+  if (!themes || typeof themes !== 'object' || Array.isArray(themes)) {
+    throw new Error(`${file} must map theme names to themes`);
+  }
+  return themes;
+}
+
+/**
+ * Serializes theme parts, after the shared font keys, as a draw.io style string
+ */
+export function themeStyle(theme, ...parts) {
+  const entries = {};
+  [theme.font, ...parts.map(part => (typeof part === 'string' ? theme[part] : part))].forEach(style => {
+    Object.entries(style || {}).forEach(([key, value]) => {
+      // Unset keys leave the value before them in place
+      if (value !== undefined && value !== null) entries[key] = value;
+    });
+  });
+  return Object.entries(entries).map(([key, value]) => `${key}=${value};`).join('');
+}
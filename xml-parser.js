@@ -0,0 +1,174 @@
+/**
+ * Minimal XML Parser and Serializer
+ * Parses XML into a lightweight element tree that can be edited and written back
+ */
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+  });
+}
+
+export function escapeAttribute(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;');
+}
+
+export function escapeText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Creates an element node
+ */
+export function createElement(name, attributes = {}, children = []) {
+  return { type: 'element', name, attributes: { ...attributes }, children };
+}
+
+/**
+ * Parses an XML string and returns the root element
+ */
+export function parseXml(xml) {
+  const root = createElement('#document');
+  const stack = [root];
+  let pos = 0;
+
+  const current = () => stack[stack.length - 1];
+
+  while (pos < xml.length) {
+    const lt = xml.indexOf('<', pos);
+
+    // Text content
+    if (lt !== pos) {
+      const end = lt === -1 ? xml.length : lt;
+      const text = xml.slice(pos, end);
+      if (text.trim()) {
+        current().children.push({ type: 'text', value: decodeEntities(text) });
+      }
+      pos = end;
+      continue;
+    }
+
+    if (xml.startsWith('<?', pos)) {
+      const end = xml.indexOf('?>', pos);
+      if (end === -1) throw new Error('Unterminated processing instruction');
+      pos = end + 2;
+    } else if (xml.startsWith('<!--', pos)) {
+      const end = xml.indexOf('-->', pos);
+      if (end === -1) throw new Error('Unterminated comment');
+      pos = end + 3;
+    } else if (xml.startsWith('<![CDATA[', pos)) {
+      const end = xml.indexOf(']]>', pos);
+      if (end === -1) throw new Error('Unterminated CDATA section');
+      current().children.push({ type: 'text', value: xml.slice(pos + 9, end) });
+      pos = end + 3;
+    } else if (xml.startsWith('<!', pos)) {
+      const end = xml.indexOf('>', pos);
+      if (end === -1) throw new Error('Unterminated declaration');
+      pos = end + 1;
+    } else if (xml.startsWith('</', pos)) {
+      const end = xml.indexOf('>', pos);
+      if (end === -1) throw new Error('Unterminated closing tag');
+      const name = xml.slice(pos + 2, end).trim();
+      const open = stack.pop();
+      if (!open || open.name !== name) {
+        throw new Error(`Mismatched closing tag </${name}>`);
+      }
+      pos = end + 1;
+    } else {
+      // Opening tag with attributes
+      const tagPattern = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+      tagPattern.lastIndex = pos;
+      const match = tagPattern.exec(xml);
+      if (!match) {
+        throw new Error(`Malformed tag at position ${pos}`);
+      }
+
+      const attributes = {};
+      const attrPattern = /([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+      let attr;
+      while ((attr = attrPattern.exec(match[2])) !== null) {
+        attributes[attr[1]] = decodeEntities(attr[3] !== undefined ? attr[3] : attr[4]);
+      }
+
+      const element = createElement(match[1], attributes);
+      current().children.push(element);
+      if (!match[3]) {
+        stack.push(element);
+      }
+      pos = tagPattern.lastIndex;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${current().name}>`);
+  }
+
+  const documentElement = root.children.find(child => child.type === 'element');
+  if (!documentElement) {
+    throw new Error('No root element found');
+  }
+  return documentElement;
+}
+
+/**
+ * Serializes an element tree back to an XML string
+ */
+export function serializeXml(node, indent = '') {
+  if (node.type === 'text') {
+    return indent + escapeText(node.value);
+  }
+
+  let xml = `${indent}<${node.name}`;
+  for (const [key, value] of Object.entries(node.attributes)) {
+    xml += ` ${key}="${escapeAttribute(value)}"`;
+  }
+
+  if (node.children.length === 0) {
+    return xml + ' />';
+  }
+
+  // Keep single text children inline
+  if (node.children.length === 1 && node.children[0].type === 'text') {
+    return `${xml}>${escapeText(node.children[0].value)}</${node.name}>`;
+  }
+
+  xml += '>\n';
+  for (const child of node.children) {
+    xml += serializeXml(child, indent + '  ') + '\n';
+  }
+  return xml + `${indent}</${node.name}>`;
+}
+
+export function findChild(node, name) {
+  return node.children.find(child => child.type === 'element' && child.name === name) || null;
+}
+
+export function findChildren(node, name) {
+  return node.children.filter(child => child.type === 'element' && child.name === name);
+}
+
+export function getText(node) {
+  return node.children
+    .map(child => (child.type === 'text' ? child.value : getText(child)))
+    .join('');
+}
@@ -0,0 +1,151 @@
+/**
+ * XState Importer
+ * Reads an XState machine config (v4 or v5, as JSON) into state machine data:
+ * nested, parallel, final and history states, their entry and exit actions and
+ * invoked services, and the transitions of on, after, always, onDone and onError.
+ */
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Name of an action, guard or service, which JSON holds as a string or as an object with a type
+ */
+function nameOf(value) {
+  if (typeof value === 'string') return value;
+  if (isObject(value)) return value.type || value.src || value.id || '';
+  return '';
+}
+
+export class XStateImporter {
+  /**
+   * Reads a machine config, as JSON text or an object, and returns
+   * { states, transitions, initial } for a statemachine diagram
+   */
+  import(source) {
+    let config = source;
+    if (typeof source === 'string') {
+      try {
+        config = JSON.parse(source);
+      } catch (error) {
+        throw new Error(`XState input must be JSON, e.g. JSON.stringify(machine.config): ${error.message}`);
+      }
+    }
+    if (!isObject(config) || !isObject(config.states)) {
+      throw new Error('An XState machine config needs a states object');
+    }
+
+    const states = [];
+    const transitions = [];
+    // State ids are the dotted paths of their keys; XState ids (#id) map to them
+    const paths = new Set();
+    const xstateIds = new Map();
+
+    // A parallel machine is drawn as one parallel state holding its regions
+    let root = null;
+    if (config.type === 'parallel') {
+      root = `#${config.id || 'machine'}`;
+      states.push({ id: root, label: config.id || 'machine', type: 'parallel' });
+    }
+    if (config.id) xstateIds.set(config.id, root);
+
+    const collect = (node, parentPath) => {
+      Object.entries(node.states || {}).forEach(([key, child]) => {
+        const id = parentPath && parentPath !== root ? `${parentPath}.${key}` : key;
+        const definition = isObject(child) ? child : {};
+        // History states are labelled H or H* rather than by name
+        const state = definition.type === 'history' ? { id } : { id, label: key };
+        if (parentPath) state.parent = parentPath;
+        if (['final', 'parallel', 'history'].includes(definition.type)) state.type = definition.type;
+        if (definition.type === 'history' && definition.history === 'deep') state.deep = true;
+        if (definition.initial !== undefined && definition.type !== 'parallel') state.initial = `${id}.${definition.initial}`;
+
+        const entry = asList(definition.entry ?? definition.onEntry).map(nameOf).filter(Boolean);
+        const exit = asList(definition.exit ?? definition.onExit).map(nameOf).filter(Boolean);
+        const invoked = asList(definition.invoke).map(nameOf).filter(Boolean).map(name => `invoke ${name}`);
+        if (entry.length > 0) state.entry = entry;
+        if (exit.length > 0) state.exit = exit;
+        if (invoked.length > 0) state.do = invoked;
+
+        states.push(state);
+        paths.add(id);
+        if (definition.id) xstateIds.set(definition.id, id);
+        collect(definition, id);
+      });
+    };
+    collect(config, root);
+
+    const resolveTarget = (target, sourceId) => {
+      if (target.startsWith('#')) {
+        const [xstateId, ...rest] = target.slice(1).split('.');
+        const base = xstateIds.get(xstateId);
+        // The machine's own id stands for the top level, whose states have no prefix
+        const prefix = base === root ? [] : [base];
+        const id = base === undefined ? undefined : [...prefix, ...rest].join('.') || root;
+        if (id && (paths.has(id) || id === root)) return id;
+      } else if (target.startsWith('.')) {
+        const id = `${sourceId}${target}`;
+        if (paths.has(id)) return id;
+      } else {
+        // Plain targets are siblings of the source state, falling back to top-level states
+        const parent = sourceId.includes('.') ? sourceId.slice(0, sourceId.lastIndexOf('.')) : null;
+        const sibling = parent ? `${parent}.${target}` : target;
+        if (paths.has(sibling)) return sibling;
+        if (paths.has(target)) return target;
+      }
+      throw new Error(`Unknown target "${target}" in state "${sourceId}"`);
+    };
+
+    const addTransitions = (sourceId, event, definition) => {
+      asList(definition).forEach(item => {
+        const transition = typeof item === 'string' ? { target: item } : isObject(item) ? item : {};
+        const guard = nameOf(transition.guard ?? transition.cond);
+        const actions = asList(transition.actions).map(nameOf).filter(Boolean);
+        const targets = asList(transition.target);
+        // A transition without a target runs its actions and stays in the state
+        (targets.length > 0 ? targets : [null]).forEach(target => {
+          const to = target === null ? sourceId : resolveTarget(String(target), sourceId);
+          const result = { from: sourceId, to };
+          if (event) result.event = event;
+          if (guard) result.guard = guard;
+          if (actions.length > 0) result.action = actions;
+          transitions.push(result);
+        });
+      });
+    };
+
+    const walk = (node, parentPath) => {
+      Object.entries(node.states || {}).forEach(([key, child]) => {
+        if (!isObject(child)) return;
+        const id = parentPath && parentPath !== root ? `${parentPath}.${key}` : key;
+        // v4 also allows on as an array of { event, target } objects
+        if (Array.isArray(child.on)) {
+          child.on.forEach(item => addTransitions(id, isObject(item) ? item.event : '', item));
+        } else if (isObject(child.on)) {
+          Object.entries(child.on).forEach(([event, definition]) => addTransitions(id, event, definition));
+        }
+        if (isObject(child.after)) {
+          Object.entries(child.after).forEach(([delay, definition]) => addTransitions(id, /^\d+$/.test(delay) ? `after ${delay}ms` : `after ${delay}`, definition));
+        }
+        if (child.always !== undefined) addTransitions(id, '', child.always);
+        if (child.onDone !== undefined) addTransitions(id, 'onDone', child.onDone);
+        asList(child.invoke).filter(isObject).forEach(invoke => {
+          if (invoke.onDone !== undefined) addTransitions(id, 'onDone', invoke.onDone);
+          if (invoke.onError !== undefined) addTransitions(id, 'onError', invoke.onError);
+        });
+        walk(child, id);
+      });
+    };
+    walk(config, root);
+
+    const data = { states, transitions };
+    if (config.initial !== undefined && !root) data.initial = String(config.initial);
+    return data;
+  }
+}
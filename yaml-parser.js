@@ -0,0 +1,352 @@
+/**
+ * Minimal YAML Parser
+ * Reads the YAML found in docker-compose files and Kubernetes manifests: block
+ * mappings and sequences, flow collections, quoted and block scalars, anchors,
+ * aliases and merge keys, and multiple documents. Tags and complex keys are not supported.
+ */
+
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[\]}-][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+(.*))?$/;
+
+/**
+ * Cuts a trailing comment, leaving # inside quotes alone
+ */
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      if (i === 0 || /[\s[{,:-]/.test(line[i - 1])) quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i).trimEnd();
+    }
+  }
+  return line.trimEnd();
+}
+
+function unquote(text) {
+  if (text.startsWith('"')) {
+    return text.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|.)/g, (match, escape) => {
+      if (escape[0] === 'u' || escape[0] === 'x') return String.fromCharCode(parseInt(escape.slice(1), 16));
+      return { n: '\n', t: '\t', r: '\r', 0: '\0', '"': '"', '\\': '\\', '/': '/' }[escape] ?? escape;
+    });
+  }
+  return text.slice(1, -1).replace(/''/g, "'");
+}
+
+function parseScalar(text) {
+  const value = text.trim();
+  if (value.startsWith('"') || value.startsWith("'")) return unquote(value);
+  if (value === '' || value === '~' || value === 'null' || value === 'Null' || value === 'NULL') return null;
+  if (/^(true|True|TRUE)$/.test(value)) return true;
+  if (/^(false|False|FALSE)$/.test(value)) return false;
+  if (/^[-+]?(0|[1-9]\d*)$/.test(value)) return Number(value);
+  if (/^[-+]?(0|[1-9]\d*)?\.\d+([eE][-+]?\d+)?$/.test(value) || /^[-+]?(0|[1-9]\d*)[eE][-+]?\d+$/.test(value)) return Number(value);
+  if (/^0x[0-9a-fA-F]+$/.test(value)) return parseInt(value, 16);
+  return value;
+}
+
+/**
+ * Flow collections: [a, b] and {key: value}, nested
+ */
+function parseFlow(text, anchors) {
+  let pos = 0;
+  const skip = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const readScalar = terminators => {
+    skip();
+    if (text[pos] === '"' || text[pos] === "'") {
+      const quote = text[pos];
+      let end = pos + 1;
+      while (end < text.length) {
+        if (quote === '"' && text[end] === '\\') end += 2;
+        else if (text[end] === quote && quote === "'" && text[end + 1] === "'") end += 2;
+        else if (text[end] === quote) break;
+        else end++;
+      }
+      const raw = text.slice(pos, end + 1);
+      pos = end + 1;
+      return unquote(raw);
+    }
+    const start = pos;
+    while (pos < text.length && !terminators.includes(text[pos]) && !(text[pos] === ':' && /[\s,\]}]/.test(text[pos + 1] || ' '))) pos++;
+    const raw = text.slice(start, pos).trim();
+    if (raw.startsWith('*')) return anchors.get(raw.slice(1));
+    return parseScalar(raw);
+  };
+
+  const readValue = terminators => {
+    skip();
+    if (text[pos] === '[') {
+      pos++;
+      const list = [];
+      skip();
+      while (text[pos] !== ']') {
+        if (pos >= text.length) throw new Error(`Unterminated flow sequence: ${text}`);
+        list.push(readValue(',]'));
+        skip();
+        if (text[pos] === ',') pos++;
+        skip();
+      }
+      pos++;
+      return list;
+    }
+    if (text[pos] === '{') {
+      pos++;
+      const map = {};
+      skip();
+      while (text[pos] !== '}') {
+        if (pos >= text.length) throw new Error(`Unterminated flow mapping: ${text}`);
+        const key = readScalar(':,}');
+        skip();
+        let value = null;
+        if (text[pos] === ':') {
+          pos++;
+          value = readValue(',}');
+        }
+        map[key] = value;
+        skip();
+        if (text[pos] === ',') pos++;
+        skip();
+      }
+      pos++;
+      return map;
+    }
+    return readScalar(terminators);
+  };
+
+  const value = readValue('');
+  return value;
+}
+
+function isBalanced(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") quote = char;
+    else if (char === '[' || char === '{') depth++;
+    else if (char === ']' || char === '}') depth--;
+  }
+  return depth <= 0;
+}
+
+class YamlDocumentParser {
+  constructor(lines) {
+    this.raw = lines;
+    this.lines = lines.map(line => {
+      const text = stripComment(line);
+      const indent = text.length - text.trimStart().length;
+      return { indent, text: text.trim() };
+    });
+    this.pos = 0;
+    this.anchors = new Map();
+  }
+
+  // Skips blank and comment-only lines
+  peek() {
+    while (this.pos < this.lines.length && this.lines[this.pos].text === '') this.pos++;
+    return this.lines[this.pos];
+  }
+
+  parse() {
+    const line = this.peek();
+    if (!line) return null;
+    const value = this.parseNode(line.indent);
+    const rest = this.peek();
+    if (rest) {
+      throw new Error(`Unexpected content at line ${this.pos + 1}: ${rest.text}`);
+    }
+    return value;
+  }
+
+  parseNode(indent) {
+    const line = this.peek();
+    if (!line || line.indent < indent) return null;
+    if (line.text === '-' || line.text.startsWith('- ')) return this.parseSequence(line.indent);
+    if (KEY_PATTERN.test(line.text)) return this.parseMapping(line.indent);
+    this.pos++;
+    return this.parseInline(line.text, line.indent);
+  }
+
+  parseSequence(indent) {
+    const list = [];
+    let line = this.peek();
+    while (line && line.indent === indent && (line.text === '-' || line.text.startsWith('- '))) {
+      const content = line.text.slice(1).trimStart();
+      if (content === '') {
+        this.pos++;
+        list.push(this.parseNode(indent + 1));
+      } else {
+        const offset = line.text.length - content.length;
+        if (KEY_PATTERN.test(content) && !content.startsWith('[') && !content.startsWith('{')) {
+          // "- key: value" opens a mapping indented to where the key starts
+          this.lines[this.pos] = { indent: indent + offset, text: content };
+          list.push(this.parseMapping(indent + offset));
+        } else if (content.startsWith('- ')) {
+          this.lines[this.pos] = { indent: indent + offset, text: content };
+          list.push(this.parseSequence(indent + offset));
+        } else {
+          this.pos++;
+          list.push(this.parseValue(content, indent));
+        }
+      }
+      line = this.peek();
+    }
+    return list;
+  }
+
+  parseMapping(indent) {
+    const map = {};
+    let line = this.peek();
+    while (line && line.indent === indent && !(line.text === '-' || line.text.startsWith('- '))) {
+      const match = KEY_PATTERN.exec(line.text);
+      if (!match) {
+        throw new Error(`Expected a key at line ${this.pos + 1}: ${line.text}`);
+      }
+      const rawKey = match[1].trim();
+      const key = rawKey.startsWith('"') || rawKey.startsWith("'") ? unquote(rawKey) : rawKey;
+      const rest = (match[2] || '').trim();
+      this.pos++;
+
+      let value;
+      if (rest === '' || /^&\S+$/.test(rest)) {
+        const next = this.peek();
+        if (next && (next.indent > indent || (next.indent === indent && (next.text === '-' || next.text.startsWith('- '))))) {
+          value = this.parseNode(next.indent);
+        } else {
+          value = null;
+        }
+        if (rest.startsWith('&')) this.anchors.set(rest.slice(1), value);
+      } else {
+        value = this.parseValue(rest, indent);
+      }
+
+      if (key === '<<') {
+        // Merge keys copy the aliased mappings in without overriding keys set here
+        [].concat(value).forEach(source => {
+          Object.entries(source || {}).forEach(([k, v]) => {
+            if (!(k in map)) map[k] = v;
+          });
+        });
+      } else {
+        map[key] = value;
+      }
+      line = this.peek();
+    }
+    return map;
+  }
+
+  /**
+   * A value that starts on the line of its key or dash
+   */
+  parseValue(text, indent) {
+    let rest = text;
+    let anchor = null;
+    const anchorMatch = /^&(\S+)\s+(.*)$/.exec(rest);
+    if (anchorMatch) {
+      anchor = anchorMatch[1];
+      rest = anchorMatch[2];
+    }
+    const value = this.parseInline(rest, indent);
+    if (anchor) this.anchors.set(anchor, value);
+    return value;
+  }
+
+  parseInline(text, indent) {
+    if (text.startsWith('*')) {
+      const name = text.slice(1).trim();
+      if (!this.anchors.has(name)) throw new Error(`Unknown alias: *${name}`);
+      return this.anchors.get(name);
+    }
+    if (/^[|>][-+0-9]*$/.test(text)) return this.parseBlockScalar(text, indent);
+    if (text.startsWith('[') || text.startsWith('{')) {
+      let flow = text;
+      while (!isBalanced(flow) && this.pos < this.lines.length) {
+        flow += ` ${this.lines[this.pos].text}`;
+        this.pos++;
+      }
+      return parseFlow(flow, this.anchors);
+    }
+
+    // Plain scalars may continue on more indented lines
+    let scalar = text;
+    if (!text.startsWith('"') && !text.startsWith("'")) {
+      let next = this.peek();
+      while (next && next.indent > indent && !KEY_PATTERN.test(next.text) && !next.text.startsWith('- ')) {
+        scalar += ` ${next.text}`;
+        this.pos++;
+        next = this.peek();
+      }
+    }
+    return parseScalar(scalar);
+  }
+
+  parseBlockScalar(header, indent) {
+    const folded = header[0] === '>';
+    const chomp = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+    const lines = [];
+    let blockIndent = null;
+    while (this.pos < this.raw.length) {
+      const raw = this.raw[this.pos];
+      const lineIndent = raw.length - raw.trimStart().length;
+      if (raw.trim() !== '') {
+        if (lineIndent <= indent) break;
+        if (blockIndent === null) blockIndent = lineIndent;
+        if (lineIndent < blockIndent) break;
+      }
+      lines.push(raw.trim() === '' ? '' : raw.slice(blockIndent));
+      this.pos++;
+    }
+
+    let text;
+    if (folded) {
+      text = lines.reduce((result, line, i) => {
+        if (i === 0) return line;
+        if (line === '' || lines[i - 1] === '' || /^\s/.test(line)) return `${result}\n${line}`;
+        return `${result} ${line}`;
+      }, '');
+    } else {
+      text = lines.join('\n');
+    }
+    if (chomp === 'strip') return text.replace(/\n+$/, '');
+    if (chomp === 'clip') return text.replace(/\n+$/, '') + '\n';
+    return `${text}\n`;
+  }
+}
+
+/**
+ * Parses every document in a YAML stream, skipping empty ones
+ */
+export function parseYamlDocuments(text) {
+  const documents = [[]];
+  text.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    if (/^---(\s|$)/.test(line)) {
+      documents.push([]);
+      const rest = line.slice(3).trim();
+      if (rest && !rest.startsWith('#')) documents[documents.length - 1].push(rest);
+    } else if (/^\.\.\.(\s|$)/.test(line)) {
+      documents.push([]);
+    } else if (!line.startsWith('%')) {
+      documents[documents.length - 1].push(line.replace(/\t/g, '  '));
+    }
+  });
+  return documents
+    .map(lines => new YamlDocumentParser(lines).parse())
+    .filter(document => document !== null);
+}
+
+/**
+ * Parses a single YAML document
+ */
+export function parseYaml(text) {
+  const documents = parseYamlDocuments(text);
+  return documents.length > 0 ? documents[0] : null;
+}